@@ -1,16 +1,21 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import io from 'socket.io-client';
 import './styles/App.css';
 
 // API and utilities
-import { authAPI, userAPI, gameAPI, leaderboardAPI, achievementAPI, powerupAPI, saveTokens, clearTokens, isAuthenticated } from './utils/apiClient';
+import { authAPI, userAPI, gameAPI, replayAPI, ghostAPI, lobbyAPI, leaderboardAPI, achievementAPI, powerupAPI, puzzleAPI, themeAPI, saveTokens, clearTokens, isAuthenticated } from './utils/apiClient';
 import audioManager from './utils/audioManager';
 import * as puzzleLogic from './utils/puzzleLogic';
+import * as powerupEffects from './utils/powerupEffects';
 
 // Components (will be defined after App)
 import LoginScreen from './components/LoginScreen';
 import MainMenu from './components/MainMenu';
 import GameBoard from './components/GameBoard';
+import ReplayViewer from './components/ReplayViewer';
+import Lobby from './components/Lobby';
+import SpectatorView from './components/SpectatorView';
+import Tournaments from './components/Tournaments';
 import {
     NotificationToast,
     Matchmaking,
@@ -20,10 +25,27 @@ import {
     UserProfile,
     AchievementPanel,
     PowerupInventory,
-    SettingsPanel
+    SettingsPanel,
+    GameHistory,
+    LiveGames
 } from './components/AllComponents';
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
 
+// Game clock. Pauses and time_freeze both stop it: pausedMs is the stopped
+// time already settled, frozenFrom..frozenUntil the freeze still running
+const createGameClock = (startedAt = null) => ({
+    startedAt,
+    pausedAt: null,
+    pausedMs: 0,
+    frozenFrom: null,
+    frozenUntil: null
+});
+
+// How much of the running freeze has passed by a given time
+const getFrozenMs = (clock, time) => (
+    clock.frozenUntil === null ? 0 : Math.max(0, Math.min(time, clock.frozenUntil) - clock.frozenFrom)
+);
+
 function App() {
     // Authentication & User
     const [isLoggedIn, setIsLoggedIn] = useState(false);
@@ -36,7 +58,7 @@ function App() {
 
     // Game State
     const [gameSession, setGameSession] = useState(null);
-    const [boardSize, setBoardSize] = useState(4);
+    const [boardSize, setBoardSize] = useState('4x4');
     const [gameMode, setGameMode] = useState('speed');
     const [board, setBoard] = useState([]);
     const [moveCount, setMoveCount] = useState(0);
@@ -47,15 +69,35 @@ function App() {
     // Multiplayer
     const [socket, setSocket] = useState(null);
     const [inMatchmaking, setInMatchmaking] = useState(false);
+    const [matchmakingStatus, setMatchmakingStatus] = useState(null);
     const [opponent, setOpponent] = useState(null);
     const [opponentBoard, setOpponentBoard] = useState([]);
+    const [ghost, setGhost] = useState(null);
+    const [ghostBoard, setGhostBoard] = useState([]);
+    const [lobby, setLobby] = useState(null);
+    const [liveGames, setLiveGames] = useState([]);
+    const [spectateSessionId, setSpectateSessionId] = useState(null);
+    const [rematch, setRematch] = useState(null);
+    const [tournamentId, setTournamentId] = useState(null);
 
     // UI State
     const [achievements, setAchievements] = useState([]);
     const [userAchievements, setUserAchievements] = useState([]);
     const [powerups, setPowerups] = useState([]);
     const [userPowerups, setUserPowerups] = useState([]);
+    // Theme catalogue, each flagged with whether this player has unlocked it
+    const [themes, setThemes] = useState([]);
+    // Cooldowns and uses left in the current game: { [powerupKey]: { readyAt, usesLeft } }
+    const [powerupStatus, setPowerupStatus] = useState({});
+
+    // Powerup effects on the board
+    const [hintTile, setHintTile] = useState(null);
+    const [ghostTile, setGhostTile] = useState(null);
+    const [showSolution, setShowSolution] = useState(false);
+    const [autoMoves, setAutoMoves] = useState([]);
     const [leaderboards, setLeaderboards] = useState({});
+    const [gameHistory, setGameHistory] = useState([]);
+    const [replay, setReplay] = useState(null);
     const [notifications, setNotifications] = useState([]);
     const [showVictory, setShowVictory] = useState(false);
     const [victoryData, setVictoryData] = useState(null);
@@ -66,6 +108,20 @@ function App() {
     // Move history for replay
     const [moveHistory, setMoveHistory] = useState([]);
 
+    // Millisecond game clock (excluding pauses and freezes) used to timestamp moves
+    const gameClock = useRef(createGameClock());
+    const ghostProgress = useRef(0);
+
+    // An opponent's slow_motion: moves are spaced out until this time
+    const slowedUntil = useRef(0);
+    const lastMoveAt = useRef(0);
+
+    // Match this client is playing, used to tell a blip from a reload
+    const liveSessionId = useRef(null);
+
+    // Invite code from a ?lobby= link, joined once the socket connects
+    const pendingLobbyCode = useRef(new URLSearchParams(window.location.search).get('lobby'));
+
     useEffect(() => {
         initializeApp();
 
@@ -90,6 +146,9 @@ function App() {
                     setCurrentUser(response.user);
                     await loadUserData(response.user.userId);
                     setCurrentScreen('menu');
+
+                    // Reconnects to a match still held open after a reload
+                    initializeSocket(localStorage.getItem('authToken'));
                 }
             } catch (error) {
                 console.error('Token verification failed:', error);
@@ -194,11 +253,23 @@ function App() {
             const allPowerups = await powerupAPI.getAll();
             setPowerups(allPowerups.powerups || []);
 
+            await loadThemes();
         } catch (error) {
             console.error('Error loading user data:', error);
         }
     };
 
+    const loadThemes = async () => {
+        try {
+            const response = await themeAPI.getAll();
+            if (response.success) {
+                setThemes(response.themes);
+            }
+        } catch (error) {
+            console.error('Error loading themes:', error);
+        }
+    };
+
     const applyPreferences = (prefs) => {
         if (prefs.sound_enabled !== undefined) {
             audioManager.setSoundEnabled(prefs.sound_enabled);
@@ -230,12 +301,47 @@ function App() {
 
         newSocket.on('connect', () => {
             console.log('Socket connected');
+
+            if (pendingLobbyCode.current) {
+                newSocket.emit('join_lobby', { code: pendingLobbyCode.current });
+                pendingLobbyCode.current = null;
+                window.history.replaceState(null, '', window.location.pathname);
+            }
+        });
+
+        newSocket.on('lobby_update', (data) => {
+            setLobby(data);
+            setCurrentScreen('lobby');
+        });
+
+        newSocket.on('lobby_closed', (data) => {
+            showNotification(data.reason, 'info');
+            setLobby(null);
+            setCurrentScreen(screen => (screen === 'lobby' ? 'menu' : screen));
+        });
+
+        newSocket.on('lobby_error', (data) => {
+            showNotification(data.message, 'error');
         });
 
         newSocket.on('matchmaking_joined', (data) => {
             showNotification(`Searching for opponent... Position: ${data.position}`, 'info');
         });
 
+        newSocket.on('matchmaking_status', (status) => {
+            setMatchmakingStatus(status);
+        });
+
+        newSocket.on('matchmaking_timeout', () => {
+            showNotification('No opponent found, matching you with a bot', 'info');
+        });
+
+        newSocket.on('matchmaking_error', (data) => {
+            showNotification(data.message, 'error');
+            setInMatchmaking(false);
+            setCurrentScreen('menu');
+        });
+
         newSocket.on('match_found', (data) => {
             handleMatchFound(data);
         });
@@ -244,18 +350,104 @@ function App() {
             handleOpponentMove(moveData);
         });
 
+        newSocket.on('opponent_undo', (data) => {
+            setOpponentBoard(data.boardState);
+        });
+
         newSocket.on('opponent_powerup', (data) => {
-            showNotification(`Opponent used ${data.powerupKey}!`, 'warning');
+            showNotification(`Opponent used ${data.name}!`, 'warning');
             audioManager.playSound('powerupActivate');
+
+            if (data.effectType === 'debuff_opponent') {
+                slowedUntil.current = Date.now() + data.duration * 1000;
+            }
         });
 
         newSocket.on('game_ended', (data) => {
             handleGameEnd(data);
         });
 
-        newSocket.on('opponent_disconnected', () => {
-            showNotification('Opponent disconnected', 'error');
-            endGame(true);
+        // Spectators hear these too; only players in a match react
+        newSocket.on('opponent_reconnecting', (data) => {
+            if (!liveSessionId.current) return;
+            setOpponent(prev => prev && { ...prev, reconnecting: true });
+            showNotification(`Opponent disconnected, waiting ${Math.round(data.graceMs / 1000)}s for them to return`, 'warning');
+        });
+
+        newSocket.on('opponent_reconnected', () => {
+            if (!liveSessionId.current) return;
+            setOpponent(prev => prev && { ...prev, reconnecting: false });
+            showNotification('Opponent reconnected', 'info');
+        });
+
+        newSocket.on('rematch_requested', (data) => {
+            setRematch({ status: 'incoming', from: data.from, bestOf: data.bestOf });
+            showNotification(`${data.from.username} wants a rematch!`, 'info');
+        });
+
+        newSocket.on('rematch_declined', () => {
+            setRematch(null);
+            showNotification('Rematch declined', 'info');
+        });
+
+        newSocket.on('rematch_error', (data) => {
+            setRematch(null);
+            showNotification(data.message, 'error');
+        });
+
+        newSocket.on('series_ended', () => {
+            showNotification('Your opponent left, so the series is over', 'info');
+        });
+
+        newSocket.on('game_rejoined', (data) => {
+            handleGameRejoined(data);
+        });
+
+        // Tournament calls bring players from the menu to their bracket
+        newSocket.on('tournament_match_ready', (data) => {
+            showNotification(`${data.name}: your round ${data.round} match is ready`, 'info');
+            setTournamentId(data.tournamentId);
+            setCurrentScreen(screen => (screen === 'menu' ? 'tournaments' : screen));
+        });
+
+        newSocket.on('tournament_waiting', () => {
+            showNotification('Checked in, waiting for your opponent', 'info');
+        });
+
+        newSocket.on('tournament_completed', (data) => {
+            showNotification(`${data.name} is over: ${data.winnerName} wins!`, 'info');
+        });
+
+        newSocket.on('tournament_error', (data) => {
+            showNotification(data.message, 'error');
+        });
+
+        newSocket.on('powerup_earned', async (data) => {
+            const earned = data.powerups
+                .map(powerup => `${powerup.name}${powerup.quantity > 1 ? ` ×${powerup.quantity}` : ''}`)
+                .join(', ');
+            showNotification(`Powerup earned: ${earned}`, 'powerup');
+            audioManager.playSound('powerupEarned');
+
+            const powerupsResponse = await powerupAPI.getUserPowerups();
+            if (powerupsResponse.success) {
+                setUserPowerups(powerupsResponse.powerups);
+            }
+        });
+
+        // Unlocks earned outside a game completion, e.g. a forfeit win
+        newSocket.on('achievements_unlocked', (data) => {
+            data.achievements.forEach(achievement => {
+                showNotification(`Achievement Unlocked: ${achievement.name}!`, 'achievement');
+            });
+            audioManager.playSound('achievementUnlock');
+        });
+
+        newSocket.on('themes_unlocked', (data) => {
+            data.themes.forEach(theme => {
+                showNotification(`Theme Unlocked: ${theme.name}!`, 'achievement');
+            });
+            loadThemes();
         });
 
         newSocket.on('disconnect', () => {
@@ -265,26 +457,32 @@ function App() {
         setSocket(newSocket);
     };
 
-    const startGame = async (size, mode) => {
+    const startGame = async (size, mode, seed = null, ghostRun = null) => {
         try {
             setBoardSize(size);
             setGameMode(mode);
+            setGhost(ghostRun);
+            setOpponent(null);
+
+            // Create game session; the server picks the starting board, or
+            // rebuilds it from a seed or the ghost's library puzzle
+            const configId = ghostRun ? ghostRun.configId : null;
+            const response = await gameAPI.create(size, mode, null, seed, configId);
+            if (!response.success) {
+                throw new Error(response.message);
+            }
 
-            // Generate puzzle
-            const newBoard = puzzleLogic.generateSolvablePuzzle(size);
-            setBoard(newBoard);
+            setGameSession(response);
+            setBoard(response.initialState);
+            setGhostBoard(response.initialState);
+            ghostProgress.current = 0;
             setMoveCount(0);
             setGameTime(0);
+            resetGameClock();
             setMoveHistory([]);
             setIsGameActive(true);
             setIsPaused(false);
 
-            // Create game session
-            const response = await gameAPI.create(size, mode, null);
-            if (response.success) {
-                setGameSession(response);
-            }
-
             // Change music based on mode
             if (mode === 'speed' || mode === 'multiplayer') {
                 audioManager.playMusic('gameplayIntense');
@@ -300,8 +498,32 @@ function App() {
         }
     };
 
-    const handleTileClick = (tileIndex) => {
+    // Race a recorded run on its own board
+    const raceGhost = async (category, options = {}) => {
+        try {
+            const response = await ghostAPI.get(category, options);
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+
+            const { ghost: ghostRun } = response;
+            const mode = category.startsWith('moves_') ? 'fewest_moves' : 'speed';
+            await startGame(ghostRun.boardSize, mode, ghostRun.seed, ghostRun);
+        } catch (error) {
+            showNotification(error.message || 'No ghost to race', 'error');
+        }
+    };
+
+    // `auto` marks slides played by a powerup, which the player can't interrupt
+    const handleTileClick = (tileIndex, { auto = false } = {}) => {
         if (!isGameActive || isPaused) return;
+        if (autoMoves.length > 0 && !auto) return;
+
+        // Slowed by the opponent: moves too close together are dropped
+        const now = Date.now();
+        if (!auto && now < slowedUntil.current && now - lastMoveAt.current < powerupEffects.SLOW_MOTION_MOVE_DELAY_MS) {
+            return;
+        }
 
         const emptyIndex = board.indexOf(0);
 
@@ -312,11 +534,12 @@ function App() {
         }
 
         // Make move
-        const newBoard = puzzleLogic.moveTile(board, tileIndex);
+        const newBoard = puzzleLogic.moveTile(board, tileIndex, boardSize);
         if (!newBoard) return;
 
         setBoard(newBoard);
         setMoveCount(prev => prev + 1);
+        lastMoveAt.current = now;
 
         // Record move
         const moveData = {
@@ -325,13 +548,14 @@ function App() {
             emptyPosition: emptyIndex,
             direction: puzzleLogic.getMoveDirection(tileIndex, emptyIndex, boardSize),
             boardState: newBoard,
-            timeElapsed: gameTime
+            timeElapsed: getElapsedMs()
         };
 
-        setMoveHistory(prev => [...prev, moveData]);
+        const newHistory = [...moveHistory, moveData];
+        setMoveHistory(newHistory);
 
         // Send move to server if in multiplayer
-        if (gameMode === 'multiplayer' && socket && gameSession) {
+        if (gameSession?.multiplayer && socket) {
             socket.emit('game_move', {
                 sessionId: gameSession.sessionId,
                 moveData
@@ -342,28 +566,23 @@ function App() {
 
         // Check if puzzle is solved
         if (puzzleLogic.isSolved(newBoard)) {
-            handlePuzzleSolved();
+            handlePuzzleSolved(newHistory);
         }
     };
 
-    const handlePuzzleSolved = async () => {
+    const handlePuzzleSolved = async (moves) => {
         setIsGameActive(false);
         audioManager.playSound('puzzleComplete');
         audioManager.playMusic('victory');
 
         try {
-            // Calculate performance metrics
-            const minimumMoves = puzzleLogic.calculateMinimumMoves(board, boardSize);
-            const isPerfect = puzzleLogic.isPerfectGame(moveCount, minimumMoves);
-            const speedBonus = gameMode === 'speed' && gameTime < 60;
-
-            // Complete game on server
+            // The server replays these moves and derives time, moves and bonuses
             const response = await gameAPI.complete(gameSession.sessionId, {
-                winnerId: currentUser.userId,
-                completionTime: gameTime,
-                moveCount,
-                perfectGame: isPerfect,
-                speedBonus
+                moves: moves.map(({ tilePosition, emptyPosition, timeElapsed }) => ({
+                    tilePosition,
+                    emptyPosition,
+                    timeElapsed
+                }))
             });
 
             if (response.success) {
@@ -372,15 +591,17 @@ function App() {
 
                 // Show victory screen
                 setVictoryData({
-                    time: gameTime,
-                    moves: moveCount,
-                    perfectGame: isPerfect,
-                    speedBonus,
+                    time: response.completionTime,
+                    moves: response.moveCount,
+                    perfectGame: response.perfectGame,
+                    speedBonus: response.speedBonus,
                     xpGained: response.xpGained,
                     leveledUp: response.leveledUp,
                     newLevel: response.newLevel,
                     unlockedAchievements: response.unlockedAchievements || [],
-                    eloChange: response.eloChanges?.player1_change || 0
+                    eloChange: response.eloChanges?.[`${gameSession.seat}_change`] || 0,
+                    multiplayer: Boolean(gameSession.multiplayer),
+                    series: response.series
                 });
 
                 setShowVictory(true);
@@ -408,12 +629,25 @@ function App() {
             }
         } catch (error) {
             console.error('Error completing game:', error);
-            showNotification('Error saving game results', 'error');
+            showNotification(error.message || 'Error saving game results', 'error');
+        }
+    };
+
+    // The server keeps its own record so paused time is not timed
+    const togglePause = () => {
+        const paused = !isPaused;
+        setIsPaused(paused);
+
+        if (gameSession?.sessionId) {
+            gameAPI.pause(gameSession.sessionId, paused).catch(error => {
+                console.error('Error recording pause:', error);
+            });
         }
     };
 
     const endGame = (forfeit = false) => {
         setIsGameActive(false);
+        liveSessionId.current = null;
         setIsPaused(false);
         audioManager.stopMusic();
         audioManager.playMusic('menu');
@@ -423,7 +657,8 @@ function App() {
         }
     };
 
-    const joinMatchmaking = (size, mode) => {
+    // bot: a bot level ('novice' ... 'expert', or 'auto') to skip the queue
+    const joinMatchmaking = (size, mode, bot = null) => {
         if (!socket) {
             showNotification('Not connected to server', 'error');
             return;
@@ -432,9 +667,10 @@ function App() {
         setBoardSize(size);
         setGameMode(mode);
         setInMatchmaking(true);
+        setMatchmakingStatus(null);
         setCurrentScreen('matchmaking');
 
-        socket.emit('join_matchmaking', { mode, boardSize: size });
+        socket.emit('join_matchmaking', { mode, boardSize: size, bot });
         audioManager.playSound('notification');
     };
 
@@ -448,20 +684,71 @@ function App() {
         showNotification('Left matchmaking', 'info');
     };
 
+    const loadLiveGames = async () => {
+        try {
+            const response = await gameAPI.getLive();
+            setLiveGames(response.games || []);
+        } catch (error) {
+            console.error('Error loading live games:', error);
+        }
+    };
+
+    const spectateGame = (sessionId) => {
+        setSpectateSessionId(sessionId);
+        setCurrentScreen('spectate');
+    };
+
+    // Private lobbies: created over REST, then joined over the socket
+    const createLobby = async (settings) => {
+        try {
+            const response = await lobbyAPI.create(settings);
+            socket.emit('join_lobby', { code: response.lobby.code });
+        } catch (error) {
+            showNotification(error.message || 'Failed to create lobby', 'error');
+        }
+    };
+
+    const joinLobby = (code) => {
+        socket.emit('join_lobby', { code });
+    };
+
+    const leaveLobby = () => {
+        socket.emit('leave_lobby');
+        setLobby(null);
+        setCurrentScreen('menu');
+    };
+
     const handleMatchFound = async (data) => {
         setInMatchmaking(false);
+        setLobby(null);
+        setShowVictory(false);
+        setRematch(null);
         setOpponent(data.player2.userId === currentUser.userId ? data.player1 : data.player2);
-        setGameSession({ sessionId: data.sessionId });
+        setGameMode(data.mode);
+        setGameSession({
+            sessionId: data.sessionId,
+            multiplayer: true,
+            powerups: data.powerups !== false,
+            // Rating changes come back per seat
+            seat: data.player1.userId === currentUser.userId ? 'player1' : 'player2'
+        });
+        liveSessionId.current = data.sessionId;
 
         audioManager.playSound('matchFound');
-        showNotification('Match found!', 'success');
+        showNotification(
+            data.series ? `Game ${data.series.game} of best of ${data.series.bestOf}` : 'Match found!',
+            'success'
+        );
 
-        // Generate same board for both players
-        const newBoard = puzzleLogic.generateSolvablePuzzle(data.boardSize);
+        // Both players start from the board the server picked for this match
+        const newBoard = data.initialState;
+        setBoardSize(data.boardSize);
         setBoard(newBoard);
         setOpponentBoard(newBoard);
+        setGhost(null);
         setMoveCount(0);
         setGameTime(0);
+        resetGameClock();
         setMoveHistory([]);
 
         // Start game after countdown
@@ -472,19 +759,85 @@ function App() {
         }, 3000);
     };
 
+    // The server held our match open while we were disconnected
+    const handleGameRejoined = (data) => {
+        setOpponent(data.opponent);
+        setOpponentBoard(data.opponentBoard);
+
+        // After a short blip this client still has its own board
+        if (liveSessionId.current === data.sessionId) {
+            showNotification('Reconnected', 'success');
+            return;
+        }
+
+        // After a reload, rebuild the game from the server's copy
+        liveSessionId.current = data.sessionId;
+        setInMatchmaking(false);
+        setLobby(null);
+        setGhost(null);
+        setGameMode(data.mode);
+        setGameSession({
+            sessionId: data.sessionId,
+            multiplayer: true,
+            powerups: data.powerups,
+            seat: data.seat
+        });
+        setBoardSize(data.boardSize);
+        setBoard(data.board);
+        setMoveCount(data.moves.length);
+        setMoveHistory(data.moves);
+        gameClock.current = createGameClock(Date.now() - data.elapsedMs);
+        setIsPaused(false);
+        // A pause left open by the reload would stop the server's clock
+        gameAPI.pause(data.sessionId, false).catch(error => {
+            console.error('Error recording pause:', error);
+        });
+        setIsGameActive(true);
+        setCurrentScreen('game');
+        audioManager.playMusic('gameplayIntense');
+        showNotification('Rejoined your match', 'success');
+    };
+
+    // Rematch handshake with the last opponent; bestOf > 1 starts a series
+    const requestRematch = (bestOf) => {
+        socket.emit('rematch_request', { sessionId: gameSession.sessionId, bestOf });
+        setRematch({ status: 'requested', bestOf });
+    };
+
+    const answerRematch = (accept) => {
+        socket.emit('rematch_response', { sessionId: gameSession.sessionId, accept });
+        setRematch(null);
+    };
+
     const handleOpponentMove = (moveData) => {
         setOpponentBoard(moveData.boardState);
     };
 
     const handleGameEnd = (data) => {
+        if (!liveSessionId.current) return;
+
         setIsGameActive(false);
+        liveSessionId.current = null;
 
         const didWin = data.winnerId === currentUser.userId;
 
-        showNotification(
-            didWin ? 'You won!' : 'You lost!',
-            didWin ? 'success' : 'error'
-        );
+        if (data.reason === 'forfeit') {
+            showNotification(
+                didWin ? 'Opponent did not return. You win by forfeit!' : 'You forfeited the match',
+                didWin ? 'success' : 'error'
+            );
+        } else {
+            showNotification(
+                didWin ? 'You won!' : 'You lost!',
+                didWin ? 'success' : 'error'
+            );
+        }
+
+        // The winner's summary comes with their completion; show the loser theirs
+        if (!didWin && data.reason !== 'forfeit') {
+            setVictoryData({ defeated: true, multiplayer: true, series: data.series });
+            setShowVictory(true);
+        }
 
         if (didWin) {
             audioManager.playMusic('victory');
@@ -493,25 +846,26 @@ function App() {
     };
 
     const usePowerup = async (powerupKey) => {
-        if (!isGameActive || isPaused) return;
+        if (!isGameActive || isPaused || gameSession?.powerups === false) return;
 
         try {
-            const response = await powerupAPI.use(powerupKey);
+            const response = await powerupAPI.use(powerupKey, gameSession.sessionId, moveCount);
 
             if (response.success) {
                 audioManager.playSound('powerupActivate');
                 showNotification('Powerup activated!', 'success');
 
-                // Apply powerup effect
-                applyPowerupEffect(powerupKey);
+                // Apply powerup effect; the server tells a multiplayer opponent
+                applyPowerupEffect(response.effect);
 
-                // Notify opponent if multiplayer
-                if (gameMode === 'multiplayer' && socket && gameSession) {
-                    socket.emit('use_powerup', {
-                        sessionId: gameSession.sessionId,
-                        powerupKey
-                    });
-                }
+                // Cooldowns come back in seconds; count them down locally
+                const now = Date.now();
+                setPowerupStatus(Object.fromEntries(
+                    Object.entries(response.powerups).map(([key, status]) => [
+                        key,
+                        { readyAt: now + status.cooldown * 1000, usesLeft: status.usesLeft }
+                    ])
+                ));
 
                 // Reload powerups
                 const powerupsResponse = await powerupAPI.getUserPowerups();
@@ -520,38 +874,61 @@ function App() {
                 }
             }
         } catch (error) {
-            showNotification('Failed to use powerup', 'error');
+            showNotification(error.message || 'Failed to use powerup', 'error');
         }
     };
 
-    const applyPowerupEffect = (powerupKey) => {
-        switch (powerupKey) {
+    // Effects by powerups.effect_type; board changes go through legal slides
+    const applyPowerupEffect = async ({ type, duration }) => {
+        switch (type) {
             case 'peek':
-                // Show solution briefly (handled in GameBoard component)
+                setShowSolution(true);
+                setTimeout(() => setShowSolution(false), duration * 1000);
                 break;
-            case 'hint':
-                const hintTile = puzzleLogic.getHint(board, boardSize);
-                if (hintTile !== null) {
-                    // Highlight tile (handled in GameBoard component)
+            case 'hint': {
+                // The server's solver finds the first move of an optimal solution
+                let tile = null;
+                try {
+                    const response = await puzzleAPI.getHint(board, boardSize);
+                    tile = response.hint ? response.hint.tileIndex : null;
+                } catch (error) {
+                    tile = puzzleLogic.getHint(board, boardSize);
                 }
+                setHintTile(tile);
                 break;
-            case 'time_freeze':
-                // Pause timer for 10 seconds
-                setIsPaused(true);
-                setTimeout(() => setIsPaused(false), 10000);
+            }
+            case 'time_freeze': {
+                // Only the clock stops, as on the server: moves stay allowed
+                // and a pause the player set is left alone. Overlapping
+                // freezes count once
+                const clock = gameClock.current;
+                const now = Date.now();
+                clock.pausedMs += getFrozenMs(clock, now);
+                clock.frozenFrom = now;
+                clock.frozenUntil = Math.max(clock.frozenUntil ?? now, now + duration * 1000);
                 break;
-            case 'undo_move':
-                // Undo last move
-                if (moveHistory.length > 0) {
-                    const previousState = moveHistory[moveHistory.length - 2];
-                    if (previousState) {
-                        setBoard(previousState.boardState);
-                        setMoveCount(prev => Math.max(0, prev - 1));
-                        setMoveHistory(prev => prev.slice(0, -1));
-                    }
+            }
+            case 'undo': {
+                const undone = powerupEffects.undoLastMove(board, moveHistory);
+                if (undone) {
+                    setBoard(undone.board);
+                    setMoveHistory(undone.history);
+                    setMoveCount(undone.history.length);
                 }
                 break;
+            }
+            case 'auto_arrange':
+                setAutoMoves(powerupEffects.arrangeCorners(board, boardSize));
+                break;
+            case 'auto_solve':
+                setAutoMoves(powerupEffects.autoSolveTiles(board, boardSize));
+                break;
+            case 'visual_aid':
+                setGhostTile(powerupEffects.pickGhostTile(board));
+                setTimeout(() => setGhostTile(null), duration * 1000);
+                break;
             default:
+                // debuff_opponent lands on the opponent's client
                 break;
         }
     };
@@ -597,32 +974,10 @@ function App() {
             setCurrentTheme(themeName);
             showNotification(`Theme changed to ${themeName}`, 'success');
         } catch (error) {
-            showNotification('Failed to change theme', 'error');
+            showNotification(error.message || 'Failed to change theme', 'error');
         }
     };
 
-    const checkThemeUnlocks = (stats) => {
-        const unlocks = [];
-
-        if (stats.total_wins >= 50 && currentTheme === 'dasher') {
-            unlocks.push('prancer');
-        }
-        if (stats.total_wins >= 100) {
-            unlocks.push('comet');
-        }
-        if (stats.total_wins >= 200) {
-            unlocks.push('blitzen');
-        }
-        if (stats.elo_rating >= 1800) {
-            unlocks.push('rudolph');
-        }
-        if (currentUser.level >= 50) {
-            unlocks.push('aurora');
-        }
-
-        return unlocks;
-    };
-
     const loadLeaderboards = async () => {
         try {
             const categories = [
@@ -646,6 +1001,41 @@ function App() {
         }
     };
 
+    const loadGameHistory = async () => {
+        try {
+            const response = await userAPI.getHistory(currentUser.userId);
+            if (response.success) {
+                setGameHistory(response.games);
+            }
+        } catch (error) {
+            console.error('Error loading game history:', error);
+        }
+    };
+
+    const openReplay = async (sessionId) => {
+        try {
+            const response = await gameAPI.getReplay(sessionId);
+            if (response.success) {
+                setReplay(response.replay);
+                setCurrentScreen('replay');
+            }
+        } catch (error) {
+            showNotification(error.message || 'Replay unavailable', 'error');
+        }
+    };
+
+    const importReplay = async (notation) => {
+        try {
+            const response = await replayAPI.import(notation);
+            if (response.success) {
+                setReplay(response.replay);
+                setCurrentScreen('replay');
+            }
+        } catch (error) {
+            showNotification(error.message || 'Could not import replay', 'error');
+        }
+    };
+
     const showNotification = (message, type = 'info') => {
         const id = Date.now();
         const notification = { id, message, type };
@@ -662,12 +1052,44 @@ function App() {
         setNotifications(prev => prev.filter(n => n.id !== id));
     };
 
+    const resetGameClock = () => {
+        gameClock.current = createGameClock();
+    };
+
+    const getElapsedMs = () => {
+        const clock = gameClock.current;
+        if (clock.startedAt === null) return 0;
+
+        const now = clock.pausedAt || Date.now();
+        return now - clock.startedAt - clock.pausedMs - getFrozenMs(clock, now);
+    };
+
     useEffect(() => {
         let interval;
+        const clock = gameClock.current;
+
+        if (isGameActive && isPaused && clock.pausedAt === null) {
+            clock.pausedAt = Date.now();
+        }
 
         if (isGameActive && !isPaused) {
+            if (clock.startedAt === null) {
+                clock.startedAt = Date.now();
+            } else if (clock.pausedAt !== null) {
+                // A freeze that overlapped the pause counts once, and any
+                // of it left runs on from here
+                const now = Date.now();
+                clock.pausedMs += now - clock.pausedAt + getFrozenMs(clock, clock.pausedAt);
+                if (clock.frozenUntil !== null) {
+                    clock.frozenFrom = Math.min(now, clock.frozenUntil);
+                }
+                clock.pausedAt = null;
+            }
+
             interval = setInterval(() => {
-                setGameTime(prev => prev + 1);
+                const { frozenUntil } = gameClock.current;
+                const frozen = frozenUntil !== null && Date.now() < frozenUntil;
+                if (!frozen) setGameTime(prev => prev + 1);
             }, 1000);
         }
 
@@ -676,6 +1098,55 @@ function App() {
         };
     }, [isGameActive, isPaused]);
 
+    // Powerup limits and effects are per game
+    useEffect(() => {
+        setPowerupStatus({});
+        setAutoMoves([]);
+        setGhostTile(null);
+        slowedUntil.current = 0;
+    }, [gameSession?.sessionId]);
+
+    // Slides played by a powerup go one at a time, like the player's own
+    useEffect(() => {
+        if (autoMoves.length === 0 || !isGameActive || isPaused) return undefined;
+
+        const timeout = setTimeout(() => {
+            handleTileClick(autoMoves[0], { auto: true });
+            setAutoMoves(prev => prev.slice(1));
+        }, powerupEffects.AUTO_MOVE_INTERVAL_MS);
+
+        return () => clearTimeout(timeout);
+    }, [autoMoves, isGameActive, isPaused]);
+
+    // A hint is for the board it was given on
+    useEffect(() => {
+        setHintTile(null);
+    }, [board]);
+
+    // Advance the ghost along its recorded timeline on the shared game clock
+    useEffect(() => {
+        if (!ghost || !isGameActive || isPaused) return undefined;
+
+        const interval = setInterval(() => {
+            const elapsed = getElapsedMs();
+            let next = ghostProgress.current;
+
+            while (next < ghost.moves.length && ghost.moves[next].timeElapsed <= elapsed) {
+                next++;
+            }
+            if (next === ghostProgress.current) return;
+
+            const pending = ghost.moves.slice(ghostProgress.current, next);
+            ghostProgress.current = next;
+            setGhostBoard(prev => pending.reduce(
+                (current, move) => puzzleLogic.moveTile(current, move.tilePosition, boardSize) || current,
+                prev
+            ));
+        }, 50);
+
+        return () => clearInterval(interval);
+    }, [ghost, isGameActive, isPaused, boardSize]);
+
     const navigateTo = (screen) => {
         setCurrentScreen(screen);
 
@@ -687,6 +1158,14 @@ function App() {
         if (screen === 'leaderboard') {
             loadLeaderboards();
         }
+
+        if (screen === 'history') {
+            loadGameHistory();
+        }
+
+        if (screen === 'live') {
+            loadLiveGames();
+        }
     };
 
     return (
@@ -734,10 +1213,16 @@ function App() {
                     isPaused={isPaused}
                     opponent={opponent}
                     opponentBoard={opponentBoard}
-                    userPowerups={userPowerups}
+                    ghost={ghost}
+                    ghostBoard={ghostBoard}
+                    userPowerups={gameSession?.powerups === false ? [] : userPowerups}
+                    powerupStatus={powerupStatus}
+                    hintTile={hintTile}
+                    ghostTile={ghostTile}
+                    showSolution={showSolution}
                     onTileClick={handleTileClick}
                     onUsePowerup={usePowerup}
-                    onPause={() => setIsPaused(!isPaused)}
+                    onPause={togglePause}
                     onQuit={() => {
                         endGame(true);
                         navigateTo('menu');
@@ -751,18 +1236,79 @@ function App() {
                 <Matchmaking
                     boardSize={boardSize}
                     gameMode={gameMode}
+                    status={matchmakingStatus}
                     onCancel={leaveMatchmaking}
                 />
             )}
 
+            {isLoggedIn && currentScreen === 'live' && (
+                <LiveGames
+                    games={liveGames}
+                    onSpectate={spectateGame}
+                    onRefresh={loadLiveGames}
+                    onBack={() => navigateTo('menu')}
+                />
+            )}
+
+            {isLoggedIn && currentScreen === 'spectate' && socket && (
+                <SpectatorView
+                    socket={socket}
+                    sessionId={spectateSessionId}
+                    onBack={() => navigateTo('live')}
+                />
+            )}
+
+            {isLoggedIn && currentScreen === 'tournaments' && socket && (
+                <Tournaments
+                    socket={socket}
+                    currentUser={currentUser}
+                    selectedId={tournamentId}
+                    onSelect={setTournamentId}
+                    onBack={() => navigateTo('menu')}
+                />
+            )}
+
+            {isLoggedIn && currentScreen === 'lobby' && (
+                <Lobby
+                    lobby={lobby}
+                    currentUser={currentUser}
+                    onCreate={createLobby}
+                    onJoin={joinLobby}
+                    onUpdateSettings={(settings) => socket.emit('lobby_settings', settings)}
+                    onReady={(ready) => socket.emit('lobby_ready', { ready })}
+                    onLeave={leaveLobby}
+                    onBack={() => navigateTo('menu')}
+                />
+            )}
+
             {isLoggedIn && currentScreen === 'leaderboard' && (
                 <Leaderboard
                     leaderboards={leaderboards}
                     currentUser={currentUser}
+                    onRaceGhost={raceGhost}
+                    onBack={() => navigateTo('menu')}
+                />
+            )}
+
+            {isLoggedIn && currentScreen === 'history' && (
+                <GameHistory
+                    games={gameHistory}
+                    currentUser={currentUser}
+                    onReplay={openReplay}
+                    onImport={importReplay}
                     onBack={() => navigateTo('menu')}
                 />
             )}
 
+            {isLoggedIn && currentScreen === 'replay' && replay && (
+                <ReplayViewer
+                    replay={replay}
+                    currentUser={currentUser}
+                    onBack={() => navigateTo('history')}
+                    showNotification={showNotification}
+                />
+            )}
+
             {isLoggedIn && currentScreen === 'profile' && (
                 <UserProfile
                     user={currentUser}
@@ -803,7 +1349,7 @@ function App() {
                     }}
                     onChangeTheme={changeTheme}
                     onBack={() => navigateTo('menu')}
-                    availableThemes={checkThemeUnlocks(userStats || {})}
+                    themes={themes}
                 />
             )}
 
@@ -811,7 +1357,13 @@ function App() {
             {showVictory && (
                 <VictoryScreen
                     data={victoryData}
+                    currentUser={currentUser}
+                    opponent={opponent}
+                    rematch={rematch}
+                    onRematch={requestRematch}
+                    onAnswerRematch={answerRematch}
                     onClose={() => {
+                        if (rematch?.status === 'incoming') answerRematch(false);
                         setShowVictory(false);
                         navigateTo('menu');
                     }}
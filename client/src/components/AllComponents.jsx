@@ -1,4 +1,5 @@
 import React, { useState } from "react";
+import { formatBoardSize } from "../utils/puzzleLogic";
 
 export function NotificationToast({ message, type, onClose }) {
   return (
@@ -10,13 +11,16 @@ export function NotificationToast({ message, type, onClose }) {
         {type === "info" && "ℹ️"}
         {type === "achievement" && "🎖️"}
         {type === "levelup" && "⬆️"}
+        {type === "powerup" && "✨"}
       </div>
       <div className="toast-message">{message}</div>
     </div>
   );
 }
 
-export function Matchmaking({ boardSize, gameMode, onCancel }) {
+export function Matchmaking({ boardSize, gameMode, status, onCancel }) {
+  const seconds = (ms) => `${Math.ceil(ms / 1000)}s`;
+
   return (
     <div className="matchmaking-screen">
       <div className="matchmaking-content">
@@ -27,9 +31,24 @@ export function Matchmaking({ boardSize, gameMode, onCancel }) {
 
         <h2>Searching for Opponent...</h2>
         <p className="matchmaking-info">
-          Mode: {gameMode} | Board: {boardSize}x{boardSize}
+          Mode: {gameMode} | Board:{" "}
+          {boardSize === "any" ? "Any size" : formatBoardSize(boardSize)}
         </p>
 
+        {status && (
+          <div className="matchmaking-status">
+            <span>👥 {status.queueSize} in queue</span>
+            <span>⏱️ Waiting {seconds(status.waitedMs)}</span>
+            <span>
+              ⌛ Estimated{" "}
+              {status.estimatedWaitMs === null
+                ? "—"
+                : seconds(status.estimatedWaitMs)}
+            </span>
+            <span>🎯 ±{status.eloWindow} ELO</span>
+          </div>
+        )}
+
         <div className="matchmaking-tips">
           <h3>Quick Tips:</h3>
           <ul>
@@ -48,31 +67,87 @@ export function Matchmaking({ boardSize, gameMode, onCancel }) {
   );
 }
 
-export function VictoryScreen({ data, onClose, onPlayAgain }) {
+// Score line and state of a best-of-N series after a game
+function SeriesSummary({ series, currentUser, opponent }) {
+  const myWins = series.score[currentUser.userId] || 0;
+  const theirWins = series.score[opponent?.userId] || 0;
+  const eloChange = series.eloChanges?.[currentUser.userId];
+
+  let status = `Game ${series.gamesPlayed + 1} starts shortly...`;
+  if (series.status !== "in_progress") {
+    status =
+      series.winnerId === currentUser.userId
+        ? "🏆 You won the series!"
+        : "Series lost";
+  }
+
+  return (
+    <div className="series-summary">
+      <div className="series-title">Best of {series.bestOf}</div>
+      <div className="series-score">
+        You {myWins} – {theirWins} {opponent?.username || "Opponent"}
+      </div>
+      <div className="series-status">{status}</div>
+      {eloChange !== undefined && eloChange !== null && (
+        <div className="series-elo">
+          ELO {eloChange >= 0 ? "+" : ""}
+          {eloChange}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function VictoryScreen({
+  data,
+  currentUser,
+  opponent,
+  rematch,
+  onClose,
+  onPlayAgain,
+  onRematch,
+  onAnswerRematch,
+}) {
+  const seriesContinues = data.series?.status === "in_progress";
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal victory-modal" onClick={(e) => e.stopPropagation()}>
         <div className="victory-header">
-          <h1>🎉 Puzzle Solved! 🎉</h1>
+          <h1>
+            {data.defeated
+              ? `😔 ${opponent?.username || "Opponent"} solved it first`
+              : "🎉 Puzzle Solved! 🎉"}
+          </h1>
         </div>
 
-        <div className="victory-stats">
-          <div className="victory-stat">
-            <div className="stat-label">Time</div>
-            <div className="stat-value">
-              {Math.floor(data.time / 60)}:
-              {(data.time % 60).toString().padStart(2, "0")}
+        {data.series && (
+          <SeriesSummary
+            series={data.series}
+            currentUser={currentUser}
+            opponent={opponent}
+          />
+        )}
+
+        {!data.defeated && (
+          <div className="victory-stats">
+            <div className="victory-stat">
+              <div className="stat-label">Time</div>
+              <div className="stat-value">
+                {Math.floor(data.time / 60)}:
+                {(data.time % 60).toString().padStart(2, "0")}
+              </div>
+            </div>
+            <div className="victory-stat">
+              <div className="stat-label">Moves</div>
+              <div className="stat-value">{data.moves}</div>
+            </div>
+            <div className="victory-stat">
+              <div className="stat-label">XP Gained</div>
+              <div className="stat-value">+{data.xpGained}</div>
             </div>
           </div>
-          <div className="victory-stat">
-            <div className="stat-label">Moves</div>
-            <div className="stat-value">{data.moves}</div>
-          </div>
-          <div className="victory-stat">
-            <div className="stat-label">XP Gained</div>
-            <div className="stat-value">+{data.xpGained}</div>
-          </div>
-        </div>
+        )}
 
         <div className="victory-badges">
           {data.perfectGame && (
@@ -97,10 +172,56 @@ export function VictoryScreen({ data, onClose, onPlayAgain }) {
           </div>
         )}
 
+        {data.multiplayer && rematch?.status === "incoming" && (
+          <div className="rematch-prompt">
+            {rematch.from.username} wants a rematch
+            {rematch.bestOf > 1 && ` (best of ${rematch.bestOf})`}
+            <div className="victory-actions">
+              <button
+                className="btn btn-primary"
+                onClick={() => onAnswerRematch(true)}
+              >
+                Accept
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => onAnswerRematch(false)}
+              >
+                Decline
+              </button>
+            </div>
+          </div>
+        )}
+
         <div className="victory-actions">
-          <button className="btn btn-primary" onClick={onPlayAgain}>
-            Play Again
-          </button>
+          {!data.multiplayer && (
+            <button className="btn btn-primary" onClick={onPlayAgain}>
+              Play Again
+            </button>
+          )}
+          {data.multiplayer &&
+            !seriesContinues &&
+            rematch?.status !== "incoming" && (
+              <>
+                <button
+                  className="btn btn-primary"
+                  disabled={rematch?.status === "requested"}
+                  onClick={() => onRematch(1)}
+                >
+                  {rematch?.status === "requested"
+                    ? "Waiting for opponent..."
+                    : "Rematch"}
+                </button>
+                {rematch?.status !== "requested" && (
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => onRematch(3)}
+                  >
+                    Best of 3
+                  </button>
+                )}
+              </>
+            )}
           <button className="btn btn-secondary" onClick={onClose}>
             Main Menu
           </button>
@@ -132,7 +253,12 @@ export function StoryModal({ segment, onClose }) {
   );
 }
 
-export function Leaderboard({ leaderboards, currentUser, onBack }) {
+export function Leaderboard({
+  leaderboards,
+  currentUser,
+  onRaceGhost,
+  onBack,
+}) {
   const [selectedCategory, setSelectedCategory] = useState("speed_4x4");
 
   const categories = [
@@ -144,6 +270,9 @@ export function Leaderboard({ leaderboards, currentUser, onBack }) {
 
   const currentLeaderboard = leaderboards[selectedCategory] || [];
 
+  // Ghosts need a single board size, so the overall categories have none
+  const canRace = !selectedCategory.endsWith("_overall");
+
   return (
     <div className="leaderboard-screen">
       <header className="screen-header">
@@ -151,6 +280,14 @@ export function Leaderboard({ leaderboards, currentUser, onBack }) {
           ← Back
         </button>
         <h1>🏆 Leaderboards</h1>
+        {canRace && (
+          <button
+            className="btn btn-secondary race-ghost"
+            onClick={() => onRaceGhost(selectedCategory, { userId: "me" })}
+          >
+            👻 Race My Best
+          </button>
+        )}
       </header>
 
       <div className="leaderboard-tabs">
@@ -193,6 +330,138 @@ export function Leaderboard({ leaderboards, currentUser, onBack }) {
                   ? `${entry.score}s`
                   : `${entry.score} moves`}
               </div>
+              {canRace && entry.user_id !== currentUser?.userId && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() =>
+                    onRaceGhost(selectedCategory, { userId: entry.user_id })
+                  }
+                  title="Race this player's best run"
+                >
+                  👻
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function GameHistory({
+  games,
+  currentUser,
+  onReplay,
+  onImport,
+  onBack,
+}) {
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) onImport(await file.text());
+  };
+
+  const formatDuration = (seconds) =>
+    seconds === null || seconds === undefined
+      ? "—"
+      : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+  return (
+    <div className="history-screen">
+      <header className="screen-header">
+        <button className="btn btn-secondary" onClick={onBack}>
+          ← Back
+        </button>
+        <h1>📜 Game History</h1>
+        <label className="btn btn-secondary import-replay">
+          📂 Import Replay
+          <input
+            type="file"
+            accept=".txt,text/plain"
+            onChange={handleImportFile}
+            hidden
+          />
+        </label>
+      </header>
+
+      <div className="leaderboard-list">
+        {games.length === 0 ? (
+          <div className="empty-state">
+            <p>No games played yet</p>
+          </div>
+        ) : (
+          games.map((game) => (
+            <div key={game.session_id} className="leaderboard-entry">
+              <div className="entry-rank">
+                {game.winner_username === currentUser?.username ? "🏆" : "🧩"}
+              </div>
+              <div className="entry-user">
+                <div className="user-name">
+                  {formatBoardSize(game.board_size)} ·{" "}
+                  {game.game_mode.replace("_", " ")}
+                  {game.player2_username &&
+                    ` · ${game.player1_username} vs ${game.player2_username}`}
+                </div>
+                <div className="user-stats">
+                  {new Date(game.started_at).toLocaleString()} · {game.status}
+                  {" · "}
+                  {game.move_count} moves · {formatDuration(game.completion_time)}
+                </div>
+              </div>
+              <button
+                className="btn btn-secondary"
+                onClick={() => onReplay(game.session_id)}
+              >
+                🎬 Replay
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export function LiveGames({ games, onSpectate, onRefresh, onBack }) {
+  return (
+    <div className="history-screen">
+      <header className="screen-header">
+        <button className="btn btn-secondary" onClick={onBack}>
+          ← Back
+        </button>
+        <h1>📺 Live Games</h1>
+        <button className="btn btn-secondary" onClick={onRefresh}>
+          🔄 Refresh
+        </button>
+      </header>
+
+      <div className="leaderboard-list">
+        {games.length === 0 ? (
+          <div className="empty-state">
+            <p>No games in progress right now</p>
+          </div>
+        ) : (
+          games.map((game) => (
+            <div key={game.sessionId} className="leaderboard-entry">
+              <div className="entry-rank">{game.isBotGame ? "🤖" : "⚔️"}</div>
+              <div className="entry-user">
+                <div className="user-name">
+                  {game.players.map((player) => player.username).join(" vs ")}
+                </div>
+                <div className="user-stats">
+                  {formatBoardSize(game.boardSize)} ·{" "}
+                  {game.mode.replace("_", " ")} ·{" "}
+                  {game.players.map((player) => player.moveCount).join(" / ")}{" "}
+                  moves · 👁️ {game.spectators}
+                </div>
+              </div>
+              <button
+                className="btn btn-secondary"
+                onClick={() => onSpectate(game.sessionId)}
+              >
+                👁️ Watch
+              </button>
             </div>
           ))
         )}
@@ -373,8 +642,13 @@ export function AchievementPanel({ achievements, userAchievements, onBack }) {
           const progress = getUserProgress(achievement.achievement_id);
           const isCompleted = progress?.is_completed || false;
           const currentProgress = progress?.current_progress || 0;
-          const percentage =
-            (currentProgress / achievement.requirement_value) * 100;
+          // Time achievements track the best time, which has to come in under
+          // the requirement
+          const timed = achievement.requirement_type === "completion_time";
+          const percentage = timed
+            ? currentProgress &&
+              (achievement.requirement_value / currentProgress) * 100
+            : (currentProgress / achievement.requirement_value) * 100;
 
           return (
             <div
@@ -391,10 +665,12 @@ export function AchievementPanel({ achievements, userAchievements, onBack }) {
                   <div className="progress-bar">
                     <div
                       className="progress-fill"
-                      style={{ width: `${percentage}%` }}
+                      style={{ width: `${Math.min(100, percentage)}%` }}
                     ></div>
                     <span className="progress-text">
-                      {currentProgress} / {achievement.requirement_value}
+                      {timed
+                        ? `Best ${currentProgress || "-"}s / under ${achievement.requirement_value}s`
+                        : `${currentProgress} / ${achievement.requirement_value}`}
                     </span>
                   </div>
                 )}
@@ -483,7 +759,7 @@ export function SettingsPanel({
   onUpdatePreferences,
   onChangeTheme,
   onBack,
-  availableThemes,
+  themes = [],
 }) {
   const [prefs, setPrefs] = useState(preferences || {});
 
@@ -492,8 +768,6 @@ export function SettingsPanel({
     onBack();
   };
 
-  const themes = ["dasher", "prancer", "comet", "blitzen", "rudolph", "aurora"];
-
   return (
     <div className="settings-screen">
       <header className="screen-header">
@@ -593,15 +867,28 @@ export function SettingsPanel({
           <div className="theme-selector">
             {themes.map((theme) => (
               <button
-                key={theme}
-                className={`theme-option ${currentTheme === theme ? "selected" : ""} ${!availableThemes.includes(theme) ? "locked" : ""}`}
-                onClick={() =>
-                  availableThemes.includes(theme) && onChangeTheme(theme)
-                }
-                disabled={!availableThemes.includes(theme)}
+                key={theme.theme_key}
+                className={`theme-option ${currentTheme === theme.theme_key ? "selected" : ""} ${!theme.unlocked ? "locked" : ""}`}
+                onClick={() => theme.unlocked && onChangeTheme(theme.theme_key)}
+                disabled={!theme.unlocked}
+                title={theme.description}
               >
-                {theme.charAt(0).toUpperCase() + theme.slice(1)}
-                {!availableThemes.includes(theme) && " 🔒"}
+                {theme.name}
+                {!theme.unlocked && " 🔒"}
+                <div className="theme-preview">
+                  <div
+                    className="theme-color-1"
+                    style={{ background: theme.palette.primary }}
+                  />
+                  <div
+                    className="theme-color-2"
+                    style={{ background: theme.palette.secondary }}
+                  />
+                  <div
+                    className="theme-color-3"
+                    style={{ background: theme.palette.accent }}
+                  />
+                </div>
               </button>
             ))}
           </div>
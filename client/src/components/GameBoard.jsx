@@ -1,51 +1,46 @@
 import React, { useState, useEffect } from 'react';
+import { getBoardDimensions, isSolved } from '../utils/puzzleLogic';
 
-function GameBoard({
+/**
+ * Tile renderer shared by the game screen and the replay viewer.
+ * Tiles are keyed by value so a move slides the tile to its new cell.
+ */
+export function PuzzleBoard({
     board,
     boardSize,
-    gameMode,
-    moveCount,
-    gameTime,
-    isActive,
-    isPaused,
-    opponent,
-    opponentBoard,
-    userPowerups,
-    onTileClick,
-    onUsePowerup,
-    onPause,
-    onQuit,
-    currentTheme,
-    preferences
+    mini = false,
+    hintTile = null,
+    ghostTile = null,
+    showSolution = false,
+    disabled = false,
+    showNumbers = false,
+    onTileClick
 }) {
+    const { rows, cols } = getBoardDimensions(boardSize);
 
-    console.log('Board:', board);
-    console.log('Board size:', boardSize);
-    console.log('Board length:', board.length);
-
-    const [hintTile, setHintTile] = useState(null);
-    const [showSolution, setShowSolution] = useState(false);
-    const [selectedPowerup, setSelectedPowerup] = useState(null);
+    // Rectangular boards keep the long side and shrink the other to fit
+    const getBoardStyle = () => {
+        if (mini) return { aspectRatio: `${cols} / ${rows}` };
+        if (rows === cols) return {};
 
-    // Format time as MM:SS
-    const formatTime = (seconds) => {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        return rows < cols
+            ? { height: 'auto', aspectRatio: `${cols} / ${rows}` }
+            : { width: 'auto', aspectRatio: `${cols} / ${rows}` };
     };
 
     // Get tile position styles
     const getTileStyle = (index) => {
-        const row = Math.floor(index / boardSize);
-        const col = index % boardSize;
-        const tileSize = 100 / boardSize;
+        const row = Math.floor(index / cols);
+        const col = index % cols;
+        const tileWidth = 100 / cols;
+        const tileHeight = 100 / rows;
 
         return {
             position: 'absolute',
-            width: `calc(${tileSize}% - 4px)`,
-            height: `calc(${tileSize}% - 4px)`,
-            left: `${col * tileSize}%`,
-            top: `${row * tileSize}%`,
+            width: `calc(${tileWidth}% - 4px)`,
+            height: `calc(${tileHeight}% - 4px)`,
+            left: `${col * tileWidth}%`,
+            top: `${row * tileHeight}%`,
             transition: 'all 0.3s ease',
             border: '2px solid rgba(212, 175, 55, 0.3)',
             boxSizing: 'border-box',
@@ -56,23 +51,97 @@ function GameBoard({
     const getImagePosition = (tileValue) => {
         if (tileValue === 0) return {}; // empty tile
 
-        const percentPerTile = 100 / boardSize;
         const tileIndex = tileValue - 1;
-        const row = Math.floor(tileIndex / boardSize);
-        const col = tileIndex % boardSize;
+        const row = Math.floor(tileIndex / cols);
+        const col = tileIndex % cols;
+
+        // background-position percentages run 0..100 across the cols - 1 steps
+        const x = cols > 1 ? (col * 100) / (cols - 1) : 0;
+        const y = rows > 1 ? (row * 100) / (rows - 1) : 0;
 
         return {
             backgroundImage: `url(/images/puzzle-complete.jpg)`,
-            backgroundPosition: `${col * percentPerTile}% ${row * percentPerTile}%`,
-            backgroundSize: `${boardSize * 100}% ${boardSize * 100}%`,
+            backgroundPosition: `${x}% ${y}%`,
+            backgroundSize: `${cols * 100}% ${rows * 100}%`,
             backgroundRepeat: 'no-repeat',
             width: '100%',
             height: '100%',
         };
     };
 
+    return (
+        <div
+            className={`puzzle-board ${mini ? 'mini-board' : ''} size-${rows}x${cols} ${showSolution ? 'show-solution' : ''}`}
+            style={getBoardStyle()}
+        >
+            {board.map((tile, index) => {
+                if (tile === 0) return null; // Empty space
 
+                const isHinted = hintTile === index;
+                const isGhosted = ghostTile === tile;
 
+                return (
+                    <div
+                        key={tile}
+                        className={`puzzle-tile ${mini ? 'mini-tile' : ''} ${isHinted ? 'hinted' : ''} ${isGhosted ? 'ghosted' : ''} ${disabled ? 'disabled' : ''}`}
+                        style={getTileStyle(index)}
+                        onClick={onTileClick ? () => onTileClick(index) : undefined}
+                    >
+                        <div
+                            className="tile-image"
+                            style={getImagePosition(tile)}
+                        />
+                        {showNumbers && (
+                            <div className="tile-number">{tile}</div>
+                        )}
+                    </div>
+                );
+            })}
+            {/* Faint copy of the ghosted tile where it belongs */}
+            {ghostTile && (
+                <div className="ghost-target" style={getTileStyle(ghostTile - 1)}>
+                    <div
+                        className="tile-image"
+                        style={getImagePosition(ghostTile)}
+                    />
+                </div>
+            )}
+        </div>
+    );
+}
+
+function GameBoard({
+    board,
+    boardSize,
+    gameMode,
+    moveCount,
+    gameTime,
+    isActive,
+    isPaused,
+    opponent,
+    opponentBoard,
+    ghost,
+    ghostBoard,
+    userPowerups,
+    powerupStatus = {},
+    hintTile = null,
+    ghostTile = null,
+    showSolution = false,
+    onTileClick,
+    onUsePowerup,
+    onPause,
+    onQuit,
+    currentTheme,
+    preferences
+}) {
+    const [selectedPowerup, setSelectedPowerup] = useState(null);
+
+    // Format time as MM:SS
+    const formatTime = (seconds) => {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    };
 
     // Handle powerup usage
     const handlePowerupClick = (powerupKey) => {
@@ -80,18 +149,8 @@ function GameBoard({
             setSelectedPowerup(null);
         } else {
             setSelectedPowerup(powerupKey);
-
-            // Auto-activate certain powerups
-            if (powerupKey === 'peek') {
-                onUsePowerup(powerupKey);
-                setShowSolution(true);
-                setTimeout(() => setShowSolution(false), 3000);
-            } else if (powerupKey === 'hint') {
-                onUsePowerup(powerupKey);
-                // Hint logic handled in parent
-            } else {
-                onUsePowerup(powerupKey);
-            }
+            // Effects are applied in the parent once the server accepts
+            onUsePowerup(powerupKey);
         }
     };
 
@@ -143,60 +202,53 @@ function GameBoard({
             {/* Main Game Area */}
             <div className="game-content">
                 {/* Opponent Board (Multiplayer) */}
-                {gameMode === 'multiplayer' && opponent && (
+                {opponent && (
                     <div className="opponent-area">
                         <div className="opponent-header">
                             <div className="opponent-name">{opponent.username}</div>
-                            <div className="opponent-status">Playing...</div>
+                            <div className="opponent-status">
+                                {opponent.reconnecting ? 'Reconnecting…' : 'Playing...'}
+                            </div>
                         </div>
-                        <div className={`puzzle-board mini-board size-${boardSize}`}>
-                            {opponentBoard.map((tile, index) => (
-                                tile !== 0 && (
-                                    <div
-                                        key={index}
-                                        className="puzzle-tile mini-tile"
-                                        style={getTileStyle(index)}
-                                    >
-                                        <div
-                                            className="tile-image"
-                                            style={{
-                                                ...getImagePosition(tile),
-                                                backgroundImage: `url(/images/puzzle-complete.jpg)`
-                                            }}
-                                        />
-                                    </div>
-                                )
-                            ))}
+                        <PuzzleBoard
+                            board={opponentBoard}
+                            boardSize={boardSize}
+                            mini
+                        />
+                    </div>
+                )}
+
+                {/* Ghost Board (racing a recorded run) */}
+                {ghost && (
+                    <div className="opponent-area ghost-area">
+                        <div className="opponent-header">
+                            <div className="opponent-name">👻 {ghost.username}</div>
+                            <div className="opponent-status">
+                                {isSolved(ghostBoard)
+                                    ? `Finished in ${formatTime(ghost.completionTime)}`
+                                    : `Best: ${formatTime(ghost.completionTime)} · ${ghost.moveCount} moves`}
+                            </div>
                         </div>
+                        <PuzzleBoard
+                            board={ghostBoard}
+                            boardSize={boardSize}
+                            mini
+                        />
                     </div>
                 )}
 
                 {/* Main Puzzle Board */}
                 <div className="puzzle-container">
-                    <div className={`puzzle-board size-${boardSize} ${showSolution ? 'show-solution' : ''}`}>
-                        {board.map((tile, index) => {
-                            if (tile === 0) return null; // Empty space
-
-                            const isHinted = hintTile === index;
-
-                            return (
-                                <div
-                                    key={index}
-                                    className={`puzzle-tile ${isHinted ? 'hinted' : ''} ${!isActive || isPaused ? 'disabled' : ''}`}
-                                    style={getTileStyle(index)}
-                                    onClick={() => onTileClick(index)}
-                                >
-                                    <div
-                                        className="tile-image"
-                                        style={getImagePosition(tile)}
-                                    />
-                                    {preferences?.show_move_counter && (
-                                        <div className="tile-number">{tile}</div>
-                                    )}
-                                </div>
-                            );
-                        })}
-                    </div>
+                    <PuzzleBoard
+                        board={board}
+                        boardSize={boardSize}
+                        hintTile={hintTile}
+                        ghostTile={ghostTile}
+                        showSolution={showSolution}
+                        disabled={!isActive || isPaused}
+                        showNumbers={preferences?.show_move_counter}
+                        onTileClick={onTileClick}
+                    />
                     {/* Pause Overlay */}
                     {isPaused && (
                         <div className="pause-overlay">
@@ -215,22 +267,30 @@ function GameBoard({
                         {userPowerups.length === 0 ? (
                             <div className="no-powerups">
                                 <p>No powerups available</p>
-                                <small>Win games to earn powerups</small>
+                                <small>Win games, level up and log in daily to earn powerups</small>
                             </div>
                         ) : (
-                            userPowerups.map(powerup => (
-                                <button
-                                    key={powerup.powerup_key}
-                                    className={`powerup-btn ${powerup.quantity <= 0 ? 'disabled' : ''} ${selectedPowerup === powerup.powerup_key ? 'selected' : ''}`}
-                                    onClick={() => handlePowerupClick(powerup.powerup_key)}
-                                    disabled={powerup.quantity <= 0 || !isActive || isPaused}
-                                    title={powerup.description}
-                                >
-                                    <div className="powerup-icon">{getPowerupIcon(powerup.powerup_key)}</div>
-                                    <div className="powerup-name">{powerup.name}</div>
-                                    <div className="powerup-quantity">×{powerup.quantity}</div>
-                                </button>
-                            ))
+                            userPowerups.map(powerup => {
+                                // Re-renders with the game clock, so this counts down
+                                const status = powerupStatus[powerup.powerup_key];
+                                const cooldown = status ? Math.max(0, Math.ceil((status.readyAt - Date.now()) / 1000)) : 0;
+                                const unavailable = powerup.quantity <= 0 || cooldown > 0 || status?.usesLeft === 0;
+
+                                return (
+                                    <button
+                                        key={powerup.powerup_key}
+                                        className={`powerup-btn ${unavailable ? 'disabled' : ''} ${selectedPowerup === powerup.powerup_key ? 'selected' : ''}`}
+                                        onClick={() => handlePowerupClick(powerup.powerup_key)}
+                                        disabled={unavailable || !isActive || isPaused}
+                                        title={status?.usesLeft === 0 ? 'No uses left this game' : powerup.description}
+                                    >
+                                        <div className="powerup-icon">{getPowerupIcon(powerup.powerup_key)}</div>
+                                        <div className="powerup-name">{powerup.name}</div>
+                                        {cooldown > 0 && <div className="powerup-cooldown">⏳ {cooldown}s</div>}
+                                        <div className="powerup-quantity">×{powerup.quantity}</div>
+                                    </button>
+                                );
+                            })
                         )}
                     </div>
 
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { formatBoardSize } from '../utils/puzzleLogic';
+
+const LOBBY_SIZES = ['3x3', '4x4', '5x5', '6x6', '8x8', '10x10', '3x5', '4x6'];
+
+const LOBBY_MODES = [
+    { id: 'multiplayer', name: 'Race' },
+    { id: 'speed', name: 'Speed' },
+    { id: 'fewest_moves', name: 'Fewest Moves' }
+];
+
+const SERIES_LENGTHS = [
+    { bestOf: 1, name: 'Single game' },
+    { bestOf: 3, name: 'Best of 3' },
+    { bestOf: 5, name: 'Best of 5' }
+];
+
+// Link that opens the app straight into a lobby
+const getInviteLink = (code) => `${window.location.origin}/?lobby=${code}`;
+
+function LobbySettings({ settings, editable, onChange }) {
+    return (
+        <div className="lobby-settings">
+            <label>
+                Board size
+                <select
+                    value={settings.boardSize}
+                    disabled={!editable}
+                    onChange={(e) => onChange({ boardSize: e.target.value })}
+                >
+                    {LOBBY_SIZES.map(size => (
+                        <option key={size} value={size}>{formatBoardSize(size)}</option>
+                    ))}
+                </select>
+            </label>
+
+            <label>
+                Mode
+                <select
+                    value={settings.mode}
+                    disabled={!editable}
+                    onChange={(e) => onChange({ mode: e.target.value })}
+                >
+                    {LOBBY_MODES.map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.name}</option>
+                    ))}
+                </select>
+            </label>
+
+            <label>
+                Series
+                <select
+                    value={settings.bestOf}
+                    disabled={!editable}
+                    onChange={(e) => onChange({ bestOf: Number(e.target.value) })}
+                >
+                    {SERIES_LENGTHS.map(option => (
+                        <option key={option.bestOf} value={option.bestOf}>{option.name}</option>
+                    ))}
+                </select>
+            </label>
+
+            <label className="lobby-toggle">
+                <input
+                    type="checkbox"
+                    checked={settings.powerups}
+                    disabled={!editable}
+                    onChange={(e) => onChange({ powerups: e.target.checked })}
+                />
+                Powerups allowed
+            </label>
+        </div>
+    );
+}
+
+function Lobby({ lobby, currentUser, onCreate, onJoin, onUpdateSettings, onReady, onLeave, onBack }) {
+    const [settings, setSettings] = useState({ boardSize: '4x4', mode: 'multiplayer', powerups: true, bestOf: 1 });
+    const [code, setCode] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    const copyInvite = async () => {
+        await navigator.clipboard.writeText(getInviteLink(lobby.code));
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    // Not in a lobby yet: host one or join a friend's
+    if (!lobby) {
+        return (
+            <div className="lobby-screen">
+                <header className="screen-header">
+                    <button className="btn btn-secondary" onClick={onBack}>
+                        ← Back
+                    </button>
+                    <h1>🔒 Private Match</h1>
+                </header>
+
+                <div className="lobby-panels">
+                    <div className="lobby-panel">
+                        <h2>Host a lobby</h2>
+                        <LobbySettings
+                            settings={settings}
+                            editable
+                            onChange={(changes) => setSettings({ ...settings, ...changes })}
+                        />
+                        <button className="btn btn-primary" onClick={() => onCreate(settings)}>
+                            Create Lobby
+                        </button>
+                    </div>
+
+                    <div className="lobby-panel">
+                        <h2>Join with a code</h2>
+                        <input
+                            type="text"
+                            className="lobby-code-input"
+                            placeholder="ABC123"
+                            maxLength={6}
+                            value={code}
+                            onChange={(e) => setCode(e.target.value.toUpperCase())}
+                        />
+                        <button
+                            className="btn btn-primary"
+                            disabled={code.trim().length === 0}
+                            onClick={() => onJoin(code.trim())}
+                        >
+                            Join Lobby
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    const isHost = lobby.hostId === currentUser.userId;
+    const me = lobby.players.find(player => player.userId === currentUser.userId);
+
+    return (
+        <div className="lobby-screen">
+            <header className="screen-header">
+                <button className="btn btn-secondary" onClick={onLeave}>
+                    ← Leave
+                </button>
+                <h1>🔒 Private Match</h1>
+            </header>
+
+            <div className="lobby-invite">
+                <div className="lobby-code">{lobby.code}</div>
+                <button className="btn btn-secondary" onClick={copyInvite}>
+                    {copied ? '✅ Copied' : '🔗 Copy invite link'}
+                </button>
+            </div>
+
+            <LobbySettings
+                settings={lobby.settings}
+                editable={isHost}
+                onChange={onUpdateSettings}
+            />
+
+            <div className="lobby-players">
+                {lobby.players.map(player => (
+                    <div key={player.userId} className={`lobby-player ${player.ready ? 'ready' : ''}`}>
+                        <span className="user-name">
+                            {player.username}
+                            {player.userId === lobby.hostId && ' 👑'}
+                        </span>
+                        <span className="lobby-player-status">
+                            {!player.connected ? 'Disconnected' : player.ready ? '✅ Ready' : 'Not ready'}
+                        </span>
+                    </div>
+                ))}
+                {lobby.players.length < 2 && (
+                    <div className="lobby-player waiting">Waiting for a friend to join...</div>
+                )}
+            </div>
+
+            <button
+                className={`btn ${me?.ready ? 'btn-secondary' : 'btn-primary'} btn-large`}
+                onClick={() => onReady(!me?.ready)}
+            >
+                {me?.ready ? 'Not Ready' : "I'm Ready"}
+            </button>
+        </div>
+    );
+}
+
+export default Lobby;
@@ -1,16 +1,29 @@
 import React, { useState } from 'react';
+import { getBoardDimensions } from '../utils/puzzleLogic';
 
 function MainMenu({ user, stats, onStartGame, onJoinMatchmaking, onNavigate, onLogout, currentTheme }) {
-    const [selectedSize, setSelectedSize] = useState(4);
+    const [selectedSize, setSelectedSize] = useState('4x4');
     const [selectedMode, setSelectedMode] = useState('speed');
     const [showModeSelect, setShowModeSelect] = useState(false);
+    const [botLevel, setBotLevel] = useState('auto');
+    const [anySize, setAnySize] = useState(false);
 
     const boardSizes = [
-        { size: 3, label: '3x3', difficulty: 'Beginner' },
-        { size: 4, label: '4x4', difficulty: 'Classic' },
-        { size: 6, label: '6x6', difficulty: 'Challenge' },
-        { size: 8, label: '8x8', difficulty: 'Hard' },
-        { size: 10, label: '10x10', difficulty: 'Expert' }
+        { size: '3x3', label: '3x3', difficulty: 'Beginner' },
+        { size: '4x4', label: '4x4', difficulty: 'Classic' },
+        { size: '6x6', label: '6x6', difficulty: 'Challenge' },
+        { size: '8x8', label: '8x8', difficulty: 'Hard' },
+        { size: '10x10', label: '10x10', difficulty: 'Expert' },
+        { size: '3x5', label: '3x5', difficulty: 'Wide' },
+        { size: '4x6', label: '4x6', difficulty: 'Panorama' }
+    ];
+
+    const botLevels = [
+        { id: 'auto', label: 'Match my rating' },
+        { id: 'novice', label: 'Novice' },
+        { id: 'casual', label: 'Casual' },
+        { id: 'skilled', label: 'Skilled' },
+        { id: 'expert', label: 'Expert' }
     ];
 
     const gameModes = [
@@ -19,9 +32,12 @@ function MainMenu({ user, stats, onStartGame, onJoinMatchmaking, onNavigate, onL
         { id: 'practice', name: 'Practice', icon: '📚', desc: 'Play without pressure' }
     ];
 
+    // Multiplayer can accept any board size to find an opponent sooner
+    const matchSize = anySize ? 'any' : selectedSize;
+
     const handlePlay = () => {
         if (selectedMode === 'multiplayer') {
-            onJoinMatchmaking(selectedSize, 'multiplayer');
+            onJoinMatchmaking(matchSize, 'multiplayer');
         } else {
             onStartGame(selectedSize, selectedMode);
         }
@@ -90,9 +106,9 @@ function MainMenu({ user, stats, onStartGame, onJoinMatchmaking, onNavigate, onL
                                     <div className="size-label">{board.label}</div>
                                     <div className="size-difficulty">{board.difficulty}</div>
                                     <div className="size-preview">
-                                        {Array.from({ length: board.size }).map((_, i) => (
+                                        {Array.from({ length: getBoardDimensions(board.size).rows }).map((_, i) => (
                                             <div key={i} className="preview-row">
-                                                {Array.from({ length: board.size }).map((_, j) => (
+                                                {Array.from({ length: getBoardDimensions(board.size).cols }).map((_, j) => (
                                                     <div key={j} className="preview-tile"></div>
                                                 ))}
                                             </div>
@@ -196,7 +212,7 @@ function MainMenu({ user, stats, onStartGame, onJoinMatchmaking, onNavigate, onL
                             className="action-btn multiplayer-btn"
                             onClick={() => {
                                 setSelectedMode('multiplayer');
-                                onJoinMatchmaking(selectedSize, 'multiplayer');
+                                onJoinMatchmaking(matchSize, 'multiplayer');
                             }}
                         >
                             <span className="btn-icon">⚔️</span>
@@ -205,6 +221,72 @@ function MainMenu({ user, stats, onStartGame, onJoinMatchmaking, onNavigate, onL
                                 <div className="btn-subtitle">Find an opponent</div>
                             </div>
                         </button>
+                        <label className="any-size-toggle">
+                            <input
+                                type="checkbox"
+                                checked={anySize}
+                                onChange={(e) => setAnySize(e.target.checked)}
+                            />
+                            Any board size
+                        </label>
+
+                        <div className="bot-match">
+                            <button
+                                className="action-btn bot-btn"
+                                onClick={() => {
+                                    setSelectedMode('multiplayer');
+                                    onJoinMatchmaking(selectedSize, 'multiplayer', botLevel);
+                                }}
+                            >
+                                <span className="btn-icon">🤖</span>
+                                <div className="btn-content">
+                                    <div className="btn-title">Play a Bot</div>
+                                    <div className="btn-subtitle">No waiting</div>
+                                </div>
+                            </button>
+                            <select
+                                className="bot-level-select"
+                                value={botLevel}
+                                onChange={(e) => setBotLevel(e.target.value)}
+                            >
+                                {botLevels.map(level => (
+                                    <option key={level.id} value={level.id}>{level.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <button
+                            className="action-btn lobby-btn"
+                            onClick={() => onNavigate('lobby')}
+                        >
+                            <span className="btn-icon">🔒</span>
+                            <div className="btn-content">
+                                <div className="btn-title">Private Match</div>
+                                <div className="btn-subtitle">Play a friend by code</div>
+                            </div>
+                        </button>
+
+                        <button
+                            className="action-btn tournament-btn"
+                            onClick={() => onNavigate('tournaments')}
+                        >
+                            <span className="btn-icon">🏆</span>
+                            <div className="btn-content">
+                                <div className="btn-title">Tournaments</div>
+                                <div className="btn-subtitle">Brackets and Swiss events</div>
+                            </div>
+                        </button>
+
+                        <button
+                            className="action-btn live-btn"
+                            onClick={() => onNavigate('live')}
+                        >
+                            <span className="btn-icon">📺</span>
+                            <div className="btn-content">
+                                <div className="btn-title">Watch Live</div>
+                                <div className="btn-subtitle">Spectate a match</div>
+                            </div>
+                        </button>
 
                         <button
                             className="action-btn leaderboard-btn"
@@ -239,6 +321,17 @@ function MainMenu({ user, stats, onStartGame, onJoinMatchmaking, onNavigate, onL
                             </div>
                         </button>
 
+                        <button
+                            className="action-btn history-btn"
+                            onClick={() => onNavigate('history')}
+                        >
+                            <span className="btn-icon">📜</span>
+                            <div className="btn-content">
+                                <div className="btn-title">History</div>
+                                <div className="btn-subtitle">Replay past games</div>
+                            </div>
+                        </button>
+
                         <button
                             className="action-btn profile-btn"
                             onClick={() => onNavigate('profile')}
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { PuzzleBoard } from './GameBoard';
+import { formatBoardSize } from '../utils/puzzleLogic';
+import { gameAPI } from '../utils/apiClient';
+
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Format milliseconds as MM:SS.t
+const formatReplayTime = (ms) => {
+    const tenths = Math.floor(ms / 100);
+    const mins = Math.floor(tenths / 600);
+    const secs = Math.floor(tenths / 10) % 60;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${tenths % 10}`;
+};
+
+// Number of moves a player had made by a point on the timeline
+const countMovesAt = (moves, time) => {
+    let count = 0;
+    while (count < moves.length && moves[count].timeElapsed <= time) count++;
+    return count;
+};
+
+function ReplayViewer({ replay, currentUser, onBack, showNotification }) {
+    const [time, setTime] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+
+    const { players, initialState, boardSize } = replay;
+
+    // Every point on the timeline where some board changes
+    const moveTimes = useMemo(() => {
+        const times = new Set([0]);
+        players.forEach(player => player.moves.forEach(move => times.add(move.timeElapsed)));
+        return [...times].sort((a, b) => a - b);
+    }, [players]);
+
+    const duration = moveTimes[moveTimes.length - 1];
+
+    // Advance the timeline while playing
+    useEffect(() => {
+        if (!isPlaying) return undefined;
+
+        let frame;
+        let last = performance.now();
+
+        const tick = (now) => {
+            const delta = (now - last) * speed;
+            last = now;
+
+            setTime(current => Math.min(current + delta, duration));
+            frame = requestAnimationFrame(tick);
+        };
+
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [isPlaying, speed, duration]);
+
+    // Stop once the last move has played
+    useEffect(() => {
+        if (isPlaying && time >= duration) setIsPlaying(false);
+    }, [isPlaying, time, duration]);
+
+    const togglePlay = () => {
+        // Restart from the beginning when playback already reached the end
+        if (!isPlaying && time >= duration) setTime(0);
+        setIsPlaying(!isPlaying);
+    };
+
+    const stepForward = () => {
+        setIsPlaying(false);
+        const next = moveTimes.find(t => t > time);
+        setTime(next === undefined ? duration : next);
+    };
+
+    const stepBack = () => {
+        setIsPlaying(false);
+        const previous = moveTimes.filter(t => t < time).pop();
+        setTime(previous === undefined ? 0 : previous);
+    };
+
+    const handleScrub = (e) => {
+        setIsPlaying(false);
+        setTime(Number(e.target.value));
+    };
+
+    // Download the session in replay notation
+    const handleExport = async () => {
+        try {
+            const notation = await gameAPI.exportReplay(replay.sessionId);
+            const url = URL.createObjectURL(new Blob([notation], { type: 'text/plain' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `game-${replay.sessionId}.txt`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showNotification(error.message || 'Failed to export replay', 'error');
+        }
+    };
+
+    const getBoardAt = (player) => {
+        const count = countMovesAt(player.moves, time);
+        return count === 0 ? initialState : player.moves[count - 1].boardState;
+    };
+
+    return (
+        <div className="replay-screen">
+            <header className="screen-header">
+                <button className="btn btn-secondary" onClick={onBack}>
+                    ← Back
+                </button>
+                <h1>🎬 Replay</h1>
+                <div className="replay-meta">
+                    {formatBoardSize(boardSize)} · {replay.gameMode.replace('_', ' ')}
+                </div>
+                {replay.sessionId && (
+                    <button className="btn btn-secondary" onClick={handleExport}>
+                        💾 Export
+                    </button>
+                )}
+            </header>
+
+            <div className={`replay-boards ${players.length > 1 ? 'side-by-side' : ''}`}>
+                {players.map((player, index) => {
+                    const movesMade = countMovesAt(player.moves, time);
+                    const isWinner = replay.winnerId === player.userId;
+
+                    return (
+                        <div key={index} className="replay-player">
+                            <div className="replay-player-header">
+                                <div className="user-name">
+                                    {player.username}
+                                    {player.userId === currentUser?.userId && ' (you)'}
+                                    {isWinner && ' 🏆'}
+                                </div>
+                                <div className="user-stats">
+                                    {movesMade} / {player.moves.length} moves
+                                </div>
+                            </div>
+                            <div className="puzzle-container">
+                                <PuzzleBoard
+                                    board={getBoardAt(player)}
+                                    boardSize={boardSize}
+                                    disabled
+                                />
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="replay-controls">
+                <div className="replay-buttons">
+                    <button className="btn btn-secondary" onClick={stepBack} disabled={time <= 0}>
+                        ⏮️ Step
+                    </button>
+                    <button className="btn btn-primary" onClick={togglePlay} disabled={duration === 0}>
+                        {isPlaying ? '⏸️ Pause' : '▶️ Play'}
+                    </button>
+                    <button className="btn btn-secondary" onClick={stepForward} disabled={time >= duration}>
+                        Step ⏭️
+                    </button>
+                </div>
+
+                <div className="replay-timeline">
+                    <span className="replay-time">{formatReplayTime(time)}</span>
+                    <input
+                        type="range"
+                        className="replay-scrubber"
+                        min={0}
+                        max={duration}
+                        value={time}
+                        onChange={handleScrub}
+                    />
+                    <span className="replay-time">{formatReplayTime(duration)}</span>
+                </div>
+
+                <div className="replay-speeds">
+                    {PLAYBACK_SPEEDS.map(option => (
+                        <button
+                            key={option}
+                            className={`tab ${speed === option ? 'active' : ''}`}
+                            onClick={() => setSpeed(option)}
+                        >
+                            {option}x
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ReplayViewer;
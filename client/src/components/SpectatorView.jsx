@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { PuzzleBoard } from './GameBoard';
+import { formatBoardSize, isSolved } from '../utils/puzzleLogic';
+
+// Format milliseconds as MM:SS
+const formatClock = (ms) => {
+    const seconds = Math.floor(Math.max(0, ms) / 1000);
+    return `${Math.floor(seconds / 60).toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+};
+
+function SpectatorView({ socket, sessionId, onBack }) {
+    const [game, setGame] = useState(null);
+    const [boards, setBoards] = useState({});
+    const [moveCounts, setMoveCounts] = useState({});
+    const [finishTimes, setFinishTimes] = useState({});
+    const [clock, setClock] = useState({ startedAt: null, endedAt: null });
+    const [now, setNow] = useState(Date.now());
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Follow the match over the read-only spectator room
+    useEffect(() => {
+        const handleState = (state) => {
+            setGame(state);
+            setBoards(state.boards);
+            setMoveCounts(Object.fromEntries(state.players.map(p => [p.userId, p.moveCount])));
+            setClock({ startedAt: Date.now() - state.elapsedMs, endedAt: null });
+        };
+
+        const handleMove = ({ userId, move }) => {
+            setBoards(prev => ({ ...prev, [userId]: move.boardState }));
+            setMoveCounts(prev => ({ ...prev, [userId]: move.moveNumber }));
+            if (isSolved(move.boardState)) {
+                setFinishTimes(prev => ({ ...prev, [userId]: move.timeElapsed }));
+            }
+        };
+
+        // An undo powerup takes a player back to the board before the move
+        const handleUndo = ({ userId, moveNumber, boardState }) => {
+            setBoards(prev => ({ ...prev, [userId]: boardState }));
+            setMoveCounts(prev => ({ ...prev, [userId]: moveNumber - 1 }));
+        };
+
+        const handleReconnecting = ({ userId }) => {
+            setGame(prev => prev && {
+                ...prev,
+                players: prev.players.map(p => (p.userId === userId ? { ...p, connected: false } : p))
+            });
+        };
+
+        const handleReconnected = ({ userId }) => {
+            setGame(prev => prev && {
+                ...prev,
+                players: prev.players.map(p => (p.userId === userId ? { ...p, connected: true } : p))
+            });
+        };
+
+        const handleEnded = (data) => {
+            setResult(data);
+            setClock(prev => ({ ...prev, endedAt: Date.now() }));
+        };
+
+        const handleError = (data) => setError(data.message);
+
+        socket.on('spectate_state', handleState);
+        socket.on('spectator_move', handleMove);
+        socket.on('spectator_undo', handleUndo);
+        socket.on('opponent_reconnecting', handleReconnecting);
+        socket.on('opponent_reconnected', handleReconnected);
+        socket.on('game_ended', handleEnded);
+        socket.on('spectate_error', handleError);
+        socket.emit('spectate', { sessionId });
+
+        return () => {
+            socket.emit('stop_spectating', { sessionId });
+            socket.off('spectate_state', handleState);
+            socket.off('spectator_move', handleMove);
+            socket.off('spectator_undo', handleUndo);
+            socket.off('opponent_reconnecting', handleReconnecting);
+            socket.off('opponent_reconnected', handleReconnected);
+            socket.off('game_ended', handleEnded);
+            socket.off('spectate_error', handleError);
+        };
+    }, [socket, sessionId]);
+
+    // Tick the match clock until the game ends
+    useEffect(() => {
+        if (clock.startedAt === null || clock.endedAt !== null) return undefined;
+
+        const interval = setInterval(() => setNow(Date.now()), 100);
+        return () => clearInterval(interval);
+    }, [clock]);
+
+    const elapsed = clock.startedAt === null ? 0 : (clock.endedAt || now) - clock.startedAt;
+
+    return (
+        <div className="replay-screen spectator-screen">
+            <header className="screen-header">
+                <button className="btn btn-secondary" onClick={onBack}>
+                    ← Back
+                </button>
+                <h1>👁️ Spectating</h1>
+                {game && (
+                    <div className="replay-meta">
+                        {formatBoardSize(game.boardSize)} · {game.mode.replace('_', ' ')}
+                    </div>
+                )}
+            </header>
+
+            {error && <div className="empty-state"><p>{error}</p></div>}
+
+            {result && (
+                <div className="spectator-result">
+                    🏆 {game?.players.find(p => p.userId === result.winnerId)?.username} wins
+                    {result.reason === 'forfeit' && ' by forfeit'}
+                </div>
+            )}
+
+            {game && (
+                <div className="replay-boards side-by-side">
+                    {game.players.map(player => (
+                        <div key={player.userId} className="replay-player">
+                            <div className="replay-player-header">
+                                <div className="user-name">
+                                    {player.username}
+                                    {player.isBot && ' 🤖'}
+                                    {result?.winnerId === player.userId && ' 🏆'}
+                                </div>
+                                <div className="user-stats">
+                                    {!player.connected && 'Reconnecting… · '}
+                                    ⏱️ {formatClock(finishTimes[player.userId] ?? elapsed)} · {moveCounts[player.userId] || 0} moves
+                                </div>
+                            </div>
+                            <div className="puzzle-container">
+                                <PuzzleBoard
+                                    board={boards[player.userId] || game.initialState}
+                                    boardSize={game.boardSize}
+                                    disabled
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SpectatorView;
@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { tournamentAPI } from '../utils/apiClient';
+import { formatBoardSize } from '../utils/puzzleLogic';
+
+const TOURNAMENT_SIZES = ['3x3', '4x4', '5x5', '6x6', '8x8', '3x5', '4x6'];
+
+const TOURNAMENT_MODES = [
+    { id: 'multiplayer', name: 'Race' },
+    { id: 'speed', name: 'Speed' },
+    { id: 'fewest_moves', name: 'Fewest Moves' }
+];
+
+const FORMAT_NAMES = {
+    single_elimination: 'Single Elimination',
+    swiss: 'Swiss'
+};
+
+const STATUS_NAMES = {
+    registration: 'Registration open',
+    in_progress: 'In progress',
+    completed: 'Finished',
+    cancelled: 'Cancelled'
+};
+
+// Value for a datetime-local input, an hour from now
+const defaultStartTime = () => {
+    const start = new Date(Date.now() + 60 * 60 * 1000);
+    start.setMinutes(start.getMinutes() - start.getTimezoneOffset());
+    return start.toISOString().slice(0, 16);
+};
+
+const getRoundName = (round, totalRounds, format) => {
+    if (format !== 'single_elimination') return `Round ${round}`;
+    if (round === totalRounds) return 'Final';
+    if (round === totalRounds - 1) return 'Semifinals';
+    if (round === totalRounds - 2) return 'Quarterfinals';
+    return `Round ${round}`;
+};
+
+function CreateTournamentForm({ onCreate }) {
+    const [form, setForm] = useState({
+        name: '',
+        format: 'single_elimination',
+        boardSize: '4x4',
+        mode: 'multiplayer',
+        maxPlayers: 8,
+        startTime: defaultStartTime()
+    });
+
+    const update = (changes) => setForm({ ...form, ...changes });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onCreate({ ...form, startTime: new Date(form.startTime).toISOString() });
+    };
+
+    return (
+        <form className="lobby-panel tournament-form" onSubmit={handleSubmit}>
+            <h2>Organise a tournament</h2>
+            <div className="lobby-settings">
+                <label>
+                    Name
+                    <input
+                        type="text"
+                        value={form.name}
+                        maxLength={100}
+                        onChange={(e) => update({ name: e.target.value })}
+                        required
+                    />
+                </label>
+
+                <label>
+                    Format
+                    <select value={form.format} onChange={(e) => update({ format: e.target.value })}>
+                        {Object.entries(FORMAT_NAMES).map(([id, name]) => (
+                            <option key={id} value={id}>{name}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label>
+                    Board size
+                    <select value={form.boardSize} onChange={(e) => update({ boardSize: e.target.value })}>
+                        {TOURNAMENT_SIZES.map(size => (
+                            <option key={size} value={size}>{formatBoardSize(size)}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label>
+                    Mode
+                    <select value={form.mode} onChange={(e) => update({ mode: e.target.value })}>
+                        {TOURNAMENT_MODES.map(mode => (
+                            <option key={mode.id} value={mode.id}>{mode.name}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label>
+                    Max players
+                    <input
+                        type="number"
+                        min={2}
+                        max={64}
+                        value={form.maxPlayers}
+                        onChange={(e) => update({ maxPlayers: Number(e.target.value) })}
+                    />
+                </label>
+
+                <label>
+                    Starts
+                    <input
+                        type="datetime-local"
+                        value={form.startTime}
+                        onChange={(e) => update({ startTime: e.target.value })}
+                        required
+                    />
+                </label>
+            </div>
+            <button type="submit" className="btn btn-primary">
+                Create Tournament
+            </button>
+        </form>
+    );
+}
+
+function MatchCard({ match, currentUser }) {
+    const renderPlayer = (userId, username) => (
+        <div
+            className={`bracket-player ${match.winner_id && match.winner_id === userId ? 'winner' : ''} ${userId === currentUser.userId ? 'me' : ''}`}
+        >
+            {username || 'TBD'}
+        </div>
+    );
+
+    return (
+        <div className={`bracket-match ${match.status}`}>
+            {renderPlayer(match.player1_id, match.player1_username)}
+            {match.player2_id ? renderPlayer(match.player2_id, match.player2_username) : (
+                <div className="bracket-player bye">Bye</div>
+            )}
+        </div>
+    );
+}
+
+// Elimination rounds read left to right; Swiss rounds are listed the same way
+function Bracket({ tournament, matches, currentUser }) {
+    const rounds = [];
+    matches.forEach(match => {
+        rounds[match.round - 1] = [...(rounds[match.round - 1] || []), match];
+    });
+
+    if (rounds.length === 0) {
+        return (
+            <div className="empty-state">
+                <p>Pairings are made when the tournament starts</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="bracket">
+            {rounds.map((roundMatches, index) => (
+                <div key={index} className="bracket-round">
+                    <h3>{getRoundName(index + 1, tournament.total_rounds, tournament.format)}</h3>
+                    {roundMatches.map(match => (
+                        <MatchCard key={match.match_id} match={match} currentUser={currentUser} />
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function Standings({ tournament, standings, currentUser }) {
+    const swiss = tournament.format === 'swiss';
+
+    return (
+        <table className="tournament-standings">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Player</th>
+                    <th>{swiss ? 'Points' : 'Wins'}</th>
+                    <th>Losses</th>
+                    {swiss && <th>Buchholz</th>}
+                </tr>
+            </thead>
+            <tbody>
+                {standings.map(entry => (
+                    <tr
+                        key={entry.userId}
+                        className={`${entry.userId === currentUser.userId ? 'me' : ''} ${entry.eliminated ? 'eliminated' : ''}`}
+                    >
+                        <td>{entry.rank}</td>
+                        <td>
+                            {entry.username}
+                            {entry.seed && <span className="tournament-seed"> ({entry.seed})</span>}
+                        </td>
+                        <td>{swiss ? entry.points : entry.wins + entry.byes}</td>
+                        <td>{entry.losses}</td>
+                        {swiss && <td>{entry.buchholz}</td>}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+}
+
+function TournamentDetail({ socket, tournamentId, currentUser, onBack }) {
+    const [state, setState] = useState(null);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            setState(await tournamentAPI.get(tournamentId));
+            setError(null);
+        } catch (err) {
+            setError(err.message || 'Could not load tournament');
+        }
+    }, [tournamentId]);
+
+    // Refresh whenever the server says the bracket moved
+    useEffect(() => {
+        load();
+
+        const handleUpdate = (data) => {
+            if (data.tournamentId === tournamentId) load();
+        };
+
+        socket.emit('watch_tournament', { tournamentId });
+        socket.on('tournament_update', handleUpdate);
+
+        return () => {
+            socket.emit('unwatch_tournament', { tournamentId });
+            socket.off('tournament_update', handleUpdate);
+        };
+    }, [socket, tournamentId, load]);
+
+    const act = async (action) => {
+        try {
+            await action(tournamentId);
+            await load();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!state) {
+        return (
+            <div className="tournament-screen">
+                <header className="screen-header">
+                    <button className="btn btn-secondary" onClick={onBack}>
+                        ← Back
+                    </button>
+                    <h1>🏆 Tournament</h1>
+                </header>
+                <div className="empty-state"><p>{error || 'Loading...'}</p></div>
+            </div>
+        );
+    }
+
+    const { tournament, players, matches, standings } = state;
+    const registered = players.some(player => player.user_id === currentUser.userId);
+    const isOrganiser = tournament.created_by === currentUser.userId;
+    const myMatch = matches.find(match => (
+        match.status === 'ready' &&
+        (match.player1_id === currentUser.userId || match.player2_id === currentUser.userId)
+    ));
+
+    return (
+        <div className="tournament-screen">
+            <header className="screen-header">
+                <button className="btn btn-secondary" onClick={onBack}>
+                    ← Back
+                </button>
+                <h1>🏆 {tournament.name}</h1>
+                <div className="replay-meta">
+                    {FORMAT_NAMES[tournament.format]} · {formatBoardSize(tournament.board_size)} · {tournament.game_mode.replace('_', ' ')}
+                </div>
+            </header>
+
+            {error && <div className="tournament-error">{error}</div>}
+
+            <div className="tournament-info">
+                <span>{STATUS_NAMES[tournament.status]}</span>
+                <span>👥 {players.length}/{tournament.max_players}</span>
+                <span>🕒 {new Date(tournament.start_time).toLocaleString()}</span>
+                {tournament.status === 'in_progress' && (
+                    <span>Round {tournament.current_round} of {tournament.total_rounds}</span>
+                )}
+            </div>
+
+            {tournament.status === 'completed' && (
+                <div className="spectator-result">
+                    🏆 {standings[0]?.username} wins the tournament
+                </div>
+            )}
+
+            {tournament.status === 'registration' && (
+                <div className="tournament-actions">
+                    {registered ? (
+                        <button className="btn btn-secondary" onClick={() => act(tournamentAPI.withdraw)}>
+                            Withdraw
+                        </button>
+                    ) : (
+                        <button
+                            className="btn btn-primary"
+                            disabled={players.length >= tournament.max_players}
+                            onClick={() => act(tournamentAPI.register)}
+                        >
+                            Register
+                        </button>
+                    )}
+                    {isOrganiser && (
+                        <button
+                            className="btn btn-secondary"
+                            disabled={players.length < 2}
+                            onClick={() => act(tournamentAPI.start)}
+                        >
+                            Start Now
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {myMatch && (
+                <div className="tournament-ready">
+                    <span>Your round {myMatch.round} match is ready</span>
+                    <button
+                        className="btn btn-primary"
+                        onClick={() => socket.emit('tournament_join_match', { matchId: myMatch.match_id })}
+                    >
+                        ⚔️ Play
+                    </button>
+                </div>
+            )}
+
+            <Bracket tournament={tournament} matches={matches} currentUser={currentUser} />
+
+            {standings.length > 0 && (
+                <Standings tournament={tournament} standings={standings} currentUser={currentUser} />
+            )}
+        </div>
+    );
+}
+
+function Tournaments({ socket, currentUser, selectedId, onSelect, onBack }) {
+    const [tournaments, setTournaments] = useState([]);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            const response = await tournamentAPI.getAll();
+            setTournaments(response.tournaments || []);
+        } catch (err) {
+            setError(err.message || 'Could not load tournaments');
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!selectedId) load();
+    }, [selectedId, load]);
+
+    const createTournament = async (tournament) => {
+        try {
+            const response = await tournamentAPI.create(tournament);
+            onSelect(response.tournament.tournament_id);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (selectedId) {
+        return (
+            <TournamentDetail
+                socket={socket}
+                tournamentId={selectedId}
+                currentUser={currentUser}
+                onBack={() => onSelect(null)}
+            />
+        );
+    }
+
+    return (
+        <div className="tournament-screen">
+            <header className="screen-header">
+                <button className="btn btn-secondary" onClick={onBack}>
+                    ← Back
+                </button>
+                <h1>🏆 Tournaments</h1>
+                <button className="btn btn-secondary" onClick={load}>
+                    🔄 Refresh
+                </button>
+            </header>
+
+            {error && <div className="tournament-error">{error}</div>}
+
+            <div className="lobby-panels">
+                <div className="lobby-panel">
+                    <h2>Upcoming and recent</h2>
+                    <div className="leaderboard-list">
+                        {tournaments.length === 0 ? (
+                            <div className="empty-state">
+                                <p>No tournaments yet</p>
+                            </div>
+                        ) : (
+                            tournaments.map(tournament => (
+                                <div key={tournament.tournament_id} className="leaderboard-entry">
+                                    <div className="entry-user">
+                                        <div className="user-name">{tournament.name}</div>
+                                        <div className="user-stats">
+                                            {FORMAT_NAMES[tournament.format]} · {formatBoardSize(tournament.board_size)} · 👥 {tournament.player_count}/{tournament.max_players} · {STATUS_NAMES[tournament.status]}
+                                        </div>
+                                    </div>
+                                    <button className="btn btn-secondary" onClick={() => onSelect(tournament.tournament_id)}>
+                                        View
+                                    </button>
+                                </div>
+                            ))
+                        )}
+                    </div>
+                </div>
+
+                <CreateTournamentForm onCreate={createTournament} />
+            </div>
+        </div>
+    );
+}
+
+export default Tournaments;
@@ -111,18 +111,86 @@ export const userAPI = {
 };
 
 export const gameAPI = {
-  create: (boardSize, gameMode, opponentId = null) =>
-    apiClient.post("/games/create", { boardSize, gameMode, opponentId }),
+  // A seed or a library configId rebuilds that exact board
+  create: (
+    boardSize,
+    gameMode,
+    opponentId = null,
+    seed = null,
+    configId = null,
+  ) =>
+    apiClient.post("/games/create", {
+      boardSize,
+      gameMode,
+      opponentId,
+      seed,
+      configId,
+    }),
 
   get: (sessionId) => apiClient.get(`/games/${sessionId}`),
 
+  getLive: () => apiClient.get("/games/live"),
+
   complete: (sessionId, data) =>
     apiClient.post(`/games/${sessionId}/complete`, data),
 
+  // Paused time is left out of the completion time
+  pause: (sessionId, paused) =>
+    apiClient.post(`/games/${sessionId}/pause`, { paused }),
+
   recordMove: (sessionId, moveData) =>
     apiClient.post(`/games/${sessionId}/moves`, moveData),
 
   getMoves: (sessionId) => apiClient.get(`/games/${sessionId}/moves`),
+
+  getReplay: (sessionId) => apiClient.get(`/games/${sessionId}/replay`),
+
+  exportReplay: (sessionId, timings = true) =>
+    apiClient.get(`/games/${sessionId}/export?timings=${timings}`, {
+      responseType: "text",
+    }),
+};
+
+export const ghostAPI = {
+  // options: { seed, configId, userId } where userId may be "me" for a
+  // personal best
+  get: (category, options = {}) =>
+    apiClient.get("/ghosts", { params: { category, ...options } }),
+};
+
+export const lobbyAPI = {
+  // settings: { boardSize, mode, powerups }
+  create: (settings) => apiClient.post("/lobbies", settings),
+
+  get: (code) => apiClient.get(`/lobbies/${encodeURIComponent(code)}`),
+};
+
+export const tournamentAPI = {
+  getAll: () => apiClient.get("/tournaments"),
+
+  get: (tournamentId) => apiClient.get(`/tournaments/${tournamentId}`),
+
+  // tournament: { name, format, boardSize, mode, startTime, maxPlayers }
+  create: (tournament) => apiClient.post("/tournaments", tournament),
+
+  register: (tournamentId) =>
+    apiClient.post(`/tournaments/${tournamentId}/register`),
+
+  withdraw: (tournamentId) =>
+    apiClient.delete(`/tournaments/${tournamentId}/register`),
+
+  start: (tournamentId) => apiClient.post(`/tournaments/${tournamentId}/start`),
+};
+
+export const replayAPI = {
+  import: (notation) => apiClient.post("/replays/import", { notation }),
+};
+
+export const puzzleAPI = {
+  getHint: (board, size) => apiClient.post("/puzzles/hint", { board, size }),
+
+  generate: (size, difficulty, count = 1) =>
+    apiClient.post("/puzzles/generate", { size, difficulty, count }),
 };
 
 export const leaderboardAPI = {
@@ -145,7 +213,13 @@ export const powerupAPI = {
 
   getUserPowerups: () => apiClient.get("/users/powerups"),
 
-  use: (powerupKey) => apiClient.post(`/powerups/${powerupKey}/use`),
+  // moveNumber is the player's latest move, the one an undo takes back
+  use: (powerupKey, sessionId, moveNumber) =>
+    apiClient.post(`/powerups/${powerupKey}/use`, { sessionId, moveNumber }),
+};
+
+export const themeAPI = {
+  getAll: () => apiClient.get("/themes"),
 };
 
 export const analyticsAPI = {
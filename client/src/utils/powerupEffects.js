@@ -0,0 +1,204 @@
+/**
+ * Board side of the powerup effects, keyed by powerups.effect_type.
+ *
+ * Effects that change the board do it with ordinary legal slides, returned
+ * as the tile indices to click, so the game plays them like the player's
+ * own moves and the server's replay check still accepts the game.
+ */
+
+import { getCornerTiles, getValidMoves, moveTile } from "./puzzleLogic";
+
+// Delay between the slides an effect plays for the player
+export const AUTO_MOVE_INTERVAL_MS = 120;
+
+// Pause forced after each move while slowed by an opponent (about 30%
+// fewer moves at a brisk pace)
+export const SLOW_MOTION_MOVE_DELAY_MS = 300;
+
+// Tiles placed by the auto_solve effect
+export const AUTO_SOLVE_TILES = 3;
+
+/**
+ * Board before the last move, by sliding its tile back
+ * @param {Array} board - Current board state
+ * @param {Array} history - Moves so far, each with tilePosition and
+ *   emptyPosition
+ * @returns {Object|null} { board, history } without the last move, or null
+ *   if there is nothing to undo
+ */
+export function undoLastMove(board, history) {
+  if (history.length === 0) return null;
+
+  const { tilePosition, emptyPosition } = history[history.length - 1];
+  const previous = [...board];
+  [previous[tilePosition], previous[emptyPosition]] = [
+    previous[emptyPosition],
+    previous[tilePosition],
+  ];
+
+  return { board: previous, history: history.slice(0, -1) };
+}
+
+/**
+ * Shortest slides that bring one tile home without touching locked cells.
+ * Only the tile and the empty space are tracked, so the search covers at
+ * most cells² states.
+ * @param {Array} board - Current board state
+ * @param {number|string} size - Board size
+ * @param {number} tile - Tile to place
+ * @param {Set} locked - Cell indices that must not move
+ * @returns {Array|null} Tile indices to click, or null if it can't be done
+ */
+export function findTilePlacement(board, size, tile, locked = new Set()) {
+  const cells = board.length;
+  const target = tile - 1;
+  const start = { tile: board.indexOf(tile), empty: board.indexOf(0) };
+  if (start.tile === target) return [];
+
+  const key = (state) => state.tile * cells + state.empty;
+  const previous = new Map([[key(start), null]]);
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const state = queue[head];
+
+    for (const cell of getValidMoves(board, state.empty, size)) {
+      if (locked.has(cell)) continue;
+
+      // Sliding the tile at `cell` moves the empty space there
+      const next = {
+        tile: cell === state.tile ? state.empty : state.tile,
+        empty: cell,
+      };
+      if (previous.has(key(next))) continue;
+      previous.set(key(next), { state, cell });
+
+      if (next.tile === target) {
+        const clicks = [];
+        for (let step = next; previous.get(key(step)); ) {
+          const link = previous.get(key(step));
+          clicks.unshift(link.cell);
+          step = link.state;
+        }
+        return clicks;
+      }
+      queue.push(next);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Bring tiles home one after another, locking each once it is placed.
+ * Tiles that can't be reached are skipped.
+ * @param {Array} board - Current board state
+ * @param {number|string} size - Board size
+ * @param {Array} tiles - Tiles to place, in order
+ * @param {Set} locked - Cells that must not move
+ * @param {number} limit - Stop after placing this many
+ * @returns {Object} { board, moves, placed }
+ */
+export function placeTiles(
+  board,
+  size,
+  tiles,
+  locked = new Set(),
+  limit = Infinity,
+) {
+  const held = new Set(locked);
+  let current = board;
+  const moves = [];
+  let placed = 0;
+
+  for (const tile of tiles) {
+    if (placed >= limit) break;
+
+    const clicks = findTilePlacement(current, size, tile, held);
+    if (!clicks) continue;
+
+    for (const cell of clicks) {
+      current = moveTile(current, cell, size);
+    }
+    moves.push(...clicks);
+    held.add(tile - 1);
+    if (clicks.length > 0) placed++;
+  }
+
+  return { board: current, moves, placed };
+}
+
+/**
+ * auto_arrange: move the three corner tiles (the fourth corner is the
+ * empty space's home) into place. On small boards one order can box the
+ * last corner in, so every order is tried and the best result kept.
+ * @param {Array} board - Current board state
+ * @param {number|string} size - Board size
+ * @returns {Array} Tile indices to click
+ */
+export function arrangeCorners(board, size) {
+  const [a, b, c] = getCornerTiles(size).map((cell) => cell + 1);
+  const orders = [
+    [a, b, c],
+    [a, c, b],
+    [b, a, c],
+    [b, c, a],
+    [c, a, b],
+    [c, b, a],
+  ];
+  const home = (result) =>
+    [a, b, c].filter((tile) => result.board[tile - 1] === tile).length;
+
+  let best = null;
+  orders.forEach((order) => {
+    const result = placeTiles(board, size, order);
+    if (
+      !best ||
+      home(result) > home(best) ||
+      (home(result) === home(best) && result.moves.length < best.moves.length)
+    ) {
+      best = result;
+    }
+  });
+  return best.moves;
+}
+
+/**
+ * auto_solve: place the next few tiles in reading order, the order a
+ * person solves in, leaving tiles that are already home where they are.
+ * If that boxes a tile in, the home tiles are allowed to move again.
+ * @param {Array} board - Current board state
+ * @param {number|string} size - Board size
+ * @param {number} count - Tiles to place
+ * @returns {Array} Tile indices to click
+ */
+export function autoSolveTiles(board, size, count = AUTO_SOLVE_TILES) {
+  const misplaced = [];
+  const home = new Set();
+  board.forEach((tile, index) => {
+    if (tile === 0) return;
+    if (tile === index + 1) home.add(index);
+    else misplaced.push(tile);
+  });
+  misplaced.sort((a, b) => a - b);
+
+  const kept = placeTiles(board, size, misplaced, home, count);
+  if (kept.placed > 0) return kept.moves;
+
+  return placeTiles(board, size, misplaced, new Set(), count).moves;
+}
+
+/**
+ * visual_aid: the tile to ghost, the lowest one not yet home
+ * @param {Array} board - Current board state
+ * @returns {number|null} Tile value, or null if every tile is home
+ */
+export function pickGhostTile(board) {
+  let ghost = null;
+  board.forEach((tile, index) => {
+    if (tile !== 0 && tile !== index + 1 && (ghost === null || tile < ghost)) {
+      ghost = tile;
+    }
+  });
+  return ghost;
+}
@@ -0,0 +1,151 @@
+import {
+  undoLastMove,
+  findTilePlacement,
+  arrangeCorners,
+  autoSolveTiles,
+  pickGhostTile,
+} from "./powerupEffects";
+import {
+  createSolvedBoard,
+  generateSolvablePuzzle,
+  getCornerTiles,
+  moveTile,
+} from "./puzzleLogic";
+
+// Fixed boards so every run plays the same moves
+const SIZES = ["3x3", "4x4", "3x5", "5x5"];
+const SEEDS = [1, 18, 42, 2024];
+
+// Play clicks the way the game does; every one must be a legal slide
+function applyClicks(board, size, clicks) {
+  return clicks.reduce((current, cell) => {
+    const next = moveTile(current, cell, size);
+    expect(next).not.toBeNull();
+    return next;
+  }, board);
+}
+
+const homeTiles = (board) =>
+  board.filter((tile, index) => tile !== 0 && tile === index + 1);
+
+describe("undoLastMove", () => {
+  it("slides the last move back and drops it from the history", () => {
+    const start = generateSolvablePuzzle("4x4", 7);
+    const emptyPosition = start.indexOf(0);
+    const tilePosition = emptyPosition === 0 ? 1 : emptyPosition - 1;
+    const moved = moveTile(start, tilePosition, "4x4");
+    const history = [
+      { tilePosition: 3, emptyPosition: 2 },
+      { tilePosition, emptyPosition },
+    ];
+
+    const undone = undoLastMove(moved, history);
+
+    expect(undone.board).toEqual(start);
+    expect(undone.history).toEqual([history[0]]);
+  });
+
+  it("returns null when there is nothing to undo", () => {
+    expect(undoLastMove(createSolvedBoard(4), [])).toBeNull();
+  });
+});
+
+describe("findTilePlacement", () => {
+  it.each(SIZES)("brings a tile home on a %s board", (size) => {
+    SEEDS.forEach((seed) => {
+      const board = generateSolvablePuzzle(size, seed);
+      const clicks = findTilePlacement(board, size, 1);
+
+      expect(applyClicks(board, size, clicks)[0]).toBe(1);
+    });
+  });
+
+  it("returns no clicks for a tile that is already home", () => {
+    expect(findTilePlacement(createSolvedBoard(4), 4, 5)).toEqual([]);
+  });
+
+  it("never slides a locked cell", () => {
+    const size = "4x4";
+    // Tile 1 home, the rest of the top row still to do
+    const board = applyClicks(
+      createSolvedBoard(4),
+      size,
+      [14, 13, 9, 5, 1, 2, 6, 10, 14, 15],
+    );
+    const locked = new Set([0]);
+    expect(board[0]).toBe(1);
+
+    const tile = board[1] === 2 ? 3 : 2;
+    const clicks = findTilePlacement(board, size, tile, locked);
+    const result = applyClicks(board, size, clicks);
+
+    expect(clicks).not.toContain(0);
+    expect(result[0]).toBe(1);
+    expect(result[tile - 1]).toBe(tile);
+  });
+
+  it("returns null when locked cells box the tile in", () => {
+    // Tile 1 sits in the bottom-right corner with both neighbours locked
+    const board = [2, 3, 4, 5, 0, 6, 7, 8, 1];
+
+    expect(findTilePlacement(board, "3x3", 1, new Set([5, 7]))).toBeNull();
+  });
+});
+
+describe("arrangeCorners", () => {
+  it.each(SIZES)("places the three corner tiles on a %s board", (size) => {
+    const corners = getCornerTiles(size).slice(0, 3);
+
+    SEEDS.forEach((seed) => {
+      const board = generateSolvablePuzzle(size, seed);
+      const result = applyClicks(board, size, arrangeCorners(board, size));
+
+      corners.forEach((cell) => expect(result[cell]).toBe(cell + 1));
+    });
+  });
+
+  it("does nothing when the corners are already home", () => {
+    expect(arrangeCorners(createSolvedBoard(4), 4)).toEqual([]);
+  });
+});
+
+describe("autoSolveTiles", () => {
+  it.each(SIZES)("places more tiles on a %s board", (size) => {
+    SEEDS.forEach((seed) => {
+      const board = generateSolvablePuzzle(size, seed);
+      const result = applyClicks(board, size, autoSolveTiles(board, size));
+
+      expect(homeTiles(result).length).toBeGreaterThan(
+        homeTiles(board).length,
+      );
+    });
+  });
+
+  it("places the lowest misplaced tiles and keeps home tiles", () => {
+    const size = "4x4";
+    // Only the bottom row is scrambled
+    const board = applyClicks(createSolvedBoard(4), size, [14, 13, 12]);
+    const result = applyClicks(board, size, autoSolveTiles(board, size, 1));
+
+    expect(result[12]).toBe(13);
+    for (let cell = 0; cell < 12; cell++) {
+      expect(result[cell]).toBe(cell + 1);
+    }
+  });
+
+  it("does nothing on a solved board", () => {
+    expect(autoSolveTiles(createSolvedBoard(4), 4)).toEqual([]);
+  });
+});
+
+describe("pickGhostTile", () => {
+  it("picks the lowest tile that is not home", () => {
+    const board = applyClicks(createSolvedBoard(4), "4x4", [11, 7]);
+
+    expect(pickGhostTile(board)).toBe(8);
+  });
+
+  it("returns null when every tile is home", () => {
+    expect(pickGhostTile(createSolvedBoard(4))).toBeNull();
+  });
+});
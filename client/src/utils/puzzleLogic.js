@@ -1,19 +1,86 @@
+/**
+ * Client puzzle logic, mirrored by server/puzzleLogic.js.
+ *
+ * A board size is either a side length for square boards (4) or a
+ * rows x cols key ("3x5"); getBoardDimensions resolves both.
+ */
+
+export const MIN_BOARD_SIDE = 3;
+export const MAX_BOARD_SIDE = 10;
+
+// Sizes offered in menus and seeded into the puzzle library
+export const BOARD_SIZES = ["3x3", "4x4", "6x6", "8x8", "10x10", "3x5", "4x6"];
+
+/**
+ * Resolve a board size to its dimensions
+ * @param {number|string|Object} size - Side length, "RxC" key or { rows, cols }
+ * @returns {Object|null} { rows, cols }, or null if the size can't be parsed
+ */
+export function getBoardDimensions(size) {
+  if (size && typeof size === "object") {
+    return { rows: size.rows, cols: size.cols };
+  }
+
+  const match = /^(\d+)(?:x(\d+))?$/.exec(String(size).trim());
+  if (!match) return null;
+
+  const rows = Number(match[1]);
+  return { rows, cols: match[2] ? Number(match[2]) : rows };
+}
+
+/**
+ * Canonical "RxC" key for a board size
+ * @param {number|string|Object} size - Board size
+ * @returns {string|null} Key such as "4x4", or null if the size can't be parsed
+ */
+export function formatBoardSize(size) {
+  const dimensions = getBoardDimensions(size);
+  return dimensions ? `${dimensions.rows}x${dimensions.cols}` : null;
+}
+
+/**
+ * Seedable PRNG (mulberry32). Kept identical on client and server so a
+ * (size, seed) pair produces the same board on both sides; both test
+ * against server/data/seeded-puzzles.json.
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for a new board
+ * @returns {number} 32-bit unsigned seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
 /**
  * Generate a shuffled puzzle board
- * @param {number} size - Board size (3, 4, 6, 8, or 10)
+ * @param {number|string} size - Board size
  * @param {number} moves - Number of random moves to make
+ * @param {Function} random - Source of floats in [0, 1)
  * @returns {Array} Shuffled board state
  */
-export function generatePuzzle(size, moves = 100) {
-  const totalTiles = size * size;
-  let board = Array.from({ length: totalTiles }, (_, i) => i);
-  let emptyIndex = totalTiles - 1;
+export function generatePuzzle(size, moves = 100, random = Math.random) {
+  const dimensions = getBoardDimensions(size);
+  const board = createSolvedBoard(dimensions);
+  let emptyIndex = board.length - 1;
 
   // Make random valid moves to shuffle
   for (let i = 0; i < moves; i++) {
-    const validMoves = getValidMoves(board, emptyIndex, size);
-    const randomMove =
-      validMoves[Math.floor(Math.random() * validMoves.length)];
+    const validMoves = getValidMoves(board, emptyIndex, dimensions);
+    const randomMove = validMoves[Math.floor(random() * validMoves.length)];
 
     // Swap
     [board[emptyIndex], board[randomMove]] = [
@@ -30,22 +97,23 @@ export function generatePuzzle(size, moves = 100) {
  * Get valid moves for current board state
  * @param {Array} board - Current board state
  * @param {number} emptyIndex - Index of empty tile
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {Array} Array of valid move indices
  */
 export function getValidMoves(board, emptyIndex, size) {
+  const { rows, cols } = getBoardDimensions(size);
   const moves = [];
-  const row = Math.floor(emptyIndex / size);
-  const col = emptyIndex % size;
+  const row = Math.floor(emptyIndex / cols);
+  const col = emptyIndex % cols;
 
   // Up
-  if (row > 0) moves.push(emptyIndex - size);
+  if (row > 0) moves.push(emptyIndex - cols);
   // Down
-  if (row < size - 1) moves.push(emptyIndex + size);
+  if (row < rows - 1) moves.push(emptyIndex + cols);
   // Left
   if (col > 0) moves.push(emptyIndex - 1);
   // Right
-  if (col < size - 1) moves.push(emptyIndex + 1);
+  if (col < cols - 1) moves.push(emptyIndex + 1);
 
   return moves;
 }
@@ -54,7 +122,7 @@ export function getValidMoves(board, emptyIndex, size) {
  * Check if a tile can be moved
  * @param {Array} board - Current board state
  * @param {number} tileIndex - Index of tile to move
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {boolean}
  */
 export function canMoveTile(board, tileIndex, size) {
@@ -67,11 +135,11 @@ export function canMoveTile(board, tileIndex, size) {
  * Move a tile
  * @param {Array} board - Current board state
  * @param {number} tileIndex - Index of tile to move
+ * @param {number|string} size - Board size
  * @returns {Array|null} New board state or null if invalid move
  */
-export function moveTile(board, tileIndex) {
+export function moveTile(board, tileIndex, size) {
   const emptyIndex = board.indexOf(0);
-  const size = Math.sqrt(board.length);
 
   // Check if move is valid (tiles must be adjacent)
   const validMoves = getValidMoves(board, emptyIndex, size);
@@ -93,14 +161,15 @@ export function moveTile(board, tileIndex) {
  * Get direction of move
  * @param {number} fromIndex - Starting index
  * @param {number} toIndex - Ending index
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {string} Direction ('up', 'down', 'left', 'right')
  */
 export function getMoveDirection(fromIndex, toIndex, size) {
+  const { cols } = getBoardDimensions(size);
   const diff = toIndex - fromIndex;
 
-  if (diff === -size) return "up";
-  if (diff === size) return "down";
+  if (diff === -cols) return "up";
+  if (diff === cols) return "down";
   if (diff === -1) return "left";
   if (diff === 1) return "right";
 
@@ -114,7 +183,7 @@ export function getMoveDirection(fromIndex, toIndex, size) {
  */
 export function isSolved(board) {
   for (let i = 0; i < board.length - 1; i++) {
-    if (board[i] !== i) return false;
+    if (board[i] !== i + 1) return false;
   }
   return board[board.length - 1] === 0;
 }
@@ -142,68 +211,75 @@ export function countInversions(board) {
 /**
  * Check if puzzle is solvable
  * @param {Array} board - Board state
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {boolean}
  */
 export function isSolvable(board, size) {
+  const { rows, cols } = getBoardDimensions(size);
   const inversions = countInversions(board);
-  const emptyRow = Math.floor(board.indexOf(0) / size);
+  const emptyRow = Math.floor(board.indexOf(0) / cols);
 
-  if (size % 2 === 1) {
-    // Odd grid: solvable if inversions is even
+  if (cols % 2 === 1) {
+    // Odd width: solvable if inversions is even
     return inversions % 2 === 0;
   } else {
-    // Even grid: solvable if (inversions + empty row from bottom) is odd
-    const emptyRowFromBottom = size - emptyRow;
+    // Even width: solvable if (inversions + empty row from bottom) is odd
+    const emptyRowFromBottom = rows - emptyRow;
     return (inversions + emptyRowFromBottom) % 2 === 1;
   }
 }
 
 /**
- * Generate a guaranteed solvable puzzle
- * @param {number} size - Board size
+ * Generate a guaranteed solvable puzzle; the same seed gives the same board
+ * @param {number|string} size - Board size
+ * @param {number} seed - PRNG seed
  * @returns {Array} Solvable board state
  */
-export function generateSolvablePuzzle(size) {
+export function generateSolvablePuzzle(size, seed = randomSeed()) {
+  const dimensions = getBoardDimensions(size);
+  const totalTiles = dimensions.rows * dimensions.cols;
+  const random = createRandom(seed);
   let board;
   let attempts = 0;
   const maxAttempts = 100;
 
   do {
-    board = generatePuzzle(size, size * size * 2);
+    board = generatePuzzle(dimensions, totalTiles * 2, random);
     attempts++;
 
     if (attempts >= maxAttempts) {
       // Fallback: create solved puzzle and make one legal move
-      board = Array.from({ length: size * size }, (_, i) => i);
-      const emptyIndex = size * size - 1;
-      const validMoves = getValidMoves(board, emptyIndex, size);
+      board = createSolvedBoard(dimensions);
+      const emptyIndex = totalTiles - 1;
+      const validMoves = getValidMoves(board, emptyIndex, dimensions);
       const move = validMoves[0];
       [board[emptyIndex], board[move]] = [board[move], board[emptyIndex]];
       break;
     }
-  } while (!isSolvable(board, size) || isSolved(board));
+  } while (!isSolvable(board, dimensions) || isSolved(board));
 
   return board;
 }
 
 /**
- * Calculate minimum moves to solve (estimation using Manhattan distance)
+ * Lower bound on moves to solve (Manhattan distance). The true optimum comes
+ * from the server-side solver.
  * @param {Array} board - Current board state
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {number} Estimated minimum moves
  */
 export function calculateMinimumMoves(board, size) {
+  const { cols } = getBoardDimensions(size);
   let distance = 0;
 
   for (let i = 0; i < board.length; i++) {
     const tile = board[i];
     if (tile === 0) continue;
 
-    const currentRow = Math.floor(i / size);
-    const currentCol = i % size;
-    const targetRow = Math.floor(tile / size);
-    const targetCol = tile % size;
+    const currentRow = Math.floor(i / cols);
+    const currentCol = i % cols;
+    const targetRow = Math.floor((tile - 1) / cols);
+    const targetCol = (tile - 1) % cols;
 
     // Manhattan distance
     distance +=
@@ -214,24 +290,67 @@ export function calculateMinimumMoves(board, size) {
 }
 
 /**
- * Get difficulty rating based on moves required
+ * Solution length bands (inclusive) measured with the optimal solver, shared
+ * with the server generator. Other sizes derive their bands from
+ * getDifficultyBands.
+ */
+export const DIFFICULTY_BANDS = {
+  "3x3": {
+    easy: [1, 10],
+    medium: [11, 18],
+    hard: [19, 24],
+    expert: [25, Infinity],
+  },
+  "4x4": {
+    easy: [1, 20],
+    medium: [21, 35],
+    hard: [36, 48],
+    expert: [49, Infinity],
+  },
+};
+
+/**
+ * Difficulty bands for a board size. Sizes without measured bands split
+ * the expected Manhattan distance of a random board, (rows * cols) *
+ * (rows + cols) / 3, into quarters.
+ * @param {number|string} size - Board size
+ * @returns {Object} { easy, medium, hard, expert } as [min, max] move counts
+ */
+export function getDifficultyBands(size) {
+  const key = formatBoardSize(size);
+  if (DIFFICULTY_BANDS[key]) return DIFFICULTY_BANDS[key];
+
+  const { rows, cols } = getBoardDimensions(size);
+  const scale = (rows * cols * (rows + cols)) / 3;
+  const upper = (fraction) => Math.ceil(scale * fraction) - 1;
+
+  return {
+    easy: [1, upper(0.25)],
+    medium: [upper(0.25) + 1, upper(0.5)],
+    hard: [upper(0.5) + 1, upper(0.75)],
+    expert: [upper(0.75) + 1, Infinity],
+  };
+}
+
+/**
+ * Get difficulty rating from the measured solution length
  * @param {number} minimumMoves - Minimum moves to solve
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {string} Difficulty rating
  */
 export function getDifficultyRating(minimumMoves, size) {
-  const threshold = size * size;
-
-  if (minimumMoves < threshold * 0.5) return "easy";
-  if (minimumMoves < threshold * 1) return "medium";
-  if (minimumMoves < threshold * 1.5) return "hard";
+  for (const [difficulty, [, max]] of Object.entries(
+    getDifficultyBands(size),
+  )) {
+    if (minimumMoves <= max) return difficulty;
+  }
   return "expert";
 }
 
 /**
  * Get hint for next move
  * @param {Array} board - Current board state
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {number|null} Index of tile to move, or null
  */
 export function getHint(board, size) {
@@ -243,7 +362,7 @@ export function getHint(board, size) {
   let bestScore = Infinity;
 
   for (const moveIndex of validMoves) {
-    const testBoard = moveTile(board, moveIndex);
+    const testBoard = moveTile(board, moveIndex, size);
     if (!testBoard) continue;
 
     const score = calculateMinimumMoves(testBoard, size);
@@ -271,13 +390,15 @@ export function isPerfectGame(moveCount, minimumMoves) {
 /**
  * Convert board to image slice positions
  * @param {Array} board - Board state
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {Array} Array of {x, y, tile} for rendering
  */
 export function boardToImageSlices(board, size) {
+  const { cols } = getBoardDimensions(size);
+
   return board.map((tile, index) => {
-    const row = Math.floor(index / size);
-    const col = index % size;
+    const row = Math.floor(index / cols);
+    const col = index % cols;
 
     return {
       tile,
@@ -291,13 +412,15 @@ export function boardToImageSlices(board, size) {
 /**
  * Get tile's target position
  * @param {number} tile - Tile number
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {object} {row, col}
  */
 export function getTileTarget(tile, size) {
+  const { cols } = getBoardDimensions(size);
+
   return {
-    row: Math.floor(tile / size),
-    col: tile % size,
+    row: Math.floor((tile - 1) / cols),
+    col: (tile - 1) % cols,
   };
 }
 
@@ -308,7 +431,7 @@ export function getTileTarget(tile, size) {
  * @returns {boolean}
  */
 export function isTileInPlace(tile, currentIndex) {
-  return tile === currentIndex || tile === 0;
+  return tile === currentIndex + 1 || tile === 0;
 }
 
 /**
@@ -326,12 +449,14 @@ export function shuffleArray(array) {
 }
 
 /**
- * Create solved board
- * @param {number} size - Board size
+ * Create solved board (tiles 1..n-1 in order, empty space last)
+ * @param {number|string} size - Board size
  * @returns {Array} Solved board state
  */
 export function createSolvedBoard(size) {
-  return Array.from({ length: size * size }, (_, i) => i);
+  const { rows, cols } = getBoardDimensions(size);
+  const totalTiles = rows * cols;
+  return Array.from({ length: totalTiles }, (_, i) => (i + 1) % totalTiles);
 }
 
 /**
@@ -362,18 +487,19 @@ export function boardsEqual(board1, board2) {
 /**
  * Get adjacent tiles to a position
  * @param {number} index - Tile index
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {Array} Array of adjacent indices
  */
 export function getAdjacentTiles(index, size) {
-  const row = Math.floor(index / size);
-  const col = index % size;
+  const { rows, cols } = getBoardDimensions(size);
+  const row = Math.floor(index / cols);
+  const col = index % cols;
   const adjacent = [];
 
-  if (row > 0) adjacent.push(index - size); // Up
-  if (row < size - 1) adjacent.push(index + size); // Down
+  if (row > 0) adjacent.push(index - cols); // Up
+  if (row < rows - 1) adjacent.push(index + cols); // Down
   if (col > 0) adjacent.push(index - 1); // Left
-  if (col < size - 1) adjacent.push(index + 1); // Right
+  if (col < cols - 1) adjacent.push(index + 1); // Right
 
   return adjacent;
 }
@@ -387,7 +513,7 @@ export function calculateProgress(board) {
   let correctTiles = 0;
 
   for (let i = 0; i < board.length - 1; i++) {
-    if (board[i] === i) correctTiles++;
+    if (board[i] === i + 1) correctTiles++;
   }
 
   return Math.round((correctTiles / (board.length - 1)) * 100);
@@ -395,55 +521,66 @@ export function calculateProgress(board) {
 
 /**
  * Get all corner tiles
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {Array} Array of corner tile indices
  */
 export function getCornerTiles(size) {
+  const { rows, cols } = getBoardDimensions(size);
+
   return [
     0, // Top-left
-    size - 1, // Top-right
-    size * (size - 1), // Bottom-left
-    size * size - 1, // Bottom-right (empty space)
+    cols - 1, // Top-right
+    cols * (rows - 1), // Bottom-left
+    rows * cols - 1, // Bottom-right (empty space)
   ];
 }
 
 /**
  * Get all edge tiles (not corners)
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {Array} Array of edge tile indices
  */
 export function getEdgeTiles(size) {
+  const { rows, cols } = getBoardDimensions(size);
   const edges = [];
 
   // Top edge
-  for (let i = 1; i < size - 1; i++) edges.push(i);
+  for (let i = 1; i < cols - 1; i++) edges.push(i);
 
   // Bottom edge
-  for (let i = 1; i < size - 1; i++) edges.push(size * (size - 1) + i);
+  for (let i = 1; i < cols - 1; i++) edges.push(cols * (rows - 1) + i);
 
   // Left edge
-  for (let i = 1; i < size - 1; i++) edges.push(i * size);
+  for (let i = 1; i < rows - 1; i++) edges.push(i * cols);
 
   // Right edge
-  for (let i = 1; i < size - 1; i++) edges.push(i * size + size - 1);
+  for (let i = 1; i < rows - 1; i++) edges.push(i * cols + cols - 1);
 
   return edges;
 }
 
 /**
- * Validate board size
- * @param {number} size - Board size to validate
+ * Validate board size: each side between MIN_BOARD_SIDE and MAX_BOARD_SIDE
+ * @param {number|string} size - Board size to validate
  * @returns {boolean} True if valid
  */
 export function isValidBoardSize(size) {
-  const validSizes = [3, 4, 6, 8, 10];
-  return validSizes.includes(size);
+  const dimensions = getBoardDimensions(size);
+  return Boolean(
+    dimensions &&
+      [dimensions.rows, dimensions.cols].every(
+        (side) =>
+          Number.isInteger(side) &&
+          side >= MIN_BOARD_SIDE &&
+          side <= MAX_BOARD_SIDE,
+      ),
+  );
 }
 
 /**
  * Get board statistics
  * @param {Array} board - Board state
- * @param {number} size - Board size
+ * @param {number|string} size - Board size
  * @returns {Object} Statistics object
  */
 export function getBoardStatistics(board, size) {
@@ -0,0 +1,21 @@
+import { createRandom, generateSolvablePuzzle } from "./puzzleLogic";
+
+// Checked in on the server, whose copy of the generator must agree with
+// this one so a stored seed rebuilds the same board on both sides
+import fixtures from "../../../server/data/seeded-puzzles.json";
+
+describe("seeded puzzles", () => {
+  it("draws the recorded random sequence for a seed", () => {
+    for (const { seed, values } of fixtures.random) {
+      const random = createRandom(seed);
+
+      expect(values.map(() => random())).toEqual(values);
+    }
+  });
+
+  it("rebuilds the recorded board for each size and seed", () => {
+    for (const { size, seed, board } of fixtures.boards) {
+      expect(generateSolvablePuzzle(size, seed)).toEqual(board);
+    }
+  });
+});
@@ -1,14 +1,26 @@
 
 -- Drop existing tables in reverse dependency order
+DROP TABLE IF EXISTS tournament_matches;
+DROP TABLE IF EXISTS tournament_players;
+DROP TABLE IF EXISTS tournaments;
+DROP TABLE IF EXISTS powerup_grants;
 DROP TABLE IF EXISTS user_powerups;
 DROP TABLE IF EXISTS powerups;
 DROP TABLE IF EXISTS user_achievements;
 DROP TABLE IF EXISTS achievements;
+DROP TABLE IF EXISTS themes;
+DROP TABLE IF EXISTS user_badges;
+DROP TABLE IF EXISTS season_standings;
+DROP TABLE IF EXISTS seasons;
 DROP TABLE IF EXISTS leaderboards;
 DROP TABLE IF EXISTS game_moves;
 DROP TABLE IF EXISTS game_sessions;
+DROP TABLE IF EXISTS match_series;
 DROP TABLE IF EXISTS puzzle_configs;
 DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS user_theme_stats;
+DROP TABLE IF EXISTS player_ratings;
+DROP TABLE IF EXISTS user_board_stats;
 DROP TABLE IF EXISTS user_stats;
 DROP TABLE IF EXISTS users;
 
@@ -26,9 +38,15 @@ CREATE TABLE users (
     experience_points INT DEFAULT 0,
     current_theme VARCHAR(50) DEFAULT 'dasher',
     
+    -- Daily login rewards
+    login_streak INT DEFAULT 0, -- Consecutive UTC days with a login reward
+    last_daily_reward DATE NULL,
+    
     -- Account status
     is_active BOOLEAN DEFAULT TRUE,
     is_verified BOOLEAN DEFAULT FALSE,
+    is_bot BOOLEAN DEFAULT FALSE, -- Server-side bot opponent; cannot log in
+    is_admin BOOLEAN DEFAULT FALSE, -- May call maintenance endpoints such as puzzle generation
     
     -- Timestamps
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -72,13 +90,6 @@ CREATE TABLE user_stats (
     multiplayer_wins INT DEFAULT 0,
     practice_games INT DEFAULT 0,
     
-    -- Board size statistics
-    games_3x3 INT DEFAULT 0,
-    games_4x4 INT DEFAULT 0,
-    games_6x6 INT DEFAULT 0,
-    games_8x8 INT DEFAULT 0,
-    games_10x10 INT DEFAULT 0,
-    
     -- Timestamps
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
@@ -90,13 +101,62 @@ CREATE TABLE user_stats (
     INDEX idx_win_rate (win_rate)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Glicko-2 ratings, one row per user, game mode and board size. The row
+-- with game_mode and board_size 'all' is the overall rating, mirrored into
+-- user_stats.elo_rating.
+CREATE TABLE player_ratings (
+    user_id INT NOT NULL,
+    game_mode VARCHAR(50) NOT NULL,
+    board_size VARCHAR(10) NOT NULL,
+    
+    rating DOUBLE NOT NULL DEFAULT 1000,
+    deviation DOUBLE NOT NULL DEFAULT 350,
+    volatility DOUBLE NOT NULL DEFAULT 0.06,
+    
+    games_played INT DEFAULT 0,
+    last_played_at TIMESTAMP NULL,
+    
+    PRIMARY KEY (user_id, game_mode, board_size),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_mode_size_rating (game_mode, board_size, rating)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Per board size statistics, one row per user and rows x cols size
+CREATE TABLE user_board_stats (
+    user_id INT NOT NULL,
+    board_size VARCHAR(10) NOT NULL, -- rows x cols, e.g. '4x4', '3x5'
+    
+    games_played INT DEFAULT 0,
+    games_won INT DEFAULT 0,
+    best_completion_time INT DEFAULT 0, -- in seconds, 0 until a win
+    best_move_count INT DEFAULT 0,
+    
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (user_id, board_size),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_board_size (board_size)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE user_theme_stats (
+    user_id INT NOT NULL,
+    theme VARCHAR(50) NOT NULL, -- selected_theme when the puzzle was completed
+    
+    games_completed INT DEFAULT 0,
+    
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (user_id, theme),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE user_preferences (
     preference_id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
     
     -- Theme preferences
     selected_theme VARCHAR(50) DEFAULT 'dasher',
-    unlocked_themes JSON, -- Array of unlocked theme names
+    unlocked_themes JSON, -- Array of themes.theme_key unlocked by criteria or rewards
     
     -- Audio settings
     sound_enabled BOOLEAN DEFAULT TRUE,
@@ -105,7 +165,7 @@ CREATE TABLE user_preferences (
     music_volume DECIMAL(3,2) DEFAULT 0.50,
     
     -- Gameplay preferences
-    default_board_size INT DEFAULT 4,
+    default_board_size VARCHAR(10) DEFAULT '4x4', -- rows x cols
     default_game_mode VARCHAR(50) DEFAULT 'speed',
     show_move_counter BOOLEAN DEFAULT TRUE,
     show_timer BOOLEAN DEFAULT TRUE,
@@ -134,13 +194,15 @@ CREATE TABLE puzzle_configs (
     config_id INT AUTO_INCREMENT PRIMARY KEY,
     
     -- Puzzle details
-    board_size INT NOT NULL,
+    board_size VARCHAR(10) NOT NULL, -- rows x cols, e.g. '4x4', '3x5'
     initial_state JSON NOT NULL, -- Array of tile positions
     solution_state JSON NOT NULL, -- Solved state
+    state_hash CHAR(40) NOT NULL, -- SHA-1 of initial_state, for deduplication
     
     -- Difficulty metrics
     difficulty_rating VARCHAR(20), -- 'easy', 'medium', 'hard', 'expert'
-    minimum_moves INT NOT NULL, -- Theoretical minimum to solve
+    minimum_moves INT NOT NULL, -- Theoretical minimum to solve, or a lower bound on it
+    minimum_moves_optimal BOOLEAN DEFAULT FALSE, -- TRUE once the solver proved minimum_moves optimal
     average_completion_time INT DEFAULT 0, -- Average from all attempts
     
     -- Usage statistics
@@ -160,11 +222,48 @@ CREATE TABLE puzzle_configs (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     -- Indexes
+    UNIQUE KEY unique_board_state (board_size, state_hash),
     INDEX idx_board_size (board_size),
     INDEX idx_difficulty (difficulty_rating),
     INDEX idx_times_played (times_played)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE match_series (
+    series_id INT AUTO_INCREMENT PRIMARY KEY,
+    
+    -- Players, in the order of each game's player1/player2
+    player1_id INT NOT NULL,
+    player2_id INT NOT NULL,
+    winner_id INT NULL,
+    
+    -- Series configuration
+    best_of TINYINT NOT NULL, -- 3 or 5; single games have no series
+    board_size VARCHAR(10) NOT NULL,
+    game_mode VARCHAR(50) NOT NULL,
+    
+    -- Score
+    player1_wins TINYINT DEFAULT 0,
+    player2_wins TINYINT DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'in_progress', -- in_progress, completed, abandoned
+    
+    -- ELO is applied once, for the series result
+    player1_elo_change INT NULL,
+    player2_elo_change INT NULL,
+    
+    -- Timestamps
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    
+    -- Foreign keys and indexes
+    FOREIGN KEY (player1_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (player2_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (winner_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_player1 (player1_id),
+    INDEX idx_player2 (player2_id),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE game_sessions (
     session_id INT AUTO_INCREMENT PRIMARY KEY,
     
@@ -174,9 +273,16 @@ CREATE TABLE game_sessions (
     winner_id INT NULL,
     
     -- Game configuration
-    board_size INT NOT NULL,
+    board_size VARCHAR(10) NOT NULL, -- rows x cols, e.g. '4x4', '3x5'
     game_mode VARCHAR(50) NOT NULL, -- 'speed', 'fewest_moves', 'multiplayer', 'practice'
     puzzle_config_id INT NULL,
+    initial_state JSON NULL, -- Shared starting board for both players
+    minimum_moves INT NULL, -- Optimal length (or a lower bound) for initial_state, stored when the puzzle is created
+    minimum_moves_optimal BOOLEAN DEFAULT FALSE, -- TRUE if minimum_moves is proven optimal; only then can a game be perfect
+    puzzle_seed INT UNSIGNED NULL, -- PRNG seed the board was generated from (NULL for puzzle_configs boards)
+    is_bot_game BOOLEAN DEFAULT FALSE, -- player2 is a bot; unranked unless RANKED_BOT_GAMES is set
+    series_id INT NULL, -- Best-of-N series this game belongs to
+    series_game TINYINT NULL, -- 1-based game number within the series
     
     -- Game results
     status VARCHAR(20) DEFAULT 'in_progress', -- in_progress, completed, abandoned, draw
@@ -187,13 +293,17 @@ CREATE TABLE game_sessions (
     player1_moves INT DEFAULT 0,
     player1_time INT DEFAULT 0,
     player1_elo_change INT DEFAULT 0,
-    player1_powerups_used JSON, -- Array of powerup IDs used
+    player1_powerups_used JSON, -- Uses this game: [{ powerupId, powerupKey, usedAt }], usedAt in server ms
+    player1_flagged_reason VARCHAR(255) NULL, -- Why server-side validation last rejected this player's result
+    player1_pauses JSON, -- Pauses this game: [{ pausedAt, resumedAt }] in server ms, resumedAt null while paused
     
     -- Player 2 metrics (for multiplayer)
     player2_moves INT NULL,
     player2_time INT NULL,
     player2_elo_change INT DEFAULT 0,
     player2_powerups_used JSON,
+    player2_flagged_reason VARCHAR(255) NULL,
+    player2_pauses JSON,
     
     -- Performance tracking
     perfect_game BOOLEAN DEFAULT FALSE, -- Completed with minimum moves
@@ -208,11 +318,13 @@ CREATE TABLE game_sessions (
     FOREIGN KEY (player2_id) REFERENCES users(user_id) ON DELETE SET NULL,
     FOREIGN KEY (winner_id) REFERENCES users(user_id) ON DELETE SET NULL,
     FOREIGN KEY (puzzle_config_id) REFERENCES puzzle_configs(config_id) ON DELETE SET NULL,
+    FOREIGN KEY (series_id) REFERENCES match_series(series_id) ON DELETE SET NULL,
     
     INDEX idx_player1 (player1_id),
     INDEX idx_player2 (player2_id),
     INDEX idx_status (status),
     INDEX idx_mode (game_mode),
+    INDEX idx_series (series_id),
     INDEX idx_started (started_at),
     INDEX idx_board_size (board_size)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -244,13 +356,91 @@ CREATE TABLE game_moves (
     INDEX idx_move_number (move_number)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE tournaments (
+    tournament_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    created_by INT NULL,
+    
+    -- Configuration
+    format VARCHAR(20) NOT NULL, -- 'single_elimination', 'swiss'
+    board_size VARCHAR(10) NOT NULL,
+    game_mode VARCHAR(50) NOT NULL,
+    max_players INT NOT NULL,
+    total_rounds INT NULL, -- Set when the tournament starts
+    
+    -- Progress
+    status VARCHAR(20) DEFAULT 'registration', -- registration, in_progress, completed, cancelled
+    current_round INT DEFAULT 0,
+    winner_id INT NULL,
+    
+    -- Timestamps
+    start_time TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    
+    -- Foreign keys and indexes
+    FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (winner_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    
+    INDEX idx_status_start (status, start_time)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE tournament_players (
+    tournament_id INT NOT NULL,
+    user_id INT NOT NULL,
+    
+    -- Seeding, by ELO when the tournament starts
+    seed INT NULL,
+    seed_elo INT NULL,
+    
+    -- Results
+    points DECIMAL(4,1) DEFAULT 0.0, -- Swiss: 1 per win or bye
+    wins INT DEFAULT 0,
+    losses INT DEFAULT 0,
+    had_bye BOOLEAN DEFAULT FALSE,
+    eliminated BOOLEAN DEFAULT FALSE,
+    
+    registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (tournament_id, user_id),
+    FOREIGN KEY (tournament_id) REFERENCES tournaments(tournament_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE tournament_matches (
+    match_id INT AUTO_INCREMENT PRIMARY KEY,
+    tournament_id INT NOT NULL,
+    
+    -- Place in the bracket: round, then slot within the round
+    round INT NOT NULL,
+    position INT NOT NULL,
+    
+    player1_id INT NULL,
+    player2_id INT NULL, -- NULL for a bye
+    winner_id INT NULL,
+    session_id INT NULL, -- Game played for this match
+    
+    status VARCHAR(20) DEFAULT 'ready', -- ready, in_progress, completed, bye
+    completed_at TIMESTAMP NULL,
+    
+    FOREIGN KEY (tournament_id) REFERENCES tournaments(tournament_id) ON DELETE CASCADE,
+    FOREIGN KEY (player1_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (player2_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (winner_id) REFERENCES users(user_id) ON DELETE SET NULL,
+    FOREIGN KEY (session_id) REFERENCES game_sessions(session_id) ON DELETE SET NULL,
+    
+    UNIQUE KEY unique_slot (tournament_id, round, position),
+    INDEX idx_session (session_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE leaderboards (
     leaderboard_id INT AUTO_INCREMENT PRIMARY KEY,
     user_id INT NOT NULL,
     
     -- Ranking categories
-    category VARCHAR(50) NOT NULL, -- 'speed_overall', 'moves_overall', 'speed_4x4', etc.
-    board_size INT,
+    category VARCHAR(50) NOT NULL, -- 'speed_overall', 'moves_overall', 'speed_4x4', 'speed_3x5', etc.
+    board_size VARCHAR(10),
     
     -- Ranking metrics
     rank_position INT NOT NULL,
@@ -262,7 +452,7 @@ CREATE TABLE leaderboards (
     win_rate DECIMAL(5,2) DEFAULT 0.00,
     
     -- Time period
-    season VARCHAR(50) DEFAULT 'all_time', -- 'all_time', 'monthly', 'weekly'
+    season VARCHAR(50) DEFAULT 'all_time', -- 'all_time', 'monthly', 'weekly', 'season_<id>' for custom seasons
     season_start DATE NULL,
     season_end DATE NULL,
     
@@ -279,6 +469,73 @@ CREATE TABLE leaderboards (
     INDEX idx_season (season)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Ranked seasons: weekly and monthly ones roll over automatically,
+-- custom ones are scheduled with their own dates
+CREATE TABLE seasons (
+    season_id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    season_type VARCHAR(20) NOT NULL, -- 'weekly', 'monthly', 'custom'
+    
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    resets_ratings BOOLEAN DEFAULT FALSE, -- Soft-reset ratings when it ends
+    
+    status VARCHAR(20) DEFAULT 'scheduled', -- scheduled, active, closing, completed
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP NULL,
+    
+    INDEX idx_status_ends (status, ends_at),
+    INDEX idx_type_status (season_type, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Final standings of closed seasons: the 'rating' category plus every
+-- leaderboard category played during the season
+CREATE TABLE season_standings (
+    season_id INT NOT NULL,
+    category VARCHAR(50) NOT NULL,
+    user_id INT NOT NULL,
+    
+    rank_position INT NOT NULL,
+    score DECIMAL(12,2) NOT NULL,
+    elo_rating INT DEFAULT 1000,
+    
+    PRIMARY KEY (season_id, category, user_id),
+    FOREIGN KEY (season_id) REFERENCES seasons(season_id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    INDEX idx_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE user_badges (
+    user_id INT NOT NULL,
+    badge_key VARCHAR(50) NOT NULL, -- 'season_champion', 'season_top_10', ...
+    season_id INT NOT NULL,
+    awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    PRIMARY KEY (user_id, badge_key, season_id),
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (season_id) REFERENCES seasons(season_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE themes (
+    theme_id INT AUTO_INCREMENT PRIMARY KEY,
+    
+    -- Theme details
+    theme_key VARCHAR(50) UNIQUE NOT NULL, -- Value of selected_theme / unlocked_themes
+    name VARCHAR(100) NOT NULL,
+    description TEXT NOT NULL, -- Shown while the theme is locked
+    
+    -- Unlock criteria
+    unlock_type VARCHAR(50) NULL, -- Rule in server/themes.js: 'total_wins', 'elo_rating', 'level'; NULL = free for everyone
+    unlock_value INT DEFAULT 0,
+    
+    -- Display
+    palette JSON NOT NULL, -- { primary, secondary, accent, backgroundStart, backgroundEnd }
+    assets JSON, -- { puzzleImage, music }
+    sort_order INT DEFAULT 0,
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE achievements (
     achievement_id INT AUTO_INCREMENT PRIMARY KEY,
     
@@ -289,8 +546,9 @@ CREATE TABLE achievements (
     
     -- Requirements
     category VARCHAR(50) NOT NULL, -- 'gameplay', 'speed', 'efficiency', 'competitive', 'special'
-    requirement_type VARCHAR(50) NOT NULL, -- 'games_played', 'wins', 'perfect_games', 'time', etc.
-    requirement_value INT NOT NULL,
+    requirement_type VARCHAR(50) NOT NULL, -- Rule in server/achievements.js: 'games_completed', 'completion_time', 'board_size_4x4', etc.
+    requirement_value INT NOT NULL, -- Threshold; for 'completion_time' the time to beat in seconds
+    requirement_filter VARCHAR(50) NULL, -- Board size for 'completion_time', theme for 'themed_games'/'theme_unlock'
     
     -- Rewards
     xp_reward INT DEFAULT 0,
@@ -395,49 +653,75 @@ CREATE TABLE user_powerups (
     INDEX idx_user (user_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
-INSERT INTO achievements (achievement_key, name, description, category, requirement_type, requirement_value, xp_reward, rarity) VALUES
+-- Audit trail: every powerup added to an inventory, and why
+CREATE TABLE powerup_grants (
+    grant_id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    powerup_id INT NOT NULL,
+    quantity INT NOT NULL,
+    
+    source VARCHAR(30) NOT NULL, -- 'win', 'multiplayer_win', 'level_up', 'achievement', 'daily_login', 'login_streak', 'win_streak', 'season', 'admin'
+    source_ref VARCHAR(100) NULL, -- Session id, achievement key, season id, etc.
+    
+    granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (powerup_id) REFERENCES powerups(powerup_id) ON DELETE CASCADE,
+    INDEX idx_user_granted (user_id, granted_at),
+    INDEX idx_source (source)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO achievements (achievement_key, name, description, category, requirement_type, requirement_value, xp_reward, rarity, requirement_filter) VALUES
 -- Gameplay achievements
-('first_steps', 'First Steps', 'Complete your first puzzle', 'gameplay', 'games_completed', 1, 100, 'common'),
-('puzzle_enthusiast', 'Puzzle Enthusiast', 'Complete 10 puzzles', 'gameplay', 'games_completed', 10, 250, 'common'),
-('puzzle_master', 'Puzzle Master', 'Complete 50 puzzles', 'gameplay', 'games_completed', 50, 500, 'rare'),
-('puzzle_legend', 'Puzzle Legend', 'Complete 100 puzzles', 'gameplay', 'games_completed', 100, 1000, 'epic'),
-('puzzle_god', 'Puzzle God', 'Complete 500 puzzles', 'gameplay', 'games_completed', 500, 5000, 'legendary'),
+('first_steps', 'First Steps', 'Complete your first puzzle', 'gameplay', 'games_completed', 1, 100, 'common', NULL),
+('puzzle_enthusiast', 'Puzzle Enthusiast', 'Complete 10 puzzles', 'gameplay', 'games_completed', 10, 250, 'common', NULL),
+('puzzle_master', 'Puzzle Master', 'Complete 50 puzzles', 'gameplay', 'games_completed', 50, 500, 'rare', NULL),
+('puzzle_legend', 'Puzzle Legend', 'Complete 100 puzzles', 'gameplay', 'games_completed', 100, 1000, 'epic', NULL),
+('puzzle_god', 'Puzzle God', 'Complete 500 puzzles', 'gameplay', 'games_completed', 500, 5000, 'legendary', NULL),
 
 -- Speed achievements
-('speed_demon', 'Speed Demon', 'Complete a 4x4 puzzle in under 60 seconds', 'speed', 'completion_time', 60, 300, 'rare'),
-('lightning_fast', 'Lightning Fast', 'Complete a 4x4 puzzle in under 30 seconds', 'speed', 'completion_time', 30, 500, 'epic'),
-('time_master', 'Time Master', 'Complete a 4x4 puzzle in under 20 seconds', 'speed', 'completion_time', 20, 1000, 'legendary'),
+('speed_demon', 'Speed Demon', 'Complete a 4x4 puzzle in under 60 seconds', 'speed', 'completion_time', 60, 300, 'rare', '4x4'),
+('lightning_fast', 'Lightning Fast', 'Complete a 4x4 puzzle in under 30 seconds', 'speed', 'completion_time', 30, 500, 'epic', '4x4'),
+('time_master', 'Time Master', 'Complete a 4x4 puzzle in under 20 seconds', 'speed', 'completion_time', 20, 1000, 'legendary', '4x4'),
 
 -- Efficiency achievements
-('efficient_solver', 'Efficient Solver', 'Complete a puzzle with minimum moves', 'efficiency', 'perfect_games', 1, 400, 'rare'),
-('perfectionist', 'Perfectionist', 'Complete 5 puzzles with minimum moves', 'efficiency', 'perfect_games', 5, 800, 'epic'),
-('move_optimizer', 'Move Optimizer', 'Complete 20 puzzles with minimum moves', 'efficiency', 'perfect_games', 20, 2000, 'legendary'),
+('efficient_solver', 'Efficient Solver', 'Complete a puzzle with minimum moves', 'efficiency', 'perfect_games', 1, 400, 'rare', NULL),
+('perfectionist', 'Perfectionist', 'Complete 5 puzzles with minimum moves', 'efficiency', 'perfect_games', 5, 800, 'epic', NULL),
+('move_optimizer', 'Move Optimizer', 'Complete 20 puzzles with minimum moves', 'efficiency', 'perfect_games', 20, 2000, 'legendary', NULL),
 
 -- Competitive achievements
-('first_victory', 'First Victory', 'Win your first multiplayer match', 'competitive', 'multiplayer_wins', 1, 200, 'common'),
-('champion', 'Champion', 'Win 10 multiplayer matches', 'competitive', 'multiplayer_wins', 10, 500, 'rare'),
-('grand_champion', 'Grand Champion', 'Win 50 multiplayer matches', 'competitive', 'multiplayer_wins', 50, 1500, 'epic'),
-('win_streak_3', 'Hat Trick', 'Win 3 matches in a row', 'competitive', 'win_streak', 3, 300, 'rare'),
-('win_streak_5', 'Unstoppable', 'Win 5 matches in a row', 'competitive', 'win_streak', 5, 600, 'epic'),
-('win_streak_10', 'Legendary Streak', 'Win 10 matches in a row', 'competitive', 'win_streak', 10, 2000, 'legendary'),
-('elo_1500', 'Rising Star', 'Reach 1500 ELO rating', 'competitive', 'elo_rating', 1500, 400, 'rare'),
-('elo_1800', 'Elite Player', 'Reach 1800 ELO rating', 'competitive', 'elo_rating', 1800, 800, 'epic'),
-('elo_2200', 'Master Rank', 'Reach 2200 ELO rating', 'competitive', 'elo_rating', 2200, 2000, 'legendary'),
+('first_victory', 'First Victory', 'Win your first multiplayer match', 'competitive', 'multiplayer_wins', 1, 200, 'common', NULL),
+('champion', 'Champion', 'Win 10 multiplayer matches', 'competitive', 'multiplayer_wins', 10, 500, 'rare', NULL),
+('grand_champion', 'Grand Champion', 'Win 50 multiplayer matches', 'competitive', 'multiplayer_wins', 50, 1500, 'epic', NULL),
+('win_streak_3', 'Hat Trick', 'Win 3 matches in a row', 'competitive', 'win_streak', 3, 300, 'rare', NULL),
+('win_streak_5', 'Unstoppable', 'Win 5 matches in a row', 'competitive', 'win_streak', 5, 600, 'epic', NULL),
+('win_streak_10', 'Legendary Streak', 'Win 10 matches in a row', 'competitive', 'win_streak', 10, 2000, 'legendary', NULL),
+('elo_1500', 'Rising Star', 'Reach 1500 ELO rating', 'competitive', 'elo_rating', 1500, 400, 'rare', NULL),
+('elo_1800', 'Elite Player', 'Reach 1800 ELO rating', 'competitive', 'elo_rating', 1800, 800, 'epic', NULL),
+('elo_2200', 'Master Rank', 'Reach 2200 ELO rating', 'competitive', 'elo_rating', 2200, 2000, 'legendary', NULL),
 
 -- Reindeer-themed special achievements
-('dasher_devotee', 'Dasher Devotee', 'Complete 25 puzzles with Dasher theme', 'special', 'themed_games', 25, 300, 'rare'),
-('prancer_pro', 'Prancer Pro', 'Unlock and use the Prancer theme', 'special', 'theme_unlock', 1, 400, 'rare'),
-('comet_collector', 'Comet Collector', 'Unlock and use the Comet theme', 'special', 'theme_unlock', 1, 600, 'epic'),
-('blitzen_master', 'Blitzen Master', 'Unlock and use the Blitzen theme', 'special', 'theme_unlock', 1, 800, 'epic'),
-('rudolph_rider', 'Rudolph Rider', 'Unlock the legendary Rudolph theme', 'special', 'theme_unlock', 1, 1500, 'legendary'),
-('aurora_achiever', 'Aurora Achiever', 'Unlock the mystical Aurora theme', 'special', 'theme_unlock', 1, 2000, 'legendary'),
+('dasher_devotee', 'Dasher Devotee', 'Complete 25 puzzles with Dasher theme', 'special', 'themed_games', 25, 300, 'rare', 'dasher'),
+('prancer_pro', 'Prancer Pro', 'Unlock and use the Prancer theme', 'special', 'theme_unlock', 1, 400, 'rare', 'prancer'),
+('comet_collector', 'Comet Collector', 'Unlock and use the Comet theme', 'special', 'theme_unlock', 1, 600, 'epic', 'comet'),
+('blitzen_master', 'Blitzen Master', 'Unlock and use the Blitzen theme', 'special', 'theme_unlock', 1, 800, 'epic', 'blitzen'),
+('rudolph_rider', 'Rudolph Rider', 'Unlock the legendary Rudolph theme', 'special', 'theme_unlock', 1, 1500, 'legendary', 'rudolph'),
+('aurora_achiever', 'Aurora Achiever', 'Unlock the mystical Aurora theme', 'special', 'theme_unlock', 1, 2000, 'legendary', 'aurora'),
 
 -- Board size achievements
-('tiny_titan', 'Tiny Titan', 'Complete 20 puzzles on 3x3 board', 'gameplay', 'board_size_3x3', 20, 200, 'common'),
-('classic_champion', 'Classic Champion', 'Complete 50 puzzles on 4x4 board', 'gameplay', 'board_size_4x4', 50, 300, 'rare'),
-('mega_master', 'Mega Master', 'Complete 30 puzzles on 6x6 board', 'gameplay', 'board_size_6x6', 30, 500, 'epic'),
-('giant_genius', 'Giant Genius', 'Complete 20 puzzles on 8x8 board', 'gameplay', 'board_size_8x8', 20, 800, 'epic'),
-('colossal_conqueror', 'Colossal Conqueror', 'Complete 10 puzzles on 10x10 board', 'gameplay', 'board_size_10x10', 10, 1500, 'legendary');
+('tiny_titan', 'Tiny Titan', 'Complete 20 puzzles on 3x3 board', 'gameplay', 'board_size_3x3', 20, 200, 'common', NULL),
+('classic_champion', 'Classic Champion', 'Complete 50 puzzles on 4x4 board', 'gameplay', 'board_size_4x4', 50, 300, 'rare', NULL),
+('mega_master', 'Mega Master', 'Complete 30 puzzles on 6x6 board', 'gameplay', 'board_size_6x6', 30, 500, 'epic', NULL),
+('giant_genius', 'Giant Genius', 'Complete 20 puzzles on 8x8 board', 'gameplay', 'board_size_8x8', 20, 800, 'epic', NULL),
+('colossal_conqueror', 'Colossal Conqueror', 'Complete 10 puzzles on 10x10 board', 'gameplay', 'board_size_10x10', 10, 1500, 'legendary', NULL);
+
+INSERT INTO themes (theme_key, name, description, unlock_type, unlock_value, palette, assets, sort_order) VALUES
+('dasher', 'Dasher', 'The classic Christmas green and red', NULL, 0, '{"primary": "#1e4d2b", "secondary": "#8b2635", "accent": "#d4af37", "backgroundStart": "#1e4d2b", "backgroundEnd": "#0d2818"}', '{"puzzleImage": "/images/puzzle-complete.jpg", "music": "/audio/menu-theme.mp3"}', 1),
+('prancer', 'Prancer', 'Win 50 games to unlock', 'total_wins', 50, '{"primary": "#4a1a4f", "secondary": "#8b6508", "accent": "#ffd700", "backgroundStart": "#4a1a4f", "backgroundEnd": "#2a0a2f"}', '{"puzzleImage": "/images/puzzle-complete.jpg", "music": "/audio/menu-theme.mp3"}', 2),
+('comet', 'Comet', 'Win 100 games to unlock', 'total_wins', 100, '{"primary": "#1a3a52", "secondary": "#4a7c9b", "accent": "#c0c0c0", "backgroundStart": "#1a3a52", "backgroundEnd": "#0a1a2a"}', '{"puzzleImage": "/images/puzzle-complete.jpg", "music": "/audio/menu-theme.mp3"}', 3),
+('blitzen', 'Blitzen', 'Win 200 games to unlock', 'total_wins', 200, '{"primary": "#c85a17", "secondary": "#f4a127", "accent": "#ffe066", "backgroundStart": "#c85a17", "backgroundEnd": "#8a3a07"}', '{"puzzleImage": "/images/puzzle-complete.jpg", "music": "/audio/menu-theme.mp3"}', 4),
+('rudolph', 'Rudolph', 'Reach a 1800 rating to unlock', 'elo_rating', 1800, '{"primary": "#8b0000", "secondary": "#dc143c", "accent": "#ffffff", "backgroundStart": "#8b0000", "backgroundEnd": "#4b0000"}', '{"puzzleImage": "/images/puzzle-complete.jpg", "music": "/audio/menu-theme.mp3"}', 5),
+('aurora', 'Aurora', 'Reach level 50 to unlock', 'level', 50, '{"primary": "#2d1b4e", "secondary": "#5c3d7a", "accent": "#00ffff", "backgroundStart": "#2d1b4e", "backgroundEnd": "#1d0b3e"}', '{"puzzleImage": "/images/puzzle-complete.jpg", "music": "/audio/menu-theme.mp3"}', 6);
 
 INSERT INTO powerups (powerup_key, name, description, effect_type, duration, cooldown, rarity, usable_in_competitive, max_per_game, color) VALUES
 ('peek', 'Peek', 'Briefly show the solution for 3 seconds', 'peek', 3, 60, 'common', FALSE, 2, 'cyan'),
@@ -510,7 +794,7 @@ CREATE PROCEDURE sp_update_user_stats(
     IN p_is_win BOOLEAN,
     IN p_completion_time INT,
     IN p_move_count INT,
-    IN p_board_size INT,
+    IN p_board_size VARCHAR(10),
     IN p_game_mode VARCHAR(50)
 )
 BEGIN
@@ -544,17 +828,24 @@ BEGIN
     END IF;
     
     -- Update board size stats
-    UPDATE user_stats
-    SET
-        games_3x3 = games_3x3 + IF(p_board_size = 3, 1, 0),
-        games_4x4 = games_4x4 + IF(p_board_size = 4, 1, 0),
-        games_6x6 = games_6x6 + IF(p_board_size = 6, 1, 0),
-        games_8x8 = games_8x8 + IF(p_board_size = 8, 1, 0),
-        games_10x10 = games_10x10 + IF(p_board_size = 10, 1, 0)
-    WHERE user_id = p_user_id;
+    INSERT INTO user_board_stats (user_id, board_size, games_played, games_won, best_completion_time, best_move_count)
+    VALUES (
+        p_user_id,
+        p_board_size,
+        1,
+        IF(p_is_win, 1, 0),
+        IF(p_is_win, p_completion_time, 0),
+        IF(p_is_win, p_move_count, 0)
+    )
+    ON DUPLICATE KEY UPDATE
+        games_played = games_played + 1,
+        games_won = games_won + IF(p_is_win, 1, 0),
+        best_completion_time = IF(p_is_win AND (best_completion_time = 0 OR p_completion_time < best_completion_time), p_completion_time, best_completion_time),
+        best_move_count = IF(p_is_win AND (best_move_count = 0 OR p_move_count < best_move_count), p_move_count, best_move_count);
 END //
 
 -- Procedure: Calculate and update ELO ratings
+-- Legacy fixed-K rating, only used when the server sets RATING_SYSTEM=elo
 CREATE PROCEDURE sp_update_elo(
     IN p_player1_id INT,
     IN p_player2_id INT,
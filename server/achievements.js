@@ -0,0 +1,110 @@
+/**
+ * Achievement rules.
+ *
+ * Each achievements row names a rule in requirement_type. A rule reads the
+ * player's progress from a snapshot of their stats, and the achievement is
+ * complete once that progress reaches requirement_value. completion_time
+ * counts the other way: progress is the player's best time in seconds and
+ * it has to come in under the requirement. requirement_filter narrows a rule
+ * to one board size or theme.
+ *
+ * The snapshot is { stats, boardStats, perfectGames, themeGames,
+ * unlockedThemes }, loaded by db.getAchievementProgress.
+ */
+
+const BOARD_SIZE_PREFIX = "board_size_";
+
+const getBoardStats = (player, boardSize) =>
+  player.boardStats.find((entry) => entry.board_size === boardSize) || {};
+
+const RULES = {
+  games_completed: {
+    progress: (player) => player.stats.total_games,
+  },
+  completion_time: {
+    lowerIsBetter: true,
+    progress: (player, boardSize) =>
+      boardSize
+        ? getBoardStats(player, boardSize).best_completion_time
+        : player.stats.best_completion_time,
+  },
+  perfect_games: {
+    progress: (player) => player.perfectGames,
+  },
+  multiplayer_wins: {
+    progress: (player) => player.stats.multiplayer_wins,
+  },
+  win_streak: {
+    progress: (player) => player.stats.best_win_streak,
+  },
+  elo_rating: {
+    progress: (player) => player.stats.elo_rating,
+  },
+  themed_games: {
+    progress: (player, theme) => player.themeGames[theme],
+  },
+  theme_unlock: {
+    progress: (player, theme) =>
+      player.unlockedThemes.includes(theme) ? 1 : 0,
+  },
+};
+
+// board_size_4x4 and friends share one rule, with the size in the name
+const BOARD_SIZE_RULE = {
+  progress: (player, boardSize) =>
+    getBoardStats(player, boardSize).games_played,
+};
+
+/**
+ * Rule and filter for an achievement
+ * @param {Object} achievement - achievements row
+ * @returns {Object|null} { rule, filter }, or null for an unknown type
+ */
+function getRule(achievement) {
+  const type = achievement.requirement_type;
+  if (type.startsWith(BOARD_SIZE_PREFIX)) {
+    return {
+      rule: BOARD_SIZE_RULE,
+      filter: type.slice(BOARD_SIZE_PREFIX.length),
+    };
+  }
+  if (!RULES[type]) return null;
+  return { rule: RULES[type], filter: achievement.requirement_filter };
+}
+
+/**
+ * Progress on each achievement for a player
+ * @param {Array} achievements - achievements rows
+ * @param {Object} player - Progress snapshot (see above)
+ * @returns {Array} [{ achievementId, progress, completed }]; achievements
+ *   with an unknown requirement_type are left out
+ */
+function evaluateAchievements(achievements, player) {
+  const results = [];
+
+  achievements.forEach((achievement) => {
+    const match = getRule(achievement);
+    if (!match) return;
+
+    const progress = Number(match.rule.progress(player, match.filter)) || 0;
+    const required = achievement.requirement_value;
+    // A best time of 0 means the player has no time to count yet
+    const completed = match.rule.lowerIsBetter
+      ? progress > 0 && progress < required
+      : progress >= required;
+
+    results.push({
+      achievementId: achievement.achievement_id,
+      progress,
+      completed,
+    });
+  });
+
+  return results;
+}
+
+module.exports = {
+  RULES,
+  getRule,
+  evaluateAchievements,
+};
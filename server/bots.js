@@ -0,0 +1,195 @@
+const puzzleLogic = require("./puzzleLogic");
+const { findSolution } = require("./reductionSolver");
+
+/**
+ * Server-side bot opponents for multiplayer.
+ *
+ * A bot plans a real solution up front, then plays it move by move at its
+ * profile's pace, sometimes sliding a wrong tile and taking it back. Each
+ * profile covers an ELO band, and the bot's rating is pinned to the middle
+ * of that band.
+ */
+
+const BOT_PROFILES = {
+  novice: {
+    key: "novice",
+    displayName: "Novice Bot",
+    movesPerSecond: 1.5,
+    errorRate: 0.2,
+    eloRange: [0, 900],
+  },
+  casual: {
+    key: "casual",
+    displayName: "Casual Bot",
+    movesPerSecond: 2.5,
+    errorRate: 0.1,
+    eloRange: [900, 1100],
+  },
+  skilled: {
+    key: "skilled",
+    displayName: "Skilled Bot",
+    movesPerSecond: 4,
+    errorRate: 0.04,
+    eloRange: [1100, 1350],
+  },
+  expert: {
+    key: "expert",
+    displayName: "Expert Bot",
+    movesPerSecond: 7,
+    errorRate: 0.01,
+    eloRange: [1350, 1600],
+  },
+};
+
+// Pause before the first move, as if reading the board
+const REACTION_MS = 1500;
+
+// Budget for the optimal solver before falling back to reduction
+const PLAN_BUDGET = { timeLimitMs: 1500 };
+
+/**
+ * Look up a bot profile
+ * @param {String} key - Profile key, e.g. 'casual'
+ * @returns {Object|null} Profile
+ */
+function getBotProfile(key) {
+  return Object.hasOwn(BOT_PROFILES, key) ? BOT_PROFILES[key] : null;
+}
+
+/**
+ * Profile whose ELO band contains a rating (the top band above its range)
+ * @param {Number} elo - Player rating
+ * @returns {Object} Profile
+ */
+function pickBotProfile(elo) {
+  const profiles = Object.values(BOT_PROFILES);
+  return (
+    profiles.find(({ eloRange: [min, max] }) => elo >= min && elo < max) ||
+    profiles[profiles.length - 1]
+  );
+}
+
+/**
+ * Rating a bot plays at: the middle of its band
+ * @param {Object} profile - Bot profile
+ * @returns {Number}
+ */
+function getBotElo(profile) {
+  const [min, max] = profile.eloRange;
+  return Math.round((min + max) / 2);
+}
+
+/**
+ * Plan the moves a bot will play. This runs the solver, so the server
+ * calls it on the solver worker (solverPool.planBotSolution).
+ * @param {Array} initialState - Starting board
+ * @param {Number|String} boardSize - Board size
+ * @returns {Array} Tile indices to slide in order
+ */
+function planSolution(initialState, boardSize) {
+  const solution = findSolution(initialState, boardSize, PLAN_BUDGET);
+  if (!solution) throw new Error("Bot was given an unsolvable board");
+  return solution.moves;
+}
+
+/**
+ * Create a bot that plays one board
+ * @param {Object} options - { profile, boardSize, initialState, solution,
+ *   onMove, onSolved, random }
+ *   solution comes from planSolution; onMove(moveData) receives the same
+ *   payload a client sends with game_move; onSolved({ moves, elapsedMs })
+ *   fires after the last move.
+ * @returns {Object} { start(delayMs), stop() }
+ */
+function createBotRunner({
+  profile,
+  boardSize,
+  initialState,
+  solution,
+  onMove,
+  onSolved,
+  random = Math.random,
+}) {
+  if (!Array.isArray(solution)) throw new Error("Bot has no planned solution");
+
+  const plan = [...solution];
+  const history = [];
+  const interval = 1000 / profile.movesPerSecond;
+
+  let board = [...initialState];
+  let startedAt = null;
+  let timer = null;
+
+  const pickMove = () => {
+    const emptyIndex = board.indexOf(0);
+
+    if (random() < profile.errorRate) {
+      const wrong = puzzleLogic
+        .getValidMoves(board, emptyIndex, boardSize)
+        .filter((tileIndex) => tileIndex !== plan[0]);
+
+      if (wrong.length > 0) {
+        // Slide a wrong tile, then slide it straight back
+        plan.unshift(emptyIndex);
+        return wrong[Math.floor(random() * wrong.length)];
+      }
+    }
+
+    return plan.shift();
+  };
+
+  const step = () => {
+    const emptyIndex = board.indexOf(0);
+    const tileIndex = pickMove();
+
+    board = puzzleLogic.moveTile(board, tileIndex, boardSize);
+
+    const moveData = {
+      moveNumber: history.length + 1,
+      tilePosition: tileIndex,
+      emptyPosition: emptyIndex,
+      direction: puzzleLogic.getMoveDirection(tileIndex, emptyIndex, boardSize),
+      boardState: board,
+      timeElapsed: Date.now() - startedAt,
+    };
+    history.push(moveData);
+    onMove(moveData);
+
+    if (plan.length === 0) {
+      timer = null;
+      onSolved({ moves: history, elapsedMs: moveData.timeElapsed });
+      return;
+    }
+
+    // Vary the pace so moves do not arrive on a metronome
+    timer = setTimeout(step, interval * (0.6 + random() * 0.8));
+  };
+
+  return {
+    start(delayMs = 0) {
+      timer = setTimeout(() => {
+        startedAt = Date.now() - REACTION_MS;
+        if (plan.length === 0) {
+          timer = null;
+          onSolved({ moves: history, elapsedMs: 0 });
+          return;
+        }
+        step();
+      }, delayMs + REACTION_MS);
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  BOT_PROFILES,
+  getBotProfile,
+  pickBotProfile,
+  getBotElo,
+  planSolution,
+  createBotRunner,
+};
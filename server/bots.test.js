@@ -0,0 +1,77 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const bots = require("./bots");
+const puzzleLogic = require("./puzzleLogic");
+
+const playMoves = (board, size, moves) =>
+  moves.reduce(
+    (current, tile) => puzzleLogic.moveTile(current, tile, size),
+    board,
+  );
+
+describe("planSolution", () => {
+  it("plans moves that solve the board", () => {
+    for (const size of ["3x3", "4x4", "3x5"]) {
+      const board = puzzleLogic.generateSolvablePuzzle(size, 42);
+      const moves = bots.planSolution(board, size);
+
+      assert.equal(puzzleLogic.isSolved(playMoves(board, size, moves)), true);
+    }
+  });
+
+  it("refuses an unsolvable board", () => {
+    const board = puzzleLogic.createSolvedBoard(3);
+    [board[0], board[1]] = [board[1], board[0]];
+
+    assert.throws(() => bots.planSolution(board, "3x3"), /unsolvable/);
+  });
+});
+
+describe("createBotRunner", () => {
+  it("needs a planned solution", () => {
+    assert.throws(
+      () =>
+        bots.createBotRunner({
+          profile: bots.getBotProfile("casual"),
+          boardSize: "3x3",
+          initialState: puzzleLogic.generateSolvablePuzzle("3x3", 1),
+        }),
+      /no planned solution/,
+    );
+  });
+
+  it("plays its plan move by move and reports the solve", () => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"] });
+
+    try {
+      const board = puzzleLogic.generateSolvablePuzzle("3x3", 7);
+      const solution = bots.planSolution(board, "3x3");
+      const moves = [];
+      let solved = null;
+
+      const bot = bots.createBotRunner({
+        profile: bots.getBotProfile("expert"),
+        boardSize: "3x3",
+        initialState: board,
+        solution,
+        onMove: (moveData) => moves.push(moveData),
+        onSolved: (result) => {
+          solved = result;
+        },
+        // Never takes a wrong turn
+        random: () => 0.99,
+      });
+
+      bot.start(0);
+      // One second at a time, so each move's follow-up timer gets its turn
+      for (let second = 0; second < 60; second++) mock.timers.tick(1000);
+
+      assert.deepEqual(moves.map((move) => move.tilePosition), solution);
+      assert.equal(puzzleLogic.isSolved(moves.at(-1).boardState), true);
+      assert.equal(solved.moves.length, solution.length);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
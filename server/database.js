@@ -25,6 +25,12 @@ pool
     process.exit(1);
   });
 
+// unlocked_themes is a JSON column; mysql2 hands it back already parsed
+const parseThemes = (value) => {
+  if (!value) return [];
+  return typeof value === "string" ? JSON.parse(value) : value;
+};
+
 const db = {
   // Create new user with hashed password
   async createUser(username, email, passwordHash, displayName) {
@@ -66,6 +72,31 @@ const db = {
     return rows[0];
   },
 
+  // Bot accounts are created on first use; their rating is reset to the
+  // bot's band each time so results never drift it
+  async getOrCreateBotUser(username, displayName, eloRating) {
+    await pool.execute(
+      `INSERT IGNORE INTO users (username, email, password_hash, display_name, is_bot)
+             VALUES (?, ?, '!', ?, TRUE)`,
+      [username, `${username}@bots.invalid`, displayName],
+    );
+
+    const [rows] = await pool.execute(
+      `SELECT user_id, username, display_name FROM users WHERE username = ? AND is_bot = TRUE`,
+      [username],
+    );
+    if (rows.length === 0) return null;
+
+    await pool.execute(`UPDATE user_stats SET elo_rating = ? WHERE user_id = ?`, [
+      eloRating,
+      rows[0].user_id,
+    ]);
+    await pool.execute(`DELETE FROM player_ratings WHERE user_id = ?`, [
+      rows[0].user_id,
+    ]);
+    return rows[0];
+  },
+
   // Update user profile
   async updateUserProfile(userId, updates) {
     const allowedFields = [
@@ -156,6 +187,17 @@ const db = {
     return rows[0];
   },
 
+  async getUserBoardStats(userId) {
+    const [rows] = await pool.execute(
+      `SELECT board_size, games_played, games_won, best_completion_time, best_move_count
+             FROM user_board_stats
+             WHERE user_id = ?
+             ORDER BY games_played DESC`,
+      [userId],
+    );
+    return rows;
+  },
+
   // Update stats after game (uses stored procedure)
   async updateUserStatsAfterGame(
     userId,
@@ -224,16 +266,31 @@ const db = {
     return true;
   },
 
-  async unlockTheme(userId, themeName) {
-    const [current] = await pool.execute(
+  async getThemes() {
+    const [rows] = await pool.execute(
+      `SELECT * FROM themes ORDER BY sort_order, name`,
+    );
+    return rows;
+  },
+
+  async getTheme(themeKey) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM themes WHERE theme_key = ?`,
+      [themeKey],
+    );
+    return rows[0];
+  },
+
+  async getUnlockedThemes(userId) {
+    const [rows] = await pool.execute(
       `SELECT unlocked_themes FROM user_preferences WHERE user_id = ?`,
       [userId],
     );
+    return parseThemes(rows[0] && rows[0].unlocked_themes);
+  },
 
-    let themes = [];
-    if (current[0].unlocked_themes) {
-      themes = JSON.parse(current[0].unlocked_themes);
-    }
+  async unlockTheme(userId, themeName) {
+    const themes = await this.getUnlockedThemes(userId);
 
     if (!themes.includes(themeName)) {
       themes.push(themeName);
@@ -252,15 +309,327 @@ const db = {
     boardSize,
     gameMode,
     puzzleConfigId,
+    initialState = null,
+    puzzleSeed = null,
+    isBotGame = false,
+    seriesId = null,
+    seriesGame = null,
   ) {
     const [result] = await pool.execute(
-      `INSERT INTO game_sessions (player1_id, player2_id, board_size, game_mode, puzzle_config_id)
+      `INSERT INTO game_sessions (player1_id, player2_id, board_size, game_mode, puzzle_config_id, initial_state, puzzle_seed, is_bot_game, series_id, series_game)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        player1Id,
+        player2Id,
+        boardSize,
+        gameMode,
+        puzzleConfigId,
+        initialState ? JSON.stringify(initialState) : null,
+        puzzleSeed,
+        isBotGame,
+        seriesId,
+        seriesGame,
+      ],
+    );
+    return result.insertId;
+  },
+
+  async createMatchSeries(player1Id, player2Id, bestOf, boardSize, gameMode) {
+    const [result] = await pool.execute(
+      `INSERT INTO match_series (player1_id, player2_id, best_of, board_size, game_mode)
              VALUES (?, ?, ?, ?, ?)`,
-      [player1Id, player2Id, boardSize, gameMode, puzzleConfigId],
+      [player1Id, player2Id, bestOf, boardSize, gameMode],
     );
     return result.insertId;
   },
 
+  async getMatchSeries(seriesId) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM match_series WHERE series_id = ?`,
+      [seriesId],
+    );
+    return rows[0];
+  },
+
+  async updateMatchSeries(seriesId, updates) {
+    const allowedFields = [
+      "player1_wins",
+      "player2_wins",
+      "status",
+      "winner_id",
+      "player1_elo_change",
+      "player2_elo_change",
+    ];
+
+    const fields = [];
+    const values = [];
+
+    Object.keys(updates).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(updates[key]);
+      }
+    });
+
+    if (updates.status && updates.status !== "in_progress") {
+      fields.push("completed_at = CURRENT_TIMESTAMP");
+    }
+
+    if (fields.length === 0) return false;
+
+    values.push(seriesId);
+    await pool.execute(
+      `UPDATE match_series SET ${fields.join(", ")} WHERE series_id = ?`,
+      values,
+    );
+    return true;
+  },
+
+  async createTournament(createdBy, tournament) {
+    const [result] = await pool.execute(
+      `INSERT INTO tournaments (name, created_by, format, board_size, game_mode, max_players, start_time)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tournament.name,
+        createdBy,
+        tournament.format,
+        tournament.boardSize,
+        tournament.mode,
+        tournament.maxPlayers,
+        tournament.startTime,
+      ],
+    );
+    return result.insertId;
+  },
+
+  async getTournament(tournamentId) {
+    const [rows] = await pool.execute(
+      `SELECT t.*, u.username as created_by_username,
+                    (SELECT COUNT(*) FROM tournament_players tp
+                     WHERE tp.tournament_id = t.tournament_id) as player_count
+             FROM tournaments t
+             LEFT JOIN users u ON t.created_by = u.user_id
+             WHERE t.tournament_id = ?`,
+      [tournamentId],
+    );
+    return rows[0];
+  },
+
+  // Open and running tournaments first, then the most recent finished ones
+  async getTournaments(limit = 50) {
+    const [rows] = await pool.execute(
+      `SELECT t.*, u.username as created_by_username,
+                    (SELECT COUNT(*) FROM tournament_players tp
+                     WHERE tp.tournament_id = t.tournament_id) as player_count
+             FROM tournaments t
+             LEFT JOIN users u ON t.created_by = u.user_id
+             ORDER BY t.status IN ('completed', 'cancelled'), t.start_time DESC
+             LIMIT ?`,
+      [limit],
+    );
+    return rows;
+  },
+
+  // Tournaments still in registration whose start time has passed
+  async getDueTournaments() {
+    const [rows] = await pool.execute(
+      `SELECT * FROM tournaments
+             WHERE status = 'registration' AND start_time <= CURRENT_TIMESTAMP`,
+    );
+    return rows;
+  },
+
+  async updateTournament(tournamentId, updates) {
+    const allowedFields = [
+      "status",
+      "current_round",
+      "total_rounds",
+      "winner_id",
+    ];
+
+    const fields = [];
+    const values = [];
+
+    Object.keys(updates).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(updates[key]);
+      }
+    });
+
+    if (updates.status === "completed" || updates.status === "cancelled") {
+      fields.push("completed_at = CURRENT_TIMESTAMP");
+    }
+
+    if (fields.length === 0) return false;
+
+    values.push(tournamentId);
+    await pool.execute(
+      `UPDATE tournaments SET ${fields.join(", ")} WHERE tournament_id = ?`,
+      values,
+    );
+    return true;
+  },
+
+  // Move a tournament on from a round; false if another caller already did,
+  // so each round is only paired once
+  async claimTournamentRound(tournamentId, fromRound) {
+    const [result] = await pool.execute(
+      `UPDATE tournaments SET current_round = ?, status = 'in_progress'
+             WHERE tournament_id = ? AND current_round = ?`,
+      [fromRound + 1, tournamentId, fromRound],
+    );
+    return result.affectedRows === 1;
+  },
+
+  // Register while the tournament is open and has room; false otherwise
+  async registerTournamentPlayer(tournamentId, userId) {
+    const [result] = await pool.execute(
+      `INSERT IGNORE INTO tournament_players (tournament_id, user_id)
+             SELECT t.tournament_id, ? FROM tournaments t
+             WHERE t.tournament_id = ? AND t.status = 'registration'
+               AND (SELECT COUNT(*) FROM tournament_players tp
+                    WHERE tp.tournament_id = t.tournament_id) < t.max_players`,
+      [userId, tournamentId],
+    );
+    return result.affectedRows === 1;
+  },
+
+  async unregisterTournamentPlayer(tournamentId, userId) {
+    const [result] = await pool.execute(
+      `DELETE tp FROM tournament_players tp
+             JOIN tournaments t ON tp.tournament_id = t.tournament_id
+             WHERE tp.tournament_id = ? AND tp.user_id = ?
+               AND t.status = 'registration'`,
+      [tournamentId, userId],
+    );
+    return result.affectedRows === 1;
+  },
+
+  async getTournamentPlayers(tournamentId) {
+    const [rows] = await pool.execute(
+      `SELECT tp.*, u.username, us.elo_rating
+             FROM tournament_players tp
+             JOIN users u ON tp.user_id = u.user_id
+             LEFT JOIN user_stats us ON tp.user_id = us.user_id
+             WHERE tp.tournament_id = ?
+             ORDER BY tp.seed IS NULL, tp.seed, tp.registered_at`,
+      [tournamentId],
+    );
+    return rows;
+  },
+
+  async setTournamentSeeds(tournamentId, seeded) {
+    for (const player of seeded) {
+      await pool.execute(
+        `UPDATE tournament_players SET seed = ?, seed_elo = ?
+               WHERE tournament_id = ? AND user_id = ?`,
+        [player.seed, player.elo, tournamentId, player.userId],
+      );
+    }
+  },
+
+  // Mirror the standings onto the player rows
+  async updateTournamentStandings(tournamentId, standings) {
+    for (const entry of standings) {
+      await pool.execute(
+        `UPDATE tournament_players
+               SET points = ?, wins = ?, losses = ?, had_bye = ?, eliminated = ?
+               WHERE tournament_id = ? AND user_id = ?`,
+        [
+          entry.points,
+          entry.wins,
+          entry.losses,
+          entry.hadBye,
+          entry.eliminated,
+          tournamentId,
+          entry.userId,
+        ],
+      );
+    }
+  },
+
+  // Byes are stored already won by the player who got them
+  async createTournamentMatches(tournamentId, round, pairings) {
+    if (pairings.length === 0) return;
+
+    const values = pairings.map((pairing) => [
+      tournamentId,
+      round,
+      pairing.position,
+      pairing.player1Id,
+      pairing.player2Id,
+      pairing.player2Id ? null : pairing.player1Id,
+      pairing.player2Id ? "ready" : "bye",
+    ]);
+
+    await pool.query(
+      `INSERT INTO tournament_matches (tournament_id, round, position, player1_id, player2_id, winner_id, status)
+             VALUES ?`,
+      [values],
+    );
+  },
+
+  async getTournamentMatches(tournamentId) {
+    const [rows] = await pool.execute(
+      `SELECT tm.*,
+                    u1.username as player1_username,
+                    u2.username as player2_username
+             FROM tournament_matches tm
+             LEFT JOIN users u1 ON tm.player1_id = u1.user_id
+             LEFT JOIN users u2 ON tm.player2_id = u2.user_id
+             WHERE tm.tournament_id = ?
+             ORDER BY tm.round, tm.position`,
+      [tournamentId],
+    );
+    return rows;
+  },
+
+  async getTournamentMatch(matchId) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM tournament_matches WHERE match_id = ?`,
+      [matchId],
+    );
+    return rows[0];
+  },
+
+  async getTournamentMatchBySession(sessionId) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM tournament_matches WHERE session_id = ?`,
+      [sessionId],
+    );
+    return rows[0];
+  },
+
+  // Matches waiting on their players, across running tournaments
+  async getReadyTournamentMatches() {
+    const [rows] = await pool.execute(
+      `SELECT tm.* FROM tournament_matches tm
+             JOIN tournaments t ON tm.tournament_id = t.tournament_id
+             WHERE tm.status = 'ready' AND t.status = 'in_progress'`,
+    );
+    return rows;
+  },
+
+  // Record a match result once; false if it already had one
+  async completeTournamentMatch(matchId, winnerId) {
+    const [result] = await pool.execute(
+      `UPDATE tournament_matches
+             SET winner_id = ?, status = 'completed', completed_at = CURRENT_TIMESTAMP
+             WHERE match_id = ? AND winner_id IS NULL`,
+      [winnerId, matchId],
+    );
+    return result.affectedRows === 1;
+  },
+
+  async startTournamentMatch(matchId, sessionId) {
+    await pool.execute(
+      `UPDATE tournament_matches SET session_id = ?, status = 'in_progress'
+             WHERE match_id = ?`,
+      [sessionId, matchId],
+    );
+  },
+
   async getGameSession(sessionId) {
     const [rows] = await pool.execute(
       `SELECT * FROM game_sessions WHERE session_id = ?`,
@@ -269,7 +638,13 @@ const db = {
     return rows[0];
   },
 
-  async updateGameSession(sessionId, updates) {
+  // With inProgressOnly the update only applies to a game still in progress;
+  // the result says whether it did
+  async updateGameSession(
+    sessionId,
+    updates,
+    { inProgressOnly = false } = {},
+  ) {
     const allowedFields = [
       "status",
       "winner_id",
@@ -279,12 +654,18 @@ const db = {
       "player1_time",
       "player1_elo_change",
       "player1_powerups_used",
+      "player1_flagged_reason",
+      "player1_pauses",
       "player2_moves",
       "player2_time",
       "player2_elo_change",
       "player2_powerups_used",
+      "player2_flagged_reason",
+      "player2_pauses",
       "perfect_game",
       "speed_bonus",
+      "minimum_moves",
+      "minimum_moves_optimal",
     ];
 
     const fields = [];
@@ -293,7 +674,8 @@ const db = {
     Object.keys(updates).forEach((key) => {
       if (allowedFields.includes(key)) {
         fields.push(`${key} = ?`);
-        if (key.includes("powerups_used") && typeof updates[key] === "object") {
+        const isLog = key.includes("powerups_used") || key.includes("pauses");
+        if (isLog && typeof updates[key] === "object") {
           values.push(JSON.stringify(updates[key]));
         } else {
           values.push(updates[key]);
@@ -301,18 +683,26 @@ const db = {
       }
     });
 
-    if (updates.status === "completed") {
+    if (updates.status === "completed" || updates.status === "abandoned") {
       fields.push("completed_at = CURRENT_TIMESTAMP");
     }
 
     if (fields.length === 0) return false;
 
     values.push(sessionId);
-    await pool.execute(
-      `UPDATE game_sessions SET ${fields.join(", ")} WHERE session_id = ?`,
+    const guard = inProgressOnly ? " AND status = 'in_progress'" : "";
+    const [result] = await pool.execute(
+      `UPDATE game_sessions SET ${fields.join(", ")}
+             WHERE session_id = ?${guard}`,
       values,
     );
-    return true;
+    return result.affectedRows > 0;
+  },
+
+  // Settle a finished game exactly once: of several racing finishes (two
+  // completions, a forfeit, a bot) only the first claim succeeds
+  async claimGameResult(sessionId, updates) {
+    return this.updateGameSession(sessionId, updates, { inProgressOnly: true });
   },
 
   async getUserGameHistory(userId, limit = 50) {
@@ -360,6 +750,55 @@ const db = {
     );
   },
 
+  // Store a player's validated move list on completion. It replaces the
+  // rows recorded during play, which hold the client's own board states
+  async recordMoves(sessionId, userId, moves) {
+    const rows = moves.map((move, index) => [
+      sessionId,
+      userId,
+      index + 1,
+      move.tilePosition,
+      move.emptyPosition,
+      move.direction,
+      JSON.stringify(move.boardState),
+      move.timeElapsed,
+    ]);
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `DELETE FROM game_moves WHERE session_id = ? AND user_id = ?`,
+        [sessionId, userId],
+      );
+      if (rows.length > 0) {
+        await connection.query(
+          `INSERT INTO game_moves 
+                 (session_id, user_id, move_number, tile_position, empty_position, direction, board_state, time_elapsed)
+                 VALUES ?`,
+          [rows],
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  // Take back one of a player's moves, e.g. for an undo powerup
+  async deleteMove(sessionId, userId, moveNumber) {
+    await pool.execute(
+      `DELETE FROM game_moves
+             WHERE session_id = ? AND user_id = ? AND move_number = ?`,
+      [sessionId, userId, moveNumber],
+    );
+  },
+
   async getSessionMoves(sessionId) {
     const [rows] = await pool.execute(
       `SELECT * FROM game_moves WHERE session_id = ? ORDER BY move_number ASC`,
@@ -368,30 +807,97 @@ const db = {
     return rows;
   },
 
+  async getPlayerMoves(sessionId, userId) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM game_moves WHERE session_id = ? AND user_id = ? ORDER BY move_number ASC`,
+      [sessionId, userId],
+    );
+    return rows;
+  },
+
+  // Best verified solve of a board that can be rebuilt (seeded or from the
+  // puzzle library), for ghost racing. Each session holds up to two runs
+  // (player1 and player2); only solvers have a time.
+  async getGhostRun(
+    boardSize,
+    metric,
+    { seed = null, configId = null, userId = null } = {},
+  ) {
+    const conditions = ["runs.board_size = ?"];
+    const params = [boardSize];
+
+    if (seed !== null) {
+      conditions.push("runs.puzzle_seed = ?");
+      params.push(seed);
+    }
+    if (configId !== null) {
+      conditions.push("runs.puzzle_config_id = ?");
+      params.push(configId);
+    }
+    if (userId !== null) {
+      conditions.push("runs.user_id = ?");
+      params.push(userId);
+    }
+
+    const order =
+      metric === "moves"
+        ? "runs.run_moves ASC, runs.run_time ASC"
+        : "runs.run_time ASC, runs.run_moves ASC";
+
+    const [rows] = await pool.query(
+      `SELECT runs.*, u.username
+             FROM (
+               SELECT session_id, board_size, puzzle_seed, puzzle_config_id, status, started_at,
+                      player1_id AS user_id, player1_time AS run_time, player1_moves AS run_moves
+               FROM game_sessions
+               UNION ALL
+               SELECT session_id, board_size, puzzle_seed, puzzle_config_id, status, started_at,
+                      player2_id, player2_time, player2_moves
+               FROM game_sessions
+               WHERE player2_id IS NOT NULL
+             ) runs
+             JOIN users u ON runs.user_id = u.user_id
+             WHERE runs.status = 'completed'
+               AND (runs.puzzle_seed IS NOT NULL OR runs.puzzle_config_id IS NOT NULL)
+               AND runs.run_time > 0
+               AND ${conditions.join(" AND ")}
+             ORDER BY ${order}
+             LIMIT 1`,
+      params,
+    );
+    return rows[0];
+  },
+
+  // Identical boards are stored once; returns the existing config_id for a duplicate
   async createPuzzleConfig(
     boardSize,
     initialState,
     solutionState,
     minimumMoves,
+    minimumMovesOptimal,
     difficulty,
-    isol,
+    isSolvable,
     invCount,
+    stateHash,
   ) {
     const [result] = await pool.execute(
       `INSERT INTO puzzle_configs 
-             (board_size, initial_state, solution_state, minimum_moves, difficulty_rating, is_solvable, inversion_count)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+             (board_size, initial_state, solution_state, state_hash, minimum_moves, minimum_moves_optimal, difficulty_rating, is_solvable, inversion_count)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE config_id = LAST_INSERT_ID(config_id)`,
       [
         boardSize,
         JSON.stringify(initialState),
         JSON.stringify(solutionState),
+        stateHash,
         minimumMoves,
+        minimumMovesOptimal,
         difficulty,
-        isSol,
+        isSolvable,
         invCount,
       ],
     );
-    return result.insertId;
+    return { configId: result.insertId, created: result.affectedRows === 1 };
   },
 
   async getPuzzleConfig(configId) {
@@ -412,6 +918,71 @@ const db = {
     return rows[0];
   },
 
+  async getPuzzleConfigs(boardSize = null) {
+    const [rows] = boardSize
+      ? await pool.execute(
+          `SELECT * FROM puzzle_configs WHERE board_size = ? ORDER BY config_id`,
+          [boardSize],
+        )
+      : await pool.execute(`SELECT * FROM puzzle_configs ORDER BY config_id`);
+    return rows;
+  },
+
+  async updatePuzzleConfig(configId, updates) {
+    const allowedFields = [
+      "minimum_moves",
+      "minimum_moves_optimal",
+      "difficulty_rating",
+      "is_solvable",
+      "inversion_count",
+    ];
+
+    const fields = [];
+    const values = [];
+
+    Object.keys(updates).forEach((key) => {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = ?`);
+        values.push(updates[key]);
+      }
+    });
+
+    if (fields.length === 0) return false;
+
+    values.push(configId);
+    await pool.execute(
+      `UPDATE puzzle_configs SET ${fields.join(", ")} WHERE config_id = ?`,
+      values,
+    );
+    return true;
+  },
+
+  async deletePuzzleConfigs(configIds) {
+    if (configIds.length === 0) return 0;
+
+    const [result] = await pool.query(
+      `DELETE FROM puzzle_configs WHERE config_id IN (?)`,
+      [configIds],
+    );
+    return result.affectedRows;
+  },
+
+  async getPuzzleConfigStats() {
+    const [rows] = await pool.execute(
+      `SELECT board_size, difficulty_rating,
+                    COUNT(*) as total,
+                    SUM(is_solvable = FALSE) as unsolvable,
+                    MIN(minimum_moves) as min_moves,
+                    AVG(minimum_moves) as avg_moves,
+                    MAX(minimum_moves) as max_moves,
+                    SUM(times_played) as times_played
+             FROM puzzle_configs
+             GROUP BY board_size, difficulty_rating
+             ORDER BY board_size, FIELD(difficulty_rating, 'easy', 'medium', 'hard', 'expert')`,
+    );
+    return rows;
+  },
+
   async updatePuzzleStats(configId) {
     await pool.execute(
       `UPDATE puzzle_configs SET times_played = times_played + 1 WHERE config_id = ?`,
@@ -449,6 +1020,7 @@ const db = {
     score,
     eloRating,
     season = "all_time",
+    seasonBounds = null,
   ) {
     // Check if entry exists
     const [existing] = await pool.execute(
@@ -473,9 +1045,17 @@ const db = {
     } else {
       // Create new entry
       await pool.execute(
-        `INSERT INTO leaderboards (user_id, category, score, elo_rating, season, rank_position)
-                 VALUES (?, ?, ?, ?, ?, 0)`,
-        [userId, category, score, eloRating, season],
+        `INSERT INTO leaderboards (user_id, category, score, elo_rating, season, season_start, season_end, rank_position)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 0)`,
+        [
+          userId,
+          category,
+          score,
+          eloRating,
+          season,
+          seasonBounds ? seasonBounds.start : null,
+          seasonBounds ? seasonBounds.end : null,
+        ],
       );
     }
 
@@ -506,6 +1086,184 @@ const db = {
     return rows[0];
   },
 
+  async createSeason(season) {
+    const [result] = await pool.execute(
+      `INSERT INTO seasons (name, season_type, starts_at, ends_at, resets_ratings, status)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        season.name,
+        season.type,
+        season.startsAt,
+        season.endsAt,
+        season.resetsRatings,
+        season.status || "scheduled",
+      ],
+    );
+    return result.insertId;
+  },
+
+  async getSeason(seasonId) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM seasons WHERE season_id = ?`,
+      [seasonId],
+    );
+    return rows[0];
+  },
+
+  // Running and upcoming seasons first, then the most recent closed ones
+  async getSeasons(limit = 50) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM seasons
+             ORDER BY status = 'completed', ends_at DESC
+             LIMIT ?`,
+      [limit],
+    );
+    return rows;
+  },
+
+  async getActiveSeasons() {
+    const [rows] = await pool.execute(
+      `SELECT * FROM seasons WHERE status = 'active' ORDER BY ends_at`,
+    );
+    return rows;
+  },
+
+  // Open scheduled seasons whose start has passed
+  async activateDueSeasons() {
+    await pool.execute(
+      `UPDATE seasons SET status = 'active'
+             WHERE status = 'scheduled' AND starts_at <= CURRENT_TIMESTAMP`,
+    );
+  },
+
+  async getEndedSeasons() {
+    const [rows] = await pool.execute(
+      `SELECT * FROM seasons
+             WHERE status = 'active' AND ends_at <= CURRENT_TIMESTAMP`,
+    );
+    return rows;
+  },
+
+  // Mark a season as closing; false if someone else already is
+  async claimSeasonClose(seasonId) {
+    const [result] = await pool.execute(
+      `UPDATE seasons SET status = 'closing'
+             WHERE season_id = ? AND status = 'active'`,
+      [seasonId],
+    );
+    return result.affectedRows === 1;
+  },
+
+  async completeSeason(seasonId) {
+    await pool.execute(
+      `UPDATE seasons SET status = 'completed', closed_at = CURRENT_TIMESTAMP
+             WHERE season_id = ?`,
+      [seasonId],
+    );
+  },
+
+  // Players with a rated multiplayer game in the window, best rating first
+  async getSeasonRatingStandings(startsAt, endsAt) {
+    const [rows] = await pool.execute(
+      `SELECT us.user_id, us.elo_rating, COUNT(*) as games_played
+             FROM game_sessions gs
+             JOIN user_stats us ON us.user_id IN (gs.player1_id, gs.player2_id)
+             JOIN users u ON us.user_id = u.user_id
+             WHERE gs.player2_id IS NOT NULL AND gs.is_bot_game = FALSE
+               AND gs.status IN ('completed', 'abandoned')
+               AND gs.completed_at >= ? AND gs.completed_at < ?
+               AND u.is_bot = FALSE
+             GROUP BY us.user_id, us.elo_rating
+             ORDER BY us.elo_rating DESC, games_played DESC, us.user_id`,
+      [startsAt, endsAt],
+    );
+    return rows;
+  },
+
+  // Copy a season's final standings into the archive and clear its live
+  // leaderboards. ratingStandings are [{ user_id, elo_rating, rank }].
+  async archiveSeasonStandings(seasonId, leaderboardKey, ratingStandings) {
+    if (ratingStandings.length > 0) {
+      await pool.query(
+        `INSERT IGNORE INTO season_standings (season_id, category, user_id, rank_position, score, elo_rating)
+             VALUES ?`,
+        [
+          ratingStandings.map((entry) => [
+            seasonId,
+            "rating",
+            entry.user_id,
+            entry.rank,
+            entry.elo_rating,
+            entry.elo_rating,
+          ]),
+        ],
+      );
+    }
+
+    await pool.execute(
+      `INSERT IGNORE INTO season_standings (season_id, category, user_id, rank_position, score, elo_rating)
+             SELECT ?, category, user_id, rank_position, score, elo_rating
+             FROM leaderboards WHERE season = ?`,
+      [seasonId, leaderboardKey],
+    );
+    await pool.execute(`DELETE FROM leaderboards WHERE season = ?`, [
+      leaderboardKey,
+    ]);
+  },
+
+  async getSeasonStandings(seasonId, category = "rating", limit = 100) {
+    const [rows] = await pool.execute(
+      `SELECT ss.*, u.username, u.display_name, u.avatar_url
+             FROM season_standings ss
+             JOIN users u ON ss.user_id = u.user_id
+             WHERE ss.season_id = ? AND ss.category = ?
+             ORDER BY ss.rank_position ASC
+             LIMIT ?`,
+      [seasonId, category, limit],
+    );
+    return rows;
+  },
+
+  // Pull every player's ratings part of the way back to the start; Glicko-2
+  // deviations widen so the new season's placements move quickly
+  async softResetRatings(startRating, keep, minDeviation) {
+    await pool.execute(
+      `UPDATE user_stats us
+             JOIN users u ON us.user_id = u.user_id
+             SET us.elo_rating = ROUND(? + (us.elo_rating - ?) * ?)
+             WHERE u.is_bot = FALSE`,
+      [startRating, startRating, keep],
+    );
+    await pool.execute(
+      `UPDATE player_ratings pr
+             JOIN users u ON pr.user_id = u.user_id
+             SET pr.rating = ? + (pr.rating - ?) * ?,
+                 pr.deviation = GREATEST(pr.deviation, ?)
+             WHERE u.is_bot = FALSE`,
+      [startRating, startRating, keep, minDeviation],
+    );
+  },
+
+  async awardBadge(userId, badgeKey, seasonId) {
+    await pool.execute(
+      `INSERT IGNORE INTO user_badges (user_id, badge_key, season_id)
+             VALUES (?, ?, ?)`,
+      [userId, badgeKey, seasonId],
+    );
+  },
+
+  async getUserBadges(userId) {
+    const [rows] = await pool.execute(
+      `SELECT ub.*, s.name as season_name, s.season_type
+             FROM user_badges ub
+             JOIN seasons s ON ub.season_id = s.season_id
+             WHERE ub.user_id = ?
+             ORDER BY ub.awarded_at DESC`,
+      [userId],
+    );
+    return rows;
+  },
+
   async getAllAchievements() {
     const [rows] = await pool.execute(
       `SELECT * FROM achievements ORDER BY category, requirement_value ASC`,
@@ -542,57 +1300,65 @@ const db = {
     );
   },
 
-  async updateAchievementProgress(userId, achievementKey, progress) {
+  // Record progress on an achievement. Completed achievements are left
+  // alone, so only the call that completes one returns true.
+  async updateAchievementProgress(userId, achievementId, progress, completed) {
     const [result] = await pool.execute(
-      `UPDATE user_achievements ua
-             JOIN achievements a ON ua.achievement_id = a.achievement_id
-             SET ua.current_progress = ?,
-                 ua.is_completed = (? >= ua.required_progress),
-                 ua.unlocked_at = IF(? >= ua.required_progress AND ua.unlocked_at IS NULL, CURRENT_TIMESTAMP, ua.unlocked_at)
-             WHERE ua.user_id = ? AND a.achievement_key = ?`,
-      [progress, progress, progress, userId, achievementKey],
+      `UPDATE user_achievements
+             SET current_progress = ?,
+                 is_completed = ?,
+                 unlocked_at = IF(?, CURRENT_TIMESTAMP, NULL)
+             WHERE user_id = ? AND achievement_id = ? AND is_completed = FALSE`,
+      [progress, completed, completed, userId, achievementId],
     );
+    if (!completed || result.affectedRows === 0) return false;
 
-    // Check if achievement was just completed
-    const [achievement] = await pool.execute(
-      `SELECT ua.*, a.* 
-             FROM user_achievements ua
-             JOIN achievements a ON ua.achievement_id = a.achievement_id
-             WHERE ua.user_id = ? AND a.achievement_key = ? AND ua.is_completed = TRUE`,
-      [userId, achievementKey],
+    await pool.execute(
+      `UPDATE achievements SET times_unlocked = times_unlocked + 1 WHERE achievement_id = ?`,
+      [achievementId],
     );
-
-    if (achievement.length > 0 && achievement[0].unlocked_at) {
-      const unlockTime = new Date(achievement[0].unlocked_at);
-      const justUnlocked = Date.now() - unlockTime.getTime() < 5000; // Within 5 seconds
-
-      if (justUnlocked) {
-        // Increment times unlocked counter
-        await pool.execute(
-          `UPDATE achievements SET times_unlocked = times_unlocked + 1 WHERE achievement_id = ?`,
-          [achievement[0].achievement_id],
-        );
-
-        return achievement[0]; // Return newly unlocked achievement
-      }
-    }
-
-    return null;
+    return true;
   },
 
-  async checkMultipleAchievements(userId, checks) {
-    const unlocked = [];
-
-    for (const check of checks) {
-      const result = await this.updateAchievementProgress(
-        userId,
-        check.key,
-        check.value,
-      );
-      if (result) unlocked.push(result);
-    }
+  // Everything the achievement rules read, in one snapshot
+  async getAchievementProgress(userId) {
+    const [[statsRows], boardStats, [perfectRows], [themeRows], preferences] =
+      await Promise.all([
+        pool.execute(`SELECT * FROM user_stats WHERE user_id = ?`, [userId]),
+        this.getUserBoardStats(userId),
+        pool.execute(
+          `SELECT COUNT(*) AS count FROM game_sessions
+                 WHERE winner_id = ? AND perfect_game = TRUE`,
+          [userId],
+        ),
+        pool.execute(
+          `SELECT theme, games_completed FROM user_theme_stats WHERE user_id = ?`,
+          [userId],
+        ),
+        this.getUserPreferences(userId),
+      ]);
+
+    return {
+      stats: statsRows[0] || {},
+      boardStats,
+      perfectGames: perfectRows[0].count,
+      themeGames: Object.fromEntries(
+        themeRows.map((row) => [row.theme, row.games_completed]),
+      ),
+      unlockedThemes: parseThemes(preferences && preferences.unlocked_themes),
+    };
+  },
 
-    return unlocked;
+  // Count a completed puzzle against the theme the player has selected
+  async recordThemedGame(userId) {
+    await pool.execute(
+      `INSERT INTO user_theme_stats (user_id, theme, games_completed)
+             SELECT user_id, selected_theme, 1
+             FROM user_preferences
+             WHERE user_id = ? AND selected_theme IS NOT NULL
+             ON DUPLICATE KEY UPDATE games_completed = games_completed + 1`,
+      [userId],
+    );
   },
 
   async getAllPowerups() {
@@ -614,65 +1380,162 @@ const db = {
     return rows;
   },
 
-  async addPowerupToUser(userId, powerupKey, quantity = 1) {
+  // Add powerups to an inventory and log the grant. Returns the powerup,
+  // or null for an unknown key.
+  async addPowerupToUser(
+    userId,
+    powerupKey,
+    quantity = 1,
+    source = "admin",
+    sourceRef = null,
+  ) {
     const [powerup] = await pool.execute(
-      `SELECT powerup_id FROM powerups WHERE powerup_key = ?`,
+      `SELECT powerup_id, powerup_key, name, rarity FROM powerups WHERE powerup_key = ?`,
       [powerupKey],
     );
 
-    if (powerup.length === 0) return false;
+    if (powerup.length === 0) return null;
 
-    await pool.execute(
-      `INSERT INTO user_powerups (user_id, powerup_id, quantity)
-             VALUES (?, ?, ?)
-             ON DUPLICATE KEY UPDATE quantity = quantity + ?`,
-      [userId, powerup[0].powerup_id, quantity, quantity],
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `INSERT INTO user_powerups (user_id, powerup_id, quantity)
+               VALUES (?, ?, ?)
+               ON DUPLICATE KEY UPDATE quantity = quantity + ?`,
+        [userId, powerup[0].powerup_id, quantity, quantity],
+      );
+      await connection.execute(
+        `INSERT INTO powerup_grants (user_id, powerup_id, quantity, source, source_ref)
+               VALUES (?, ?, ?, ?, ?)`,
+        [
+          userId,
+          powerup[0].powerup_id,
+          quantity,
+          source,
+          sourceRef === null ? null : String(sourceRef),
+        ],
+      );
+
+      await connection.commit();
+      return powerup[0];
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  },
+
+  async getPowerupGrants(userId, limit = 50) {
+    const [rows] = await pool.query(
+      `SELECT pg.grant_id, pg.quantity, pg.source, pg.source_ref, pg.granted_at,
+                    p.powerup_key, p.name, p.rarity
+             FROM powerup_grants pg
+             JOIN powerups p ON pg.powerup_id = p.powerup_id
+             WHERE pg.user_id = ?
+             ORDER BY pg.granted_at DESC, pg.grant_id DESC
+             LIMIT ?`,
+      [userId, limit],
     );
+    return rows;
+  },
 
-    return true;
+  // Claim today's login reward. Returns the login streak, or null if it
+  // was already claimed today (UTC).
+  async claimDailyLogin(userId) {
+    const [result] = await pool.execute(
+      `UPDATE users
+             SET login_streak = IF(last_daily_reward = UTC_DATE() - INTERVAL 1 DAY, login_streak + 1, 1),
+                 last_daily_reward = UTC_DATE()
+             WHERE user_id = ? AND (last_daily_reward IS NULL OR last_daily_reward < UTC_DATE())`,
+      [userId],
+    );
+    if (result.affectedRows === 0) return null;
+
+    const [rows] = await pool.execute(
+      `SELECT login_streak FROM users WHERE user_id = ?`,
+      [userId],
+    );
+    return rows[0].login_streak;
   },
 
-  async usePowerup(userId, powerupKey) {
+  // Spend a powerup in a game session and log the use on the session.
+  // `check(session, powerup, used)` returns a reason to refuse, or null; the
+  // session row stays locked while it runs, so two uses can't both slip
+  // under a limit. Returns { powerup, used } or { error }.
+  async usePowerupInSession(sessionId, userId, powerupKey, check) {
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
 
-      // Get powerup and user inventory
-      const [powerup] = await connection.execute(
-        `SELECT p.powerup_id, up.quantity
+      const [sessions] = await connection.execute(
+        `SELECT * FROM game_sessions WHERE session_id = ? FOR UPDATE`,
+        [sessionId],
+      );
+      const [powerups] = await connection.execute(
+        `SELECT p.*, up.quantity
                  FROM powerups p
                  LEFT JOIN user_powerups up ON p.powerup_id = up.powerup_id AND up.user_id = ?
                  WHERE p.powerup_key = ?`,
         [userId, powerupKey],
       );
+      const session = sessions[0];
+      const powerup = powerups[0];
 
-      if (
-        powerup.length === 0 ||
-        !powerup[0].quantity ||
-        powerup[0].quantity <= 0
-      ) {
+      if (!session || !powerup) {
         await connection.rollback();
-        return false;
+        return { error: "Powerup not available" };
       }
 
-      // Decrement quantity
-      await connection.execute(
+      const column =
+        session.player1_id === userId
+          ? "player1_powerups_used"
+          : "player2_powerups_used";
+      const used = Array.isArray(session[column]) ? session[column] : [];
+
+      const error = check(session, powerup, used);
+      if (error) {
+        await connection.rollback();
+        return { error };
+      }
+
+      // Decrement quantity, as long as there is one to spend
+      const [spent] = await connection.execute(
         `UPDATE user_powerups 
                  SET quantity = quantity - 1, 
                      times_used = times_used + 1, 
                      last_used_at = CURRENT_TIMESTAMP
-                 WHERE user_id = ? AND powerup_id = ?`,
-        [userId, powerup[0].powerup_id],
+                 WHERE user_id = ? AND powerup_id = ? AND quantity > 0`,
+        [userId, powerup.powerup_id],
       );
+      if (spent.affectedRows === 0) {
+        await connection.rollback();
+        return { error: `You have no ${powerup.name} left` };
+      }
 
       // Update global usage stats
       await connection.execute(
         `UPDATE powerups SET times_used = times_used + 1 WHERE powerup_id = ?`,
-        [powerup[0].powerup_id],
+        [powerup.powerup_id],
+      );
+
+      const usage = [
+        ...used,
+        {
+          powerupId: powerup.powerup_id,
+          powerupKey: powerup.powerup_key,
+          usedAt: Date.now(),
+        },
+      ];
+      await connection.execute(
+        `UPDATE game_sessions SET ${column} = ? WHERE session_id = ?`,
+        [JSON.stringify(usage), sessionId],
       );
 
       await connection.commit();
-      return true;
+      return { powerup, used: usage };
     } catch (error) {
       await connection.rollback();
       throw error;
@@ -690,6 +1553,54 @@ const db = {
     return result[0][0]; // Returns { player1_change, player2_change }
   },
 
+  // Glicko-2 rating for a mode and board size ("all"/"all" is overall)
+  async getPlayerRating(userId, gameMode, boardSize) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM player_ratings
+             WHERE user_id = ? AND game_mode = ? AND board_size = ?`,
+      [userId, gameMode, boardSize],
+    );
+    return rows[0];
+  },
+
+  async getPlayerRatings(userId) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM player_ratings WHERE user_id = ?
+             ORDER BY game_mode = 'all' DESC, games_played DESC`,
+      [userId],
+    );
+    return rows;
+  },
+
+  // Store a rating after a rated game
+  async savePlayerRating(userId, gameMode, boardSize, rating) {
+    await pool.execute(
+      `INSERT INTO player_ratings (user_id, game_mode, board_size, rating, deviation, volatility, games_played, last_played_at)
+             VALUES (?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP)
+             ON DUPLICATE KEY UPDATE
+               rating = VALUES(rating),
+               deviation = VALUES(deviation),
+               volatility = VALUES(volatility),
+               games_played = games_played + 1,
+               last_played_at = CURRENT_TIMESTAMP`,
+      [
+        userId,
+        gameMode,
+        boardSize,
+        rating.rating,
+        rating.deviation,
+        rating.volatility,
+      ],
+    );
+  },
+
+  async setEloRating(userId, eloRating) {
+    await pool.execute(
+      `UPDATE user_stats SET elo_rating = ? WHERE user_id = ?`,
+      [eloRating, userId],
+    );
+  },
+
   async getSystemStats() {
     const [stats] = await pool.execute(`
             SELECT 
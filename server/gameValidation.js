@@ -0,0 +1,219 @@
+const puzzleLogic = require("./puzzleLogic");
+const solver = require("./solver");
+
+// Sustained moves per second above this is treated as automated input
+const MAX_MOVES_PER_SECOND = 15;
+
+// Allowed drift between the client's move timestamps and the server clock (ms)
+const CLOCK_TOLERANCE_MS = 5000;
+
+// Speed mode completions under this many seconds earn a speed bonus
+const SPEED_BONUS_SECONDS = 60;
+
+/**
+ * Normalize a move from either a game_moves row or a client payload
+ * @param {Object} move - Move row or { tilePosition, emptyPosition, timeElapsed }
+ * @returns {Object} { tilePosition, emptyPosition, timeElapsed }
+ */
+function normalizeMove(move) {
+  // Anything that is not a move object fails the replay as a missing tile
+  if (move === null || typeof move !== "object") move = {};
+  const emptyPosition = move.emptyPosition ?? move.empty_position;
+
+  return {
+    tilePosition: Number(move.tilePosition ?? move.tile_position),
+    emptyPosition: emptyPosition == null ? null : Number(emptyPosition),
+    timeElapsed: Number(move.timeElapsed ?? move.time_elapsed ?? 0),
+  };
+}
+
+/**
+ * Replay a move list from the initial board, checking every slide
+ * @param {Array} initialState - Starting board
+ * @param {Number|String} boardSize - Board size
+ * @param {Array} moves - Moves in play order
+ * @returns {Object} { valid, reason, board, states, moveCount, elapsedMs }
+ */
+function replayMoves(initialState, boardSize, moves) {
+  const fail = (reason) => ({ valid: false, reason });
+  const { rows, cols } = puzzleLogic.getBoardDimensions(boardSize);
+
+  if (!Array.isArray(initialState) || initialState.length !== rows * cols) {
+    return fail("Session has no valid initial state");
+  }
+
+  if (!puzzleLogic.isSolvable(initialState, boardSize)) {
+    return fail("Initial state is not solvable");
+  }
+
+  let board = [...initialState];
+  let lastTime = 0;
+  const states = [];
+
+  for (let i = 0; i < moves.length; i++) {
+    const move = normalizeMove(moves[i]);
+    const emptyIndex = board.indexOf(0);
+
+    if (!Number.isInteger(move.tilePosition)) {
+      return fail(`Move ${i + 1} has no tile position`);
+    }
+
+    if (move.emptyPosition !== null && move.emptyPosition !== emptyIndex) {
+      return fail(`Move ${i + 1} does not start from the empty space`);
+    }
+
+    if (!Number.isFinite(move.timeElapsed) || move.timeElapsed < lastTime) {
+      return fail(`Move ${i + 1} has an out-of-order timestamp`);
+    }
+
+    const nextBoard = puzzleLogic.moveTile(
+      board,
+      move.tilePosition,
+      boardSize,
+    );
+    if (!nextBoard) {
+      return fail(`Move ${i + 1} is not adjacent to the empty space`);
+    }
+
+    board = nextBoard;
+    lastTime = move.timeElapsed;
+    states.push({
+      ...move,
+      emptyPosition: emptyIndex,
+      direction: puzzleLogic.getMoveDirection(
+        move.tilePosition,
+        emptyIndex,
+        boardSize,
+      ),
+      boardState: board,
+    });
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    board,
+    states,
+    moveCount: moves.length,
+    elapsedMs: lastTime,
+  };
+}
+
+/**
+ * Whether a submitted move list starts with every move the server recorded
+ * during play, so a completion can add the last moves but not rewrite them
+ * @param {Array} recordedMoves - Moves the server saw, in play order
+ * @param {Array} moves - Submitted moves
+ * @returns {Boolean}
+ */
+function extendsRecordedMoves(recordedMoves, moves) {
+  return (
+    moves.length >= recordedMoves.length &&
+    recordedMoves.every(
+      (move, i) =>
+        normalizeMove(move).tilePosition ===
+        normalizeMove(moves[i]).tilePosition,
+    )
+  );
+}
+
+/**
+ * Apply a pause or resume to a player's pause log. Asking for the state the
+ * player is already in changes nothing
+ * @param {Array} pauses - The player's pauses log, { pausedAt, resumedAt }
+ * @param {Boolean} paused - Whether the player is now paused
+ * @param {Number} now - Server time (ms)
+ * @returns {Array|null} The updated log, or null if it is unchanged
+ */
+function recordPause(pauses, paused, now) {
+  const last = pauses[pauses.length - 1];
+  const isPaused = Boolean(last) && last.resumedAt == null;
+  if (paused === isPaused) return null;
+
+  if (paused) return [...pauses, { pausedAt: now, resumedAt: null }];
+  return [...pauses.slice(0, -1), { ...last, resumedAt: now }];
+}
+
+/**
+ * A pause log as clock stops for powerupRules.getStoppedMs
+ * @param {Array} pauses - The player's pauses log
+ * @param {Number} now - Server time (ms); a pause still open runs until now
+ * @returns {Array} { start, end } in server ms
+ */
+function getPauseWindows(pauses, now) {
+  return pauses.map((pause) => ({
+    start: pause.pausedAt,
+    end: pause.resumedAt ?? now,
+  }));
+}
+
+/**
+ * Validate a completion claim against the stored session. Timing comes
+ * from the server: the game ran from startedAt (the session's started_at by
+ * default) until now, less stoppedMs spent paused or under time_freeze.
+ * The client's move timestamps are only checked against it.
+ * @param {Object} session - game_sessions row
+ * @param {Array} moves - Moves in play order
+ * @param {Object} options - { minimumMoves, minimumMovesOptimal, startedAt,
+ *   now, stoppedMs }. minimumMoves is the session's stored minimum_moves, if
+ *   known; a perfect game needs it proven optimal
+ * @returns {Object} Validation result with derived completion metrics
+ */
+function validateCompletion(session, moves, options = {}) {
+  const initialState =
+    typeof session.initial_state === "string"
+      ? JSON.parse(session.initial_state)
+      : session.initial_state;
+
+  const replay = replayMoves(initialState, session.board_size, moves);
+  if (!replay.valid) return replay;
+
+  if (!puzzleLogic.isSolved(replay.board)) {
+    return { valid: false, reason: "Final board is not solved" };
+  }
+
+  const now = options.now || Date.now();
+  const startedAt = options.startedAt ?? new Date(session.started_at).getTime();
+  const serverElapsedMs = Math.max(
+    0,
+    now - startedAt - (options.stoppedMs || 0),
+  );
+
+  if (replay.elapsedMs > serverElapsedMs + CLOCK_TOLERANCE_MS) {
+    return { valid: false, reason: "Reported time exceeds server clock" };
+  }
+
+  if (replay.moveCount * 1000 > serverElapsedMs * MAX_MOVES_PER_SECOND) {
+    return { valid: false, reason: "Move rate is not humanly possible" };
+  }
+
+  // Stored when the puzzle was created; until then a quick lower bound.
+  // Only a proven optimum can make a game perfect
+  const minimumMoves =
+    options.minimumMoves ??
+    solver.estimateMoves(initialState, session.board_size);
+  const optimal =
+    options.minimumMoves != null && Boolean(options.minimumMovesOptimal);
+  const completionTime = Math.ceil(serverElapsedMs / 1000);
+
+  return {
+    ...replay,
+    completionTime,
+    minimumMoves,
+    perfectGame: optimal && replay.moveCount <= minimumMoves,
+    speedBonus:
+      session.game_mode === "speed" && completionTime < SPEED_BONUS_SECONDS,
+  };
+}
+
+module.exports = {
+  MAX_MOVES_PER_SECOND,
+  CLOCK_TOLERANCE_MS,
+  SPEED_BONUS_SECONDS,
+  normalizeMove,
+  replayMoves,
+  extendsRecordedMoves,
+  recordPause,
+  getPauseWindows,
+  validateCompletion,
+};
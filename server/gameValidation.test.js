@@ -0,0 +1,169 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  extendsRecordedMoves,
+  recordPause,
+  getPauseWindows,
+  validateCompletion,
+} = require("./gameValidation");
+const puzzleLogic = require("./puzzleLogic");
+
+// A 3x3 board two slides from solved, and the moves that solve it
+const initialState = [1, 2, 3, 4, 5, 6, 0, 7, 8];
+const solvingMoves = [
+  { tilePosition: 7, emptyPosition: 6, timeElapsed: 1000 },
+  { tilePosition: 8, emptyPosition: 7, timeElapsed: 2000 },
+];
+
+const session = {
+  board_size: "3x3",
+  game_mode: "speed",
+  initial_state: JSON.stringify(initialState),
+  started_at: new Date(0),
+};
+
+describe("extendsRecordedMoves", () => {
+  it("accepts the recorded moves plus later ones", () => {
+    const recorded = [{ tile_position: 7, empty_position: 6 }];
+
+    assert.equal(extendsRecordedMoves(recorded, solvingMoves), true);
+    assert.equal(extendsRecordedMoves([], solvingMoves), true);
+  });
+
+  it("rejects a list that rewrites or drops recorded moves", () => {
+    const recorded = [{ tile_position: 3, empty_position: 6 }];
+
+    assert.equal(extendsRecordedMoves(recorded, solvingMoves), false);
+    assert.equal(
+      extendsRecordedMoves(solvingMoves, solvingMoves.slice(0, 1)),
+      false,
+    );
+    assert.equal(extendsRecordedMoves(solvingMoves, [null, null]), false);
+  });
+});
+
+describe("recordPause", () => {
+  it("opens a pause and closes it on resume", () => {
+    const paused = recordPause([], true, 1000);
+    assert.deepEqual(paused, [{ pausedAt: 1000, resumedAt: null }]);
+
+    const resumed = recordPause(paused, false, 4000);
+    assert.deepEqual(resumed, [{ pausedAt: 1000, resumedAt: 4000 }]);
+  });
+
+  it("ignores a repeated pause or resume", () => {
+    const paused = [{ pausedAt: 1000, resumedAt: null }];
+
+    assert.equal(recordPause(paused, true, 2000), null);
+    assert.equal(recordPause([], false, 2000), null);
+  });
+
+  it("runs an open pause until now", () => {
+    const pauses = [
+      { pausedAt: 1000, resumedAt: 4000 },
+      { pausedAt: 8000, resumedAt: null },
+    ];
+
+    assert.deepEqual(getPauseWindows(pauses, 9000), [
+      { start: 1000, end: 4000 },
+      { start: 8000, end: 9000 },
+    ]);
+  });
+});
+
+describe("validateCompletion", () => {
+  it("accepts a legal solve", () => {
+    const result = validateCompletion(session, solvingMoves, {
+      minimumMoves: 2,
+      minimumMovesOptimal: true,
+      now: 10000,
+    });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.moveCount, 2);
+    assert.equal(result.perfectGame, true);
+    assert.ok(puzzleLogic.isSolved(result.board));
+  });
+
+  it("falls back to a lower bound without stored minimum moves", () => {
+    const result = validateCompletion(session, solvingMoves, { now: 10000 });
+
+    assert.equal(result.minimumMoves, 2);
+    assert.equal(result.perfectGame, false);
+  });
+
+  it("only awards a perfect game against a proven optimum", () => {
+    const estimated = validateCompletion(session, solvingMoves, {
+      minimumMoves: 2,
+      minimumMovesOptimal: false,
+      now: 10000,
+    });
+
+    assert.equal(estimated.valid, true);
+    assert.equal(estimated.perfectGame, false);
+  });
+
+  it("rejects an unfinished board", () => {
+    const result = validateCompletion(session, solvingMoves.slice(0, 1), {
+      minimumMoves: 2,
+      now: 10000,
+    });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, "Final board is not solved");
+  });
+
+  it("rejects a slide that is not next to the empty space", () => {
+    const result = validateCompletion(
+      session,
+      [{ tilePosition: 0, emptyPosition: 6, timeElapsed: 1000 }],
+      { minimumMoves: 2, now: 10000 },
+    );
+
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /not adjacent/);
+  });
+
+  it("times the game on the server clock, not the client's", () => {
+    const options = { minimumMoves: 2, now: 10000 };
+
+    assert.equal(
+      validateCompletion(session, solvingMoves, options).completionTime,
+      10,
+    );
+    assert.equal(
+      validateCompletion(session, solvingMoves, {
+        ...options,
+        startedAt: 3000,
+        stoppedMs: 4000,
+      }).completionTime,
+      3,
+    );
+  });
+
+  it("rejects client timestamps ahead of the server clock", () => {
+    const late = solvingMoves.map((move) => ({
+      ...move,
+      timeElapsed: move.timeElapsed + 6000,
+    }));
+    const result = validateCompletion(session, late, {
+      minimumMoves: 2,
+      now: 2000,
+    });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, "Reported time exceeds server clock");
+  });
+
+  it("rejects more moves than the server time allows", () => {
+    const instant = solvingMoves.map((move) => ({ ...move, timeElapsed: 0 }));
+    const result = validateCompletion(session, instant, {
+      minimumMoves: 2,
+      now: 100,
+    });
+
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, "Move rate is not humanly possible");
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Glicko-2 ratings (Glickman, "Example of the Glicko-2 system").
+ *
+ * A rating is { rating, deviation, volatility }. Deviation is how unsure we
+ * are of the rating: it starts high, shrinks with every game, and grows
+ * again while a player is idle, so new and returning players move quickly
+ * and settled ones slowly. Volatility tracks how erratic a player's
+ * results are. Each game is rated as its own rating period.
+ *
+ * Ratings use the same scale as the old ELO numbers, so a new player
+ * starts at 1000.
+ */
+
+const DEFAULT_RATING = 1000;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+// Constrains volatility changes; Glickman suggests 0.3 to 1.2
+const TAU = 0.5;
+
+// Converts between the display scale and Glicko-2's internal one
+const SCALE = 173.7178;
+
+const CONVERGENCE = 0.000001;
+
+// Idle time that counts as one missed rating period
+const RATING_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Rating for a player with no games
+ * @param {Number} rating - Starting rating
+ * @returns {Object} { rating, deviation, volatility }
+ */
+function createRating(rating = DEFAULT_RATING) {
+  return {
+    rating,
+    deviation: DEFAULT_DEVIATION,
+    volatility: DEFAULT_VOLATILITY,
+  };
+}
+
+const toInternal = (player) => ({
+  mu: (player.rating - DEFAULT_RATING) / SCALE,
+  phi: player.deviation / SCALE,
+  sigma: player.volatility,
+});
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, opponentMu, opponentPhi) =>
+  1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+
+/**
+ * Grow a rating's deviation for the rating periods a player sat out
+ * @param {Object} player - { rating, deviation, volatility }
+ * @param {Number} idleMs - Time since their last rated game
+ * @returns {Object} Rating with the wider deviation
+ */
+function applyInactivity(player, idleMs) {
+  const periods = Math.floor(Math.max(0, idleMs) / RATING_PERIOD_MS);
+  if (periods === 0) return player;
+
+  const { phi, sigma } = toInternal(player);
+  const deviation = Math.sqrt(phi * phi + periods * sigma * sigma) * SCALE;
+  return { ...player, deviation: Math.min(DEFAULT_DEVIATION, deviation) };
+}
+
+// Step 5 of the paper: the new volatility, by the Illinois method
+function updateVolatility(phi, sigma, variance, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + variance + ex;
+    return (
+      (ex * (delta * delta - phi * phi - variance - ex)) /
+        (2 * denominator * denominator) -
+      (x - a) / (TAU * TAU)
+    );
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + variance) {
+    B = Math.log(delta * delta - phi * phi - variance);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player over a rating period
+ * @param {Object} player - { rating, deviation, volatility }
+ * @param {Array} results - [{ opponent, score }], score 1 for a win, 0.5
+ *   for a draw and 0 for a loss
+ * @returns {Object} New { rating, deviation, volatility }
+ */
+function updateRating(player, results) {
+  const { mu, phi, sigma } = toInternal(player);
+
+  if (results.length === 0) {
+    const deviation = Math.sqrt(phi * phi + sigma * sigma) * SCALE;
+    return { ...player, deviation: Math.min(DEFAULT_DEVIATION, deviation) };
+  }
+
+  const games = results.map(({ opponent, score }) => {
+    const internal = toInternal(opponent);
+    return {
+      g: g(internal.phi),
+      expected: expectedScore(mu, internal.mu, internal.phi),
+      score,
+    };
+  });
+
+  const variance =
+    1 /
+    games.reduce(
+      (sum, game) =>
+        sum + game.g * game.g * game.expected * (1 - game.expected),
+      0,
+    );
+  const improvement = games.reduce(
+    (sum, game) => sum + game.g * (game.score - game.expected),
+    0,
+  );
+  const delta = variance * improvement;
+
+  const newSigma = updateVolatility(phi, sigma, variance, delta);
+  const prePhi = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (prePhi * prePhi) + 1 / variance);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    deviation: newPhi * SCALE,
+    volatility: newSigma,
+  };
+}
+
+/**
+ * Rate both sides of a single game
+ * @param {Object} player1 - Rating before the game
+ * @param {Object} player2 - Rating before the game
+ * @param {Number} score1 - Player one's score (1, 0.5 or 0)
+ * @returns {Array} [player1, player2] new ratings
+ */
+function rateGame(player1, player2, score1) {
+  return [
+    updateRating(player1, [{ opponent: player2, score: score1 }]),
+    updateRating(player2, [{ opponent: player1, score: 1 - score1 }]),
+  ];
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  RATING_PERIOD_MS,
+  createRating,
+  applyInactivity,
+  updateRating,
+  rateGame,
+};
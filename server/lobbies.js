@@ -0,0 +1,308 @@
+const crypto = require("crypto");
+const puzzleLogic = require("./puzzleLogic");
+const { isValidSeriesLength } = require("./series");
+
+/**
+ * Private lobbies for invite-only matches.
+ *
+ * A host opens a lobby with the match settings and gets a short invite
+ * code to share. One friend joins by code, both players mark themselves
+ * ready, and the match starts on a shared board. Settings can change until
+ * then, which clears both ready flags. Lobbies nobody touches for
+ * LOBBY_IDLE_MS are closed.
+ */
+
+// No 0/O or 1/I, so codes survive being read aloud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+const LOBBY_MODES = ["multiplayer", "speed", "fewest_moves"];
+const MAX_PLAYERS = 2;
+
+const LOBBY_IDLE_MS = 30 * 60 * 1000;
+const SWEEP_MS = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  boardSize: "4x4",
+  mode: "multiplayer",
+  powerups: true,
+  bestOf: 1,
+};
+
+/**
+ * Random invite code
+ * @param {Function} randomInt - (max) => integer in [0, max)
+ * @returns {String}
+ */
+function generateInviteCode(randomInt = crypto.randomInt) {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Canonical form of a typed or pasted invite code
+ * @param {String} code - Invite code
+ * @returns {String}
+ */
+function normalizeInviteCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Check lobby settings, filling in defaults for anything left out
+ * @param {Object} settings - { boardSize, mode, powerups, bestOf }
+ * @param {Object} base - Settings being changed
+ * @returns {Object} { settings } or { error }
+ */
+function validateLobbySettings(settings = {}, base = DEFAULT_SETTINGS) {
+  const merged = { ...base, ...settings };
+
+  if (!puzzleLogic.isValidBoardSize(merged.boardSize)) {
+    return { error: "Invalid board size" };
+  }
+  if (!LOBBY_MODES.includes(merged.mode)) {
+    return { error: "Invalid game mode" };
+  }
+  if (typeof merged.powerups !== "boolean") {
+    return { error: "Powerup rule must be true or false" };
+  }
+  if (!isValidSeriesLength(merged.bestOf)) {
+    return { error: "Series must be best of 1, 3 or 5" };
+  }
+
+  return {
+    settings: {
+      boardSize: puzzleLogic.formatBoardSize(merged.boardSize),
+      mode: merged.mode,
+      powerups: merged.powerups,
+      bestOf: merged.bestOf,
+    },
+  };
+}
+
+/**
+ * Create the lobby store
+ * @param {Object} options - { onExpire, now, idleMs }
+ *   onExpire(lobby) receives each lobby closed for inactivity.
+ * @returns {Object} Lobby manager
+ */
+function createLobbyManager({
+  onExpire = () => {},
+  now = Date.now,
+  idleMs = LOBBY_IDLE_MS,
+} = {}) {
+  const lobbies = new Map();
+  let interval = null;
+
+  const touch = (lobby) => {
+    lobby.updatedAt = now();
+    return lobby;
+  };
+
+  const findPlayer = (lobby, userId) =>
+    lobby.players.find((player) => player.userId === userId);
+
+  const manager = {
+    /**
+     * Open a lobby hosted by a player, who leaves any other lobby
+     * @param {Object} host - { userId, username, socket }
+     * @param {Object} settings - Validated settings
+     * @returns {Object} Lobby
+     */
+    create(host, settings) {
+      manager.leave(host.userId);
+
+      let code = generateInviteCode();
+      while (lobbies.has(code)) code = generateInviteCode();
+
+      const lobby = {
+        code,
+        hostId: host.userId,
+        settings,
+        players: [{ ...host, socket: host.socket || null, ready: false }],
+        createdAt: now(),
+        updatedAt: now(),
+      };
+      lobbies.set(code, lobby);
+      return lobby;
+    },
+
+    get(code) {
+      return lobbies.get(normalizeInviteCode(code)) || null;
+    },
+
+    findByUser(userId) {
+      for (const lobby of lobbies.values()) {
+        if (findPlayer(lobby, userId)) return lobby;
+      }
+      return null;
+    },
+
+    /**
+     * Join a lobby by code; members rejoining just attach their socket
+     * @param {String} code - Invite code
+     * @param {Object} player - { userId, username, socket }
+     * @returns {Object} { lobby } or { error }
+     */
+    join(code, player) {
+      const lobby = manager.get(code);
+      if (!lobby) return { error: "Lobby not found" };
+
+      const member = findPlayer(lobby, player.userId);
+      if (member) {
+        member.socket = player.socket;
+        return { lobby: touch(lobby) };
+      }
+
+      if (lobby.players.length >= MAX_PLAYERS) {
+        return { error: "Lobby is full" };
+      }
+
+      manager.leave(player.userId);
+      lobby.players.push({ ...player, ready: false });
+      return { lobby: touch(lobby) };
+    },
+
+    /**
+     * Remove a player from their lobby; the lobby closes if the host leaves
+     * @param {Number} userId - Player
+     * @returns {Object|null} { lobby, closed }, or null if not in a lobby
+     */
+    leave(userId) {
+      const lobby = manager.findByUser(userId);
+      if (!lobby) return null;
+
+      if (lobby.hostId === userId) {
+        lobbies.delete(lobby.code);
+        return { lobby, closed: true };
+      }
+
+      lobby.players = lobby.players.filter((p) => p.userId !== userId);
+      lobby.players.forEach((p) => {
+        p.ready = false;
+      });
+      return { lobby: touch(lobby), closed: false };
+    },
+
+    /**
+     * Keep a disconnected player's seat, but not their ready flag
+     * @param {Number} userId - Player
+     * @returns {Object|null} Lobby
+     */
+    detach(userId) {
+      const lobby = manager.findByUser(userId);
+      if (!lobby) return null;
+
+      const player = findPlayer(lobby, userId);
+      player.socket = null;
+      player.ready = false;
+      return touch(lobby);
+    },
+
+    /**
+     * Set a player's ready flag
+     * @param {Number} userId - Player
+     * @param {Boolean} ready - Ready or not
+     * @returns {Object|null} Lobby
+     */
+    setReady(userId, ready) {
+      const lobby = manager.findByUser(userId);
+      if (!lobby) return null;
+
+      findPlayer(lobby, userId).ready = Boolean(ready);
+      return touch(lobby);
+    },
+
+    /**
+     * Change settings (host only), clearing every ready flag
+     * @param {Number} userId - Player asking
+     * @param {Object} settings - Partial settings
+     * @returns {Object} { lobby } or { error }
+     */
+    updateSettings(userId, settings) {
+      const lobby = manager.findByUser(userId);
+      if (!lobby) return { error: "Not in a lobby" };
+      if (lobby.hostId !== userId) {
+        return { error: "Only the host can change settings" };
+      }
+
+      const result = validateLobbySettings(settings, lobby.settings);
+      if (result.error) return result;
+
+      lobby.settings = result.settings;
+      lobby.players.forEach((p) => {
+        p.ready = false;
+      });
+      return { lobby: touch(lobby) };
+    },
+
+    // A full lobby whose players are all connected and ready
+    isReady(lobby) {
+      return (
+        lobby.players.length === MAX_PLAYERS &&
+        lobby.players.every((p) => p.ready && p.socket)
+      );
+    },
+
+    close(code) {
+      lobbies.delete(normalizeInviteCode(code));
+    },
+
+    // Close lobbies idle for too long
+    sweep() {
+      const cutoff = now() - idleMs;
+      for (const lobby of [...lobbies.values()]) {
+        if (lobby.updatedAt < cutoff) {
+          lobbies.delete(lobby.code);
+          onExpire(lobby);
+        }
+      }
+    },
+
+    start() {
+      if (!interval) interval = setInterval(manager.sweep, SWEEP_MS);
+    },
+
+    stop() {
+      clearInterval(interval);
+      interval = null;
+    },
+  };
+
+  return manager;
+}
+
+/**
+ * Lobby as sent to clients, without sockets
+ * @param {Object} lobby - Lobby
+ * @returns {Object}
+ */
+function summarizeLobby(lobby) {
+  return {
+    code: lobby.code,
+    hostId: lobby.hostId,
+    settings: lobby.settings,
+    players: lobby.players.map(({ userId, username, ready, socket }) => ({
+      userId,
+      username,
+      ready,
+      connected: Boolean(socket),
+    })),
+    createdAt: lobby.createdAt,
+  };
+}
+
+module.exports = {
+  LOBBY_MODES,
+  DEFAULT_SETTINGS,
+  generateInviteCode,
+  normalizeInviteCode,
+  validateLobbySettings,
+  createLobbyManager,
+  summarizeLobby,
+};
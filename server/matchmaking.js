@@ -0,0 +1,253 @@
+/**
+ * Matchmaking queue service.
+ *
+ * Players wait in one queue per mode. Every tick the queue is re-scanned
+ * oldest first, and each player is paired with the closest-rated compatible
+ * opponent. The acceptable ELO gap widens the longer both players have
+ * waited. Players may ask for a specific board size or "any". Anyone still
+ * waiting after QUEUE_TIMEOUT_MS is handed to onTimeout, e.g. for a bot game.
+ */
+
+const ANY_SIZE = "any";
+
+// Size used when two "any" players are paired
+const DEFAULT_BOARD_SIZE = "4x4";
+
+const TICK_MS = 2000;
+
+// ELO gap accepted on joining, widened by ELO_WINDOW_STEP every
+// ELO_WINDOW_STEP_MS of waiting, up to MAX_ELO_WINDOW
+const BASE_ELO_WINDOW = 100;
+const ELO_WINDOW_STEP = 50;
+const ELO_WINDOW_STEP_MS = 10000;
+const MAX_ELO_WINDOW = 600;
+
+const QUEUE_TIMEOUT_MS = 60000;
+
+// Recent waits kept for the estimate sent with matchmaking_status
+const WAIT_SAMPLE_SIZE = 20;
+
+/**
+ * ELO gap a player accepts after waiting
+ * @param {Number} waitedMs - Time in queue
+ * @returns {Number}
+ */
+function getEloWindow(waitedMs) {
+  const steps = Math.floor(Math.max(0, waitedMs) / ELO_WINDOW_STEP_MS);
+  return Math.min(BASE_ELO_WINDOW + steps * ELO_WINDOW_STEP, MAX_ELO_WINDOW);
+}
+
+/**
+ * Board size two queued players would play on
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @returns {String|null} Board size key, or null if they want different sizes
+ */
+function resolveBoardSize(a, b) {
+  if (a.boardSize === ANY_SIZE && b.boardSize === ANY_SIZE) {
+    return DEFAULT_BOARD_SIZE;
+  }
+  if (a.boardSize === ANY_SIZE) return b.boardSize;
+  if (b.boardSize === ANY_SIZE || a.boardSize === b.boardSize) {
+    return a.boardSize;
+  }
+  return null;
+}
+
+/**
+ * Whether two queued players may be paired now; both windows must allow it
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @param {Number} now - Current time (ms)
+ * @returns {Boolean}
+ */
+function canMatch(a, b, now) {
+  if (a.userId === b.userId || resolveBoardSize(a, b) === null) return false;
+
+  const gap = Math.abs(a.elo - b.elo);
+  return (
+    gap <= getEloWindow(now - a.joinedAt) &&
+    gap <= getEloWindow(now - b.joinedAt)
+  );
+}
+
+/**
+ * Pair up a queue, longest-waiting players first
+ * @param {Array} entries - Queue entries for one mode
+ * @param {Number} now - Current time (ms)
+ * @returns {Array} [{ players: [a, b], boardSize }]
+ */
+function findMatches(entries, now) {
+  const waiting = [...entries].sort((a, b) => a.joinedAt - b.joinedAt);
+  const matched = new Set();
+  const matches = [];
+
+  for (const player of waiting) {
+    if (matched.has(player)) continue;
+
+    let best = null;
+    for (const other of waiting) {
+      if (other === player || matched.has(other)) continue;
+      if (!canMatch(player, other, now)) continue;
+
+      const gap = Math.abs(other.elo - player.elo);
+      if (!best || gap < Math.abs(best.elo - player.elo)) best = other;
+    }
+
+    if (best) {
+      matched.add(player);
+      matched.add(best);
+      matches.push({
+        players: [player, best],
+        boardSize: resolveBoardSize(player, best),
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Create a matchmaking service
+ * @param {Object} options - { onMatch, onStatus, onTimeout, now, tickMs,
+ *   timeoutMs }
+ *   onMatch({ mode, boardSize, players }) pairs two entries,
+ *   onStatus(entry, status) reports to one waiting player,
+ *   onTimeout(entry) receives a player who waited too long.
+ * @returns {Object} Matchmaker
+ */
+function createMatchmaker({
+  onMatch,
+  onStatus = () => {},
+  onTimeout = () => {},
+  now = Date.now,
+  tickMs = TICK_MS,
+  timeoutMs = QUEUE_TIMEOUT_MS,
+}) {
+  const queues = new Map();
+  const recentWaits = [];
+  let interval = null;
+
+  const getQueue = (mode) => {
+    if (!queues.has(mode)) queues.set(mode, []);
+    return queues.get(mode);
+  };
+
+  const remove = (entry) => {
+    const queue = getQueue(entry.mode);
+    const index = queue.indexOf(entry);
+    if (index !== -1) queue.splice(index, 1);
+  };
+
+  // Average of recent waits, less the time already spent waiting
+  const estimateWait = (waitedMs) => {
+    if (recentWaits.length === 0) return null;
+    const average =
+      recentWaits.reduce((sum, wait) => sum + wait, 0) / recentWaits.length;
+    return Math.max(0, Math.round(average - waitedMs));
+  };
+
+  const recordWait = (waitedMs) => {
+    recentWaits.push(waitedMs);
+    if (recentWaits.length > WAIT_SAMPLE_SIZE) recentWaits.shift();
+  };
+
+  const matchmaker = {
+    /**
+     * Queue a player, replacing any earlier entry of theirs
+     * @param {Object} entry - { userId, mode, boardSize, elo, ... }
+     * @returns {Object} The queued entry
+     */
+    join(entry) {
+      matchmaker.leave(entry.userId);
+      const queued = { ...entry, joinedAt: now() };
+      getQueue(entry.mode).push(queued);
+      return queued;
+    },
+
+    /**
+     * Remove a player from every queue
+     * @param {Number} userId - Player
+     * @returns {Object|null} The removed entry
+     */
+    leave(userId) {
+      for (const queue of queues.values()) {
+        const entry = queue.find((e) => e.userId === userId);
+        if (entry) {
+          remove(entry);
+          return entry;
+        }
+      }
+      return null;
+    },
+
+    has(userId) {
+      return [...queues.values()].some((queue) =>
+        queue.some((entry) => entry.userId === userId),
+      );
+    },
+
+    size(mode) {
+      return getQueue(mode).length;
+    },
+
+    // Pair who can be paired, time out who waited too long, report the rest
+    tick() {
+      const time = now();
+
+      for (const [mode, queue] of queues.entries()) {
+        for (const match of findMatches(queue, time)) {
+          match.players.forEach((entry) => {
+            remove(entry);
+            recordWait(time - entry.joinedAt);
+          });
+          onMatch({ mode, ...match });
+        }
+
+        for (const entry of [...queue]) {
+          const waitedMs = time - entry.joinedAt;
+
+          if (waitedMs >= timeoutMs) {
+            remove(entry);
+            onTimeout(entry);
+            continue;
+          }
+
+          onStatus(entry, {
+            mode,
+            boardSize: entry.boardSize,
+            queueSize: queue.length,
+            waitedMs,
+            eloWindow: getEloWindow(waitedMs),
+            estimatedWaitMs: estimateWait(waitedMs),
+            timeoutMs: timeoutMs - waitedMs,
+          });
+        }
+      }
+    },
+
+    start() {
+      if (!interval) interval = setInterval(matchmaker.tick, tickMs);
+    },
+
+    stop() {
+      clearInterval(interval);
+      interval = null;
+    },
+  };
+
+  return matchmaker;
+}
+
+module.exports = {
+  ANY_SIZE,
+  DEFAULT_BOARD_SIZE,
+  BASE_ELO_WINDOW,
+  MAX_ELO_WINDOW,
+  QUEUE_TIMEOUT_MS,
+  getEloWindow,
+  resolveBoardSize,
+  canMatch,
+  findMatches,
+  createMatchmaker,
+};
@@ -0,0 +1,209 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  ANY_SIZE,
+  DEFAULT_BOARD_SIZE,
+  BASE_ELO_WINDOW,
+  MAX_ELO_WINDOW,
+  QUEUE_TIMEOUT_MS,
+  getEloWindow,
+  canMatch,
+  findMatches,
+  createMatchmaker,
+} = require("./matchmaking");
+
+const entry = (userId, elo, overrides = {}) => ({
+  userId,
+  elo,
+  mode: "speed",
+  boardSize: "4x4",
+  joinedAt: 0,
+  ...overrides,
+});
+
+// A queue driven by a fake clock; ticks are run by hand
+function simulateQueue(options = {}) {
+  const clock = { time: 1000 };
+  const events = { matches: [], statuses: [], timeouts: [] };
+  const matchmaker = createMatchmaker({
+    now: () => clock.time,
+    onMatch: (match) => events.matches.push(match),
+    onStatus: (queued, status) => events.statuses.push({ queued, status }),
+    onTimeout: (queued) => events.timeouts.push(queued),
+    ...options,
+  });
+  return { clock, events, matchmaker };
+}
+
+describe("getEloWindow", () => {
+  it("widens in steps while waiting, up to the maximum", () => {
+    assert.equal(getEloWindow(0), BASE_ELO_WINDOW);
+    assert.equal(getEloWindow(9999), BASE_ELO_WINDOW);
+    assert.equal(getEloWindow(10000), BASE_ELO_WINDOW + 50);
+    assert.equal(getEloWindow(25000), BASE_ELO_WINDOW + 100);
+    assert.equal(getEloWindow(10 * 60 * 1000), MAX_ELO_WINDOW);
+  });
+});
+
+describe("canMatch", () => {
+  it("pairs players within both windows", () => {
+    assert.equal(canMatch(entry(1, 1200), entry(2, 1300), 0), true);
+    assert.equal(canMatch(entry(1, 1200), entry(2, 1301), 0), false);
+  });
+
+  it("needs both players to have waited long enough for the gap", () => {
+    const veteran = entry(1, 1200, { joinedAt: 0 });
+    const newcomer = entry(2, 1340, { joinedAt: 20000 });
+
+    // 20 s: the veteran accepts 200, the newcomer only 100
+    assert.equal(canMatch(veteran, newcomer, 20000), false);
+    // 30 s: the newcomer has waited 10 s and accepts 150
+    assert.equal(canMatch(veteran, newcomer, 30000), true);
+  });
+
+  it("never pairs a player with themselves", () => {
+    assert.equal(canMatch(entry(1, 1200), entry(1, 1200), 0), false);
+  });
+
+  it("keeps players on different board sizes apart", () => {
+    const small = entry(1, 1200, { boardSize: "3x3" });
+
+    assert.equal(canMatch(small, entry(2, 1200), 0), false);
+  });
+
+  it("lets an any-size player join either size", () => {
+    const any = entry(1, 1200, { boardSize: ANY_SIZE });
+    const otherAny = entry(3, 1200, { boardSize: ANY_SIZE });
+
+    assert.equal(canMatch(any, entry(2, 1200, { boardSize: "5x5" }), 0), true);
+    assert.equal(canMatch(any, otherAny, 0), true);
+  });
+});
+
+describe("findMatches", () => {
+  it("gives the longest-waiting player their closest opponent", () => {
+    const first = entry(1, 1200, { joinedAt: 0 });
+    const far = entry(2, 1290, { joinedAt: 100 });
+    const close = entry(3, 1210, { joinedAt: 200 });
+
+    const matches = findMatches([close, far, first], 1000);
+
+    assert.equal(matches.length, 1);
+    assert.deepEqual(matches[0].players, [first, close]);
+    assert.equal(matches[0].boardSize, "4x4");
+  });
+
+  it("pairs everyone it can, each player once", () => {
+    const players = [1200, 1250, 1500, 1550].map((elo, i) =>
+      entry(i + 1, elo, { joinedAt: i }),
+    );
+
+    const matches = findMatches(players, 1000);
+    const paired = matches.flatMap((match) =>
+      match.players.map((player) => player.userId),
+    );
+
+    assert.equal(matches.length, 2);
+    assert.deepEqual(paired.sort(), [1, 2, 3, 4]);
+  });
+
+  it("plays the named size when only one player asked for any", () => {
+    const any = entry(1, 1200, { boardSize: ANY_SIZE });
+    const sized = entry(2, 1200, { boardSize: "3x5", joinedAt: 1 });
+
+    assert.equal(findMatches([any, sized], 1000)[0].boardSize, "3x5");
+  });
+
+  it("falls back to the default size for two any players", () => {
+    const a = entry(1, 1200, { boardSize: ANY_SIZE });
+    const b = entry(2, 1200, { boardSize: ANY_SIZE, joinedAt: 1 });
+
+    assert.equal(findMatches([a, b], 1000)[0].boardSize, DEFAULT_BOARD_SIZE);
+  });
+
+  it("leaves players outside each other's window unpaired", () => {
+    assert.deepEqual(findMatches([entry(1, 1000), entry(2, 1400)], 0), []);
+  });
+});
+
+describe("createMatchmaker", () => {
+  it("pairs two compatible players on the next tick", () => {
+    const { events, matchmaker } = simulateQueue();
+    matchmaker.join(entry(1, 1200));
+    matchmaker.join(entry(2, 1250));
+
+    matchmaker.tick();
+
+    assert.equal(events.matches.length, 1);
+    assert.equal(events.matches[0].mode, "speed");
+    assert.equal(matchmaker.has(1) || matchmaker.has(2), false);
+  });
+
+  it("widens the window until a distant pair can match", () => {
+    const { clock, events, matchmaker } = simulateQueue();
+    matchmaker.join(entry(1, 1200));
+    matchmaker.join(entry(2, 1400));
+
+    matchmaker.tick();
+    assert.equal(events.matches.length, 0);
+    assert.equal(events.statuses.at(-1).status.eloWindow, BASE_ELO_WINDOW);
+
+    // 200 apart needs a 200 window: two steps of waiting
+    clock.time += 20000;
+    matchmaker.tick();
+    assert.equal(events.matches.length, 1);
+  });
+
+  it("reports queue status to players still waiting", () => {
+    const { clock, events, matchmaker } = simulateQueue();
+    matchmaker.join(entry(1, 1200));
+    clock.time += 5000;
+
+    matchmaker.tick();
+
+    const { status } = events.statuses[0];
+    assert.equal(status.queueSize, 1);
+    assert.equal(status.waitedMs, 5000);
+    assert.equal(status.timeoutMs, QUEUE_TIMEOUT_MS - 5000);
+    assert.equal(status.estimatedWaitMs, null);
+  });
+
+  it("hands players who waited too long to onTimeout", () => {
+    const { clock, events, matchmaker } = simulateQueue();
+    const queued = matchmaker.join(entry(1, 1200));
+
+    clock.time += QUEUE_TIMEOUT_MS - 1;
+    matchmaker.tick();
+    assert.equal(events.timeouts.length, 0);
+
+    clock.time += 1;
+    matchmaker.tick();
+    assert.deepEqual(events.timeouts, [queued]);
+    assert.equal(matchmaker.has(1), false);
+  });
+
+  it("uses a custom timeout, e.g. for a quick bot fallback", () => {
+    const { clock, events, matchmaker } = simulateQueue({ timeoutMs: 5000 });
+    matchmaker.join(entry(1, 1200));
+
+    clock.time += 5000;
+    matchmaker.tick();
+
+    assert.equal(events.timeouts.length, 1);
+    assert.equal(events.matches.length, 0);
+  });
+
+  it("keeps one entry per player and forgets players who leave", () => {
+    const { matchmaker } = simulateQueue();
+    matchmaker.join(entry(1, 1200));
+    matchmaker.join(entry(1, 1200, { mode: "fewest_moves" }));
+
+    assert.equal(matchmaker.size("speed"), 0);
+    assert.equal(matchmaker.size("fewest_moves"), 1);
+
+    assert.equal(matchmaker.leave(1).mode, "fewest_moves");
+    assert.equal(matchmaker.has(1), false);
+    assert.equal(matchmaker.leave(1), null);
+  });
+});
@@ -0,0 +1,442 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const puzzleLogic = require("./puzzleLogic");
+
+/**
+ * Additive (disjoint) pattern databases for the sliding puzzle.
+ *
+ * Each partition's table stores, for every placement of its tiles, the
+ * minimum number of moves of those tiles needed to reach their goal cells.
+ * Only pattern-tile moves are counted, so values from disjoint partitions
+ * can be summed and the total stays admissible.
+ */
+
+// 6-6-3 partition of the 15-puzzle (tile t belongs at index t - 1): the left
+// column, the rest of the top two rows and the rest of the bottom two rows.
+// Compact row blocks keep most tile interactions inside one table, and the
+// mirrored lookup covers the same blocks as columns
+const DEFAULT_PARTITION_4X4 = [
+  [1, 5, 9],
+  [2, 3, 4, 6, 7, 8],
+  [10, 11, 12, 13, 14, 15],
+];
+
+const DEFAULT_PDB_PATH =
+  process.env.PDB_PATH || path.join(__dirname, "data", "pdb-4x4-663.bin");
+
+const FILE_MAGIC = "RPDB";
+const FILE_VERSION = 1;
+const UNVISITED = 255;
+
+// Loaded databases, keyed by file path (null when the file is missing)
+const loadedDatabases = new Map();
+
+/**
+ * Create a ranking function for placements of k distinct tiles on n cells
+ * @param {Number} cells - Number of board cells
+ * @param {Number} k - Number of pattern tiles
+ * @returns {Object} { count, rank(positions), unrank(index, out) }
+ */
+function createRanker(cells, k) {
+  const multipliers = new Array(k);
+  let count = 1;
+  for (let i = k - 1; i >= 0; i--) {
+    multipliers[i] = count;
+    count *= cells - i;
+  }
+
+  const rank = (positions) => {
+    let index = 0;
+    for (let i = 0; i < k; i++) {
+      let digit = positions[i];
+      for (let j = 0; j < i; j++) {
+        if (positions[j] < positions[i]) digit--;
+      }
+      index += digit * multipliers[i];
+    }
+    return index;
+  };
+
+  const unrank = (index, out) => {
+    const used = new Uint8Array(cells);
+    for (let i = 0; i < k; i++) {
+      let digit = Math.floor(index / multipliers[i]);
+      index -= digit * multipliers[i];
+
+      let cell = 0;
+      while (used[cell] || digit > 0) {
+        if (!used[cell]) digit--;
+        cell++;
+      }
+      used[cell] = 1;
+      out[i] = cell;
+    }
+    return out;
+  };
+
+  return { count, rank, unrank };
+}
+
+/**
+ * Growable queue of 32-bit state indices, stored in fixed-size chunks so a
+ * large BFS level never needs one huge contiguous allocation
+ * @returns {Object} { push(value), forEach(callback), length }
+ */
+function createStateQueue() {
+  const CHUNK = 1 << 20;
+  const chunks = [];
+  let length = 0;
+
+  return {
+    get length() {
+      return length;
+    },
+
+    push(value) {
+      if (length % CHUNK === 0) chunks.push(new Uint32Array(CHUNK));
+      chunks[chunks.length - 1][length % CHUNK] = value;
+      length++;
+    },
+
+    forEach(callback) {
+      for (let i = 0; i < length; i++) {
+        callback(chunks[Math.floor(i / CHUNK)][i % CHUNK]);
+      }
+    },
+  };
+}
+
+/**
+ * Breadth-first search backwards from the goal placement of a pattern.
+ * The blank is tracked during the search: sliding a non-pattern tile is
+ * free, sliding a pattern tile costs one move. Each table entry keeps the
+ * cheapest value over all blank positions.
+ * @param {Number} size - Board size
+ * @param {Array} tiles - Tiles in this pattern
+ * @returns {Uint8Array} Move counts indexed by placement rank
+ */
+function buildPatternTable(size, tiles) {
+  const cells = size * size;
+  const k = tiles.length;
+  const ranker = createRanker(cells, k);
+  const table = new Uint8Array(ranker.count).fill(UNVISITED);
+
+  // One bit per (placement, blank cell): queued for expansion, and already
+  // covered by the flood fill of an expanded blank region
+  const queued = new Uint8Array(Math.ceil((ranker.count * cells) / 8));
+  const expanded = new Uint8Array(queued.length);
+  const testBit = (bits, state) => bits[state >>> 3] & (1 << (state & 7));
+  const setBit = (bits, state) => {
+    bits[state >>> 3] |= 1 << (state & 7);
+  };
+
+  const neighbors = [];
+  for (let i = 0; i < cells; i++) {
+    neighbors.push(puzzleLogic.getValidMoves(null, i, size));
+  }
+
+  const positions = new Uint8Array(k);
+  const slotAt = new Int8Array(cells);
+  const region = new Uint8Array(cells);
+  const inRegion = new Uint8Array(cells);
+  const goal = Uint8Array.from(tiles, (tile) => tile - 1);
+
+  let frontier = createStateQueue();
+  const start = ranker.rank(goal) * cells + (cells - 1);
+  frontier.push(start);
+  setBit(queued, start);
+  let depth = 0;
+
+  while (frontier.length > 0) {
+    const next = createStateQueue();
+
+    frontier.forEach((state) => {
+      if (testBit(expanded, state)) return;
+
+      const rank = Math.floor(state / cells);
+      const blank = state % cells;
+      if (table[rank] === UNVISITED) table[rank] = depth;
+
+      ranker.unrank(rank, positions);
+      slotAt.fill(-1);
+      for (let i = 0; i < k; i++) slotAt[positions[i]] = i;
+
+      // Every cell the blank reaches without moving a pattern tile
+      let regionSize = 0;
+      region[regionSize++] = blank;
+      inRegion[blank] = 1;
+      for (let r = 0; r < regionSize; r++) {
+        setBit(expanded, rank * cells + region[r]);
+        for (const cell of neighbors[region[r]]) {
+          if (slotAt[cell] === -1 && !inRegion[cell]) {
+            inRegion[cell] = 1;
+            region[regionSize++] = cell;
+          }
+        }
+      }
+
+      for (let r = 0; r < regionSize; r++) {
+        const cell = region[r];
+        for (const from of neighbors[cell]) {
+          const slot = slotAt[from];
+          if (slot === -1) continue;
+
+          positions[slot] = cell;
+          const successor = ranker.rank(positions) * cells + from;
+          positions[slot] = from;
+
+          if (!testBit(queued, successor)) {
+            setBit(queued, successor);
+            next.push(successor);
+          }
+        }
+      }
+
+      for (let r = 0; r < regionSize; r++) inRegion[region[r]] = 0;
+    });
+
+    frontier = next;
+    depth++;
+  }
+
+  return table;
+}
+
+/**
+ * Build every table of a partition
+ * @param {Number} size - Board size
+ * @param {Array} partition - Array of disjoint tile groups
+ * @param {Function} onProgress - Optional callback(groupIndex, tiles)
+ * @returns {Object} Pattern database
+ */
+function buildPatternDatabase(
+  size = 4,
+  partition = DEFAULT_PARTITION_4X4,
+  onProgress = null,
+) {
+  const tables = partition.map((tiles, index) => {
+    if (onProgress) onProgress(index, tiles);
+    return buildPatternTable(size, tiles);
+  });
+
+  return createPatternDatabase(size, partition, tables);
+}
+
+/**
+ * Attach lookup helpers to raw tables
+ * @param {Number} size - Board size
+ * @param {Array} partition - Tile groups
+ * @param {Array} tables - One Uint8Array per group
+ * @returns {Object} { size, partition, tables, rankers, tileGroup, tileSlot,
+ *   transposeCell, transposeTile }
+ */
+function createPatternDatabase(size, partition, tables) {
+  const cells = size * size;
+  const tileGroup = new Int8Array(cells).fill(-1);
+  const tileSlot = new Int8Array(cells).fill(-1);
+
+  partition.forEach((tiles, group) => {
+    tiles.forEach((tile, slot) => {
+      tileGroup[tile] = group;
+      tileSlot[tile] = slot;
+    });
+  });
+
+  // Mirroring the board about its main diagonal keeps the goal layout, so the
+  // mirrored board is just as far from solved and gets its own lookup
+  const transposeCell = Uint8Array.from(
+    { length: cells },
+    (_, i) => (i % size) * size + Math.floor(i / size),
+  );
+  const transposeTile = Uint8Array.from({ length: cells }, (_, tile) =>
+    tile === 0 ? 0 : transposeCell[tile - 1] + 1,
+  );
+
+  return {
+    size,
+    partition,
+    tables,
+    rankers: partition.map((tiles) => createRanker(cells, tiles.length)),
+    tileGroup,
+    tileSlot,
+    transposeCell,
+    transposeTile,
+  };
+}
+
+/**
+ * Incrementally maintained pattern database heuristic for a search
+ * @param {Object} pdb - Pattern database
+ * @param {Uint8Array} tiles - Starting board
+ * @returns {Object} { value(), slide(tile, from, to) }
+ */
+function createPatternTracker(pdb, tiles) {
+  const groups = pdb.partition.length;
+  const placements = pdb.partition.map((group) => new Uint8Array(group.length));
+  const mirrored = pdb.partition.map((group) => new Uint8Array(group.length));
+  const values = new Uint8Array(groups);
+  const mirroredValues = new Uint8Array(groups);
+  let total = 0;
+  let mirroredTotal = 0;
+
+  const evaluate = (group) => {
+    total -= values[group];
+    values[group] =
+      pdb.tables[group][pdb.rankers[group].rank(placements[group])];
+    total += values[group];
+  };
+
+  const evaluateMirrored = (group) => {
+    mirroredTotal -= mirroredValues[group];
+    mirroredValues[group] =
+      pdb.tables[group][pdb.rankers[group].rank(mirrored[group])];
+    mirroredTotal += mirroredValues[group];
+  };
+
+  // Record a tile's cell in both placements, returning nothing so the
+  // search loop stays allocation-free
+  const place = (tile, cell) => {
+    const group = pdb.tileGroup[tile];
+    if (group !== -1) placements[group][pdb.tileSlot[tile]] = cell;
+
+    const mirrorTile = pdb.transposeTile[tile];
+    const mirrorGroup = pdb.tileGroup[mirrorTile];
+    if (mirrorGroup !== -1) {
+      mirrored[mirrorGroup][pdb.tileSlot[mirrorTile]] = pdb.transposeCell[cell];
+    }
+  };
+
+  for (let i = 0; i < tiles.length; i++) {
+    if (tiles[i] !== 0) place(tiles[i], i);
+  }
+  for (let group = 0; group < groups; group++) {
+    evaluate(group);
+    evaluateMirrored(group);
+  }
+
+  return {
+    value: () => (mirroredTotal > total ? mirroredTotal : total),
+
+    slide(tile, from, to) {
+      place(tile, to);
+      const group = pdb.tileGroup[tile];
+      if (group !== -1) evaluate(group);
+      const mirrorGroup = pdb.tileGroup[pdb.transposeTile[tile]];
+      if (mirrorGroup !== -1) evaluateMirrored(mirrorGroup);
+    },
+  };
+}
+
+/**
+ * Pattern database lower bound for a board
+ * @param {Object} pdb - Pattern database
+ * @param {Array} board - Board state
+ * @returns {Number} Admissible lower bound on solution length
+ */
+function lookup(pdb, board) {
+  return createPatternTracker(pdb, Uint8Array.from(board)).value();
+}
+
+/**
+ * Serialize a pattern database to a gzipped binary file
+ * @param {Object} pdb - Pattern database
+ * @param {String} filePath - Destination path
+ */
+function savePatternDatabase(pdb, filePath = DEFAULT_PDB_PATH) {
+  const header = [
+    Buffer.from(FILE_MAGIC, "ascii"),
+    Buffer.from([FILE_VERSION, pdb.size, pdb.partition.length]),
+  ];
+
+  const body = pdb.partition.map((tiles, group) => {
+    const meta = Buffer.alloc(1 + tiles.length + 4);
+    meta.writeUInt8(tiles.length, 0);
+    tiles.forEach((tile, i) => meta.writeUInt8(tile, 1 + i));
+    meta.writeUInt32LE(pdb.tables[group].length, 1 + tiles.length);
+    return Buffer.concat([meta, Buffer.from(pdb.tables[group].buffer)]);
+  });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    zlib.gzipSync(Buffer.concat([...header, ...body]), { level: 9 }),
+  );
+}
+
+/**
+ * Read a pattern database file written by savePatternDatabase
+ * @param {String} filePath - Source path
+ * @returns {Object} Pattern database
+ */
+function readPatternDatabase(filePath = DEFAULT_PDB_PATH) {
+  const data = zlib.gunzipSync(fs.readFileSync(filePath));
+
+  if (data.toString("ascii", 0, 4) !== FILE_MAGIC) {
+    throw new Error(`Not a pattern database file: ${filePath}`);
+  }
+  if (data.readUInt8(4) !== FILE_VERSION) {
+    throw new Error(`Unsupported pattern database version in ${filePath}`);
+  }
+
+  const size = data.readUInt8(5);
+  const groups = data.readUInt8(6);
+  const partition = [];
+  const tables = [];
+  let offset = 7;
+
+  for (let group = 0; group < groups; group++) {
+    const k = data.readUInt8(offset);
+    const tiles = [];
+    for (let i = 0; i < k; i++) tiles.push(data.readUInt8(offset + 1 + i));
+
+    const length = data.readUInt32LE(offset + 1 + k);
+    offset += 1 + k + 4;
+
+    tables.push(Uint8Array.from(data.subarray(offset, offset + length)));
+    partition.push(tiles);
+    offset += length;
+  }
+
+  return createPatternDatabase(size, partition, tables);
+}
+
+/**
+ * Load the pattern database for a board size, once per process. Databases
+ * are built for square boards only.
+ * @param {Number|String} size - Board size
+ * @param {String} filePath - Source path
+ * @returns {Object|null} Pattern database, or null if none is available
+ */
+function getPatternDatabase(size, filePath = DEFAULT_PDB_PATH) {
+  if (!loadedDatabases.has(filePath)) {
+    let pdb = null;
+
+    if (fs.existsSync(filePath)) {
+      try {
+        pdb = readPatternDatabase(filePath);
+      } catch (error) {
+        console.error("Pattern database load failed:", error.message);
+      }
+    }
+
+    loadedDatabases.set(filePath, pdb);
+  }
+
+  const pdb = loadedDatabases.get(filePath);
+  const { rows, cols } = puzzleLogic.getBoardDimensions(size);
+  return pdb && rows === pdb.size && cols === pdb.size ? pdb : null;
+}
+
+module.exports = {
+  DEFAULT_PARTITION_4X4,
+  DEFAULT_PDB_PATH,
+  createRanker,
+  buildPatternTable,
+  buildPatternDatabase,
+  createPatternTracker,
+  lookup,
+  savePatternDatabase,
+  readPatternDatabase,
+  getPatternDatabase,
+};
@@ -0,0 +1,53 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildPatternDatabase,
+  createPatternTracker,
+  lookup,
+} = require("./patternDatabase");
+const puzzleLogic = require("./puzzleLogic");
+const solver = require("./solver");
+
+// Not symmetric about the diagonal: the mirrored lookup must still hold
+const pdb = buildPatternDatabase(3, [
+  [1, 2, 3],
+  [4, 5, 6, 7, 8],
+]);
+
+const SEEDS = [1, 7, 42, 99, 2024, 31337];
+
+describe("pattern database", () => {
+  it("is zero on the solved board", () => {
+    assert.equal(lookup(pdb, puzzleLogic.createSolvedBoard(3)), 0);
+  });
+
+  it("never overestimates the optimal solution", () => {
+    for (const seed of SEEDS) {
+      const board = puzzleLogic.generateSolvablePuzzle("3x3", seed);
+      const { length } = solver.solve(board, "3x3", {
+        patternDatabase: false,
+      });
+
+      assert.ok(lookup(pdb, board) <= length);
+    }
+  });
+
+  it("tracks slides the same as a fresh lookup", () => {
+    const board = puzzleLogic.generateSolvablePuzzle("3x3", 5);
+    const tiles = Uint8Array.from(board);
+    const tracker = createPatternTracker(pdb, tiles);
+    let current = board;
+
+    for (let step = 0; step < 30; step++) {
+      const empty = current.indexOf(0);
+      const moves = puzzleLogic.getValidMoves(current, empty, "3x3");
+      const from = moves[step % moves.length];
+
+      tracker.slide(current[from], from, empty);
+      current = puzzleLogic.moveTile(current, from, "3x3");
+
+      assert.equal(tracker.value(), lookup(pdb, current));
+    }
+  });
+});
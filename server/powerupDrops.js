@@ -0,0 +1,139 @@
+/**
+ * Powerup drops.
+ *
+ * Every way of earning powerups has a drop table: the chance it drops
+ * anything, how many powerups it rolls, and how heavily each rarity is
+ * weighted. A roll first picks a rarity among those the catalogue actually
+ * has, then a powerup of that rarity at random. Streak tables only drop on
+ * every `every`th day or win of a streak.
+ *
+ * The defaults below can be overridden per table with the
+ * POWERUP_DROP_TABLES environment variable, a JSON object such as
+ * {"win": {"chance": 0.5}, "daily_login": {"rolls": 2}}.
+ */
+
+const RARITY_WEIGHTS = { common: 60, rare: 28, epic: 10, legendary: 2 };
+
+const DEFAULT_DROP_TABLES = {
+  // Any completed solo puzzle
+  win: { chance: 0.25, rolls: 1 },
+  multiplayer_win: { chance: 0.5, rolls: 1 },
+  // Once per level gained
+  level_up: {
+    chance: 1,
+    rolls: 1,
+    weights: { common: 40, rare: 40, epic: 17, legendary: 3 },
+  },
+  achievement: {
+    chance: 1,
+    rolls: 1,
+    weights: { common: 30, rare: 45, epic: 20, legendary: 5 },
+  },
+  // First connection of each UTC day
+  daily_login: { chance: 1, rolls: 1, weights: { common: 80, rare: 20 } },
+  login_streak: {
+    every: 7,
+    chance: 1,
+    rolls: 2,
+    weights: { rare: 60, epic: 35, legendary: 5 },
+  },
+  win_streak: {
+    every: 3,
+    chance: 1,
+    rolls: 1,
+    weights: { rare: 70, epic: 25, legendary: 5 },
+  },
+};
+
+/**
+ * Drop tables with any overrides applied
+ * @param {String} overrides - JSON from POWERUP_DROP_TABLES, if set
+ * @returns {Object} Tables by source
+ */
+function getDropTables(overrides = process.env.POWERUP_DROP_TABLES) {
+  const tables = {};
+  let custom = {};
+  if (overrides) {
+    try {
+      custom = JSON.parse(overrides);
+    } catch (err) {
+      console.error("Ignoring invalid POWERUP_DROP_TABLES:", err.message);
+    }
+  }
+
+  for (const [source, table] of Object.entries(DEFAULT_DROP_TABLES)) {
+    tables[source] = { ...table, ...(custom[source] || {}) };
+  }
+  return tables;
+}
+
+/**
+ * Whether a streak has reached a length that drops
+ * @param {Object} table - Drop table
+ * @param {Number} streak - Current streak length
+ * @returns {Boolean}
+ */
+function isStreakMilestone(table, streak) {
+  return streak > 0 && streak % (table.every || 1) === 0;
+}
+
+// Pick a key from { key: weight }
+function pickWeighted(weights, random) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let target = random() * total;
+
+  for (const [key, weight] of entries) {
+    target -= weight;
+    if (target < 0) return key;
+  }
+  return entries.length > 0 ? entries[entries.length - 1][0] : null;
+}
+
+/**
+ * Roll a drop table
+ * @param {Object} table - { chance, rolls, weights }
+ * @param {Array} powerups - powerups rows to draw from
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Array} [{ powerupKey, quantity }], empty when nothing dropped
+ */
+function rollDrops(table, powerups, random = Math.random) {
+  if (powerups.length === 0 || random() >= table.chance) return [];
+
+  const byRarity = {};
+  powerups.forEach((powerup) => {
+    byRarity[powerup.rarity] = [...(byRarity[powerup.rarity] || []), powerup];
+  });
+
+  // Only weigh rarities the catalogue has, so a roll always lands
+  const weights = {};
+  for (const [rarity, weight] of Object.entries(
+    table.weights || RARITY_WEIGHTS,
+  )) {
+    if (byRarity[rarity]) weights[rarity] = weight;
+  }
+  if (Object.keys(weights).length === 0) return [];
+
+  const quantities = new Map();
+  for (let i = 0; i < (table.rolls || 1); i++) {
+    const pool = byRarity[pickWeighted(weights, random)];
+    const powerup = pool[Math.floor(random() * pool.length)];
+    quantities.set(
+      powerup.powerup_key,
+      (quantities.get(powerup.powerup_key) || 0) + 1,
+    );
+  }
+
+  return [...quantities].map(([powerupKey, quantity]) => ({
+    powerupKey,
+    quantity,
+  }));
+}
+
+module.exports = {
+  RARITY_WEIGHTS,
+  DEFAULT_DROP_TABLES,
+  getDropTables,
+  isStreakMilestone,
+  rollDrops,
+};
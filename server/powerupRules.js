@@ -0,0 +1,151 @@
+/**
+ * Powerup use rules.
+ *
+ * A powerup is used inside a game session and the rules come from its
+ * powerups row: max_per_game caps uses per player per game, cooldown is
+ * the wait in seconds between two uses of the same powerup, and
+ * usable_in_multiplayer / usable_in_competitive gate multiplayer and
+ * ranked games. Each use is logged on the session as
+ * { powerupId, powerupKey, usedAt } with usedAt in server time (ms), and
+ * the log is all these checks look at.
+ */
+
+/**
+ * Uses of one powerup in a player's log
+ * @param {Array} used - The player's powerups_used log
+ * @param {String} powerupKey - Powerup
+ * @returns {Array} Matching entries, oldest first
+ */
+function getUses(used, powerupKey) {
+  return used.filter((entry) => entry.powerupKey === powerupKey);
+}
+
+/**
+ * Seconds until a powerup can be used again
+ * @param {Object} powerup - powerups row
+ * @param {Array} used - The player's powerups_used log
+ * @param {Number} now - Server time (ms)
+ * @returns {Number} 0 when it is ready
+ */
+function getCooldownRemaining(powerup, used, now = Date.now()) {
+  const uses = getUses(used, powerup.powerup_key);
+  if (uses.length === 0 || !powerup.cooldown) return 0;
+
+  const readyAt = uses[uses.length - 1].usedAt + powerup.cooldown * 1000;
+  return Math.max(0, Math.ceil((readyAt - now) / 1000));
+}
+
+/**
+ * Check whether a player may use a powerup right now
+ * @param {Object} powerup - powerups row
+ * @param {Array} used - The player's powerups_used log for this game
+ * @param {Object} context - { multiplayer, ranked, now }
+ * @returns {String|null} Why not, or null if allowed
+ */
+function checkPowerupUse(powerup, used, { multiplayer, ranked, now }) {
+  if (multiplayer && !powerup.usable_in_multiplayer) {
+    return `${powerup.name} can't be used in multiplayer games`;
+  }
+  if (ranked && !powerup.usable_in_competitive) {
+    return `${powerup.name} can't be used in ranked games`;
+  }
+
+  if (getUses(used, powerup.powerup_key).length >= powerup.max_per_game) {
+    const limit = powerup.max_per_game;
+    return `${powerup.name} can only be used ${limit} time(s) per game`;
+  }
+
+  const remaining = getCooldownRemaining(powerup, used, now);
+  if (remaining > 0) {
+    return `${powerup.name} is cooling down for ${remaining}s`;
+  }
+
+  return null;
+}
+
+/**
+ * Cooldowns and uses left for every powerup, as sent to the player
+ * @param {Array} powerups - powerups rows
+ * @param {Array} used - The player's powerups_used log
+ * @param {Number} now - Server time (ms)
+ * @returns {Object} { [powerupKey]: { cooldown, usesLeft } }, cooldown in
+ *   seconds
+ */
+function getPowerupStatus(powerups, used, now = Date.now()) {
+  const status = {};
+  powerups.forEach((powerup) => {
+    status[powerup.powerup_key] = {
+      cooldown: getCooldownRemaining(powerup, used, now),
+      usesLeft: Math.max(
+        0,
+        powerup.max_per_game - getUses(used, powerup.powerup_key).length,
+      ),
+    };
+  });
+  return status;
+}
+
+/**
+ * Windows in which time_freeze powerups held a player's game clock
+ * @param {Array} powerups - powerups rows
+ * @param {Array} used - The player's powerups_used log
+ * @returns {Array} { start, end } in server ms, in order of use
+ */
+function getFreezeWindows(powerups, used) {
+  const durations = new Map(
+    powerups
+      .filter((powerup) => powerup.effect_type === "time_freeze")
+      .map((powerup) => [powerup.powerup_key, powerup.duration * 1000]),
+  );
+  return used
+    .filter((entry) => durations.has(entry.powerupKey))
+    .map((entry) => ({
+      start: entry.usedAt,
+      end: entry.usedAt + durations.get(entry.powerupKey),
+    }));
+}
+
+/**
+ * Time between from and to covered by any of a set of clock stops
+ * (time_freeze windows, pauses). Overlapping stops count once
+ * @param {Array} windows - { start, end } in server ms
+ * @param {Number} from - Start of the game (server ms)
+ * @param {Number} to - End of the game (server ms)
+ * @returns {Number} Stopped milliseconds between from and to
+ */
+function getStoppedMs(windows, from, to) {
+  const sorted = [...windows].sort((a, b) => a.start - b.start);
+
+  let stoppedMs = 0;
+  let stoppedUntil = from;
+  for (const window of sorted) {
+    const start = Math.max(window.start, stoppedUntil);
+    const end = Math.min(window.end, to);
+    if (end > start) {
+      stoppedMs += end - start;
+      stoppedUntil = end;
+    }
+  }
+  return stoppedMs;
+}
+
+/**
+ * Time a player's game clock stood still for time_freeze powerups
+ * @param {Array} powerups - powerups rows
+ * @param {Array} used - The player's powerups_used log
+ * @param {Number} from - Start of the game (server ms)
+ * @param {Number} to - End of the game (server ms)
+ * @returns {Number} Frozen milliseconds between from and to
+ */
+function getFrozenMs(powerups, used, from, to) {
+  return getStoppedMs(getFreezeWindows(powerups, used), from, to);
+}
+
+module.exports = {
+  getCooldownRemaining,
+  checkPowerupUse,
+  getPowerupStatus,
+  getFreezeWindows,
+  getStoppedMs,
+  getFrozenMs,
+};
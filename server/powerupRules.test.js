@@ -0,0 +1,46 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getFreezeWindows,
+  getStoppedMs,
+  getFrozenMs,
+} = require("./powerupRules");
+
+const powerups = [
+  { powerup_key: "time_freeze", effect_type: "time_freeze", duration: 10 },
+  { powerup_key: "hint", effect_type: "hint", duration: 0 },
+];
+
+const use = (powerupKey, usedAt) => ({ powerupId: 1, powerupKey, usedAt });
+
+describe("getFrozenMs", () => {
+  it("adds up each time_freeze and ignores other powerups", () => {
+    const used = [use("hint", 1000), use("time_freeze", 5000)];
+
+    assert.equal(getFrozenMs(powerups, used, 0, 60000), 10000);
+    assert.equal(getFrozenMs(powerups, [], 0, 60000), 0);
+  });
+
+  it("counts overlapping freezes once", () => {
+    const used = [use("time_freeze", 20000), use("time_freeze", 15000)];
+
+    assert.equal(getFrozenMs(powerups, used, 0, 60000), 15000);
+  });
+
+  it("only counts the part inside the game", () => {
+    const used = [use("time_freeze", 55000)];
+
+    assert.equal(getFrozenMs(powerups, used, 0, 60000), 5000);
+  });
+});
+
+describe("getStoppedMs", () => {
+  it("counts a pause taken during a freeze once", () => {
+    const freezes = getFreezeWindows(powerups, [use("time_freeze", 5000)]);
+    const pauses = [{ start: 10000, end: 30000 }];
+
+    // Freeze 5-15 s and pause 10-30 s stop the clock for 25 s
+    assert.equal(getStoppedMs([...pauses, ...freezes], 0, 60000), 25000);
+  });
+});
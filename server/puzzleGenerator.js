@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const puzzleLogic = require("./puzzleLogic");
+const solver = require("./solver");
+
+/**
+ * Difficulty-targeted puzzle generation.
+ *
+ * Boards are produced by random walks from the solved state and measured
+ * with the solver. The walk length adapts until the measured solution length
+ * falls inside the requested band from puzzleLogic.getDifficultyBands.
+ */
+
+const DIFFICULTIES = ["easy", "medium", "hard", "expert"];
+
+// Most boards one request may generate
+const MAX_BATCH_SIZE = 10;
+
+// Boards tried per puzzle before giving up on a band
+const MAX_ATTEMPTS = 200;
+
+// Solver budget per candidate board
+const SOLVE_BUDGET = { timeLimitMs: 1000 };
+
+/**
+ * Stable identifier for a board, used to deduplicate stored puzzles
+ * @param {Array} board - Board state
+ * @returns {String} Hex SHA-1 of the tile order
+ */
+function getStateHash(board) {
+  return crypto.createHash("sha1").update(board.join(",")).digest("hex");
+}
+
+/**
+ * Check whether a difficulty name is valid for a board size
+ * @param {Number|String} size - Board size
+ * @param {String} difficulty - Difficulty name
+ * @returns {Boolean}
+ */
+function isValidDifficulty(size, difficulty) {
+  return (
+    puzzleLogic.isValidBoardSize(size) &&
+    Object.hasOwn(puzzleLogic.getDifficultyBands(size), difficulty)
+  );
+}
+
+/**
+ * Describe a board for storage in puzzle_configs
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @param {Object} measurement - { minimumMoves, optimal }
+ * @returns {Object} Puzzle record, with boardSize as an "RxC" key
+ */
+function describePuzzle(board, size, { minimumMoves, optimal }) {
+  return {
+    boardSize: puzzleLogic.formatBoardSize(size),
+    initialState: board,
+    solutionState: puzzleLogic.createSolvedBoard(size),
+    minimumMoves,
+    optimal,
+    difficulty: puzzleLogic.getDifficultyRating(minimumMoves, size),
+    isSolvable: puzzleLogic.isSolvable(board, size),
+    inversionCount: puzzleLogic.countInversions(board),
+    stateHash: getStateHash(board),
+  };
+}
+
+/**
+ * Generate a board whose solution length falls in a difficulty band
+ * @param {Number|String} size - Board size
+ * @param {String} difficulty - 'easy', 'medium', 'hard' or 'expert'
+ * @param {Object} options - { maxAttempts, solveBudget }
+ * @returns {Object|null} Puzzle record, or null if the band was not reached
+ */
+function generatePuzzle(size, difficulty, options = {}) {
+  if (!isValidDifficulty(size, difficulty)) {
+    throw new Error(`Unknown difficulty "${difficulty}" for size ${size}`);
+  }
+
+  const [min, max] = puzzleLogic.getDifficultyBands(size)[difficulty];
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+  const budget = options.solveBudget || SOLVE_BUDGET;
+
+  let walk = Number.isFinite(max) ? min + max : min * 4;
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const board = puzzleLogic.generatePuzzle(size, walk);
+    if (puzzleLogic.isSolved(board)) {
+      walk++;
+      continue;
+    }
+
+    const result = solver.solve(board, size, budget);
+    const length = result.length;
+
+    // An unproven length is only a lower bound, which settles the band when
+    // it is open-ended or when the board is too large to solve optimally
+    const proven =
+      result.status === "optimal" ||
+      !solver.canSolveOptimally(size) ||
+      !Number.isFinite(max);
+
+    if (length >= min && length <= max && proven) {
+      return describePuzzle(board, size, {
+        minimumMoves: length,
+        optimal: result.status === "optimal",
+      });
+    }
+
+    if (length < min) {
+      walk = Math.ceil(walk * 1.25) + 1;
+    } else if (length > max) {
+      walk = Math.max(1, Math.floor(walk * 0.8));
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  MAX_BATCH_SIZE,
+  getStateHash,
+  isValidDifficulty,
+  describePuzzle,
+  generatePuzzle,
+};
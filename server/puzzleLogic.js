@@ -0,0 +1,370 @@
+/**
+ * Server-side puzzle logic. Mirrors client/src/utils/puzzleLogic.js so that
+ * boards generated here behave identically on the client.
+ *
+ * Board convention: tiles 1..n-1 in reading order with the empty space (0)
+ * in the bottom-right corner when solved.
+ *
+ * A board size is either a side length for square boards (4) or a
+ * rows x cols key ("3x5"); getBoardDimensions resolves both.
+ */
+
+const MIN_BOARD_SIDE = 3;
+const MAX_BOARD_SIDE = 10;
+
+// Sizes offered in menus and seeded into the puzzle library
+const BOARD_SIZES = ["3x3", "4x4", "6x6", "8x8", "10x10", "3x5", "4x6"];
+
+// Solution length bands (inclusive) measured with the optimal solver. Other
+// sizes derive their bands from getDifficultyBands.
+const DIFFICULTY_BANDS = {
+  "3x3": {
+    easy: [1, 10],
+    medium: [11, 18],
+    hard: [19, 24],
+    expert: [25, Infinity],
+  },
+  "4x4": {
+    easy: [1, 20],
+    medium: [21, 35],
+    hard: [36, 48],
+    expert: [49, Infinity],
+  },
+};
+
+/**
+ * Resolve a board size to its dimensions
+ * @param {Number|String|Object} size - Side length, "RxC" key or { rows, cols }
+ * @returns {Object|null} { rows, cols }, or null if the size can't be parsed
+ */
+function getBoardDimensions(size) {
+  if (size && typeof size === "object") {
+    return { rows: size.rows, cols: size.cols };
+  }
+
+  const match = /^(\d+)(?:x(\d+))?$/.exec(String(size).trim());
+  if (!match) return null;
+
+  const rows = Number(match[1]);
+  return { rows, cols: match[2] ? Number(match[2]) : rows };
+}
+
+/**
+ * Canonical "RxC" key for a board size
+ * @param {Number|String|Object} size - Board size
+ * @returns {String|null} Key such as "4x4", or null if the size can't be parsed
+ */
+function formatBoardSize(size) {
+  const dimensions = getBoardDimensions(size);
+  return dimensions ? `${dimensions.rows}x${dimensions.cols}` : null;
+}
+
+/**
+ * Create solved board
+ * @param {Number|String} size - Board size
+ * @returns {Array} Solved board state
+ */
+function createSolvedBoard(size) {
+  const { rows, cols } = getBoardDimensions(size);
+  const totalTiles = rows * cols;
+  return Array.from({ length: totalTiles }, (_, i) => (i + 1) % totalTiles);
+}
+
+/**
+ * Get valid moves for current board state
+ * @param {Array} board - Current board state
+ * @param {Number} emptyIndex - Index of empty tile
+ * @param {Number|String} size - Board size
+ * @returns {Array} Array of valid move indices
+ */
+function getValidMoves(board, emptyIndex, size) {
+  const { rows, cols } = getBoardDimensions(size);
+  const moves = [];
+  const row = Math.floor(emptyIndex / cols);
+  const col = emptyIndex % cols;
+
+  if (row > 0) moves.push(emptyIndex - cols);
+  if (row < rows - 1) moves.push(emptyIndex + cols);
+  if (col > 0) moves.push(emptyIndex - 1);
+  if (col < cols - 1) moves.push(emptyIndex + 1);
+
+  return moves;
+}
+
+/**
+ * Move a tile into the empty space
+ * @param {Array} board - Current board state
+ * @param {Number} tileIndex - Index of tile to move
+ * @param {Number|String} size - Board size
+ * @returns {Array|null} New board state or null if invalid move
+ */
+function moveTile(board, tileIndex, size) {
+  const emptyIndex = board.indexOf(0);
+
+  if (!getValidMoves(board, emptyIndex, size).includes(tileIndex)) {
+    return null;
+  }
+
+  const newBoard = [...board];
+  [newBoard[emptyIndex], newBoard[tileIndex]] = [
+    newBoard[tileIndex],
+    newBoard[emptyIndex],
+  ];
+
+  return newBoard;
+}
+
+/**
+ * Get direction of move
+ * @param {Number} fromIndex - Starting index
+ * @param {Number} toIndex - Ending index
+ * @param {Number|String} size - Board size
+ * @returns {String} Direction ('up', 'down', 'left', 'right')
+ */
+function getMoveDirection(fromIndex, toIndex, size) {
+  const { cols } = getBoardDimensions(size);
+  const diff = toIndex - fromIndex;
+
+  if (diff === -cols) return "up";
+  if (diff === cols) return "down";
+  if (diff === -1) return "left";
+  if (diff === 1) return "right";
+
+  return "unknown";
+}
+
+/**
+ * Check if puzzle is solved
+ * @param {Array} board - Current board state
+ * @returns {Boolean}
+ */
+function isSolved(board) {
+  for (let i = 0; i < board.length - 1; i++) {
+    if (board[i] !== i + 1) return false;
+  }
+  return board[board.length - 1] === 0;
+}
+
+/**
+ * Count inversions for solvability check
+ * @param {Array} board - Board state
+ * @returns {Number} Number of inversions
+ */
+function countInversions(board) {
+  let inversions = 0;
+  const tiles = board.filter((tile) => tile !== 0);
+
+  for (let i = 0; i < tiles.length - 1; i++) {
+    for (let j = i + 1; j < tiles.length; j++) {
+      if (tiles[i] > tiles[j]) inversions++;
+    }
+  }
+
+  return inversions;
+}
+
+/**
+ * Check if puzzle is solvable. Parity depends on the board width: a
+ * vertical slide shifts a tile past cols - 1 others.
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @returns {Boolean}
+ */
+function isSolvable(board, size) {
+  const { rows, cols } = getBoardDimensions(size);
+  const inversions = countInversions(board);
+
+  if (cols % 2 === 1) {
+    return inversions % 2 === 0;
+  }
+
+  const emptyRowFromBottom = rows - Math.floor(board.indexOf(0) / cols);
+  return (inversions + emptyRowFromBottom) % 2 === 1;
+}
+
+/**
+ * Seedable PRNG (mulberry32). Kept identical on client and server so a
+ * (size, seed) pair produces the same board on both sides; both test
+ * against server/data/seeded-puzzles.json.
+ * @param {Number} seed - 32-bit unsigned seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for a new board
+ * @returns {Number} 32-bit unsigned seed
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Generate a shuffled puzzle board by random walk from the solved state
+ * @param {Number|String} size - Board size
+ * @param {Number} moves - Number of random moves to make
+ * @param {Function} random - Source of floats in [0, 1)
+ * @returns {Array} Shuffled board state
+ */
+function generatePuzzle(size, moves = 100, random = Math.random) {
+  const dimensions = getBoardDimensions(size);
+  const board = createSolvedBoard(dimensions);
+  let emptyIndex = board.length - 1;
+
+  for (let i = 0; i < moves; i++) {
+    const validMoves = getValidMoves(board, emptyIndex, dimensions);
+    const randomMove = validMoves[Math.floor(random() * validMoves.length)];
+
+    [board[emptyIndex], board[randomMove]] = [
+      board[randomMove],
+      board[emptyIndex],
+    ];
+    emptyIndex = randomMove;
+  }
+
+  return board;
+}
+
+/**
+ * Generate a guaranteed solvable, unsolved puzzle. Matches the client
+ * version step for step, so the same seed gives the same board.
+ * @param {Number|String} size - Board size
+ * @param {Number} seed - PRNG seed
+ * @returns {Array} Solvable board state
+ */
+function generateSolvablePuzzle(size, seed = randomSeed()) {
+  const dimensions = getBoardDimensions(size);
+  const totalTiles = dimensions.rows * dimensions.cols;
+  const random = createRandom(seed);
+  const maxAttempts = 100;
+  let attempts = 0;
+  let board;
+
+  do {
+    board = generatePuzzle(dimensions, totalTiles * 2, random);
+    attempts++;
+
+    if (attempts >= maxAttempts) {
+      // Fallback: solved board with one legal move
+      board = createSolvedBoard(dimensions);
+      const emptyIndex = totalTiles - 1;
+      const move = getValidMoves(board, emptyIndex, dimensions)[0];
+      [board[emptyIndex], board[move]] = [board[move], board[emptyIndex]];
+      break;
+    }
+  } while (!isSolvable(board, dimensions) || isSolved(board));
+
+  return board;
+}
+
+/**
+ * Sum of Manhattan distances of every tile from its goal position
+ * @param {Array} board - Current board state
+ * @param {Number|String} size - Board size
+ * @returns {Number} Lower bound on moves to solve
+ */
+function calculateMinimumMoves(board, size) {
+  const { cols } = getBoardDimensions(size);
+  let distance = 0;
+
+  for (let i = 0; i < board.length; i++) {
+    const tile = board[i];
+    if (tile === 0) continue;
+
+    distance +=
+      Math.abs(Math.floor(i / cols) - Math.floor((tile - 1) / cols)) +
+      Math.abs((i % cols) - ((tile - 1) % cols));
+  }
+
+  return distance;
+}
+
+/**
+ * Difficulty bands for a board size. Sizes without measured bands split
+ * the expected Manhattan distance of a random board, (rows * cols) *
+ * (rows + cols) / 3, into quarters.
+ * @param {Number|String} size - Board size
+ * @returns {Object} { easy, medium, hard, expert } as [min, max] move counts
+ */
+function getDifficultyBands(size) {
+  const key = formatBoardSize(size);
+  if (DIFFICULTY_BANDS[key]) return DIFFICULTY_BANDS[key];
+
+  const { rows, cols } = getBoardDimensions(size);
+  const scale = (rows * cols * (rows + cols)) / 3;
+  const upper = (fraction) => Math.ceil(scale * fraction) - 1;
+
+  return {
+    easy: [1, upper(0.25)],
+    medium: [upper(0.25) + 1, upper(0.5)],
+    hard: [upper(0.5) + 1, upper(0.75)],
+    expert: [upper(0.75) + 1, Infinity],
+  };
+}
+
+/**
+ * Get difficulty rating from the measured solution length
+ * @param {Number} minimumMoves - Minimum moves to solve
+ * @param {Number|String} size - Board size
+ * @returns {String} Difficulty rating
+ */
+function getDifficultyRating(minimumMoves, size) {
+  for (const [difficulty, [, max]] of Object.entries(
+    getDifficultyBands(size),
+  )) {
+    if (minimumMoves <= max) return difficulty;
+  }
+  return "expert";
+}
+
+/**
+ * Validate board size: each side between MIN_BOARD_SIDE and MAX_BOARD_SIDE
+ * @param {Number|String} size - Board size to validate
+ * @returns {Boolean} True if valid
+ */
+function isValidBoardSize(size) {
+  const dimensions = getBoardDimensions(size);
+  return Boolean(
+    dimensions &&
+      [dimensions.rows, dimensions.cols].every(
+        (side) =>
+          Number.isInteger(side) &&
+          side >= MIN_BOARD_SIDE &&
+          side <= MAX_BOARD_SIDE,
+      ),
+  );
+}
+
+module.exports = {
+  MIN_BOARD_SIDE,
+  MAX_BOARD_SIDE,
+  BOARD_SIZES,
+  DIFFICULTY_BANDS,
+  getBoardDimensions,
+  formatBoardSize,
+  createSolvedBoard,
+  getValidMoves,
+  moveTile,
+  getMoveDirection,
+  isSolved,
+  countInversions,
+  isSolvable,
+  createRandom,
+  randomSeed,
+  generatePuzzle,
+  generateSolvablePuzzle,
+  calculateMinimumMoves,
+  getDifficultyBands,
+  getDifficultyRating,
+  isValidBoardSize,
+};
@@ -0,0 +1,28 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const puzzleLogic = require("./puzzleLogic");
+
+// Boards the client's copy of the generator must also produce (see
+// client/src/utils/puzzleLogic.test.js); stored seeds depend on both
+const fixtures = require("./data/seeded-puzzles.json");
+
+describe("seeded puzzles", () => {
+  it("draws the recorded random sequence for a seed", () => {
+    for (const { seed, values } of fixtures.random) {
+      const random = puzzleLogic.createRandom(seed);
+
+      assert.deepEqual(values.map(() => random()), values);
+    }
+  });
+
+  it("rebuilds the recorded board for each size and seed", () => {
+    for (const { size, seed, board } of fixtures.boards) {
+      assert.deepEqual(
+        puzzleLogic.generateSolvablePuzzle(size, seed),
+        board,
+        `${size} seed ${seed}`,
+      );
+    }
+  });
+});
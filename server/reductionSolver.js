@@ -0,0 +1,260 @@
+const puzzleLogic = require("./puzzleLogic");
+const solver = require("./solver");
+
+/**
+ * Complete (not optimal) solver for boards of any size.
+ *
+ * The board is reduced one edge at a time: the top row or left column is
+ * placed tile by tile and then locked, until at most 3x3 cells remain,
+ * which the IDA* solver finishes optimally. The last two tiles of an edge
+ * are placed together so the first never has to be disturbed.
+ *
+ * Each placement is a breadth-first search over the positions of the blank
+ * and the one or two tiles being placed, with locked cells as walls and
+ * every other tile treated as interchangeable.
+ */
+
+// Remaining area the optimal solver finishes
+const FINAL_SIDE = 3;
+
+/**
+ * Slide the blank until the tracked tiles reach their target cells
+ * @param {Array} board - Board state, updated in place
+ * @param {Number} rows - Board rows
+ * @param {Number} cols - Board columns
+ * @param {Uint8Array} locked - 1 for cells the blank may not enter
+ * @param {Array} tiles - One or two tile values to place
+ * @param {Array} targets - Target cell for each tile
+ * @returns {Array} Tile indices slid, in order
+ */
+function placeTiles(board, rows, cols, locked, tiles, targets) {
+  // Number the free cells so states pack densely
+  const cells = [];
+  const local = new Int32Array(rows * cols).fill(-1);
+  for (let i = 0; i < rows * cols; i++) {
+    if (!locked[i]) {
+      local[i] = cells.length;
+      cells.push(i);
+    }
+  }
+  const n = cells.length;
+
+  const neighbours = cells.map((cell) => {
+    const row = Math.floor(cell / cols);
+    const col = cell % cols;
+    const result = [];
+    if (row > 0 && !locked[cell - cols]) result.push(local[cell - cols]);
+    if (row < rows - 1 && !locked[cell + cols]) result.push(local[cell + cols]);
+    if (col > 0 && !locked[cell - 1]) result.push(local[cell - 1]);
+    if (col < cols - 1 && !locked[cell + 1]) result.push(local[cell + 1]);
+    return result;
+  });
+
+  // State = blank + n * (first tile + n * second tile)
+  const pair = tiles.length === 2;
+  const encode = (blank, a, b) => blank + n * (a + (pair ? n * b : 0));
+
+  const start = encode(
+    local[board.indexOf(0)],
+    local[board.indexOf(tiles[0])],
+    pair ? local[board.indexOf(tiles[1])] : 0,
+  );
+  const goalA = local[targets[0]];
+  const goalB = pair ? local[targets[1]] : 0;
+
+  const parent = new Int32Array(n * n * (pair ? n : 1)).fill(-1);
+  const queue = new Int32Array(parent.length);
+  parent[start] = start;
+  queue[0] = start;
+
+  let head = 0;
+  let tail = 1;
+  let goal = -1;
+
+  while (head < tail) {
+    const state = queue[head++];
+    const blank = state % n;
+    const a = Math.floor(state / n) % n;
+    const b = pair ? Math.floor(state / (n * n)) : 0;
+
+    if (a === goalA && b === goalB) {
+      goal = state;
+      break;
+    }
+
+    for (const next of neighbours[blank]) {
+      // The blank swaps with whichever tile sits on the next cell
+      const nextA = next === a ? blank : a;
+      const nextB = pair && next === b ? blank : b;
+      const nextState = encode(next, nextA, nextB);
+
+      if (parent[nextState] === -1) {
+        parent[nextState] = state;
+        queue[tail++] = nextState;
+      }
+    }
+  }
+
+  if (goal === -1) {
+    throw new Error(`Could not place tiles ${tiles.join(", ")}`);
+  }
+
+  // Each step moves the blank onto the cell whose tile slides
+  const path = [];
+  for (let state = goal; state !== start; state = parent[state]) {
+    path.push(cells[state % n]);
+  }
+  path.reverse();
+
+  for (const tileIndex of path) {
+    const emptyIndex = board.indexOf(0);
+    board[emptyIndex] = board[tileIndex];
+    board[tileIndex] = 0;
+  }
+
+  return path;
+}
+
+/**
+ * Place and lock a line of cells, the last two together
+ * @param {Array} board - Board state, updated in place
+ * @param {Number} rows - Board rows
+ * @param {Number} cols - Board columns
+ * @param {Uint8Array} locked - Locked cells, updated in place
+ * @param {Array} line - Cells in placement order
+ * @returns {Array} Tile indices slid
+ */
+function placeLine(board, rows, cols, locked, line) {
+  const moves = [];
+
+  for (let i = 0; i < line.length - 2; i++) {
+    moves.push(
+      ...placeTiles(board, rows, cols, locked, [line[i] + 1], [line[i]]),
+    );
+    locked[line[i]] = 1;
+  }
+
+  const last = line.slice(-2);
+  moves.push(
+    ...placeTiles(
+      board,
+      rows,
+      cols,
+      locked,
+      last.map((cell) => cell + 1),
+      last,
+    ),
+  );
+  last.forEach((cell) => {
+    locked[cell] = 1;
+  });
+
+  return moves;
+}
+
+/**
+ * Solve the unlocked bottom-right area optimally
+ * @param {Array} board - Board state, updated in place
+ * @param {Number} cols - Board columns
+ * @param {Number} top - First free row
+ * @param {Number} left - First free column
+ * @param {Number} rows - Board rows
+ * @returns {Array} Tile indices slid
+ */
+function solveRemainder(board, cols, top, left, rows) {
+  const subRows = rows - top;
+  const subCols = cols - left;
+  const toGlobal = (index) =>
+    (top + Math.floor(index / subCols)) * cols + left + (index % subCols);
+
+  // Relabel tiles so the area is a standalone solved-at-[1..n-1, 0] board
+  const sub = [];
+  for (let i = 0; i < subRows * subCols; i++) {
+    const tile = board[toGlobal(i)];
+    if (tile === 0) {
+      sub.push(0);
+      continue;
+    }
+    const goal = tile - 1;
+    const row = Math.floor(goal / cols) - top;
+    const col = (goal % cols) - left;
+    sub.push(row * subCols + col + 1);
+  }
+
+  const result = solver.solve(sub, { rows: subRows, cols: subCols });
+  if (result.status !== "optimal") {
+    throw new Error("Could not solve the final area");
+  }
+
+  const moves = result.moves.map(toGlobal);
+  for (const tileIndex of moves) {
+    const emptyIndex = board.indexOf(0);
+    board[emptyIndex] = board[tileIndex];
+    board[tileIndex] = 0;
+  }
+
+  return moves;
+}
+
+/**
+ * Find a solution for any solvable board
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @returns {Array|null} Tile indices to slide in order, or null if unsolvable
+ */
+function solveByReduction(board, size) {
+  if (!puzzleLogic.isSolvable(board, size)) return null;
+
+  const { rows, cols } = puzzleLogic.getBoardDimensions(size);
+  const state = [...board];
+  const locked = new Uint8Array(rows * cols);
+  const moves = [];
+
+  let top = 0;
+  let left = 0;
+
+  while (rows - top > FINAL_SIDE || cols - left > FINAL_SIDE) {
+    const height = rows - top;
+    const width = cols - left;
+
+    const line = [];
+    if (height > FINAL_SIDE && (height >= width || width <= FINAL_SIDE)) {
+      for (let col = left; col < cols; col++) line.push(top * cols + col);
+      top++;
+    } else {
+      for (let row = top; row < rows; row++) line.push(row * cols + left);
+      left++;
+    }
+
+    moves.push(...placeLine(state, rows, cols, locked, line));
+  }
+
+  moves.push(...solveRemainder(state, cols, top, left, rows));
+  return moves;
+}
+
+/**
+ * Shortest solution the budget allows: optimal where IDA* finishes,
+ * otherwise a reduction solution
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @param {Object} options - Solver options for the optimal attempt
+ * @returns {Object|null} { moves, optimal }, or null if unsolvable
+ */
+function findSolution(board, size, options = {}) {
+  if (solver.canSolveOptimally(size)) {
+    const result = solver.solve(board, size, options);
+    if (result.status === "unsolvable") return null;
+    if (result.status === "optimal") {
+      return { moves: result.moves, optimal: true };
+    }
+  }
+
+  const moves = solveByReduction(board, size);
+  return moves ? { moves, optimal: false } : null;
+}
+
+module.exports = {
+  solveByReduction,
+  findSolution,
+};
@@ -0,0 +1,258 @@
+const puzzleLogic = require("./puzzleLogic");
+const { replayMoves } = require("./gameValidation");
+
+/**
+ * Compact text notation for recorded games, in the spirit of chess PGN.
+ *
+ *   [Size "4x4"]
+ *   [Seed "2718281828"]
+ *   [Mode "speed"]
+ *   [Result "completed"]
+ *
+ *   [Player "alice"]
+ *   R412 D120 L98 U301 ...
+ *
+ * Game tags come first. The starting board is given by Seed (the shared PRNG
+ * seed) or Initial (comma-separated tiles). Each Player tag is followed by
+ * that player's moves: the letter is the direction the tile slides, and the
+ * optional number after it is milliseconds since the previous move.
+ */
+
+const DIRECTION_LETTERS = { up: "U", down: "D", left: "L", right: "R" };
+
+// Moves per movetext line, so exported files stay readable
+const MOVES_PER_LINE = 16;
+
+// Largest movetext accepted on import
+const MAX_IMPORT_MOVES = 20000;
+
+const TAG_PATTERN = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+const MOVE_PATTERN = /^([UDLR])(\d+)?$/;
+
+const escapeTag = (value) => String(value).replace(/["\\]/g, "\\$&");
+const unescapeTag = (value) => value.replace(/\\(.)/g, "$1");
+
+/**
+ * Write a game in replay notation
+ * @param {Object} game - { boardSize, seed, initialState, tags, players }
+ *   where players is [{ username, moves }] and moves are replay states
+ *   ({ tilePosition, emptyPosition, timeElapsed })
+ * @param {Object} options - { timings } (default true)
+ * @returns {String} Notation text
+ */
+function exportReplay(game, options = {}) {
+  const timings = options.timings !== false;
+  const lines = [`[Size "${puzzleLogic.formatBoardSize(game.boardSize)}"]`];
+
+  if (game.seed !== null && game.seed !== undefined) {
+    lines.push(`[Seed "${game.seed}"]`);
+  } else {
+    lines.push(`[Initial "${game.initialState.join(",")}"]`);
+  }
+
+  Object.entries(game.tags || {}).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) {
+      lines.push(`[${name} "${escapeTag(value)}"]`);
+    }
+  });
+
+  game.players.forEach((player) => {
+    lines.push("", `[Player "${escapeTag(player.username)}"]`);
+
+    let lastTime = 0;
+    const tokens = player.moves.map((move) => {
+      const direction = puzzleLogic.getMoveDirection(
+        move.tilePosition,
+        move.emptyPosition,
+        game.boardSize,
+      );
+      const delta = move.timeElapsed - lastTime;
+      lastTime = move.timeElapsed;
+      return DIRECTION_LETTERS[direction] + (timings ? delta : "");
+    });
+
+    for (let i = 0; i < tokens.length; i += MOVES_PER_LINE) {
+      lines.push(tokens.slice(i, i + MOVES_PER_LINE).join(" "));
+    }
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Split notation text into tags and per-player movetext
+ * @param {String} text - Notation text
+ * @returns {Object} { tags, players: [{ username, tokens }] } or { error }
+ */
+function parseReplay(text) {
+  const tags = {};
+  const players = [];
+
+  const lines = String(text).split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === "") continue;
+
+    if (line.startsWith("[")) {
+      const match = line.match(TAG_PATTERN);
+      if (!match) return { error: `Line ${i + 1} is not a valid tag` };
+
+      const [, name, value] = match;
+      if (name === "Player") {
+        players.push({ username: unescapeTag(value), tokens: [] });
+      } else if (players.length > 0) {
+        return { error: `Line ${i + 1}: game tags must precede the players` };
+      } else {
+        tags[name] = unescapeTag(value);
+      }
+      continue;
+    }
+
+    if (players.length === 0) {
+      return { error: `Line ${i + 1}: moves before any Player tag` };
+    }
+    players[players.length - 1].tokens.push(...line.split(/\s+/));
+  }
+
+  return { tags, players };
+}
+
+/**
+ * Turn a player's movetext into moves, tracking the empty space
+ * @param {Array} tokens - Move tokens such as "R412" or "U"
+ * @param {Array} initialState - Starting board
+ * @param {Number|String} boardSize - Board size
+ * @returns {Object} { moves } or { error }
+ */
+function decodeMoves(tokens, initialState, boardSize) {
+  const { rows, cols } = puzzleLogic.getBoardDimensions(boardSize);
+  const offsets = { U: cols, D: -cols, L: 1, R: -1 };
+
+  let emptyIndex = initialState.indexOf(0);
+  let timeElapsed = 0;
+  const moves = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const match = tokens[i].match(MOVE_PATTERN);
+    if (!match) return { error: `Move ${i + 1} ("${tokens[i]}") is not valid` };
+
+    const [, letter, delta] = match;
+    const tilePosition = emptyIndex + offsets[letter];
+    const sameRow =
+      Math.floor(tilePosition / cols) === Math.floor(emptyIndex / cols);
+
+    if (
+      tilePosition < 0 ||
+      tilePosition >= rows * cols ||
+      ((letter === "L" || letter === "R") && !sameRow)
+    ) {
+      return { error: `Move ${i + 1} slides a tile off the board` };
+    }
+
+    timeElapsed += delta ? Number(delta) : 0;
+    moves.push({ tilePosition, emptyPosition: emptyIndex, timeElapsed });
+    emptyIndex = tilePosition;
+  }
+
+  return { moves };
+}
+
+/**
+ * Validate notation text and replay every player's moves
+ * @param {String} text - Notation text
+ * @returns {Object} { valid, reason, replay } where replay matches the
+ *   shape served by GET /api/games/:sessionId/replay
+ */
+function importReplay(text) {
+  const fail = (reason) => ({ valid: false, reason });
+
+  const parsed = parseReplay(text);
+  if (parsed.error) return fail(parsed.error);
+
+  const { tags, players } = parsed;
+  if (!puzzleLogic.isValidBoardSize(tags.Size)) {
+    return fail("Missing or invalid Size tag");
+  }
+  const boardSize = puzzleLogic.formatBoardSize(tags.Size);
+  const { rows, cols } = puzzleLogic.getBoardDimensions(boardSize);
+
+  let seed = null;
+  let initialState = null;
+
+  if (tags.Seed !== undefined) {
+    seed = Number(tags.Seed);
+    if (!/^\d+$/.test(tags.Seed) || seed > 0xffffffff) {
+      return fail("Seed must be an unsigned 32-bit integer");
+    }
+    initialState = puzzleLogic.generateSolvablePuzzle(boardSize, seed);
+  }
+
+  if (tags.Initial !== undefined) {
+    const tiles = tags.Initial.split(",").map(Number);
+    const cells = rows * cols;
+
+    if (
+      tiles.length !== cells ||
+      new Set(tiles).size !== cells ||
+      tiles.some((tile) => !Number.isInteger(tile) || tile < 0 || tile >= cells)
+    ) {
+      return fail("Initial tag is not a permutation of the board");
+    }
+    if (initialState && initialState.join(",") !== tiles.join(",")) {
+      return fail("Initial tag does not match the board generated from Seed");
+    }
+    initialState = tiles;
+  }
+
+  if (!initialState) return fail("A Seed or Initial tag is required");
+  if (players.length === 0) return fail("No Player sections found");
+
+  const moveTotal = players.reduce((sum, p) => sum + p.tokens.length, 0);
+  if (moveTotal > MAX_IMPORT_MOVES) {
+    return fail(`Replays are limited to ${MAX_IMPORT_MOVES} moves`);
+  }
+
+  const replayedPlayers = [];
+  for (const player of players) {
+    const decoded = decodeMoves(player.tokens, initialState, boardSize);
+    if (decoded.error) return fail(`${player.username}: ${decoded.error}`);
+
+    const result = replayMoves(initialState, boardSize, decoded.moves);
+    if (!result.valid) return fail(`${player.username}: ${result.reason}`);
+
+    replayedPlayers.push({
+      userId: null,
+      username: player.username,
+      solved: puzzleLogic.isSolved(result.board),
+      moves: result.states.map((state, index) => ({
+        moveNumber: index + 1,
+        ...state,
+      })),
+    });
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    replay: {
+      sessionId: null,
+      boardSize,
+      seed,
+      gameMode: tags.Mode || "practice",
+      status: tags.Result || null,
+      winnerId: null,
+      startedAt: tags.Date || null,
+      initialState,
+      players: replayedPlayers,
+    },
+  };
+}
+
+module.exports = {
+  DIRECTION_LETTERS,
+  MAX_IMPORT_MOVES,
+  exportReplay,
+  parseReplay,
+  decodeMoves,
+  importReplay,
+};
@@ -0,0 +1,145 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  MAX_IMPORT_MOVES,
+  exportReplay,
+  parseReplay,
+  importReplay,
+} = require("./replayNotation");
+const { replayMoves } = require("./gameValidation");
+const puzzleLogic = require("./puzzleLogic");
+const solver = require("./solver");
+
+const SIZE = "3x3";
+const SEED = 42;
+const initialState = puzzleLogic.generateSolvablePuzzle(SIZE, SEED);
+
+// An optimal solve with uneven gaps between moves, as replay states
+const { states } = replayMoves(
+  initialState,
+  SIZE,
+  solver.solve(initialState, SIZE).moves.map((tilePosition, i) => ({
+    tilePosition,
+    timeElapsed: (i + 1) * 400 + i * i,
+  })),
+);
+
+const game = (overrides = {}) => ({
+  boardSize: SIZE,
+  seed: SEED,
+  initialState,
+  tags: { Mode: "speed", Result: "completed" },
+  players: [{ username: "alice", moves: states }],
+  ...overrides,
+});
+
+// Notation for a 3x3 game starting from the given tiles
+const notation = (initial, movetext) =>
+  `[Size "3x3"]\n[Initial "${initial}"]\n\n[Player "p"]\n${movetext}\n`;
+
+const strip = (moves) =>
+  moves.map(({ tilePosition, emptyPosition, timeElapsed }) => ({
+    tilePosition,
+    emptyPosition,
+    timeElapsed,
+  }));
+
+describe("replay notation", () => {
+  it("round-trips a seeded game with timings", () => {
+    const text = exportReplay(game());
+    const result = importReplay(text);
+
+    assert.match(text, /^\[Seed "42"\]$/m);
+    assert.equal(result.valid, true);
+    assert.equal(result.replay.seed, SEED);
+    assert.equal(result.replay.gameMode, "speed");
+    assert.equal(result.replay.status, "completed");
+    assert.deepEqual(result.replay.initialState, initialState);
+
+    const [player] = result.replay.players;
+    assert.equal(player.username, "alice");
+    assert.equal(player.solved, true);
+    assert.deepEqual(strip(player.moves), strip(states));
+  });
+
+  it("round-trips an Initial game without timings", () => {
+    const text = exportReplay(game({ seed: null }), { timings: false });
+    const result = importReplay(text);
+
+    assert.match(text, /^\[Initial "[\d,]+"\]$/m);
+    assert.doesNotMatch(text, /[UDLR]\d/);
+    assert.equal(result.valid, true);
+    assert.equal(result.replay.seed, null);
+    assert.deepEqual(result.replay.initialState, initialState);
+
+    const moves = result.replay.players[0].moves;
+    assert.deepEqual(
+      moves.map((move) => move.tilePosition),
+      states.map((state) => state.tilePosition),
+    );
+    assert.ok(moves.every((move) => move.timeElapsed === 0));
+  });
+
+  it("escapes quotes and backslashes in tags", () => {
+    const event = 'The "Final" \\ round';
+    const text = exportReplay(
+      game({
+        tags: { Event: event },
+        players: [{ username: 'al"ice', moves: states }],
+      }),
+    );
+    const parsed = parseReplay(text);
+
+    assert.equal(parsed.tags.Event, event);
+    assert.equal(parsed.players[0].username, 'al"ice');
+    assert.equal(importReplay(text).valid, true);
+  });
+
+  it("rejects moves that slide a tile off the board", () => {
+    // Empty space in the bottom-right corner, then the left column
+    const solved = "1,2,3,4,5,6,7,8,0";
+    const leftEdge = "1,2,3,0,4,5,6,7,8";
+
+    for (const text of [
+      notation(solved, "U"),
+      notation(solved, "L"),
+      notation(leftEdge, "R"),
+    ]) {
+      const result = importReplay(text);
+
+      assert.equal(result.valid, false);
+      assert.equal(result.reason, "p: Move 1 slides a tile off the board");
+    }
+  });
+
+  it("accepts up to MAX_IMPORT_MOVES moves", () => {
+    const solved = "1,2,3,4,5,6,7,8,0";
+    const movetext = (count) => "R L ".repeat(count / 2).trim();
+
+    const atLimit = importReplay(notation(solved, movetext(MAX_IMPORT_MOVES)));
+    assert.equal(atLimit.valid, true);
+    assert.equal(atLimit.replay.players[0].moves.length, MAX_IMPORT_MOVES);
+
+    const over = importReplay(notation(solved, movetext(MAX_IMPORT_MOVES + 2)));
+    assert.equal(over.valid, false);
+    assert.equal(
+      over.reason,
+      `Replays are limited to ${MAX_IMPORT_MOVES} moves`,
+    );
+  });
+
+  it("rejects an Initial tag that differs from the Seed board", () => {
+    const text = exportReplay(game()).replace(
+      /^\[Seed "42"\]$/m,
+      '[Seed "42"]\n[Initial "1,2,3,4,5,6,7,8,0"]',
+    );
+    const result = importReplay(text);
+
+    assert.equal(result.valid, false);
+    assert.equal(
+      result.reason,
+      "Initial tag does not match the board generated from Seed",
+    );
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Build the 15-puzzle pattern database offline.
+ * Usage: npm run build:pdb -- [--out path/to/file.bin]
+ */
+const {
+  DEFAULT_PARTITION_4X4,
+  DEFAULT_PDB_PATH,
+  buildPatternDatabase,
+  savePatternDatabase,
+} = require("../patternDatabase");
+
+const outIndex = process.argv.indexOf("--out");
+const outPath = outIndex !== -1 ? process.argv[outIndex + 1] : DEFAULT_PDB_PATH;
+
+const startedAt = Date.now();
+
+const pdb = buildPatternDatabase(4, DEFAULT_PARTITION_4X4, (group, tiles) => {
+  console.log(`Building table ${group + 1}: tiles ${tiles.join(", ")}`);
+});
+
+savePatternDatabase(pdb, outPath);
+
+console.log(
+  `Pattern database written to ${outPath} in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`,
+);
@@ -0,0 +1,281 @@
+/**
+ * Maintain the puzzle_configs library.
+ * Usage: npm run puzzles -- <command> [options]
+ *
+ *   seed       --size S --count N --difficulty D   Generate and store puzzles
+ *   verify     [--size S] [--fix]                  Check stored boards are valid
+ *                                                  and solvable
+ *   recompute  [--size S] [--budget MS]            Re-solve minimum_moves and
+ *                                                  difficulty_rating
+ *   prune      [--size S] [--max-per-band N]       Delete invalid boards and trim
+ *                                                  each band to its most played
+ *   stats                                          Counts per size and difficulty
+ *
+ * A size is a side length (4) or rows x cols ("3x5"). --size defaults to the
+ * menu sizes in puzzleLogic.BOARD_SIZES, --difficulty to every difficulty.
+ */
+const { pool, db } = require("../database");
+const puzzleLogic = require("../puzzleLogic");
+const puzzleGenerator = require("../puzzleGenerator");
+const solver = require("../solver");
+
+const args = process.argv.slice(2);
+const command = args[0];
+
+const getOption = (name, fallback = null) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : fallback;
+};
+const hasFlag = (name) => args.includes(`--${name}`);
+
+const parseJson = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value;
+
+/**
+ * Sizes selected by --size, or every menu size
+ * @returns {Array} "RxC" board size keys
+ */
+function selectedSizes() {
+  const size = getOption("size");
+  if (size === null) return puzzleLogic.BOARD_SIZES;
+
+  if (!puzzleLogic.isValidBoardSize(size)) {
+    throw new Error(`Invalid board size: ${size}`);
+  }
+  return [puzzleLogic.formatBoardSize(size)];
+}
+
+/**
+ * Rows for the sizes selected by --size
+ * @returns {Promise<Array>} puzzle_configs rows
+ */
+async function selectedConfigs() {
+  const sizes = selectedSizes();
+  return db.getPuzzleConfigs(sizes.length === 1 ? sizes[0] : null);
+}
+
+/**
+ * Problems with a stored puzzle, empty when it is playable
+ * @param {Object} config - puzzle_configs row
+ * @returns {Array} Problem descriptions
+ */
+function checkConfig(config) {
+  const size = config.board_size;
+  const board = parseJson(config.initial_state);
+
+  if (!puzzleLogic.isValidBoardSize(size)) {
+    return [`unsupported board size ${size}`];
+  }
+
+  const { rows, cols } = puzzleLogic.getBoardDimensions(size);
+  const cells = rows * cols;
+
+  if (
+    !Array.isArray(board) ||
+    board.length !== cells ||
+    new Set(board).size !== cells ||
+    board.some((tile) => !Number.isInteger(tile) || tile < 0 || tile >= cells)
+  ) {
+    return ["initial_state is not a permutation of the board"];
+  }
+
+  const problems = [];
+  const solution = parseJson(config.solution_state);
+  if (
+    JSON.stringify(solution) !==
+    JSON.stringify(puzzleLogic.createSolvedBoard(size))
+  ) {
+    problems.push("solution_state is not the solved board");
+  }
+  if (!puzzleLogic.isSolvable(board, size)) problems.push("not solvable");
+  if (puzzleLogic.isSolved(board)) problems.push("already solved");
+
+  return problems;
+}
+
+async function seed() {
+  const count = parseInt(getOption("count", "1"));
+  const difficulty = getOption("difficulty");
+  const difficulties = difficulty ? [difficulty] : puzzleGenerator.DIFFICULTIES;
+
+  if (!(count > 0)) throw new Error("--count must be a positive number");
+
+  for (const size of selectedSizes()) {
+    for (const band of difficulties) {
+      if (!puzzleGenerator.isValidDifficulty(size, band)) {
+        throw new Error(`Invalid difficulty: ${band}`);
+      }
+
+      let created = 0;
+      let duplicates = 0;
+      let failed = 0;
+
+      for (let i = 0; i < count; i++) {
+        const puzzle = puzzleGenerator.generatePuzzle(size, band);
+        if (!puzzle) {
+          failed++;
+          continue;
+        }
+
+        const result = await db.createPuzzleConfig(
+          puzzle.boardSize,
+          puzzle.initialState,
+          puzzle.solutionState,
+          puzzle.minimumMoves,
+          puzzle.optimal,
+          puzzle.difficulty,
+          puzzle.isSolvable,
+          puzzle.inversionCount,
+          puzzle.stateHash,
+        );
+        if (result.created) created++;
+        else duplicates++;
+      }
+
+      console.log(
+        `${size} ${band}: ${created} created, ${duplicates} duplicates, ${failed} failed`,
+      );
+    }
+  }
+}
+
+async function verify() {
+  const fix = hasFlag("fix");
+  const configs = await selectedConfigs();
+  let invalid = 0;
+
+  for (const config of configs) {
+    const problems = checkConfig(config);
+    if (problems.length === 0) continue;
+
+    invalid++;
+    console.log(
+      `#${config.config_id} (${config.board_size}): ${problems.join(", ")}`,
+    );
+
+    if (fix && config.is_solvable) {
+      await db.updatePuzzleConfig(config.config_id, { is_solvable: false });
+    }
+  }
+
+  console.log(
+    `Checked ${configs.length} puzzles, ${invalid} invalid${fix && invalid ? " (marked unsolvable)" : ""}`,
+  );
+}
+
+async function recompute() {
+  const budget = { timeLimitMs: parseInt(getOption("budget", "5000")) };
+  const configs = await selectedConfigs();
+  let updated = 0;
+  let estimated = 0;
+
+  for (const config of configs) {
+    if (checkConfig(config).length > 0) continue;
+
+    const board = parseJson(config.initial_state);
+    const { minimumMoves, optimal } = solver.getMinimumMoves(
+      board,
+      config.board_size,
+      budget,
+    );
+    if (!optimal) estimated++;
+
+    const difficulty = puzzleLogic.getDifficultyRating(
+      minimumMoves,
+      config.board_size,
+    );
+    const inversionCount = puzzleLogic.countInversions(board);
+
+    if (
+      minimumMoves !== config.minimum_moves ||
+      optimal !== Boolean(config.minimum_moves_optimal) ||
+      difficulty !== config.difficulty_rating ||
+      inversionCount !== config.inversion_count
+    ) {
+      await db.updatePuzzleConfig(config.config_id, {
+        minimum_moves: minimumMoves,
+        minimum_moves_optimal: optimal,
+        difficulty_rating: difficulty,
+        inversion_count: inversionCount,
+      });
+      updated++;
+    }
+  }
+
+  console.log(
+    `Recomputed ${configs.length} puzzles: ${updated} updated, ${estimated} lower-bound estimates`,
+  );
+}
+
+async function prune() {
+  const maxPerBand = getOption("max-per-band");
+  const configs = await selectedConfigs();
+
+  const invalid = configs.filter(
+    (config) => !config.is_solvable || checkConfig(config).length > 0,
+  );
+  const invalidIds = new Set(invalid.map((config) => config.config_id));
+  const trimmed = [];
+
+  if (maxPerBand !== null) {
+    const limit = parseInt(maxPerBand);
+    const bands = new Map();
+
+    for (const config of configs) {
+      if (invalidIds.has(config.config_id)) continue;
+      const key = `${config.board_size}:${config.difficulty_rating}`;
+      if (!bands.has(key)) bands.set(key, []);
+      bands.get(key).push(config);
+    }
+
+    for (const band of bands.values()) {
+      band.sort((a, b) => b.times_played - a.times_played);
+      trimmed.push(...band.slice(limit));
+    }
+  }
+
+  const deleted = await db.deletePuzzleConfigs([
+    ...invalidIds,
+    ...trimmed.map((config) => config.config_id),
+  ]);
+
+  console.log(
+    `Pruned ${deleted} puzzles (${invalid.length} invalid, ${trimmed.length} over band limit)`,
+  );
+}
+
+async function stats() {
+  const rows = await db.getPuzzleConfigStats();
+
+  if (rows.length === 0) {
+    console.log("puzzle_configs is empty");
+    return;
+  }
+
+  console.table(
+    rows.map((row) => ({
+      size: row.board_size,
+      difficulty: row.difficulty_rating,
+      total: Number(row.total),
+      unsolvable: Number(row.unsolvable),
+      moves: `${row.min_moves}-${row.max_moves} (avg ${Number(row.avg_moves).toFixed(1)})`,
+      played: Number(row.times_played),
+    })),
+  );
+}
+
+const commands = { seed, verify, recompute, prune, stats };
+
+if (!commands[command]) {
+  console.error(
+    `Usage: npm run puzzles -- <${Object.keys(commands).join("|")}> [options]`,
+  );
+  process.exit(1);
+}
+
+commands[command]()
+  .catch((error) => {
+    console.error("Puzzles error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
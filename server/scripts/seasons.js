@@ -0,0 +1,88 @@
+/**
+ * Schedule and inspect ranked seasons. Weekly and monthly seasons are
+ * opened by the server on its own; this is for custom ones.
+ * Usage: npm run seasons -- <command> [options]
+ *
+ *   create  --name N --start DATE --end DATE [--reset-ratings]
+ *                          Schedule a custom season; the server opens it at
+ *                          the start and closes it at the end
+ *   list                   Running, upcoming and recent seasons
+ *
+ * Dates are anything Date can parse, e.g. "2026-12-01T00:00:00Z".
+ */
+const { pool, db } = require("../database");
+
+const args = process.argv.slice(2);
+const command = args[0];
+
+const getOption = (name, fallback = null) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : fallback;
+};
+const hasFlag = (name) => args.includes(`--${name}`);
+
+/**
+ * Parse a date option
+ * @param {String} name - Option name
+ * @returns {Date}
+ */
+function getDateOption(name) {
+  const date = new Date(getOption(name));
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--${name} must be a date`);
+  }
+  return date;
+}
+
+async function create() {
+  const name = getOption("name");
+  if (!name) throw new Error("--name is required");
+
+  const startsAt = getDateOption("start");
+  const endsAt = getDateOption("end");
+  if (endsAt <= startsAt) throw new Error("--end must be after --start");
+
+  const seasonId = await db.createSeason({
+    name,
+    type: "custom",
+    startsAt,
+    endsAt,
+    resetsRatings: hasFlag("reset-ratings"),
+  });
+
+  console.log(
+    `Scheduled season ${seasonId}: ${name}, ${startsAt.toISOString()} to ${endsAt.toISOString()}`,
+  );
+}
+
+async function list() {
+  const seasons = await db.getSeasons();
+
+  console.table(
+    seasons.map((season) => ({
+      id: season.season_id,
+      name: season.name,
+      type: season.season_type,
+      status: season.status,
+      starts: new Date(season.starts_at).toISOString(),
+      ends: new Date(season.ends_at).toISOString(),
+      resets: Boolean(season.resets_ratings),
+    })),
+  );
+}
+
+const commands = { create, list };
+
+if (!commands[command]) {
+  console.error(
+    `Usage: npm run seasons -- <${Object.keys(commands).join("|")}> [options]`,
+  );
+  process.exit(1);
+}
+
+commands[command]()
+  .catch((error) => {
+    console.error("Seasons error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,139 @@
+/**
+ * Ranked seasons.
+ *
+ * Weekly and monthly seasons run back to back (weeks start on Monday,
+ * UTC); custom seasons are scheduled ahead of time with their own dates.
+ * While a season is active its leaderboards collect under its leaderboard
+ * key. When it ends the final standings are archived, rewards are paid out
+ * by final rating rank, and seasons that reset ratings pull every rating
+ * part of the way back towards the starting rating.
+ */
+
+const SEASON_TYPES = ["weekly", "monthly", "custom"];
+
+// Types the scheduler keeps open at all times
+const ROLLING_SEASON_TYPES = ["weekly", "monthly"];
+
+// Share of the distance from the starting rating kept by a soft reset
+const SOFT_RESET_KEEP = 0.5;
+
+// Rating deviation after a soft reset, so placements move quickly again
+const SOFT_RESET_DEVIATION = 200;
+
+// Best tier first; a rank gets the first tier it falls within
+const REWARD_TIERS = [
+  {
+    maxRank: 1,
+    badge: "season_champion",
+    theme: "aurora",
+    powerups: { auto_solve_3: 2, time_freeze: 2 },
+  },
+  {
+    maxRank: 3,
+    badge: "season_podium",
+    theme: "rudolph",
+    powerups: { time_freeze: 2, shuffle_helper: 1 },
+  },
+  {
+    maxRank: 10,
+    badge: "season_top_10",
+    theme: null,
+    powerups: { shuffle_helper: 1, hint: 3 },
+  },
+  {
+    maxRank: 100,
+    badge: "season_top_100",
+    theme: null,
+    powerups: { hint: 2 },
+  },
+];
+
+/**
+ * Start and end of the rolling season containing a date
+ * @param {String} type - "weekly" or "monthly"
+ * @param {Date} date - Any moment in the season
+ * @returns {Object} { start, end } with end exclusive
+ */
+function getSeasonBounds(type, date = new Date()) {
+  if (type === "weekly") {
+    const start = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+    );
+    // getUTCDay is 0 on Sunday; weeks start on Monday
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + 7);
+    return { start, end };
+  }
+
+  if (type === "monthly") {
+    const start = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1),
+    );
+    const end = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1),
+    );
+    return { start, end };
+  }
+
+  throw new Error(`No rolling schedule for ${type} seasons`);
+}
+
+/**
+ * Display name for a rolling season
+ * @param {String} type - "weekly" or "monthly"
+ * @param {Date} start - Season start
+ * @returns {String}
+ */
+function getSeasonName(type, start) {
+  if (type === "weekly") {
+    return `Week of ${start.toISOString().slice(0, 10)}`;
+  }
+  return start.toLocaleString("en-US", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Value of leaderboards.season for a season's live leaderboards. Rolling
+ * seasons keep the plain "weekly"/"monthly" keys, which are cleared when
+ * the season is archived.
+ * @param {Object} season - seasons row
+ * @returns {String}
+ */
+function getLeaderboardKey(season) {
+  return season.season_type === "custom"
+    ? `season_${season.season_id}`
+    : season.season_type;
+}
+
+/**
+ * Rewards for a final rank. Weekly seasons pay out powerups only; badges
+ * and themes are kept for monthly and custom seasons.
+ * @param {Number} rank - Final rank, 1 is best
+ * @param {String} type - Season type
+ * @returns {Object|null} { badge, theme, powerups } or null
+ */
+function getSeasonReward(rank, type) {
+  const tier = REWARD_TIERS.find((t) => rank <= t.maxRank);
+  if (!tier) return null;
+
+  if (type === "weekly") {
+    return { badge: null, theme: null, powerups: tier.powerups };
+  }
+  return { badge: tier.badge, theme: tier.theme, powerups: tier.powerups };
+}
+
+module.exports = {
+  SEASON_TYPES,
+  ROLLING_SEASON_TYPES,
+  SOFT_RESET_KEEP,
+  SOFT_RESET_DEVIATION,
+  REWARD_TIERS,
+  getSeasonBounds,
+  getSeasonName,
+  getLeaderboardKey,
+  getSeasonReward,
+};
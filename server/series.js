@@ -0,0 +1,98 @@
+/**
+ * Best-of-N match series.
+ *
+ * A series is a run of games between the same two players on the same
+ * settings, stored in match_series with each game's session linked by
+ * series_id. The first player to win a majority takes the series, and
+ * ELO is applied once for the series result rather than per game. A
+ * forfeited game ends the whole series.
+ */
+
+const SERIES_LENGTHS = [1, 3, 5];
+
+/**
+ * Whether a series length is offered
+ * @param {Number} bestOf - Games in the series
+ * @returns {Boolean}
+ */
+function isValidSeriesLength(bestOf) {
+  return SERIES_LENGTHS.includes(bestOf);
+}
+
+/**
+ * Wins needed to take a series
+ * @param {Number} bestOf - Games in the series
+ * @returns {Number}
+ */
+function winsNeeded(bestOf) {
+  return Math.floor(bestOf / 2) + 1;
+}
+
+/**
+ * Score a finished game against its series
+ * @param {Object} series - match_series row
+ * @param {Number} winnerId - Winner of the game
+ * @param {Object} options - { forfeit } when the loser abandoned the game
+ * @returns {Object} Updated columns: player1_wins, player2_wins, status,
+ *   winner_id
+ */
+function recordSeriesGame(series, winnerId, { forfeit = false } = {}) {
+  const player1Won = winnerId === series.player1_id;
+  const player1Wins = series.player1_wins + (player1Won ? 1 : 0);
+  const player2Wins = series.player2_wins + (player1Won ? 0 : 1);
+  const needed = winsNeeded(series.best_of);
+
+  if (forfeit) {
+    return {
+      player1_wins: player1Wins,
+      player2_wins: player2Wins,
+      status: "abandoned",
+      winner_id: winnerId,
+    };
+  }
+
+  let winner = null;
+  if (player1Wins >= needed) winner = series.player1_id;
+  if (player2Wins >= needed) winner = series.player2_id;
+
+  return {
+    player1_wins: player1Wins,
+    player2_wins: player2Wins,
+    status: winner ? "completed" : "in_progress",
+    winner_id: winner,
+  };
+}
+
+/**
+ * Series as sent to clients
+ * @param {Object} series - match_series row
+ * @returns {Object}
+ */
+function summarizeSeries(series) {
+  return {
+    seriesId: series.series_id,
+    bestOf: series.best_of,
+    status: series.status,
+    winnerId: series.winner_id,
+    gamesPlayed: series.player1_wins + series.player2_wins,
+    score: {
+      [series.player1_id]: series.player1_wins,
+      [series.player2_id]: series.player2_wins,
+    },
+    eloChanges:
+      series.status === "in_progress"
+        ? null
+        : {
+            [series.player1_id]: series.player1_elo_change,
+            [series.player2_id]: series.player2_elo_change,
+          },
+  };
+}
+
+module.exports = {
+  SERIES_LENGTHS,
+  isValidSeriesLength,
+  winsNeeded,
+  recordSeriesGame,
+  summarizeSeries,
+};
@@ -8,12 +8,34 @@ const { body, validationResult } = require("express-validator");
 require("dotenv").config();
 
 const { db } = require("./database");
+const puzzleLogic = require("./puzzleLogic");
+const {
+  extendsRecordedMoves,
+  recordPause,
+  getPauseWindows,
+  validateCompletion,
+} = require("./gameValidation");
+const solverPool = require("./solverPool");
+const puzzleGenerator = require("./puzzleGenerator");
+const replayNotation = require("./replayNotation");
+const bots = require("./bots");
+const matchmaking = require("./matchmaking");
+const lobbies = require("./lobbies");
+const matchSeries = require("./series");
+const tournaments = require("./tournaments");
+const glicko2 = require("./glicko2");
+const rankedSeasons = require("./seasons");
+const achievementRules = require("./achievements");
+const powerupDrops = require("./powerupDrops");
+const powerupRules = require("./powerupRules");
+const themeRules = require("./themes");
 const {
   generateToken,
   generateRefreshToken,
   authenticateToken,
   authenticateSocket,
   optionalAuth,
+  createRateLimiter,
   hashPassword,
   comparePassword,
   validatePasswordStrength,
@@ -439,9 +461,14 @@ app.get("/api/users/:userId/stats", async (req, res) => {
       });
     }
 
+    const boardStats = await db.getUserBoardStats(userId);
+    const ratings = await db.getPlayerRatings(userId);
+
     res.json({
       success: true,
       stats,
+      boardStats,
+      ratings,
     });
   } catch (error) {
     console.error("Get stats error:", error);
@@ -485,11 +512,7 @@ app.get("/api/users/:userId/history", authenticateToken, async (req, res) => {
 app.get("/api/users/preferences", authenticateToken, async (req, res) => {
   try {
     const preferences = await db.getUserPreferences(req.user.userId);
-
-    // Parse JSON fields
-    if (preferences.unlocked_themes) {
-      preferences.unlocked_themes = JSON.parse(preferences.unlocked_themes);
-    }
+    preferences.unlocked_themes = await db.getUnlockedThemes(req.user.userId);
 
     res.json({
       success: true,
@@ -507,6 +530,27 @@ app.get("/api/users/preferences", authenticateToken, async (req, res) => {
 // Update user preferences
 app.put("/api/users/preferences", authenticateToken, async (req, res) => {
   try {
+    // Only themes from the catalogue the player has unlocked can be selected
+    if (req.body.selected_theme !== undefined) {
+      const [theme, unlockedThemes] = await Promise.all([
+        db.getTheme(String(req.body.selected_theme)),
+        db.getUnlockedThemes(req.user.userId),
+      ]);
+
+      if (!theme) {
+        return res.status(400).json({
+          success: false,
+          message: "Unknown theme",
+        });
+      }
+      if (!themeRules.isThemeAvailable(theme, unlockedThemes)) {
+        return res.status(403).json({
+          success: false,
+          message: `${theme.name} is locked. ${theme.description}`,
+        });
+      }
+    }
+
     await db.updateUserPreferences(req.user.userId, req.body);
 
     const preferences = await db.getUserPreferences(req.user.userId);
@@ -525,19 +569,35 @@ app.put("/api/users/preferences", authenticateToken, async (req, res) => {
   }
 });
 
-// Unlock theme
+// Unlock a theme whose criteria the player meets
 app.post(
   "/api/users/themes/:themeName",
   authenticateToken,
   async (req, res) => {
     try {
-      const { themeName } = req.params;
-      const themes = await db.unlockTheme(req.user.userId, themeName);
+      const theme = await db.getTheme(req.params.themeName);
+      if (!theme) {
+        return res.status(404).json({
+          success: false,
+          message: "Theme not found",
+        });
+      }
+
+      // Unlocks every theme the player has earned, then re-runs achievements
+      await checkAchievements(req.user.userId);
+      const unlockedThemes = await db.getUnlockedThemes(req.user.userId);
+
+      if (!themeRules.isThemeAvailable(theme, unlockedThemes)) {
+        return res.status(403).json({
+          success: false,
+          message: `${theme.name} is locked. ${theme.description}`,
+        });
+      }
 
       res.json({
         success: true,
-        message: `Theme "${themeName}" unlocked`,
-        unlockedThemes: themes,
+        message: `Theme "${theme.name}" unlocked`,
+        unlockedThemes,
       });
     } catch (error) {
       console.error("Unlock theme error:", error);
@@ -549,40 +609,166 @@ app.post(
   },
 );
 
+// Theme catalogue; signed-in players also see which themes they can select
+app.get("/api/themes", optionalAuth, async (req, res) => {
+  try {
+    const [themes, unlockedThemes] = await Promise.all([
+      db.getThemes(),
+      req.user ? db.getUnlockedThemes(req.user.userId) : [],
+    ]);
+
+    res.json({
+      success: true,
+      themes: themes.map((theme) => ({
+        ...theme,
+        unlocked: themeRules.isThemeAvailable(theme, unlockedThemes),
+      })),
+    });
+  } catch (error) {
+    console.error("Get themes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching themes",
+    });
+  }
+});
+
+// Starting board taken from the puzzle_configs library
+function configPuzzle(puzzleConfig) {
+  return {
+    configId: puzzleConfig.config_id,
+    seed: null,
+    minimumMoves: puzzleConfig.minimum_moves,
+    minimumMovesOptimal: Boolean(puzzleConfig.minimum_moves_optimal),
+    initialState:
+      typeof puzzleConfig.initial_state === "string"
+        ? JSON.parse(puzzleConfig.initial_state)
+        : puzzleConfig.initial_state,
+  };
+}
+
+// Pick the starting board for a session; multiplayer opponents share it.
+// A seed, or the config id of a library board, rebuilds that exact board
+// instead, e.g. for a re-challenge. Null for an unknown config id or one
+// of another board size.
+async function createSessionPuzzle(
+  boardSize,
+  { seed = null, configId = null } = {},
+) {
+  if (configId !== null) {
+    const puzzleConfig = await db.getPuzzleConfig(configId);
+    const matches =
+      puzzleConfig &&
+      puzzleLogic.formatBoardSize(puzzleConfig.board_size) === boardSize;
+    return matches ? configPuzzle(puzzleConfig) : null;
+  }
+
+  if (seed === null) {
+    const puzzleConfig = await db.getRandomPuzzleConfig(boardSize, null);
+    if (puzzleConfig) return configPuzzle(puzzleConfig);
+
+    seed = puzzleLogic.randomSeed();
+  }
+
+  return {
+    configId: null,
+    seed,
+    minimumMoves: null,
+    minimumMovesOptimal: false,
+    initialState: puzzleLogic.generateSolvablePuzzle(boardSize, seed),
+  };
+}
+
+// Store a new session's minimum moves for completion checks, and whether
+// the value is proven optimal or only a lower bound. Generated boards are
+// solved on the worker thread without holding up the game.
+function storeMinimumMoves(sessionId, puzzle, boardSize) {
+  const measured =
+    puzzle.minimumMoves !== null
+      ? Promise.resolve({
+          minimumMoves: puzzle.minimumMoves,
+          optimal: puzzle.minimumMovesOptimal,
+        })
+      : solverPool.getMinimumMoves(puzzle.initialState, boardSize);
+
+  measured
+    .then(({ minimumMoves, optimal }) =>
+      db.updateGameSession(sessionId, {
+        minimum_moves: minimumMoves,
+        minimum_moves_optimal: optimal,
+      }),
+    )
+    .catch((err) => console.error("Error storing minimum moves:", err));
+}
+
 // Create new game session
 app.post("/api/games/create", authenticateToken, async (req, res) => {
   try {
-    const { boardSize, gameMode, opponentId } = req.body;
+    const { gameMode, opponentId } = req.body;
+    const seed = req.body.seed ?? null;
+    const configId = req.body.configId ?? null;
 
-    // Validate board size
-    const validSizes = [3, 4, 6, 8, 10];
-    if (!validSizes.includes(boardSize)) {
+    // Validate board size (a side length or a "RxC" key such as "3x5")
+    if (!puzzleLogic.isValidBoardSize(req.body.boardSize)) {
       return res.status(400).json({
         success: false,
         message: "Invalid board size",
       });
     }
+    const boardSize = puzzleLogic.formatBoardSize(req.body.boardSize);
+
+    if (
+      seed !== null &&
+      !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Seed must be a 32-bit unsigned integer",
+      });
+    }
+
+    if (configId !== null && !(Number.isInteger(configId) && configId > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Config id must be a positive integer",
+      });
+    }
+
+    if (seed !== null && configId !== null) {
+      return res.status(400).json({
+        success: false,
+        message: "Give either a seed or a config id, not both",
+      });
+    }
+
+    // Starting board is stored so the result can be verified on completion
+    const puzzle = await createSessionPuzzle(boardSize, { seed, configId });
 
-    // Create or get puzzle configuration
-    let puzzleConfig = await db.getRandomPuzzleConfig(boardSize, null);
+    if (!puzzle) {
+      return res.status(404).json({
+        success: false,
+        message: "Puzzle not found for this board size",
+      });
+    }
 
     const sessionId = await db.createGameSession(
       req.user.userId,
       opponentId || null,
       boardSize,
       gameMode,
-      puzzleConfig ? puzzleConfig.config_id : null,
+      puzzle.configId,
+      puzzle.initialState,
+      puzzle.seed,
     );
+    storeMinimumMoves(sessionId, puzzle, boardSize);
 
     res.json({
       success: true,
       sessionId,
-      puzzleConfig: puzzleConfig
-        ? {
-            initialState: JSON.parse(puzzleConfig.initial_state),
-            minimumMoves: puzzleConfig.minimum_moves,
-          }
-        : null,
+      boardSize,
+      initialState: puzzle.initialState,
+      seed: puzzle.seed,
+      configId: puzzle.configId,
     });
   } catch (error) {
     console.error("Create game error:", error);
@@ -593,6 +779,18 @@ app.post("/api/games/create", authenticateToken, async (req, res) => {
   }
 });
 
+// List games in progress that can be watched
+app.get("/api/games/live", authenticateToken, (req, res) => {
+  const games = [...activeGames.entries()].map(([sessionId, game]) =>
+    summarizeLiveGame(sessionId, game),
+  );
+
+  res.json({
+    success: true,
+    games,
+  });
+});
+
 // Get game session
 app.get("/api/games/:sessionId", authenticateToken, async (req, res) => {
   try {
@@ -626,8 +824,7 @@ app.post(
   async (req, res) => {
     try {
       const { sessionId } = req.params;
-      const { winnerId, completionTime, moveCount, perfectGame, speedBonus } =
-        req.body;
+      const userId = req.user.userId;
 
       const session = await db.getGameSession(sessionId);
 
@@ -638,27 +835,111 @@ app.post(
         });
       }
 
-      if (session.status === "completed") {
+      if (session.player1_id !== userId && session.player2_id !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      if (session.status !== "in_progress") {
         return res.status(400).json({
           success: false,
           message: "Game already completed",
         });
       }
 
-      // Update game session
-      await db.updateGameSession(sessionId, {
+      // A submitted move list may add to the recorded moves but not
+      // replace them
+      const game = activeGames.get(Number(sessionId));
+      const recordedMoves = await getRecordedMoves(sessionId, userId);
+      const moves = Array.isArray(req.body.moves)
+        ? req.body.moves
+        : recordedMoves;
+
+      const playerPrefix =
+        session.player1_id === userId ? "player1" : "player2";
+
+      // Time is measured on the server: from the start of play (after the
+      // countdown for a live match) to now, less time spent paused or
+      // under time_freeze
+      const startedAt = game
+        ? game.startedAt
+        : new Date(session.started_at).getTime();
+      const now = Date.now();
+      const used = session[`${playerPrefix}_powerups_used`];
+      const pauses = session[`${playerPrefix}_pauses`];
+      const stoppedMs = powerupRules.getStoppedMs(
+        [
+          ...powerupRules.getFreezeWindows(
+            await db.getAllPowerups(),
+            Array.isArray(used) ? used : [],
+          ),
+          ...getPauseWindows(Array.isArray(pauses) ? pauses : [], now),
+        ],
+        startedAt,
+        now,
+      );
+
+      const result = extendsRecordedMoves(recordedMoves, moves)
+        ? validateCompletion(session, moves, {
+            minimumMoves: session.minimum_moves,
+            minimumMovesOptimal: Boolean(session.minimum_moves_optimal),
+            startedAt,
+            now,
+            stoppedMs,
+          })
+        : { valid: false, reason: "Moves differ from the recorded game" };
+
+      // Only this claim is rejected: the game goes on, and an opponent's
+      // result is untouched
+      if (!result.valid) {
+        await db.updateGameSession(sessionId, {
+          [`${playerPrefix}_flagged_reason`]: result.reason,
+        });
+
+        console.warn(
+          `Session ${sessionId} result from user ${userId} flagged: ${result.reason}`,
+        );
+        return res.status(422).json({
+          success: false,
+          message: "Game result could not be verified",
+          reason: result.reason,
+        });
+      }
+
+      const { completionTime, moveCount, perfectGame, speedBonus } = result;
+
+      // First player to submit a verified solution wins. The claim only
+      // succeeds while the game is in progress, so of two racing
+      // submissions (or a forfeit) exactly one settles the game
+      const winnerId = userId;
+
+      const claimed = await db.claimGameResult(sessionId, {
         status: "completed",
         winner_id: winnerId,
         completion_time: completionTime,
         move_count: moveCount,
-        perfect_game: perfectGame || false,
-        speed_bonus: speedBonus || false,
+        [`${playerPrefix}_moves`]: moveCount,
+        [`${playerPrefix}_time`]: completionTime,
+        perfect_game: perfectGame,
+        speed_bonus: speedBonus,
       });
 
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: "Game already completed",
+        });
+      }
+
+      // The replayed moves replace the rows stored during play
+      await db.recordMoves(sessionId, userId, result.states);
+
       // Update user stats
-      const isWin = winnerId === req.user.userId;
+      const isWin = winnerId === userId;
       await db.updateUserStatsAfterGame(
-        req.user.userId,
+        userId,
         isWin,
         completionTime,
         moveCount,
@@ -666,13 +947,23 @@ app.post(
         session.game_mode,
       );
 
-      // Calculate ELO if multiplayer
+      // Settle ELO or the series score if multiplayer
       let eloChanges = null;
+      let series = null;
       if (session.player2_id) {
-        eloChanges = await db.calculateAndUpdateELO(
-          session.player1_id,
-          session.player2_id,
+        ({ eloChanges, series } = await settleMatchResult(session, winnerId));
+
+        io.to(gameRooms(sessionId)).emit("game_ended", {
           winnerId,
+          stats: { completionTime, moveCount },
+          series,
+        });
+
+        endActiveGame(sessionId);
+        if (game) afterMatchGame(sessionId, game, series);
+
+        settleTournamentMatch(sessionId, winnerId).catch((err) =>
+          console.error("Error advancing tournament:", err),
         );
       }
 
@@ -682,40 +973,61 @@ app.post(
       if (perfectGame) xpGained += 50;
       if (speedBonus) xpGained += 30;
 
-      const levelResult = await db.addExperience(req.user.userId, xpGained);
+      const levelResult = await awardExperience(userId, xpGained);
 
-      // Check achievements
-      const achievementChecks = [
-        { key: "first_steps", value: 1 },
-        {
-          key: "puzzle_enthusiast",
-          value: (await db.getUserStats(req.user.userId)).total_games,
-        },
-        { key: "speed_demon", value: completionTime },
-      ];
+      // Check achievements against the updated stats
+      await db.recordThemedGame(userId);
+      const unlockedAchievements = await checkAchievements(userId, {
+        notify: false,
+      });
 
-      const unlockedAchievements = await db.checkMultipleAchievements(
-        req.user.userId,
-        achievementChecks,
+      // Powerup drops for the win, and for every third win in a row
+      await grantPowerupDrop(
+        userId,
+        session.player2_id ? "multiplayer_win" : "win",
+        { sourceRef: sessionId },
       );
+      await grantPowerupDrop(userId, "win_streak", {
+        sourceRef: sessionId,
+        streak: (await db.getUserStats(userId)).current_win_streak,
+      });
 
-      // Update leaderboards
+      // Update leaderboards, all-time and for each running season
       if (session.game_mode === "speed") {
+        const category = `speed_${session.board_size}`;
+        const eloRating = (await db.getUserStats(req.user.userId)).elo_rating;
+
         await db.updateLeaderboardEntry(
           req.user.userId,
-          `speed_${session.board_size}x${session.board_size}`,
+          category,
           completionTime,
-          (await db.getUserStats(req.user.userId)).elo_rating,
+          eloRating,
         );
+
+        for (const season of await db.getActiveSeasons()) {
+          await db.updateLeaderboardEntry(
+            req.user.userId,
+            category,
+            completionTime,
+            eloRating,
+            rankedSeasons.getLeaderboardKey(season),
+            { start: season.starts_at, end: season.ends_at },
+          );
+        }
       }
 
       res.json({
         success: true,
         message: "Game completed successfully",
+        completionTime,
+        moveCount,
+        perfectGame,
+        speedBonus,
         xpGained,
         leveledUp: levelResult.leveledUp,
         newLevel: levelResult.newLevel,
         eloChanges,
+        series,
         unlockedAchievements,
       });
     } catch (error) {
@@ -728,10 +1040,105 @@ app.post(
   },
 );
 
+// Pauses a player may take in one game
+const MAX_PAUSES_PER_GAME = 50;
+
+// Pause or resume a game; paused time does not count toward completion time
+app.post("/api/games/:sessionId/pause", authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.userId;
+    const { paused } = req.body;
+
+    if (typeof paused !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "paused must be true or false",
+      });
+    }
+
+    const session = await db.getGameSession(sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Game session not found",
+      });
+    }
+
+    if (session.player1_id !== userId && session.player2_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (session.status !== "in_progress") {
+      return res.status(400).json({
+        success: false,
+        message: "Game is not in progress",
+      });
+    }
+
+    const playerPrefix = session.player1_id === userId ? "player1" : "player2";
+    const logged = session[`${playerPrefix}_pauses`];
+    const pauses = Array.isArray(logged) ? logged : [];
+
+    if (paused && pauses.length >= MAX_PAUSES_PER_GAME) {
+      return res.status(429).json({
+        success: false,
+        message: "Pause limit reached for this game",
+      });
+    }
+
+    const updated = recordPause(pauses, paused, Date.now());
+    if (updated) {
+      await db.updateGameSession(sessionId, {
+        [`${playerPrefix}_pauses`]: updated,
+      });
+    }
+
+    res.json({
+      success: true,
+      paused,
+    });
+  } catch (error) {
+    console.error("Pause game error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error pausing game",
+    });
+  }
+});
+
 // Record game move
 app.post("/api/games/:sessionId/moves", authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const userId = req.user.userId;
+
+    const session = await db.getGameSession(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Game session not found",
+      });
+    }
+
+    if (session.player1_id !== userId && session.player2_id !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (session.status !== "in_progress") {
+      return res.status(400).json({
+        success: false,
+        message: "Game is not in progress",
+      });
+    }
+
     const {
       moveNumber,
       tilePosition,
@@ -743,7 +1150,7 @@ app.post("/api/games/:sessionId/moves", authenticateToken, async (req, res) => {
 
     await db.recordMove(
       sessionId,
-      req.user.userId,
+      userId,
       moveNumber,
       tilePosition,
       emptyPosition,
@@ -784,86 +1191,786 @@ app.get("/api/games/:sessionId/moves", authenticateToken, async (req, res) => {
   }
 });
 
-// Get leaderboard
-app.get("/api/leaderboards/:category", async (req, res) => {
+const parseJson = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value;
+
+// Load a session's starting board and per-player moves, or null if unknown
+async function loadSessionReplay(sessionId) {
+  const session = await db.getGameSession(sessionId);
+  if (!session) return null;
+
+  const moves = await db.getSessionMoves(sessionId);
+
+  let initialState = parseJson(session.initial_state);
+  if (!initialState && session.puzzle_config_id) {
+    const config = await db.getPuzzleConfig(session.puzzle_config_id);
+    initialState = config ? parseJson(config.initial_state) : null;
+  }
+  if (!initialState && moves.length > 0) {
+    // Older sessions did not store the board; undo the first recorded move
+    initialState = [...parseJson(moves[0].board_state)];
+    initialState[moves[0].empty_position] =
+      initialState[moves[0].tile_position];
+    initialState[moves[0].tile_position] = 0;
+  }
+
+  const playerIds = [session.player1_id, session.player2_id].filter(
+    (id) => id !== null,
+  );
+  const players = await Promise.all(
+    playerIds.map(async (userId) => {
+      const user = await db.getUserById(userId);
+      return {
+        userId,
+        username: user ? user.username : "Unknown",
+        moves: moves
+          .filter((move) => move.user_id === userId)
+          .map((move) => ({
+            moveNumber: move.move_number,
+            tilePosition: move.tile_position,
+            emptyPosition: move.empty_position,
+            direction: move.direction,
+            boardState: parseJson(move.board_state),
+            timeElapsed: move.time_elapsed,
+          })),
+      };
+    }),
+  );
+
+  return {
+    sessionId: session.session_id,
+    boardSize: puzzleLogic.formatBoardSize(session.board_size),
+    seed: session.puzzle_seed,
+    configId: session.puzzle_config_id,
+    gameMode: session.game_mode,
+    status: session.status,
+    winnerId: session.winner_id,
+    startedAt: session.started_at,
+    initialState,
+    players,
+  };
+}
+
+// Get everything the replay viewer needs: starting board and each player's moves
+app.get("/api/games/:sessionId/replay", authenticateToken, async (req, res) => {
   try {
-    const { category } = req.params;
-    const season = req.query.season || "all_time";
-    const limit = parseInt(req.query.limit) || 100;
+    const replay = await loadSessionReplay(req.params.sessionId);
 
-    const leaderboard = await db.getLeaderboard(category, season, limit);
+    if (!replay) {
+      return res.status(404).json({
+        success: false,
+        message: "Game session not found",
+      });
+    }
+
+    if (!replay.initialState) {
+      return res.status(404).json({
+        success: false,
+        message: "No replay available for this game",
+      });
+    }
 
     res.json({
       success: true,
-      category,
-      season,
-      leaderboard,
+      replay,
     });
   } catch (error) {
-    console.error("Get leaderboard error:", error);
+    console.error("Get replay error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error fetching leaderboard",
+      message: "Server error fetching replay",
     });
   }
 });
 
-// Get user leaderboard position
-app.get(
-  "/api/leaderboards/:category/position",
-  authenticateToken,
-  async (req, res) => {
-    try {
-      const { category } = req.params;
-      const season = req.query.season || "all_time";
-
-      const position = await db.getUserLeaderboardPosition(
-        req.user.userId,
-        category,
-        season,
-      );
+// Export a session in replay notation (?timings=false drops move timings)
+app.get("/api/games/:sessionId/export", authenticateToken, async (req, res) => {
+  try {
+    const replay = await loadSessionReplay(req.params.sessionId);
 
-      res.json({
-        success: true,
-        position: position || { rank_position: 0, score: 0 },
-      });
-    } catch (error) {
-      console.error("Get position error:", error);
-      res.status(500).json({
+    if (!replay || !replay.initialState) {
+      return res.status(404).json({
         success: false,
-        message: "Server error fetching position",
+        message: "No replay available for this game",
       });
     }
-  },
-);
 
-// Get all achievements
-app.get("/api/achievements", async (req, res) => {
-  try {
-    const achievements = await db.getAllAchievements();
+    const notation = replayNotation.exportReplay(
+      {
+        ...replay,
+        tags: {
+          Session: replay.sessionId,
+          Mode: replay.gameMode,
+          Date: new Date(replay.startedAt).toISOString(),
+          Result: replay.status,
+          Winner: replay.players.find((p) => p.userId === replay.winnerId)
+            ?.username,
+        },
+      },
+      { timings: req.query.timings !== "false" },
+    );
 
-    res.json({
-      success: true,
-      achievements,
-    });
+    res.type("text/plain");
+    res.attachment(`game-${replay.sessionId}.txt`);
+    res.send(notation);
   } catch (error) {
-    console.error("Get achievements error:", error);
+    console.error("Export replay error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error fetching achievements",
+      message: "Server error exporting replay",
     });
   }
 });
 
-// Get user achievements
-app.get("/api/users/:userId/achievements", async (req, res) => {
+// Validate and replay an uploaded notation file
+app.post("/api/replays/import", authenticateToken, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const achievements = await db.getUserAchievements(userId);
+    const { notation } = req.body;
+
+    if (typeof notation !== "string" || notation.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        message: "Replay notation is required",
+      });
+    }
+
+    const result = replayNotation.importReplay(notation);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid replay: ${result.reason}`,
+      });
+    }
 
     res.json({
       success: true,
-      achievements,
+      replay: result.replay,
+    });
+  } catch (error) {
+    console.error("Import replay error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error importing replay",
+    });
+  }
+});
+
+// Get a ghost run to race: the best solve in a category ("speed_4x4",
+// "moves_3x5"), optionally on one board (a seed or a library config id) and
+// by one player ("me" for your own)
+app.get("/api/ghosts", authenticateToken, async (req, res) => {
+  try {
+    const match = /^(speed|moves)_(.+)$/.exec(req.query.category || "");
+
+    if (!match || !puzzleLogic.isValidBoardSize(match[2])) {
+      return res.status(400).json({
+        success: false,
+        message: "Category must be speed_<size> or moves_<size>",
+      });
+    }
+    const [, metric, size] = match;
+    const boardSize = puzzleLogic.formatBoardSize(size);
+
+    const seed = req.query.seed === undefined ? null : Number(req.query.seed);
+    if (
+      seed !== null &&
+      !(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Seed must be an unsigned 32-bit integer",
+      });
+    }
+
+    const configId =
+      req.query.configId === undefined ? null : Number(req.query.configId);
+    if (configId !== null && !(Number.isInteger(configId) && configId > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Config id must be a positive integer",
+      });
+    }
+
+    let userId = null;
+    if (req.query.userId === "me") {
+      userId = req.user.userId;
+    } else if (req.query.userId !== undefined) {
+      userId = parseInt(req.query.userId);
+    }
+
+    const run = await db.getGhostRun(boardSize, metric, {
+      seed,
+      configId,
+      userId,
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: "No recorded run to race for this board",
+      });
+    }
+
+    const moves = await db.getPlayerMoves(run.session_id, run.user_id);
+
+    res.json({
+      success: true,
+      ghost: {
+        sessionId: run.session_id,
+        userId: run.user_id,
+        username: run.username,
+        category: `${metric}_${boardSize}`,
+        boardSize,
+        seed: run.puzzle_seed,
+        configId: run.puzzle_config_id,
+        completionTime: run.run_time,
+        moveCount: run.run_moves,
+        moves: moves.map((move) => ({
+          tilePosition: move.tile_position,
+          timeElapsed: move.time_elapsed,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get ghost error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching ghost",
+    });
+  }
+});
+
+// Open a private lobby; the host then joins it over the socket by code
+app.post("/api/lobbies", authenticateToken, (req, res) => {
+  const { settings, error } = lobbies.validateLobbySettings(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  leaveLobby(req.user.userId);
+  matchmaker.leave(req.user.userId);
+
+  const lobby = lobbyManager.create(
+    { userId: req.user.userId, username: req.user.username },
+    settings,
+  );
+
+  res.status(201).json({
+    success: true,
+    lobby: lobbies.summarizeLobby(lobby),
+  });
+});
+
+// Look up a lobby by invite code
+app.get("/api/lobbies/:code", authenticateToken, (req, res) => {
+  const lobby = lobbyManager.get(req.params.code);
+
+  if (!lobby) {
+    return res.status(404).json({
+      success: false,
+      message: "Lobby not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    lobby: lobbies.summarizeLobby(lobby),
+  });
+});
+
+// Create a tournament; registration stays open until its start time
+app.post("/api/tournaments", authenticateToken, async (req, res) => {
+  try {
+    const { tournament, error } = tournaments.validateTournament(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const tournamentId = await db.createTournament(
+      req.user.userId,
+      tournament,
+    );
+
+    res.status(201).json({
+      success: true,
+      ...(await getTournamentState(tournamentId)),
+    });
+  } catch (error) {
+    console.error("Create tournament error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error creating tournament",
+    });
+  }
+});
+
+// List tournaments, open and running ones first
+app.get("/api/tournaments", authenticateToken, async (req, res) => {
+  try {
+    const list = await db.getTournaments();
+
+    res.json({
+      success: true,
+      tournaments: list,
+    });
+  } catch (error) {
+    console.error("Get tournaments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching tournaments",
+    });
+  }
+});
+
+// Bracket or Swiss rounds, with standings
+app.get("/api/tournaments/:id", authenticateToken, async (req, res) => {
+  try {
+    const state = await getTournamentState(req.params.id);
+
+    if (!state) {
+      return res.status(404).json({
+        success: false,
+        message: "Tournament not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...state,
+    });
+  } catch (error) {
+    console.error("Get tournament error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching tournament",
+    });
+  }
+});
+
+app.post(
+  "/api/tournaments/:id/register",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const registered = await db.registerTournamentPlayer(
+        req.params.id,
+        req.user.userId,
+      );
+
+      if (!registered) {
+        return res.status(400).json({
+          success: false,
+          message: "Registration is closed, full, or you are already in",
+        });
+      }
+
+      broadcastTournament(Number(req.params.id));
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Tournament registration error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error registering for tournament",
+      });
+    }
+  },
+);
+
+app.delete(
+  "/api/tournaments/:id/register",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const removed = await db.unregisterTournamentPlayer(
+        req.params.id,
+        req.user.userId,
+      );
+
+      if (!removed) {
+        return res.status(400).json({
+          success: false,
+          message: "Not registered, or the tournament has started",
+        });
+      }
+
+      broadcastTournament(Number(req.params.id));
+      res.json({ success: true });
+    } catch (error) {
+      console.error("Tournament withdrawal error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error leaving tournament",
+      });
+    }
+  },
+);
+
+// The creator may start early instead of waiting for the start time
+app.post("/api/tournaments/:id/start", authenticateToken, async (req, res) => {
+  try {
+    const tournament = await db.getTournament(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: "Tournament not found",
+      });
+    }
+
+    if (tournament.created_by !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the organiser can start this tournament",
+      });
+    }
+
+    if (tournament.status !== "registration") {
+      return res.status(400).json({
+        success: false,
+        message: "Tournament has already started",
+      });
+    }
+
+    if (tournament.player_count < tournaments.MIN_PLAYERS) {
+      return res.status(400).json({
+        success: false,
+        message: `At least ${tournaments.MIN_PLAYERS} players are needed`,
+      });
+    }
+
+    await startTournament(tournament);
+
+    res.json({
+      success: true,
+      ...(await getTournamentState(tournament.tournament_id)),
+    });
+  } catch (error) {
+    console.error("Start tournament error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error starting tournament",
+    });
+  }
+});
+
+// Hints are solved on the worker thread; cap how often one player can ask
+const hintLimiter = createRateLimiter(30, 60 * 1000);
+
+// Suggest the next move for a board
+app.post(
+  "/api/puzzles/hint",
+  authenticateToken,
+  hintLimiter,
+  async (req, res) => {
+    try {
+      const { board } = req.body;
+      const size = puzzleLogic.formatBoardSize(req.body.size);
+      const dimensions = puzzleLogic.getBoardDimensions(size);
+
+      const isPermutation =
+        Array.isArray(board) &&
+        dimensions !== null &&
+        board.length === dimensions.rows * dimensions.cols &&
+        new Set(board).size === board.length &&
+        board.every(
+          (tile) => Number.isInteger(tile) && tile >= 0 && tile < board.length,
+        );
+
+      if (!puzzleLogic.isValidBoardSize(size) || !isPermutation) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid board",
+        });
+      }
+
+      if (!puzzleLogic.isSolvable(board, size)) {
+        return res.status(400).json({
+          success: false,
+          message: "Board is not solvable",
+        });
+      }
+
+      // Past the budget the hint falls back to a greedy move
+      const hint = await solverPool.getHint(board, size);
+
+      res.json({
+        success: true,
+        hint,
+      });
+    } catch (error) {
+      console.error("Hint error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error computing hint",
+      });
+    }
+  },
+);
+
+// Maintenance endpoints are limited to admin accounts
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await db.getUserById(req.user.userId);
+
+    if (!user || !user.is_admin) {
+      return res.status(403).json({
+        success: false,
+        message: "Admin access required",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Admin check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+}
+
+// Generate and store puzzles for a difficulty band
+app.post(
+  "/api/puzzles/generate",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const size = puzzleLogic.formatBoardSize(req.body.size);
+      const { difficulty } = req.body;
+      const count = parseInt(req.body.count) || 1;
+
+      if (!puzzleLogic.isValidBoardSize(size)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid board size",
+        });
+      }
+
+      if (!puzzleGenerator.isValidDifficulty(size, difficulty)) {
+        return res.status(400).json({
+          success: false,
+          message: `Difficulty must be one of: ${puzzleGenerator.DIFFICULTIES.join(", ")}`,
+        });
+      }
+
+      if (count < 1 || count > puzzleGenerator.MAX_BATCH_SIZE) {
+        return res.status(400).json({
+          success: false,
+          message: `Count must be between 1 and ${puzzleGenerator.MAX_BATCH_SIZE}`,
+        });
+      }
+
+      const puzzles = [];
+      for (let i = 0; i < count; i++) {
+        const puzzle = await solverPool.generatePuzzle(size, difficulty);
+        if (!puzzle) break;
+
+        const { configId, created } = await db.createPuzzleConfig(
+          puzzle.boardSize,
+          puzzle.initialState,
+          puzzle.solutionState,
+          puzzle.minimumMoves,
+          puzzle.optimal,
+          puzzle.difficulty,
+          puzzle.isSolvable,
+          puzzle.inversionCount,
+          puzzle.stateHash,
+        );
+
+        puzzles.push({
+          configId,
+          created,
+          boardSize: puzzle.boardSize,
+          initialState: puzzle.initialState,
+          minimumMoves: puzzle.minimumMoves,
+          optimal: puzzle.optimal,
+          difficulty: puzzle.difficulty,
+        });
+      }
+
+      if (puzzles.length === 0) {
+        return res.status(503).json({
+          success: false,
+          message: "Could not generate a puzzle in that difficulty band",
+        });
+      }
+
+      res.json({
+        success: true,
+        puzzles,
+      });
+    } catch (error) {
+      console.error("Generate puzzles error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error generating puzzles",
+      });
+    }
+  },
+);
+
+// Running, upcoming and recent seasons
+app.get("/api/seasons", async (req, res) => {
+  try {
+    const list = await db.getSeasons();
+
+    res.json({
+      success: true,
+      seasons: list,
+    });
+  } catch (error) {
+    console.error("Get seasons error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching seasons",
+    });
+  }
+});
+
+// A season's standings: live while it runs, archived once closed. Pass
+// ?category=speed_4x4 etc. for a leaderboard category instead of rating.
+app.get("/api/seasons/:seasonId", async (req, res) => {
+  try {
+    const season = await db.getSeason(req.params.seasonId);
+
+    if (!season) {
+      return res.status(404).json({
+        success: false,
+        message: "Season not found",
+      });
+    }
+
+    const category = req.query.category || "rating";
+    const limit = parseInt(req.query.limit) || 100;
+    let standings;
+
+    if (season.status === "completed") {
+      standings = await db.getSeasonStandings(
+        season.season_id,
+        category,
+        limit,
+      );
+    } else if (category === "rating") {
+      const rows = await db.getSeasonRatingStandings(
+        season.starts_at,
+        season.ends_at,
+      );
+      standings = rows
+        .slice(0, limit)
+        .map((row, index) => ({ ...row, rank_position: index + 1 }));
+    } else {
+      standings = await db.getLeaderboard(
+        category,
+        rankedSeasons.getLeaderboardKey(season),
+        limit,
+      );
+    }
+
+    res.json({
+      success: true,
+      season,
+      category,
+      standings,
+    });
+  } catch (error) {
+    console.error("Get season error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching season",
+    });
+  }
+});
+
+// Get leaderboard
+app.get("/api/leaderboards/:category", async (req, res) => {
+  try {
+    const { category } = req.params;
+    const season = req.query.season || "all_time";
+    const limit = parseInt(req.query.limit) || 100;
+
+    const leaderboard = await db.getLeaderboard(category, season, limit);
+
+    res.json({
+      success: true,
+      category,
+      season,
+      leaderboard,
+    });
+  } catch (error) {
+    console.error("Get leaderboard error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching leaderboard",
+    });
+  }
+});
+
+// Get user leaderboard position
+app.get(
+  "/api/leaderboards/:category/position",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { category } = req.params;
+      const season = req.query.season || "all_time";
+
+      const position = await db.getUserLeaderboardPosition(
+        req.user.userId,
+        category,
+        season,
+      );
+
+      res.json({
+        success: true,
+        position: position || { rank_position: 0, score: 0 },
+      });
+    } catch (error) {
+      console.error("Get position error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error fetching position",
+      });
+    }
+  },
+);
+
+// Get all achievements
+app.get("/api/achievements", async (req, res) => {
+  try {
+    const achievements = await db.getAllAchievements();
+
+    res.json({
+      success: true,
+      achievements,
+    });
+  } catch (error) {
+    console.error("Get achievements error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching achievements",
+    });
+  }
+});
+
+// Get user achievements
+app.get("/api/users/:userId/achievements", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const achievements = await db.getUserAchievements(userId);
+
+    res.json({
+      success: true,
+      achievements,
     });
   } catch (error) {
     console.error("Get user achievements error:", error);
@@ -872,105 +1979,1469 @@ app.get("/api/users/:userId/achievements", async (req, res) => {
       message: "Server error fetching user achievements",
     });
   }
-});
+});
+
+// Season badges a user has earned
+app.get("/api/users/:userId/badges", async (req, res) => {
+  try {
+    const badges = await db.getUserBadges(req.params.userId);
+
+    res.json({
+      success: true,
+      badges,
+    });
+  } catch (error) {
+    console.error("Get user badges error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching badges",
+    });
+  }
+});
+
+// Get all powerups
+app.get("/api/powerups", async (req, res) => {
+  try {
+    const powerups = await db.getAllPowerups();
+
+    res.json({
+      success: true,
+      powerups,
+    });
+  } catch (error) {
+    console.error("Get powerups error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching powerups",
+    });
+  }
+});
+
+// Get user powerups
+app.get("/api/users/powerups", authenticateToken, async (req, res) => {
+  try {
+    const powerups = await db.getUserPowerups(req.user.userId);
+
+    res.json({
+      success: true,
+      powerups,
+    });
+  } catch (error) {
+    console.error("Get user powerups error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching user powerups",
+    });
+  }
+});
+
+// Where a user's powerups came from, newest first
+app.get("/api/users/powerups/grants", authenticateToken, async (req, res) => {
+  try {
+    const grants = await db.getPowerupGrants(req.user.userId);
+
+    res.json({
+      success: true,
+      grants,
+    });
+  } catch (error) {
+    console.error("Get powerup grants error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching powerup grants",
+    });
+  }
+});
+
+// Use a powerup in a game. Limits come from the powerups table and are
+// checked against the session's use log on the server clock.
+app.post(
+  "/api/powerups/:powerupKey/use",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { powerupKey } = req.params;
+      const sessionId = Number(req.body.sessionId);
+      const userId = req.user.userId;
+
+      const session = Number.isInteger(sessionId)
+        ? await db.getGameSession(sessionId)
+        : null;
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Game session not found",
+        });
+      }
+
+      if (session.player1_id !== userId && session.player2_id !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied",
+        });
+      }
+
+      // Private matches may be played without powerups
+      const game = activeGames.get(sessionId);
+      if (game && game.powerups === false) {
+        return res.status(400).json({
+          success: false,
+          message: "Powerups are turned off for this match",
+        });
+      }
+
+      // An undo names the move it takes back, which must still be the
+      // player's latest: not one already undone or followed by another
+      const moveNumber = Number(req.body.moveNumber);
+      const lastMoveNumber = getLastMoveNumber(
+        await getRecordedMoves(sessionId, userId),
+      );
+      const undoable =
+        Number.isInteger(moveNumber) &&
+        moveNumber > 0 &&
+        (lastMoveNumber === null || moveNumber === lastMoveNumber);
+
+      const result = await db.usePowerupInSession(
+        sessionId,
+        userId,
+        powerupKey,
+        (locked, powerup, used) => {
+          if (locked.status !== "in_progress") return "Game is not in progress";
+          if (powerup.effect_type === "undo" && !undoable) {
+            return "Only your latest move can be undone";
+          }
+          return powerupRules.checkPowerupUse(powerup, used, {
+            multiplayer: Boolean(locked.player2_id),
+            ranked: isRankedSession(locked),
+            now: Date.now(),
+          });
+        },
+      );
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      const effect = {
+        type: result.powerup.effect_type,
+        duration: result.powerup.duration,
+      };
+
+      // The server's copy of the game takes the move back too, so the moves
+      // submitted on completion still extend the recorded ones
+      if (effect.type === "undo") {
+        await undoRecordedMove(sessionId, userId, moveNumber);
+      }
+
+      // Let the opponent react, e.g. to a debuff
+      if (session.player2_id) {
+        io.to(`game_${sessionId}`).except(`user_${userId}`).emit(
+          "opponent_powerup",
+          {
+            powerupKey,
+            name: result.powerup.name,
+            effectType: effect.type,
+            duration: effect.duration,
+            userId,
+          },
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "Powerup activated",
+        effect,
+        powerups: powerupRules.getPowerupStatus(
+          await db.getAllPowerups(),
+          result.used,
+        ),
+      });
+    } catch (error) {
+      console.error("Use powerup error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error using powerup",
+      });
+    }
+  },
+);
+
+
+// Get system statistics
+app.get("/api/analytics/system", async (req, res) => {
+  try {
+    const stats = await db.getSystemStats();
+    const boardSizes = await db.getPopularBoardSizes();
+    const peakTimes = await db.getPeakPlayTimes();
+
+    res.json({
+      success: true,
+      stats,
+      popularBoardSizes: boardSizes,
+      peakPlayTimes: peakTimes,
+    });
+  } catch (error) {
+    console.error("Get system stats error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error fetching analytics",
+    });
+  }
+});
+
+// Active games
+const activeGames = new Map();
+
+// Clients count this long down before a match starts
+const MATCH_COUNTDOWN_MS = 3000;
+
+// Bot games only move ranked ELO when explicitly enabled
+const RANKED_BOT_GAMES = process.env.RANKED_BOT_GAMES === "true";
+
+// "glicko2", or "elo" for the legacy fixed-K stored procedure
+const RATING_SYSTEM = process.env.RATING_SYSTEM === "elo" ? "elo" : "glicko2";
+
+// Mode and board size of the overall Glicko-2 rating row
+const OVERALL_RATING = "all";
+
+// How long a disconnected player has to come back before forfeiting
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 30000;
+
+// Rooms that hear about a game: its players and its read-only spectators
+const gameRooms = (sessionId) => [`game_${sessionId}`, `spectate_${sessionId}`];
+
+// Player slot of an active game for a user, if they are in it
+function getGamePlayer(game, userId) {
+  if (game.player1.userId === userId) return game.player1;
+  if (game.player2.userId === userId) return game.player2;
+  return null;
+}
+
+// Live state for one side of a new active game
+function createGamePlayer(player, initialState, extra = {}) {
+  return {
+    userId: player.userId,
+    username: player.username,
+    socket: player.socket,
+    board: initialState,
+    moves: [],
+    reconnectTimer: null,
+    ...extra,
+  };
+}
+
+// Whether a socket is the one playing its user's side of a game
+function isGameSocket(socket, sessionId) {
+  const game = activeGames.get(Number(sessionId));
+  const player = game && getGamePlayer(game, socket.userId);
+  return Boolean(player) && player.socket === socket;
+}
+
+// Keep a player's live board so it can be restored after a reconnect, and
+// pass the move on to spectators
+function trackGameMove(sessionId, userId, moveData) {
+  const game = activeGames.get(Number(sessionId));
+  const player = game && getGamePlayer(game, userId);
+  if (!player) return;
+
+  player.board = moveData.boardState;
+  player.moves.push(moveData);
+
+  io.to(`spectate_${sessionId}`).emit("spectator_move", {
+    userId,
+    move: moveData,
+  });
+}
+
+// Moves the server saw a player make: the live game's list, else the
+// stored rows
+async function getRecordedMoves(sessionId, userId) {
+  const game = activeGames.get(Number(sessionId));
+  const player = game && getGamePlayer(game, userId);
+  return player
+    ? [...player.moves]
+    : await db.getPlayerMoves(sessionId, userId);
+}
+
+// Number of the latest move in a recorded list, or null before the first
+function getLastMoveNumber(moves) {
+  const last = moves[moves.length - 1];
+  return last ? Number(last.moveNumber ?? last.move_number) : null;
+}
+
+// Take back a player's move, live and stored, if it is still their latest.
+// The opponent and spectators are shown the board before it.
+async function undoRecordedMove(sessionId, userId, moveNumber) {
+  const game = activeGames.get(Number(sessionId));
+  const player = game && getGamePlayer(game, userId);
+
+  if (player) {
+    // A move that arrived since the undo was checked stays
+    if (getLastMoveNumber(player.moves) !== moveNumber) return;
+
+    player.moves.pop();
+    const previous = player.moves[player.moves.length - 1];
+    player.board = previous ? previous.boardState : game.initialState;
+
+    io.to(`game_${sessionId}`).except(`user_${userId}`).emit(
+      "opponent_undo",
+      { moveNumber, boardState: player.board },
+    );
+    io.to(`spectate_${sessionId}`).emit("spectator_undo", {
+      userId,
+      moveNumber,
+      boardState: player.board,
+    });
+  }
+
+  await db.deleteMove(sessionId, userId, moveNumber);
+}
+
+// Public view of an active game, for the live list and spectators
+function summarizeLiveGame(sessionId, game) {
+  const spectateRoom = io.sockets.adapter.rooms.get(`spectate_${sessionId}`);
+
+  return {
+    sessionId: Number(sessionId),
+    boardSize: game.boardSize,
+    mode: game.mode,
+    isBotGame: Boolean(game.isBotGame),
+    elapsedMs: Math.max(0, Date.now() - game.startedAt),
+    spectators: spectateRoom ? spectateRoom.size : 0,
+    players: [game.player1, game.player2].map((player) => ({
+      userId: player.userId,
+      username: player.username,
+      isBot: Boolean(player.bot),
+      connected: !player.reconnectTimer,
+      moveCount: player.moves.length,
+    })),
+  };
+}
+
+// Forget an active game, stopping its bot and any forfeit timers
+function endActiveGame(sessionId) {
+  const game = activeGames.get(Number(sessionId));
+  if (!game) return;
+
+  if (game.player2.bot) game.player2.bot.stop();
+  clearTimeout(game.player1.reconnectTimer);
+  clearTimeout(game.player2.reconnectTimer);
+  activeGames.delete(Number(sessionId));
+}
+
+// Hold a game open for a player who dropped, forfeiting it if they
+// are not back within RECONNECT_GRACE_MS
+function holdForReconnect(sessionId, player) {
+  player.socket = null;
+  player.reconnectTimer = setTimeout(
+    () =>
+      forfeitGame(sessionId, player.userId).catch((err) =>
+        console.error("Error forfeiting game:", err),
+      ),
+    RECONNECT_GRACE_MS,
+  );
+
+  io.to(gameRooms(sessionId)).emit("opponent_reconnecting", {
+    userId: player.userId,
+    graceMs: RECONNECT_GRACE_MS,
+  });
+}
+
+// Put a returning player back into their game with its full state
+function rejoinGame(socket, sessionId, game) {
+  const player = getGamePlayer(game, socket.userId);
+  const opponent = player === game.player1 ? game.player2 : game.player1;
+  const roomId = `game_${sessionId}`;
+
+  clearTimeout(player.reconnectTimer);
+  player.reconnectTimer = null;
+  player.socket = socket;
+  socket.join(roomId);
+
+  const lastMove = player.moves[player.moves.length - 1];
+
+  socket.emit("game_rejoined", {
+    sessionId,
+    boardSize: game.boardSize,
+    mode: game.mode,
+    powerups: game.powerups !== false,
+    seat: player === game.player1 ? "player1" : "player2",
+    initialState: game.initialState,
+    board: player.board,
+    moves: player.moves,
+    elapsedMs: Math.max(
+      lastMove ? lastMove.timeElapsed : 0,
+      Date.now() - game.startedAt,
+    ),
+    opponent: {
+      userId: opponent.userId,
+      username: opponent.username,
+      isBot: Boolean(opponent.bot),
+      botLevel: opponent.botLevel,
+    },
+    opponentBoard: opponent.board,
+  });
+  socket
+    .to(gameRooms(sessionId))
+    .emit("opponent_reconnected", { userId: socket.userId });
+
+  console.log(`${socket.username} rejoined game ${sessionId}`);
+}
+
+// Drop tables for earning powerups, by source (see powerupDrops.js)
+const POWERUP_DROP_TABLES = powerupDrops.getDropTables();
+
+// Add powerups to a player's inventory (each grant is logged with its
+// source) and tell them what they got
+async function grantPowerups(userId, grants, source, sourceRef = null) {
+  const earned = [];
+  for (const { powerupKey, quantity } of grants) {
+    const powerup = await db.addPowerupToUser(
+      userId,
+      powerupKey,
+      quantity,
+      source,
+      sourceRef,
+    );
+    if (powerup) {
+      earned.push({
+        powerupKey,
+        name: powerup.name,
+        rarity: powerup.rarity,
+        quantity,
+      });
+    }
+  }
+
+  if (earned.length > 0) {
+    io.to(`user_${userId}`).emit("powerup_earned", {
+      source,
+      powerups: earned,
+    });
+  }
+  return earned;
+}
+
+// Roll one of the drop tables for a player. Streak tables only drop when
+// `streak` reaches one of their milestones.
+async function grantPowerupDrop(userId, source, { sourceRef, streak } = {}) {
+  const table = POWERUP_DROP_TABLES[source];
+  if (!table) return [];
+  if (streak !== undefined && !powerupDrops.isStreakMilestone(table, streak)) {
+    return [];
+  }
+
+  const drops = powerupDrops.rollDrops(table, await db.getAllPowerups());
+  return grantPowerups(userId, drops, source, sourceRef);
+}
+
+// The first connection of each UTC day earns a login drop, with a streak
+// drop on top at streak milestones
+async function claimDailyLogin(userId) {
+  const streak = await db.claimDailyLogin(userId);
+  if (streak === null) return;
+
+  await grantPowerupDrop(userId, "daily_login");
+  await grantPowerupDrop(userId, "login_streak", { sourceRef: streak, streak });
+}
+
+// Add XP, with a level-up drop for every level gained
+async function awardExperience(userId, xp) {
+  const levelResult = await db.addExperience(userId, xp);
+  const { oldLevel, newLevel } = levelResult;
+  for (let level = oldLevel + 1; level <= newLevel; level++) {
+    await grantPowerupDrop(userId, "level_up", { sourceRef: level });
+  }
+  return levelResult;
+}
+
+// Pay out an achievement's rewards; returns whether they can unlock a theme,
+// either directly or through the XP they award
+async function grantAchievementRewards(userId, achievement) {
+  const sourceRef = achievement.achievement_key;
+  if (achievement.xp_reward > 0) {
+    await awardExperience(userId, achievement.xp_reward);
+  }
+  if (achievement.powerup_reward) {
+    await grantPowerups(
+      userId,
+      [{ powerupKey: achievement.powerup_reward, quantity: 1 }],
+      "achievement",
+      sourceRef,
+    );
+  }
+  await grantPowerupDrop(userId, "achievement", { sourceRef });
+  if (achievement.theme_unlock) {
+    await db.unlockTheme(userId, achievement.theme_unlock);
+  }
+  return Boolean(achievement.theme_unlock) || achievement.xp_reward > 0;
+}
+
+// Unlock every catalogue theme whose criteria the player now meets and tell
+// them about it
+async function unlockEarnedThemes(userId) {
+  const [themes, player, unlockedThemes] = await Promise.all([
+    db.getThemes(),
+    db.getUserById(userId),
+    db.getUnlockedThemes(userId),
+  ]);
+  if (!player) return [];
+
+  const earned = themeRules.getNewlyEarnedThemes(
+    themes,
+    player,
+    unlockedThemes,
+  );
+  for (const theme of earned) {
+    await db.unlockTheme(userId, theme.theme_key);
+  }
+
+  if (earned.length > 0) {
+    io.to(`user_${userId}`).emit("themes_unlocked", {
+      themes: earned.map((theme) => ({
+        themeKey: theme.theme_key,
+        name: theme.name,
+      })),
+    });
+  }
+  return earned;
+}
+
+// Re-run the theme and achievement rules for a player after anything that
+// can move them: a finished game, a rating change or a theme unlock. Each
+// newly completed achievement is rewarded once. Achievement unlocks are
+// pushed to the player unless the caller hands them back in its own
+// response; theme unlocks are always pushed.
+async function checkAchievements(userId, { notify = true } = {}) {
+  // Backfills rows for achievements added since the player signed up
+  await db.initializeUserAchievements(userId);
+
+  const unlocked = [];
+  let rerun = true;
+  // A reward can unlock a theme, which can complete a theme_unlock achievement
+  while (rerun) {
+    rerun = false;
+    await unlockEarnedThemes(userId);
+    const [achievements, progress] = await Promise.all([
+      db.getUserAchievements(userId),
+      db.getAchievementProgress(userId),
+    ]);
+    const pending = achievements.filter((a) => !a.is_completed);
+    const results = achievementRules.evaluateAchievements(pending, progress);
+
+    for (const result of results) {
+      const achievement = pending.find(
+        (a) => a.achievement_id === result.achievementId,
+      );
+      if (
+        result.progress === achievement.current_progress &&
+        !result.completed
+      ) {
+        continue;
+      }
+
+      const completed = await db.updateAchievementProgress(
+        userId,
+        result.achievementId,
+        result.progress,
+        result.completed,
+      );
+      if (!completed) continue;
+
+      unlocked.push(achievement);
+      if (await grantAchievementRewards(userId, achievement)) rerun = true;
+    }
+  }
+
+  if (notify && unlocked.length > 0) {
+    io.to(`user_${userId}`).emit("achievements_unlocked", {
+      achievements: unlocked,
+    });
+  }
+  return unlocked;
+}
+
+// Multiplayer games move ratings, except bot games unless RANKED_BOT_GAMES
+function isRankedSession(session) {
+  return (
+    Boolean(session.player2_id) && (!session.is_bot_game || RANKED_BOT_GAMES)
+  );
+}
+
+// Apply a finished multiplayer game's result: ELO for a single game (bot
+// games only when ranked), or the series score, with ELO once the series
+// is decided
+async function settleMatchResult(session, winnerId, { forfeit = false } = {}) {
+  if (!session.series_id) {
+    const ranked = isRankedSession(session);
+    const eloChanges = ranked ? await updateRatings(session, winnerId) : null;
+    return { eloChanges, series: null };
+  }
+
+  const series = await db.getMatchSeries(session.series_id);
+  const updates = matchSeries.recordSeriesGame(series, winnerId, { forfeit });
+  return finishSeriesUpdate(series, updates);
+}
+
+// A player's Glicko-2 rating going into a game, widened for time away;
+// players without one start from `fallback`
+async function loadRating(userId, gameMode, boardSize, fallback) {
+  const row = await db.getPlayerRating(userId, gameMode, boardSize);
+  if (!row) return glicko2.createRating(fallback);
+
+  return glicko2.applyInactivity(
+    {
+      rating: row.rating,
+      deviation: row.deviation,
+      volatility: row.volatility,
+    },
+    Date.now() - new Date(row.last_played_at).getTime(),
+  );
+}
+
+// Rate both players in one Glicko-2 pool and store the results
+async function ratePair(playerIds, gameMode, boardSize, score1, fallbacks) {
+  const before = await Promise.all(
+    playerIds.map((id, i) => loadRating(id, gameMode, boardSize, fallbacks[i])),
+  );
+  const after = glicko2.rateGame(before[0], before[1], score1);
+
+  await Promise.all(
+    playerIds.map((id, i) =>
+      db.savePlayerRating(id, gameMode, boardSize, after[i]),
+    ),
+  );
+  return { before, after };
+}
+
+// Rate a decided game or series (anything with player ids, game_mode and
+// board_size). Glicko-2 keeps a rating per mode and board size plus an
+// overall one, which is mirrored into user_stats.elo_rating for
+// matchmaking, leaderboards and achievements. New mode/size ratings start
+// from the overall rating. Returns { player1_change, player2_change } in
+// overall rating, like the legacy procedure.
+async function updateRatings(match, winnerId) {
+  const playerIds = [match.player1_id, match.player2_id];
+
+  if (RATING_SYSTEM === "elo") {
+    return db.calculateAndUpdateELO(...playerIds, winnerId);
+  }
+
+  let score1 = 0.5;
+  if (winnerId === match.player1_id) score1 = 1;
+  if (winnerId === match.player2_id) score1 = 0;
+
+  const stats = await Promise.all(playerIds.map((id) => db.getUserStats(id)));
+  const elos = stats.map((s) => (s ? s.elo_rating : glicko2.DEFAULT_RATING));
+
+  const overall = await ratePair(
+    playerIds,
+    OVERALL_RATING,
+    OVERALL_RATING,
+    score1,
+    elos,
+  );
+  await ratePair(
+    playerIds,
+    match.game_mode,
+    match.board_size,
+    score1,
+    overall.before.map((r) => r.rating),
+  );
+
+  const newElos = overall.after.map((r) => Math.round(r.rating));
+  await Promise.all(playerIds.map((id, i) => db.setEloRating(id, newElos[i])));
+
+  return {
+    player1_change: newElos[0] - elos[0],
+    player2_change: newElos[1] - elos[1],
+  };
+}
+
+// Save a series' new score, applying ELO if it just ended with a winner
+async function finishSeriesUpdate(series, updates) {
+  let eloChanges = null;
+  if (updates.status !== "in_progress" && updates.winner_id) {
+    eloChanges = await updateRatings(series, updates.winner_id);
+    updates.player1_elo_change = eloChanges.player1_change;
+    updates.player2_elo_change = eloChanges.player2_change;
+  }
+
+  await db.updateMatchSeries(series.series_id, updates);
+  return {
+    eloChanges,
+    series: matchSeries.summarizeSeries({ ...series, ...updates }),
+  };
+}
+
+// Pause between the games of a series
+const SERIES_BREAK_MS = 5000;
+
+// How long players have to agree on a rematch after a game
+const REMATCH_WINDOW_MS = 60000;
+
+// Finished human games that may still be rematched, by session
+const recentMatches = new Map();
+
+// After a game ends: play the next game of an undecided series, otherwise
+// leave the pairing open for a rematch. Tournament games move on through
+// the bracket instead.
+function afterMatchGame(sessionId, game, series) {
+  if (game.isBotGame || game.tournamentMatchId) return;
+
+  const players = [game.player1, game.player2];
+  const settings = {
+    mode: game.mode,
+    boardSize: game.boardSize,
+    powerups: game.powerups !== false,
+    bestOf: game.bestOf || 1,
+  };
+
+  if (series && series.status === "in_progress") {
+    setTimeout(
+      () =>
+        startNextSeriesGame(series.seriesId, settings, players).catch((err) =>
+          console.error("Error continuing series:", err),
+        ),
+      SERIES_BREAK_MS,
+    );
+    return;
+  }
+
+  recentMatches.set(Number(sessionId), { ...settings, players, rematch: null });
+  setTimeout(() => recentMatches.delete(Number(sessionId)), REMATCH_WINDOW_MS);
+}
+
+// Start an agreed rematch with the same players and settings
+function startRematch(sessionId, match) {
+  recentMatches.delete(Number(sessionId));
+
+  startMatch({
+    mode: match.mode,
+    boardSize: match.boardSize,
+    powerups: match.powerups,
+    bestOf: match.rematch ? match.rematch.bestOf : match.bestOf,
+    players: match.players,
+  }).catch((err) => console.error("Error starting rematch:", err));
+}
+
+// Start the next game of a series, or award it to whoever is still here
+async function startNextSeriesGame(seriesId, settings, players) {
+  const series = await db.getMatchSeries(seriesId);
+  if (!series || series.status !== "in_progress") return;
+
+  const present = players.filter((p) => p.socket && p.socket.connected);
+  if (present.length < players.length) {
+    const winnerId = present.length === 1 ? present[0].userId : null;
+    const result = await finishSeriesUpdate(series, {
+      status: "abandoned",
+      winner_id: winnerId,
+    });
+    present.forEach((p) => p.socket.emit("series_ended", result.series));
+    return;
+  }
+
+  await startMatch({ ...settings, series, players });
+}
+
+// A player who never came back loses; the game is recorded as abandoned
+async function forfeitGame(sessionId, userId) {
+  const game = activeGames.get(Number(sessionId));
+  if (!game) return;
+
+  const winner = game.player1.userId === userId ? game.player2 : game.player1;
+  endActiveGame(sessionId);
+
+  const session = await db.getGameSession(sessionId);
+  if (!session || session.status !== "in_progress") return;
+
+  // A result submitted meanwhile has already settled the game
+  const claimed = await db.claimGameResult(sessionId, {
+    status: "abandoned",
+    winner_id: winner.userId,
+  });
+  if (!claimed) return;
+
+  const { eloChanges, series } = await settleMatchResult(
+    session,
+    winner.userId,
+    { forfeit: true },
+  );
+
+  io.to(gameRooms(sessionId)).emit("game_ended", {
+    winnerId: winner.userId,
+    reason: "forfeit",
+    eloChanges,
+    series,
+  });
+
+  await settleTournamentMatch(sessionId, winner.userId);
+
+  // The winner's rating went up, which can complete a rating achievement
+  if (!winner.bot) await checkAchievements(winner.userId);
+
+  console.log(`Game ${sessionId} forfeited by user ${userId}`);
+}
+
+// Record a bot's win once it solves its board before the human does
+async function finishBotGame(sessionId, botUserId, { moves, elapsedMs }) {
+  endActiveGame(sessionId);
+
+  const session = await db.getGameSession(sessionId);
+  if (!session || session.status !== "in_progress") return;
+
+  const completionTime = Math.ceil(elapsedMs / 1000);
+  const claimed = await db.claimGameResult(sessionId, {
+    status: "completed",
+    winner_id: botUserId,
+    completion_time: completionTime,
+    move_count: moves.length,
+    player2_moves: moves.length,
+    player2_time: completionTime,
+  });
+  if (!claimed) return;
+
+  await db.recordMoves(sessionId, botUserId, moves);
+
+  await settleMatchResult(session, botUserId);
+
+  io.to(gameRooms(sessionId)).emit("game_ended", {
+    winnerId: botUserId,
+    stats: { completionTime, moveCount: moves.length },
+  });
+}
+
+// Start a multiplayer game between a connected player and a bot
+async function startBotMatch(socket, { mode, boardSize, profile }) {
+  const botUser = await db.getOrCreateBotUser(
+    `bot_${profile.key}`,
+    profile.displayName,
+    bots.getBotElo(profile),
+  );
+  if (!botUser) {
+    socket.emit("matchmaking_error", { message: "Bot opponent unavailable" });
+    return;
+  }
 
-// Get all powerups
-app.get("/api/powerups", async (req, res) => {
-  try {
-    const powerups = await db.getAllPowerups();
+  const puzzle = await createSessionPuzzle(boardSize);
+
+  // Plan and build the bot before the session row exists, so a failure
+  // here leaves no game stuck in progress
+  const solution = await solverPool.planBotSolution(
+    puzzle.initialState,
+    boardSize,
+  );
+
+  let sessionId = null;
+  let roomId = null;
+
+  // The bot's moves reach the room exactly like a human opponent's. It only
+  // moves once started, after the session below is created
+  const bot = bots.createBotRunner({
+    profile,
+    boardSize,
+    initialState: puzzle.initialState,
+    solution,
+    onMove: (moveData) => {
+      io.to(roomId).emit("opponent_move", moveData);
+      trackGameMove(sessionId, botUser.user_id, moveData);
+    },
+    onSolved: (result) =>
+      finishBotGame(sessionId, botUser.user_id, result).catch((err) =>
+        console.error("Error finishing bot game:", err),
+      ),
+  });
 
-    res.json({
-      success: true,
-      powerups,
+  sessionId = await db.createGameSession(
+    socket.userId,
+    botUser.user_id,
+    boardSize,
+    mode,
+    puzzle.configId,
+    puzzle.initialState,
+    puzzle.seed,
+    true,
+  );
+  storeMinimumMoves(sessionId, puzzle, boardSize);
+
+  roomId = `game_${sessionId}`;
+  socket.join(roomId);
+
+  activeGames.set(sessionId, {
+    player1: createGamePlayer(
+      { userId: socket.userId, username: socket.username, socket },
+      puzzle.initialState,
+    ),
+    player2: createGamePlayer(
+      { userId: botUser.user_id, username: botUser.display_name, socket: null },
+      puzzle.initialState,
+      { bot, botLevel: profile.key },
+    ),
+    boardSize,
+    mode,
+    initialState: puzzle.initialState,
+    startedAt: Date.now() + MATCH_COUNTDOWN_MS,
+    isBotGame: true,
+  });
+
+  socket.emit("match_found", {
+    sessionId,
+    boardSize,
+    mode,
+    initialState: puzzle.initialState,
+    seed: puzzle.seed,
+    configId: puzzle.configId,
+    player1: {
+      userId: socket.userId,
+      username: socket.username,
+    },
+    player2: {
+      userId: botUser.user_id,
+      username: botUser.display_name,
+      isBot: true,
+      botLevel: profile.key,
+    },
+  });
+
+  bot.start(MATCH_COUNTDOWN_MS);
+  console.log(`Bot match created: ${socket.username} vs ${profile.key} bot`);
+}
+
+// Start a game between two players on a shared starting board
+async function startMatch({
+  mode,
+  boardSize,
+  powerups = true,
+  bestOf = 1,
+  series = null,
+  tournamentMatchId = null,
+  players: [player1, player2],
+}) {
+  // A best-of-N match opens a series; later games continue it
+  let currentSeries = series;
+  if (!currentSeries && bestOf > 1) {
+    const seriesId = await db.createMatchSeries(
+      player1.userId,
+      player2.userId,
+      bestOf,
+      boardSize,
+      mode,
+    );
+    currentSeries = await db.getMatchSeries(seriesId);
+  }
+
+  const seriesGame = currentSeries
+    ? currentSeries.player1_wins + currentSeries.player2_wins + 1
+    : null;
+
+  const puzzle = await createSessionPuzzle(boardSize);
+  const sessionId = await db.createGameSession(
+    player1.userId,
+    player2.userId,
+    boardSize,
+    mode,
+    puzzle.configId,
+    puzzle.initialState,
+    puzzle.seed,
+    false,
+    currentSeries ? currentSeries.series_id : null,
+    seriesGame,
+  );
+  storeMinimumMoves(sessionId, puzzle, boardSize);
+
+  // Create game room
+  const roomId = `game_${sessionId}`;
+  player1.socket.join(roomId);
+  player2.socket.join(roomId);
+
+  // Store active game
+  activeGames.set(sessionId, {
+    player1: createGamePlayer(player1, puzzle.initialState),
+    player2: createGamePlayer(player2, puzzle.initialState),
+    boardSize,
+    mode,
+    powerups,
+    bestOf,
+    tournamentMatchId,
+    initialState: puzzle.initialState,
+    startedAt: Date.now() + MATCH_COUNTDOWN_MS,
+  });
+
+  // Notify both players
+  io.to(roomId).emit("match_found", {
+    sessionId,
+    boardSize,
+    mode,
+    initialState: puzzle.initialState,
+    seed: puzzle.seed,
+    configId: puzzle.configId,
+    powerups,
+    series: currentSeries
+      ? { ...matchSeries.summarizeSeries(currentSeries), game: seriesGame }
+      : null,
+    player1: {
+      userId: player1.userId,
+      username: player1.username,
+    },
+    player2: {
+      userId: player2.userId,
+      username: player2.username,
+    },
+  });
+
+  console.log(`Match created: ${player1.username} vs ${player2.username}`);
+  return sessionId;
+}
+
+// Matchmaking queue: re-scanned every tick, bot fallback on timeout
+const matchmaker = matchmaking.createMatchmaker({
+  onMatch: (match) =>
+    startMatch(match).catch((err) =>
+      console.error("Error starting match:", err),
+    ),
+  onStatus: (entry, status) => entry.socket.emit("matchmaking_status", status),
+  onTimeout: (entry) => {
+    entry.socket.emit("matchmaking_timeout", { mode: entry.mode });
+    startBotMatch(entry.socket, {
+      mode: entry.mode,
+      boardSize:
+        entry.boardSize === matchmaking.ANY_SIZE
+          ? matchmaking.DEFAULT_BOARD_SIZE
+          : entry.boardSize,
+      profile: bots.pickBotProfile(entry.elo),
+    }).catch((err) => {
+      console.error("Error starting bot match:", err);
+      entry.socket.emit("matchmaking_error", {
+        message: "Could not start a bot match",
+      });
     });
-  } catch (error) {
-    console.error("Get powerups error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error fetching powerups",
+  },
+});
+matchmaker.start();
+
+// Private lobbies, closed after sitting idle
+const lobbyManager = lobbies.createLobbyManager({
+  onExpire: (lobby) => {
+    const roomId = `lobby_${lobby.code}`;
+    io.to(roomId).emit("lobby_closed", {
+      code: lobby.code,
+      reason: "Lobby expired",
     });
-  }
+    io.in(roomId).socketsLeave(roomId);
+  },
 });
+lobbyManager.start();
+
+// Send a lobby's current state to everyone in it
+function broadcastLobby(lobby) {
+  io.to(`lobby_${lobby.code}`).emit(
+    "lobby_update",
+    lobbies.summarizeLobby(lobby),
+  );
+}
+
+// Take a player out of their lobby, closing it if they host it
+function leaveLobby(userId) {
+  const lobby = lobbyManager.findByUser(userId);
+  if (!lobby) return;
+
+  const roomId = `lobby_${lobby.code}`;
+  const player = lobby.players.find((p) => p.userId === userId);
+  if (player.socket) player.socket.leave(roomId);
+
+  const { closed } = lobbyManager.leave(userId);
+  if (closed) {
+    io.to(roomId).emit("lobby_closed", {
+      code: lobby.code,
+      reason: "The host closed the lobby",
+    });
+    io.in(roomId).socketsLeave(roomId);
+  } else {
+    broadcastLobby(lobby);
+  }
+}
+
+// Close a lobby whose players are all ready and start their match
+async function startLobbyMatch(lobby) {
+  const roomId = `lobby_${lobby.code}`;
+  lobbyManager.close(lobby.code);
+  io.in(roomId).socketsLeave(roomId);
+
+  await startMatch({ ...lobby.settings, players: lobby.players });
+  console.log(`Lobby ${lobby.code} started`);
+}
+
+// Tournaments start on schedule and play one round at a time. When a
+// match is ready both players are told; it starts once both have checked
+// in, and whoever is missing after TOURNAMENT_NO_SHOW_MS loses by walkover.
+const TOURNAMENT_TICK_MS = 30000;
+const TOURNAMENT_NO_SHOW_MS =
+  Number(process.env.TOURNAMENT_NO_SHOW_MS) || 5 * 60 * 1000;
+
+// Ready tournament matches by id: { players: Map(userId -> player),
+// started, timer }
+const tournamentCheckIns = new Map();
+
+// A tournament with its field, matches and standings, as sent to clients
+async function getTournamentState(tournamentId) {
+  const tournament = await db.getTournament(tournamentId);
+  if (!tournament) return null;
+
+  const [players, matches] = await Promise.all([
+    db.getTournamentPlayers(tournamentId),
+    db.getTournamentMatches(tournamentId),
+  ]);
+
+  return {
+    tournament,
+    players,
+    matches,
+    standings: tournaments.computeStandings(
+      tournament.format,
+      players,
+      matches,
+    ),
+  };
+}
+
+// Tell anyone viewing a tournament to refresh it
+function broadcastTournament(tournamentId) {
+  io.to(`tournament_${tournamentId}`).emit("tournament_update", {
+    tournamentId,
+  });
+}
+
+function getCheckIn(matchId) {
+  if (!tournamentCheckIns.has(matchId)) {
+    tournamentCheckIns.set(matchId, {
+      players: new Map(),
+      started: false,
+      timer: null,
+    });
+  }
+  return tournamentCheckIns.get(matchId);
+}
+
+function clearCheckIn(matchId) {
+  const checkIn = tournamentCheckIns.get(matchId);
+  if (checkIn) clearTimeout(checkIn.timer);
+  tournamentCheckIns.delete(matchId);
+}
+
+// Start the walkover clock for a ready match
+function scheduleNoShow(match) {
+  const checkIn = getCheckIn(match.match_id);
+  if (checkIn.timer) return;
+
+  checkIn.timer = setTimeout(
+    () =>
+      resolveNoShow(match.match_id).catch((err) =>
+        console.error("Error resolving tournament no-show:", err),
+      ),
+    TOURNAMENT_NO_SHOW_MS,
+  );
+}
+
+// Let both players know their match is waiting for them
+function announceTournamentMatch(tournament, match) {
+  const notice = {
+    tournamentId: tournament.tournament_id,
+    name: tournament.name,
+    matchId: match.match_id,
+    round: match.round,
+    deadline: Date.now() + TOURNAMENT_NO_SHOW_MS,
+  };
+  io.to([`user_${match.player1_id}`, `user_${match.player2_id}`]).emit(
+    "tournament_match_ready",
+    notice,
+  );
+  scheduleNoShow(match);
+}
+
+// Save a round's pairings and call its players
+async function openTournamentRound(tournament, round, pairings) {
+  await db.createTournamentMatches(tournament.tournament_id, round, pairings);
+
+  const matches = await db.getTournamentMatches(tournament.tournament_id);
+  matches
+    .filter((match) => match.round === round && match.status === "ready")
+    .forEach((match) => announceTournamentMatch(tournament, match));
+
+  broadcastTournament(tournament.tournament_id);
+  console.log(`Tournament ${tournament.name}: round ${round} paired`);
+}
+
+// Seed the field by ELO and pair round one; too few players cancels it
+async function startTournament(tournament) {
+  const tournamentId = tournament.tournament_id;
+  const players = await db.getTournamentPlayers(tournamentId);
+
+  if (players.length < tournaments.MIN_PLAYERS) {
+    await db.updateTournament(tournamentId, { status: "cancelled" });
+    broadcastTournament(tournamentId);
+    return;
+  }
 
-// Get user powerups
-app.get("/api/users/powerups", authenticateToken, async (req, res) => {
-  try {
-    const powerups = await db.getUserPowerups(req.user.userId);
+  // Claiming round 0 stops the scheduler and a manual start racing
+  if (!(await db.claimTournamentRound(tournamentId, 0))) return;
 
-    res.json({
-      success: true,
-      powerups,
-    });
-  } catch (error) {
-    console.error("Get user powerups error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error fetching user powerups",
+  const seeded = tournaments.seedPlayers(players);
+  await db.setTournamentSeeds(tournamentId, seeded);
+  await db.updateTournament(tournamentId, {
+    total_rounds: tournaments.getRoundCount(players.length),
+  });
+
+  const seeds = new Map(seeded.map((player) => [player.userId, player.seed]));
+  const pairings =
+    tournament.format === "swiss"
+      ? tournaments.pairSwissRound(
+          tournaments.computeStandings(
+            "swiss",
+            players.map((p) => ({ ...p, seed: seeds.get(p.user_id) })),
+            [],
+          ),
+          [],
+        )
+      : tournaments.pairEliminationFirstRound(seeded);
+
+  await openTournamentRound(tournament, 1, pairings);
+}
+
+// Record a match result, then pair the next round or finish the
+// tournament once the current round is done
+async function recordTournamentResult(match, winnerId) {
+  clearCheckIn(match.match_id);
+  if (!(await db.completeTournamentMatch(match.match_id, winnerId))) return;
+
+  const { tournament, players, matches, standings } = await getTournamentState(
+    match.tournament_id,
+  );
+  const tournamentId = tournament.tournament_id;
+  const round = tournament.current_round;
+
+  await db.updateTournamentStandings(tournamentId, standings);
+
+  if (!tournaments.isRoundComplete(matches, round)) {
+    broadcastTournament(tournamentId);
+    return;
+  }
+
+  if (round >= tournament.total_rounds) {
+    const winner = standings[0];
+    await db.updateTournament(tournamentId, {
+      status: "completed",
+      winner_id: winner.userId,
     });
+
+    io.to(players.map((p) => `user_${p.user_id}`)).emit(
+      "tournament_completed",
+      {
+        tournamentId,
+        name: tournament.name,
+        winnerId: winner.userId,
+        winnerName: winner.username,
+      },
+    );
+    broadcastTournament(tournamentId);
+    console.log(`Tournament ${tournament.name} won by ${winner.username}`);
+    return;
   }
-});
 
-// Use powerup
-app.post(
-  "/api/powerups/:powerupKey/use",
-  authenticateToken,
-  async (req, res) => {
-    try {
-      const { powerupKey } = req.params;
+  if (!(await db.claimTournamentRound(tournamentId, round))) return;
 
-      const success = await db.usePowerup(req.user.userId, powerupKey);
+  const pairings =
+    tournament.format === "swiss"
+      ? tournaments.pairSwissRound(standings, matches)
+      : tournaments.pairEliminationNextRound(
+          matches.filter((m) => m.round === round),
+        );
 
-      if (!success) {
-        return res.status(400).json({
-          success: false,
-          message: "Powerup not available or already used",
-        });
-      }
+  await openTournamentRound(tournament, round + 1, pairings);
+}
+
+// Carry a finished game's winner into its tournament, if it was one
+async function settleTournamentMatch(sessionId, winnerId) {
+  const match = await db.getTournamentMatchBySession(sessionId);
+  if (match) await recordTournamentResult(match, winnerId);
+}
+
+// Award a match nobody started: to whoever checked in, or to player one
+// (the better seed or standing) if neither did
+async function resolveNoShow(matchId) {
+  const checkIn = tournamentCheckIns.get(matchId);
+  if (checkIn && checkIn.started) return;
+
+  const match = await db.getTournamentMatch(matchId);
+  if (!match || match.status !== "ready") {
+    clearCheckIn(matchId);
+    return;
+  }
 
-      res.json({
-        success: true,
-        message: "Powerup activated",
-      });
-    } catch (error) {
-      console.error("Use powerup error:", error);
-      res.status(500).json({
-        success: false,
-        message: "Server error using powerup",
-      });
-    }
-  },
-);
+  const present = checkIn
+    ? [...checkIn.players.values()].filter((p) => p.socket.connected)
+    : [];
+  const winnerId = present.length === 1 ? present[0].userId : match.player1_id;
+
+  await recordTournamentResult(match, winnerId);
+  console.log(`Tournament match ${matchId} awarded to ${winnerId} by walkover`);
+}
+
+// Both players checked in: play the match as a regular game
+async function startTournamentMatch(match, checkIn) {
+  checkIn.started = true;
+  clearTimeout(checkIn.timer);
+
+  const tournament = await db.getTournament(match.tournament_id);
+  const sessionId = await startMatch({
+    mode: tournament.game_mode,
+    boardSize: tournament.board_size,
+    tournamentMatchId: match.match_id,
+    players: [
+      checkIn.players.get(match.player1_id),
+      checkIn.players.get(match.player2_id),
+    ],
+  });
 
-// Get system statistics
-app.get("/api/analytics/system", async (req, res) => {
-  try {
-    const stats = await db.getSystemStats();
-    const boardSizes = await db.getPopularBoardSizes();
-    const peakTimes = await db.getPeakPlayTimes();
+  await db.startTournamentMatch(match.match_id, sessionId);
+  broadcastTournament(match.tournament_id);
+}
 
-    res.json({
-      success: true,
-      stats,
-      popularBoardSizes: boardSizes,
-      peakPlayTimes: peakTimes,
-    });
-  } catch (error) {
-    console.error("Get system stats error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error fetching analytics",
+// Start tournaments whose time has come, and keep walkover clocks running
+// for ready matches (e.g. after a restart)
+async function runTournamentTick() {
+  for (const tournament of await db.getDueTournaments()) {
+    await startTournament(tournament);
+  }
+  for (const match of await db.getReadyTournamentMatches()) {
+    scheduleNoShow(match);
+  }
+}
+
+setInterval(
+  () =>
+    runTournamentTick().catch((err) =>
+      console.error("Tournament scheduler error:", err),
+    ),
+  TOURNAMENT_TICK_MS,
+);
+
+// Seasons are checked every minute: ended ones close (archive, rewards,
+// rating reset) before the next weekly and monthly seasons open
+const SEASON_TICK_MS = 60000;
+
+// Monthly seasons soft-reset ratings; weekly ones only pay out
+const ROLLING_RESETS = { weekly: false, monthly: true };
+
+// Open a weekly and a monthly season if either is missing
+async function openRollingSeasons(now = new Date()) {
+  const active = await db.getActiveSeasons();
+
+  for (const type of rankedSeasons.ROLLING_SEASON_TYPES) {
+    if (active.some((season) => season.season_type === type)) continue;
+
+    const { start, end } = rankedSeasons.getSeasonBounds(type, now);
+    const name = rankedSeasons.getSeasonName(type, start);
+    await db.createSeason({
+      name,
+      type,
+      startsAt: start,
+      endsAt: end,
+      resetsRatings: ROLLING_RESETS[type],
+      status: "active",
     });
+    console.log(`Season opened: ${name}`);
   }
-});
+}
+
+// Hand out one player's end-of-season rewards and tell them about it
+async function grantSeasonReward(season, entry, reward) {
+  if (reward.badge) {
+    await db.awardBadge(entry.user_id, reward.badge, season.season_id);
+  }
+  if (reward.theme) {
+    await db.unlockTheme(entry.user_id, reward.theme);
+    await checkAchievements(entry.user_id);
+  }
+  await grantPowerups(
+    entry.user_id,
+    Object.entries(reward.powerups).map(([powerupKey, quantity]) => ({
+      powerupKey,
+      quantity,
+    })),
+    "season",
+    season.season_id,
+  );
+
+  io.to(`user_${entry.user_id}`).emit("season_reward", {
+    seasonId: season.season_id,
+    name: season.name,
+    rank: entry.rank,
+    ...reward,
+  });
+}
+
+// Archive a season's final standings, pay out rewards by rating rank and
+// soft-reset ratings if the season asks for it
+async function closeSeason(season) {
+  if (!(await db.claimSeasonClose(season.season_id))) return;
+
+  const standings = (
+    await db.getSeasonRatingStandings(season.starts_at, season.ends_at)
+  ).map((row, index) => ({ ...row, rank: index + 1 }));
+
+  await db.archiveSeasonStandings(
+    season.season_id,
+    rankedSeasons.getLeaderboardKey(season),
+    standings,
+  );
+
+  for (const entry of standings) {
+    const reward = rankedSeasons.getSeasonReward(
+      entry.rank,
+      season.season_type,
+    );
+    if (!reward) break;
 
-// Matchmaking queue
-const matchmakingQueue = {
-  speed: [],
-  fewest_moves: [],
-};
+    await grantSeasonReward(season, entry, reward).catch((err) =>
+      console.error(`Error rewarding user ${entry.user_id}:`, err),
+    );
+  }
 
-// Active games
-const activeGames = new Map();
+  if (season.resets_ratings) {
+    await db.softResetRatings(
+      glicko2.DEFAULT_RATING,
+      rankedSeasons.SOFT_RESET_KEEP,
+      rankedSeasons.SOFT_RESET_DEVIATION,
+    );
+  }
+
+  await db.completeSeason(season.season_id);
+  console.log(`Season closed: ${season.name} (${standings.length} ranked)`);
+}
+
+async function runSeasonTick() {
+  // Rank every ending season before any of them resets ratings
+  const ended = await db.getEndedSeasons();
+  ended.sort((a, b) => Number(a.resets_ratings) - Number(b.resets_ratings));
+
+  for (const season of ended) {
+    await closeSeason(season);
+  }
+
+  await db.activateDueSeasons();
+  await openRollingSeasons();
+}
+
+setInterval(
+  () =>
+    runSeasonTick().catch((err) =>
+      console.error("Season scheduler error:", err),
+    ),
+  SEASON_TICK_MS,
+);
 
 // Socket.IO authentication
 io.use(authenticateSocket);
@@ -978,102 +3449,330 @@ io.use(authenticateSocket);
 io.on("connection", (socket) => {
   console.log(`User connected: ${socket.username} (${socket.userId})`);
 
-  // Join matchmaking queue
-  socket.on("join_matchmaking", async ({ mode, boardSize }) => {
-    const queue = matchmakingQueue[mode] || [];
+  // Personal room, for notices that follow the user across tabs
+  socket.join(`user_${socket.userId}`);
 
-    // Get user ELO for matchmaking
-    const userStats = await db.getUserStats(socket.userId);
-    const userElo = userStats.elo_rating;
+  claimDailyLogin(socket.userId).catch((err) =>
+    console.error("Error granting daily login reward:", err),
+  );
 
-    // Look for suitable opponent (within 200 ELO)
-    const opponentIndex = queue.findIndex(
-      (player) =>
-        player.boardSize === boardSize && Math.abs(player.elo - userElo) <= 200,
-    );
+  // Return a player to any game being held open for them
+  for (const [sessionId, game] of activeGames.entries()) {
+    const player = getGamePlayer(game, socket.userId);
+    if (player && player.reconnectTimer) rejoinGame(socket, sessionId, game);
+  }
 
-    if (opponentIndex !== -1) {
-      // Match found!
-      const opponent = queue.splice(opponentIndex, 1)[0];
+  // Join matchmaking queue. boardSize may be "any"; pass `bot` ("novice",
+  // "casual", ... or "auto") to play a bot directly
+  socket.on("join_matchmaking", async ({ mode, boardSize: size, bot }) => {
+    if (!lobbies.LOBBY_MODES.includes(mode)) {
+      socket.emit("matchmaking_error", { message: "Invalid game mode" });
+      return;
+    }
 
-      // Create game session
-      const sessionId = await db.createGameSession(
-        socket.userId,
-        opponent.userId,
-        boardSize,
-        mode,
-        null,
-      );
+    const anySize = size === matchmaking.ANY_SIZE;
+    if (!anySize && !puzzleLogic.isValidBoardSize(size)) {
+      socket.emit("matchmaking_error", { message: "Invalid board size" });
+      return;
+    }
 
-      // Create game room
-      const roomId = `game_${sessionId}`;
-      socket.join(roomId);
-      opponent.socket.join(roomId);
+    const boardSize = anySize ? size : puzzleLogic.formatBoardSize(size);
 
-      // Store active game
-      activeGames.set(sessionId, {
-        player1: { userId: socket.userId, socket },
-        player2: { userId: opponent.userId, socket: opponent.socket },
-        boardSize,
+    try {
+      // Get user ELO for matchmaking
+      const userStats = await db.getUserStats(socket.userId);
+      const userElo = userStats.elo_rating;
+
+      if (bot) {
+        const profile =
+          bot === "auto"
+            ? bots.pickBotProfile(userElo)
+            : bots.getBotProfile(bot);
+
+        if (!profile) {
+          socket.emit("matchmaking_error", { message: "Unknown bot level" });
+          return;
+        }
+
+        matchmaker.leave(socket.userId);
+        await startBotMatch(socket, {
+          mode,
+          boardSize: anySize ? matchmaking.DEFAULT_BOARD_SIZE : boardSize,
+          profile,
+        });
+        return;
+      }
+
+      matchmaker.join({
+        userId: socket.userId,
+        username: socket.username,
+        socket,
         mode,
+        boardSize,
+        elo: userElo,
       });
 
-      // Notify both players
-      io.to(roomId).emit("match_found", {
-        sessionId,
-        boardSize,
+      socket.emit("matchmaking_joined", {
+        position: matchmaker.size(mode),
         mode,
-        player1: {
-          userId: socket.userId,
-          username: socket.username,
-        },
-        player2: {
-          userId: opponent.userId,
-          username: opponent.username,
-        },
+        boardSize,
       });
 
-      console.log(`Match created: ${socket.username} vs ${opponent.username}`);
-    } else {
-      // Add to queue
-      queue.push({
+      // Pair straight away if someone suitable is already waiting
+      matchmaker.tick();
+    } catch (error) {
+      console.error("Join matchmaking error:", error);
+      matchmaker.leave(socket.userId);
+      socket.emit("matchmaking_error", {
+        message: "Could not join matchmaking",
+      });
+    }
+  });
+
+  // Open a private lobby from the socket (POST /api/lobbies also works)
+  socket.on("create_lobby", (settings) => {
+    const result = lobbies.validateLobbySettings(settings);
+    if (result.error) {
+      socket.emit("lobby_error", { message: result.error });
+      return;
+    }
+
+    leaveLobby(socket.userId);
+    matchmaker.leave(socket.userId);
+
+    const lobby = lobbyManager.create(
+      { userId: socket.userId, username: socket.username, socket },
+      result.settings,
+    );
+    socket.join(`lobby_${lobby.code}`);
+    broadcastLobby(lobby);
+  });
+
+  // Join a lobby by invite code; the host also uses this to attach
+  socket.on("join_lobby", ({ code }) => {
+    const lobby = lobbyManager.get(code);
+    if (!lobby) {
+      socket.emit("lobby_error", { message: "Lobby not found" });
+      return;
+    }
+
+    if (lobbyManager.findByUser(socket.userId) !== lobby) {
+      leaveLobby(socket.userId);
+    }
+
+    const result = lobbyManager.join(code, {
+      userId: socket.userId,
+      username: socket.username,
+      socket,
+    });
+    if (result.error) {
+      socket.emit("lobby_error", { message: result.error });
+      return;
+    }
+
+    matchmaker.leave(socket.userId);
+    socket.join(`lobby_${lobby.code}`);
+    broadcastLobby(lobby);
+  });
+
+  // Change board size, mode or powerup rules (host only)
+  socket.on("lobby_settings", (settings) => {
+    const result = lobbyManager.updateSettings(socket.userId, settings);
+    if (result.error) {
+      socket.emit("lobby_error", { message: result.error });
+      return;
+    }
+
+    broadcastLobby(result.lobby);
+  });
+
+  // Ready check: the match starts once both players are ready
+  socket.on("lobby_ready", async ({ ready }) => {
+    const lobby = lobbyManager.setReady(socket.userId, ready);
+    if (!lobby) {
+      socket.emit("lobby_error", { message: "Not in a lobby" });
+      return;
+    }
+
+    broadcastLobby(lobby);
+
+    if (lobbyManager.isReady(lobby)) {
+      await startLobbyMatch(lobby).catch((err) =>
+        console.error("Error starting lobby match:", err),
+      );
+    }
+  });
+
+  socket.on("leave_lobby", () => {
+    leaveLobby(socket.userId);
+    socket.emit("lobby_left");
+  });
+
+  // Watch a live game from a separate, read-only room
+  socket.on("spectate", ({ sessionId }) => {
+    const game = activeGames.get(Number(sessionId));
+    if (!game) {
+      socket.emit("spectate_error", { message: "Game is no longer live" });
+      return;
+    }
+    if (getGamePlayer(game, socket.userId)) {
+      socket.emit("spectate_error", { message: "You are playing this game" });
+      return;
+    }
+
+    socket.join(`spectate_${sessionId}`);
+    socket.emit("spectate_state", {
+      ...summarizeLiveGame(sessionId, game),
+      initialState: game.initialState,
+      boards: {
+        [game.player1.userId]: game.player1.board,
+        [game.player2.userId]: game.player2.board,
+      },
+    });
+  });
+
+  socket.on("stop_spectating", ({ sessionId }) => {
+    socket.leave(`spectate_${sessionId}`);
+  });
+
+  // Follow a tournament's bracket and standings
+  socket.on("watch_tournament", ({ tournamentId }) => {
+    socket.join(`tournament_${tournamentId}`);
+  });
+
+  socket.on("unwatch_tournament", ({ tournamentId }) => {
+    socket.leave(`tournament_${tournamentId}`);
+  });
+
+  // Check in for a ready tournament match; it starts once both are here
+  socket.on("tournament_join_match", async ({ matchId }) => {
+    try {
+      const match = await db.getTournamentMatch(matchId);
+      const isPlayer =
+        match &&
+        (match.player1_id === socket.userId ||
+          match.player2_id === socket.userId);
+
+      if (!isPlayer || match.status !== "ready") {
+        socket.emit("tournament_error", {
+          message: "That match is not waiting for you",
+        });
+        return;
+      }
+
+      const checkIn = getCheckIn(match.match_id);
+      if (checkIn.started) return;
+
+      checkIn.players.set(socket.userId, {
         userId: socket.userId,
         username: socket.username,
         socket,
-        boardSize,
-        elo: userElo,
-        joinedAt: Date.now(),
       });
 
-      matchmakingQueue[mode] = queue;
+      const bothHere = [match.player1_id, match.player2_id].every((id) => {
+        const player = checkIn.players.get(id);
+        return player && player.socket.connected;
+      });
 
-      socket.emit("matchmaking_joined", {
-        position: queue.length,
-        mode,
-        boardSize,
+      if (!bothHere) {
+        socket.emit("tournament_waiting", { matchId: match.match_id });
+        return;
+      }
+
+      matchmaker.leave(match.player1_id);
+      matchmaker.leave(match.player2_id);
+      await startTournamentMatch(match, checkIn);
+    } catch (error) {
+      console.error("Tournament check-in error:", error);
+      socket.emit("tournament_error", { message: "Could not start match" });
+    }
+  });
+
+  // Ask the last opponent for a rematch, optionally as a best-of-N series
+  socket.on("rematch_request", ({ sessionId, bestOf }) => {
+    const match = recentMatches.get(Number(sessionId));
+    const me = match && match.players.find((p) => p.userId === socket.userId);
+    if (!me) {
+      socket.emit("rematch_error", {
+        message: "Rematch is no longer available",
       });
+      return;
+    }
+
+    const opponent = match.players.find((p) => p !== me);
+    if (!opponent.socket || !opponent.socket.connected) {
+      socket.emit("rematch_error", { message: "Opponent has left" });
+      return;
+    }
+
+    me.socket = socket;
+
+    // Both asked: that is agreement
+    if (match.rematch && match.rematch.fromUserId === opponent.userId) {
+      startRematch(sessionId, match);
+      return;
     }
+
+    const length = bestOf === undefined ? match.bestOf : bestOf;
+    if (!matchSeries.isValidSeriesLength(length)) {
+      socket.emit("rematch_error", { message: "Invalid series length" });
+      return;
+    }
+
+    match.rematch = { fromUserId: socket.userId, bestOf: length };
+    opponent.socket.emit("rematch_requested", {
+      sessionId: Number(sessionId),
+      from: { userId: socket.userId, username: socket.username },
+      bestOf: length,
+    });
   });
 
-  // Leave matchmaking queue
-  socket.on("leave_matchmaking", ({ mode }) => {
-    const queue = matchmakingQueue[mode] || [];
-    const index = queue.findIndex((p) => p.userId === socket.userId);
+  socket.on("rematch_response", ({ sessionId, accept }) => {
+    const match = recentMatches.get(Number(sessionId));
+    if (
+      !match ||
+      !match.rematch ||
+      match.rematch.fromUserId === socket.userId ||
+      !match.players.some((p) => p.userId === socket.userId)
+    ) {
+      socket.emit("rematch_error", { message: "No rematch to answer" });
+      return;
+    }
 
-    if (index !== -1) {
-      queue.splice(index, 1);
-      matchmakingQueue[mode] = queue;
+    const requester = match.players.find(
+      (p) => p.userId === match.rematch.fromUserId,
+    );
+
+    if (!accept) {
+      match.rematch = null;
+      if (requester.socket) {
+        requester.socket.emit("rematch_declined", {
+          sessionId: Number(sessionId),
+        });
+      }
+      return;
     }
 
+    match.players.find((p) => p.userId === socket.userId).socket = socket;
+    startRematch(sessionId, match);
+  });
+
+  // Leave matchmaking queue
+  socket.on("leave_matchmaking", () => {
+    matchmaker.leave(socket.userId);
+
     socket.emit("matchmaking_left");
   });
 
-  // Game move
+  // Game move; only the players' own sockets may move, never spectators
   socket.on("game_move", ({ sessionId, moveData }) => {
+    if (!isGameSocket(socket, sessionId)) return;
+
     const roomId = `game_${sessionId}`;
 
     // Broadcast move to opponent
     socket.to(roomId).emit("opponent_move", moveData);
+    trackGameMove(sessionId, socket.userId, moveData);
 
     // Record move in database (async, don't wait)
     db.recordMove(
@@ -1088,53 +3787,22 @@ io.on("connection", (socket) => {
     ).catch((err) => console.error("Error recording move:", err));
   });
 
-  // Game completed
-  socket.on("game_completed", async ({ sessionId, winnerId, stats }) => {
-    const roomId = `game_${sessionId}`;
-
-    io.to(roomId).emit("game_ended", {
-      winnerId,
-      stats,
-    });
-
-    // Clean up
-    activeGames.delete(sessionId);
-  });
-
-  // Use powerup
-  socket.on("use_powerup", ({ sessionId, powerupKey }) => {
-    const roomId = `game_${sessionId}`;
-
-    // Notify opponent
-    socket.to(roomId).emit("opponent_powerup", {
-      powerupKey,
-      userId: socket.userId,
-    });
-  });
-
   // Disconnect
   socket.on("disconnect", () => {
     console.log(`User disconnected: ${socket.username}`);
 
-    // Remove from matchmaking queues
-    Object.keys(matchmakingQueue).forEach((mode) => {
-      const queue = matchmakingQueue[mode];
-      const index = queue.findIndex((p) => p.userId === socket.userId);
-      if (index !== -1) {
-        queue.splice(index, 1);
-        matchmakingQueue[mode] = queue;
-      }
-    });
+    // Remove from matchmaking queue
+    matchmaker.leave(socket.userId);
+
+    // Keep any lobby seat so the player can rejoin by code
+    const lobby = lobbyManager.detach(socket.userId);
+    if (lobby) broadcastLobby(lobby);
 
-    // Handle active game disconnect
+    // Keep active games open for a while in case this is a network blip
     for (const [sessionId, game] of activeGames.entries()) {
-      if (
-        game.player1.userId === socket.userId ||
-        game.player2.userId === socket.userId
-      ) {
-        const roomId = `game_${sessionId}`;
-        socket.to(roomId).emit("opponent_disconnected");
-        activeGames.delete(sessionId);
+      const player = getGamePlayer(game, socket.userId);
+      if (player && player.socket === socket) {
+        holdForReconnect(sessionId, player);
       }
     }
   });
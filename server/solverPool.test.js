@@ -0,0 +1,42 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const solverPool = require("./solverPool");
+const puzzleLogic = require("./puzzleLogic");
+const solver = require("./solver");
+
+describe("solverPool", () => {
+  it("returns the solver's optimal hint from the worker", async () => {
+    const board = puzzleLogic.generateSolvablePuzzle("3x3", 42);
+    const hint = await solverPool.getHint(board, "3x3");
+
+    assert.deepEqual(hint, solver.getHint(board, "3x3"));
+  });
+
+  it("shares one job between requests for the same position", () => {
+    const board = puzzleLogic.generateSolvablePuzzle("3x3", 7);
+
+    assert.equal(
+      solverPool.getHint(board, "3x3"),
+      solverPool.getHint([...board], "3x3"),
+    );
+  });
+
+  it("has no hint for a solved board", async () => {
+    const solved = puzzleLogic.createSolvedBoard(3);
+
+    assert.equal(await solverPool.getHint(solved, "3x3"), null);
+  });
+
+  it("generates a puzzle in the requested band", async () => {
+    const puzzle = await solverPool.generatePuzzle("3x3", "easy");
+
+    assert.equal(puzzle.boardSize, "3x3");
+    assert.equal(puzzle.difficulty, "easy");
+    assert.equal(puzzleLogic.isSolvable(puzzle.initialState, "3x3"), true);
+  });
+
+  it("rejects unknown tasks", async () => {
+    await assert.rejects(solverPool.runTask("nope", []), /Unknown solver task/);
+  });
+});
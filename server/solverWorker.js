@@ -0,0 +1,31 @@
+const { parentPort } = require("worker_threads");
+const solver = require("./solver");
+const puzzleGenerator = require("./puzzleGenerator");
+const bots = require("./bots");
+
+/**
+ * Worker thread entry for solverPool.js. Each message names a task and its
+ * arguments; the reply carries the same id with a result or an error
+ * message.
+ */
+
+const TASKS = {
+  hint: (board, size, options) => solver.getHint(board, size, options),
+  minimumMoves: (board, size, options) =>
+    solver.getMinimumMoves(board, size, options),
+  generatePuzzle: (size, difficulty) =>
+    puzzleGenerator.generatePuzzle(size, difficulty),
+  botSolution: (initialState, boardSize) =>
+    bots.planSolution(initialState, boardSize),
+};
+
+parentPort.on("message", ({ id, task, args }) => {
+  try {
+    if (!Object.hasOwn(TASKS, task)) {
+      throw new Error(`Unknown solver task: ${task}`);
+    }
+    parentPort.postMessage({ id, result: TASKS[task](...args) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
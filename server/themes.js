@@ -0,0 +1,64 @@
+/**
+ * Theme unlock rules.
+ *
+ * The themes table is the catalogue. A theme without an unlock_type is free
+ * for everyone; otherwise unlock_type names a rule below that reads the
+ * player's users/user_stats row, and the theme unlocks once that reaches
+ * unlock_value. Unlocks are stored in user_preferences.unlocked_themes,
+ * which also holds themes granted outright by achievements and seasons, so
+ * a theme stays unlocked even if the player later drops below its
+ * requirement.
+ */
+
+const UNLOCK_RULES = {
+  total_wins: (player) => player.total_wins,
+  elo_rating: (player) => player.elo_rating,
+  level: (player) => player.level,
+};
+
+/**
+ * Whether a player meets a theme's unlock criteria
+ * @param {Object} theme - themes row
+ * @param {Object} player - getUserById row (users joined with user_stats)
+ * @returns {Boolean}
+ */
+function meetsUnlockCriteria(theme, player) {
+  if (!theme.unlock_type) return true;
+
+  const rule = UNLOCK_RULES[theme.unlock_type];
+  if (!rule) return false;
+  return (Number(rule(player)) || 0) >= theme.unlock_value;
+}
+
+/**
+ * Themes the player has earned but not yet unlocked
+ * @param {Array} themes - themes rows
+ * @param {Object} player - getUserById row
+ * @param {Array} unlockedThemes - Keys already unlocked
+ * @returns {Array} themes rows to unlock
+ */
+function getNewlyEarnedThemes(themes, player, unlockedThemes) {
+  return themes.filter(
+    (theme) =>
+      theme.unlock_type &&
+      !unlockedThemes.includes(theme.theme_key) &&
+      meetsUnlockCriteria(theme, player),
+  );
+}
+
+/**
+ * Whether a player may select a theme
+ * @param {Object} theme - themes row
+ * @param {Array} unlockedThemes - Keys the player has unlocked
+ * @returns {Boolean}
+ */
+function isThemeAvailable(theme, unlockedThemes) {
+  return !theme.unlock_type || unlockedThemes.includes(theme.theme_key);
+}
+
+module.exports = {
+  UNLOCK_RULES,
+  meetsUnlockCriteria,
+  getNewlyEarnedThemes,
+  isThemeAvailable,
+};
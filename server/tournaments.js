@@ -0,0 +1,315 @@
+const puzzleLogic = require("./puzzleLogic");
+const { LOBBY_MODES } = require("./lobbies");
+
+/**
+ * Tournament rules: settings, seeding, pairings and standings.
+ *
+ * Players are seeded by ELO when the tournament starts. Single elimination
+ * uses a standard bracket (1 v 16, 8 v 9, ...) padded to a power of two,
+ * with byes going to the top seeds. Swiss runs ceil(log2(players)) rounds;
+ * each round pairs players on equal points who have not met, and an odd
+ * player out gets a bye worth a win. Everything here works on plain rows,
+ * so the database layer stays a store.
+ */
+
+const FORMATS = ["single_elimination", "swiss"];
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 64;
+
+/**
+ * Check the settings for a new tournament
+ * @param {Object} input - { name, format, boardSize, mode, startTime,
+ *   maxPlayers }
+ * @param {Number} now - Current time (ms)
+ * @returns {Object} { tournament } or { error }
+ */
+function validateTournament(input, now = Date.now()) {
+  const name = String(input.name || "").trim();
+  if (name.length < 3 || name.length > 100) {
+    return { error: "Name must be 3 to 100 characters" };
+  }
+  if (!FORMATS.includes(input.format)) {
+    return { error: `Format must be one of: ${FORMATS.join(", ")}` };
+  }
+  if (!puzzleLogic.isValidBoardSize(input.boardSize)) {
+    return { error: "Invalid board size" };
+  }
+  if (!LOBBY_MODES.includes(input.mode)) {
+    return { error: "Invalid game mode" };
+  }
+
+  const maxPlayers = Number(input.maxPlayers);
+  if (
+    !Number.isInteger(maxPlayers) ||
+    maxPlayers < MIN_PLAYERS ||
+    maxPlayers > MAX_PLAYERS
+  ) {
+    return {
+      error: `Max players must be between ${MIN_PLAYERS} and ${MAX_PLAYERS}`,
+    };
+  }
+
+  const startTime = new Date(input.startTime);
+  if (Number.isNaN(startTime.getTime()) || startTime.getTime() < now) {
+    return { error: "Start time must be in the future" };
+  }
+
+  return {
+    tournament: {
+      name,
+      format: input.format,
+      boardSize: puzzleLogic.formatBoardSize(input.boardSize),
+      mode: input.mode,
+      maxPlayers,
+      startTime,
+    },
+  };
+}
+
+/**
+ * Rounds a tournament will run
+ * @param {Number} playerCount - Registered players
+ * @returns {Number}
+ */
+function getRoundCount(playerCount) {
+  return Math.max(1, Math.ceil(Math.log2(playerCount)));
+}
+
+/**
+ * Order players by ELO (earlier registration breaks ties) and number them
+ * @param {Array} players - [{ user_id, elo_rating, registered_at }]
+ * @returns {Array} [{ userId, seed, elo }]
+ */
+function seedPlayers(players) {
+  return [...players]
+    .sort(
+      (a, b) =>
+        b.elo_rating - a.elo_rating ||
+        new Date(a.registered_at) - new Date(b.registered_at),
+    )
+    .map((player, index) => ({
+      userId: player.user_id,
+      seed: index + 1,
+      elo: player.elo_rating,
+    }));
+}
+
+/**
+ * Seed in each bracket slot, so the top seeds can only meet late
+ * @param {Number} size - Bracket size (a power of two)
+ * @returns {Array} Seeds, e.g. [1, 4, 2, 3] for 4
+ */
+function getBracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, next - seed]);
+  }
+  return order;
+}
+
+/**
+ * First round of a single-elimination bracket
+ * @param {Array} seeded - Output of seedPlayers
+ * @returns {Array} [{ position, player1Id, player2Id }]; player2Id is null
+ *   for a bye
+ */
+function pairEliminationFirstRound(seeded) {
+  const size = 2 ** getRoundCount(seeded.length);
+  const bySeed = new Map(seeded.map((player) => [player.seed, player.userId]));
+  const order = getBracketOrder(size);
+
+  const pairings = [];
+  for (let i = 0; i < size; i += 2) {
+    pairings.push({
+      position: i / 2,
+      player1Id: bySeed.get(order[i]),
+      player2Id: bySeed.get(order[i + 1]) || null,
+    });
+  }
+  return pairings;
+}
+
+/**
+ * Next elimination round: winners of neighbouring matches meet
+ * @param {Array} matches - Completed matches of the previous round
+ * @returns {Array} [{ position, player1Id, player2Id }]
+ */
+function pairEliminationNextRound(matches) {
+  const sorted = [...matches].sort((a, b) => a.position - b.position);
+  const pairings = [];
+
+  for (let i = 0; i < sorted.length; i += 2) {
+    pairings.push({
+      position: i / 2,
+      player1Id: sorted[i].winner_id,
+      player2Id: sorted[i + 1] ? sorted[i + 1].winner_id : null,
+    });
+  }
+  return pairings;
+}
+
+const pairKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+/**
+ * Pair a Swiss round: top of the standings first, avoiding rematches where
+ * possible, with a bye for the lowest-ranked player who has not had one
+ * @param {Array} standings - Output of computeStandings
+ * @param {Array} matches - Every match played so far
+ * @returns {Array} [{ position, player1Id, player2Id }]
+ */
+function pairSwissRound(standings, matches) {
+  const played = new Set(
+    matches
+      .filter((match) => match.player2_id)
+      .map((match) => pairKey(match.player1_id, match.player2_id)),
+  );
+
+  const pool = standings.map((entry) => entry.userId);
+  const pairings = [];
+
+  if (pool.length % 2 === 1) {
+    const byeIndex = [...standings]
+      .reverse()
+      .findIndex((entry) => !entry.hadBye);
+    const index =
+      byeIndex === -1 ? pool.length - 1 : pool.length - 1 - byeIndex;
+    pairings.push({ player1Id: pool[index], player2Id: null });
+    pool.splice(index, 1);
+  }
+
+  // Depth-first: give each top player the nearest opponent they have not
+  // met, backing up if that strands someone further down
+  const pair = (remaining) => {
+    if (remaining.length === 0) return [];
+    const [first, ...rest] = remaining;
+
+    for (let i = 0; i < rest.length; i++) {
+      if (played.has(pairKey(first, rest[i]))) continue;
+      const others = pair([...rest.slice(0, i), ...rest.slice(i + 1)]);
+      if (others) return [{ player1Id: first, player2Id: rest[i] }, ...others];
+    }
+    return null;
+  };
+
+  let games = pair(pool);
+  if (!games) {
+    // Everyone has met: fall back to pairing down the standings
+    games = [];
+    for (let i = 0; i < pool.length; i += 2) {
+      games.push({ player1Id: pool[i], player2Id: pool[i + 1] });
+    }
+  }
+
+  return [...games, ...pairings].map((pairing, position) => ({
+    position,
+    ...pairing,
+  }));
+}
+
+/**
+ * Standings from the match record
+ * @param {String} format - Tournament format
+ * @param {Array} players - [{ user_id, username, seed }]
+ * @param {Array} matches - Tournament matches
+ * @returns {Array} [{ rank, userId, username, seed, points, wins, losses,
+ *   byes, hadBye, eliminated, buchholz }] best first
+ */
+function computeStandings(format, players, matches) {
+  const table = new Map(
+    players.map((player) => [
+      player.user_id,
+      {
+        userId: player.user_id,
+        username: player.username,
+        seed: player.seed,
+        points: 0,
+        wins: 0,
+        losses: 0,
+        byes: 0,
+        hadBye: false,
+        eliminated: false,
+        opponents: [],
+      },
+    ]),
+  );
+
+  matches
+    .filter((match) => match.winner_id)
+    .forEach((match) => {
+      const winner = table.get(match.winner_id);
+      if (!match.player2_id) {
+        if (winner) {
+          winner.points += 1;
+          winner.byes += 1;
+          winner.hadBye = true;
+        }
+        return;
+      }
+
+      const loserId =
+        match.winner_id === match.player1_id
+          ? match.player2_id
+          : match.player1_id;
+      const loser = table.get(loserId);
+
+      if (winner) {
+        winner.points += 1;
+        winner.wins += 1;
+        winner.opponents.push(loserId);
+      }
+      if (loser) {
+        loser.losses += 1;
+        loser.opponents.push(match.winner_id);
+        if (format === "single_elimination") loser.eliminated = true;
+      }
+    });
+
+  // Buchholz: strength of schedule, the sum of opponents' points
+  const entries = [...table.values()].map(({ opponents, ...entry }) => ({
+    ...entry,
+    buchholz: opponents.reduce(
+      (sum, id) => sum + (table.has(id) ? table.get(id).points : 0),
+      0,
+    ),
+  }));
+
+  entries.sort(
+    (a, b) =>
+      Number(a.eliminated) - Number(b.eliminated) ||
+      b.points - a.points ||
+      b.buchholz - a.buchholz ||
+      (a.seed || Infinity) - (b.seed || Infinity),
+  );
+
+  return entries.map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+/**
+ * Whether every match of a round has a winner
+ * @param {Array} matches - Tournament matches
+ * @param {Number} round - Round number
+ * @returns {Boolean}
+ */
+function isRoundComplete(matches, round) {
+  const roundMatches = matches.filter((match) => match.round === round);
+  return (
+    roundMatches.length > 0 && roundMatches.every((match) => match.winner_id)
+  );
+}
+
+module.exports = {
+  FORMATS,
+  MIN_PLAYERS,
+  MAX_PLAYERS,
+  validateTournament,
+  getRoundCount,
+  seedPlayers,
+  getBracketOrder,
+  pairEliminationFirstRound,
+  pairEliminationNextRound,
+  pairSwissRound,
+  computeStandings,
+  isRoundComplete,
+};